@@ -315,6 +315,16 @@ function StudentPortal() {
 						}
 					/>
 
+					{/* Game Lobby Spectator View */}
+					<Route
+						path='/lobby/:code/watch'
+						element={
+							<AuthAwareSuspense fallback={<SuspenseLoader />} {...AuthAwareSuspenseConfig.ENHANCED}>
+								<LazyPages.LobbySpectate />
+							</AuthAwareSuspense>
+						}
+					/>
+
 					{/* Game Play Session */}
 					<Route
 						path='/play/:code'
@@ -826,6 +836,18 @@ function App() {
 							</ProtectedRoute>
 						}
 					/>
+					<Route
+						path='/game-lobbies/:gameId/host'
+						element={
+							<ProtectedRoute>
+								<OnboardingRedirect>
+									<AuthAwareSuspense fallback={<SuspenseLoader />} {...AuthAwareSuspenseConfig.PROTECTED}>
+										<LazyPages.LobbyHostScreen />
+									</AuthAwareSuspense>
+								</OnboardingRedirect>
+							</ProtectedRoute>
+						}
+					/>
 					<Route
 						path='/game-lobbies/:gameId/:sessionId'
 						element={
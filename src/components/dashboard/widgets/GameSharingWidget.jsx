@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Share2, QrCode, Copy, RefreshCw, X, UserPlus, Users, MessageCircle } from 'lucide-react';
+import { Share2, QrCode, Copy, RefreshCw, X, UserPlus, Users, MessageCircle, Printer } from 'lucide-react';
 import { useUser } from '@/contexts/UserContext';
 import { apiRequest } from '@/services/apiClient';
 import { Button } from '@/components/ui/button';
@@ -7,6 +7,8 @@ import { toast } from '@/components/ui/use-toast';
 import { renderQRCode, LUDORA_OFFICIAL_PRESET } from '@/utils/qrCodeUtils';
 import { useNavigate } from 'react-router-dom';
 import { urls } from '@/config/urls';
+import QrPosterDialog from '@/components/dialogs/QrPosterDialog';
+import { QR_POSTER_KINDS } from '@/utils/qrPosterUtils';
 
 /**
  * GameSharingWidget - Dashboard widget for teachers to manage their invitation code
@@ -18,6 +20,7 @@ const GameSharingWidget = ({ widgetId, settings = {} }) => {
   const [invitationCode, setInvitationCode] = useState(currentUser?.invitation_code || null);
   const [loading, setLoading] = useState(false);
   const [showQRModal, setShowQRModal] = useState(false);
+  const [showPosterDialog, setShowPosterDialog] = useState(false);
   const [qrContainer, setQrContainer] = useState(null);
 
   // Generate portal URL using centralized configuration
@@ -344,11 +347,30 @@ const GameSharingWidget = ({ widgetId, settings = {} }) => {
                   <MessageCircle className="w-4 h-4 mr-2" />
                   WhatsApp
                 </Button>
+                <Button
+                  onClick={() => setShowPosterDialog(true)}
+                  className="bg-teal-500 hover:bg-teal-600 text-white px-6 py-2"
+                >
+                  <Printer className="w-4 h-4 mr-2" />
+                  פוסטר
+                </Button>
               </div>
             </div>
           </div>
         </div>
       )}
+
+      {/* Printable QR Poster */}
+      {invitationCode && (
+        <QrPosterDialog
+          isOpen={showPosterDialog}
+          onClose={() => setShowPosterDialog(false)}
+          kind={QR_POSTER_KINDS.PORTAL}
+          url={portalUrl}
+          code={invitationCode}
+          title={`קטלוג המשחקים של ${currentUser?.display_name || currentUser?.full_name || ''}`.trim()}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Printer } from 'lucide-react';
+import { useUser } from '@/contexts/UserContext';
+import { BRANDING_KEYS, CONTACT_INFO_KEYS, getSetting } from '@/constants/settings';
+import { urls } from '@/config/urls';
+import { openPrintWindow } from '@/utils/printUtils';
+import { QR_POSTER_SIZES, QR_POSTER_KINDS, createPosterQRImage, buildQrPosterDocument } from '@/utils/qrPosterUtils';
+import { toast } from '@/components/ui/use-toast';
+import { luderror } from '@/lib/ludlog';
+
+/**
+ * QR Poster Dialog
+ * Prints an A4/A3 classroom poster with the QR code and code of a lobby or of
+ * the teacher's student portal
+ */
+export default function QrPosterDialog({
+  isOpen,
+  onClose,
+  kind = QR_POSTER_KINDS.LOBBY,
+  url,
+  code,
+  title
+}) {
+  const { currentUser, settings } = useUser();
+  const [size, setSize] = useState('a4');
+  const [subtitle, setSubtitle] = useState('');
+  const [qrImage, setQrImage] = useState(null);
+  const [qrError, setQrError] = useState(false);
+
+  // The QR image is created when the dialog opens, so printing can open the
+  // print window right away (browsers block windows opened after a delay)
+  useEffect(() => {
+    if (!isOpen || !url) return;
+
+    let cancelled = false;
+    setQrImage(null);
+    setQrError(false);
+
+    createPosterQRImage(url)
+      .then(image => {
+        if (!cancelled) setQrImage(image);
+      })
+      .catch(error => {
+        luderror.ui('[QrPosterDialog] Error creating poster QR code:', error);
+        if (!cancelled) setQrError(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, url]);
+
+  const handlePrint = () => {
+    const logoPath = getSetting(settings, BRANDING_KEYS.LOGO_URL) || '/logo.svg';
+    const siteName = getSetting(settings, CONTACT_INFO_KEYS.SITE_NAME, 'לודורה');
+
+    const { body, styles } = buildQrPosterDocument({
+      kind,
+      size,
+      qrImage,
+      code,
+      title,
+      subtitle: subtitle.trim(),
+      teacherName: currentUser?.display_name || currentUser?.full_name || '',
+      siteName,
+      // The print window has no base URL of its own
+      logoUrl: new URL(logoPath, window.location.origin).href,
+      siteAddress: urls.portal.student.home().replace(/^https?:\/\//, '').replace(/\/$/, '')
+    });
+
+    const opened = openPrintWindow({ title: `פוסטר - ${title}`, body, styles });
+    if (!opened) {
+      toast({
+        title: "לא ניתן לפתוח חלון הדפסה",
+        description: "יש לאפשר חלונות קופצים בדפדפן ולנסות שוב",
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader className="text-right">
+          <DialogTitle className="flex items-center gap-3 text-xl font-bold">
+            <Printer className="w-6 h-6 text-teal-600" />
+            פוסטר להדפסה
+          </DialogTitle>
+          <DialogDescription className="text-right">
+            פוסטר לתליה בכיתה עם קוד ה-QR, הקוד להקלדה והוראות הצטרפות. לקובץ PDF בוחרים ״שמירה כ-PDF״ בחלון ההדפסה.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex justify-center">
+            {qrImage ? (
+              <img src={qrImage} alt="" className="w-40 h-40" />
+            ) : (
+              <div className="w-40 h-40 bg-gray-100 rounded-lg flex items-center justify-center text-sm text-gray-500">
+                {qrError ? 'שגיאה ביצירת QR' : 'יוצר QR...'}
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <Label className="text-sm font-medium text-gray-700 mb-2 block">גודל דף</Label>
+              <Select value={size} onValueChange={setSize}>
+                <SelectTrigger className="h-10 text-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(QR_POSTER_SIZES).map(([key, option]) => (
+                    <SelectItem key={key} value={key}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label className="text-sm font-medium text-gray-700 mb-2 block">שורה נוספת (לא חובה)</Label>
+              <Input
+                value={subtitle}
+                onChange={(e) => setSubtitle(e.target.value)}
+                placeholder="לדוגמה: כיתה ד'2"
+                className="h-10 text-sm"
+                maxLength={60}
+              />
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter className="flex gap-4 pt-4">
+          <Button variant="outline" onClick={onClose}>
+            סגור
+          </Button>
+          <Button
+            onClick={handlePrint}
+            disabled={!qrImage}
+            className="bg-teal-500 hover:bg-teal-600 text-white"
+          >
+            <Printer className="w-4 h-4 mr-2" />
+            הדפסה
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -33,8 +33,15 @@ import {
   UserCheck,
   Shuffle,
   ArrowRight,
-  MousePointer
+  MousePointer,
+  Scale,
+  Flag
 } from 'lucide-react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { AUTO_BALANCE_INVITATION_TYPE } from '@/utils/sessionAssignmentUtils';
+import { TEAM_ASSIGNMENT, MIN_TEAMS, MAX_TEAMS, buildTeams, normalizeTeamConfig } from '@/utils/teamUtils';
+import { getLobbySchedule, isLobbyScheduleUpcoming, getLobbyScheduleFormValues, getLobbyScheduleError, buildLobbySchedule } from '@/utils/lobbyUtils';
+import { LobbyScheduleFields } from '@/components/game-lobbies/LobbyScheduleDialog';
 
 /**
  * Enhanced Lobby Activation Dialog
@@ -76,22 +83,31 @@ export default function EnhancedLobbyActivationDialog({
 
   const config = gameTypeConfigs[gameType] || gameTypeConfigs.memory_game;
 
+  // A lobby scheduled in advance is edited in schedule mode
+  const hasUpcomingSchedule = !!existingLobbyData && isLobbyScheduleUpcoming(existingLobbyData);
+
   // Form state
   const [formData, setFormData] = useState({
     // Expiration settings
-    durationType: 'duration', // 'duration', 'specific_time', 'indefinite'
+    durationType: 'duration', // 'duration', 'specific_time', 'indefinite', 'scheduled'
     duration: config.lobbyDefaults.session_duration, // minutes
     expiresAt: '',
 
+    // Scheduled opening (date, start and end time)
+    schedule: getLobbyScheduleFormValues(),
+
     // Player settings
     maxPlayers: config.lobbyDefaults.max_players,
 
     // Invitation settings
-    invitationType: 'manual_selection', // 'manual_selection', 'teacher_assignment', 'random', 'order'
+    invitationType: 'manual_selection', // 'manual_selection', 'teacher_assignment', 'random', 'order', 'auto_balance'
 
     // Session configuration
     autoCreateSessions: true,
-    playersPerSession: config.sessionDefaults.players_per_session
+    playersPerSession: config.sessionDefaults.players_per_session,
+
+    // Team mode
+    teamConfig: normalizeTeamConfig()
   });
 
   // Calculate suggested session distribution
@@ -110,23 +126,44 @@ export default function EnhancedLobbyActivationDialog({
 
   const sessionDistribution = calculateSessionDistribution();
 
+  const [showScheduleError, setShowScheduleError] = useState(false);
+  const scheduleError = formData.durationType === 'scheduled' ? getLobbyScheduleError(formData.schedule) : null;
+
   // Reset form when dialog opens
   useEffect(() => {
     if (isOpen) {
       setFormData({
-        durationType: 'duration',
+        durationType: hasUpcomingSchedule ? 'scheduled' : 'duration',
         duration: config.lobbyDefaults.session_duration,
         expiresAt: '',
+        schedule: getLobbyScheduleFormValues(hasUpcomingSchedule ? getLobbySchedule(existingLobbyData) : null),
         maxPlayers: config.lobbyDefaults.max_players,
         invitationType: 'manual_selection',
         autoCreateSessions: true,
-        playersPerSession: config.sessionDefaults.players_per_session
+        playersPerSession: config.sessionDefaults.players_per_session,
+        teamConfig: normalizeTeamConfig(existingLobbyData?.settings?.team_config)
       });
+      setShowScheduleError(false);
     }
   }, [isOpen, gameType]);
 
+  const updateTeamConfig = (changes) => {
+    setFormData(prev => ({ ...prev, teamConfig: { ...prev.teamConfig, ...changes } }));
+  };
+
+  const handleTeamNameChange = (teamId, name) => {
+    updateTeamConfig({
+      teams: formData.teamConfig.teams.map(team => (team.id === teamId ? { ...team, name } : team))
+    });
+  };
+
   // Handle form submission
   const handleSubmit = () => {
+    if (scheduleError) {
+      setShowScheduleError(true);
+      return;
+    }
+
     let expires_at = null;
 
     if (formData.durationType === 'duration') {
@@ -141,13 +178,17 @@ export default function EnhancedLobbyActivationDialog({
 
     const activationData = {
       expires_at,
+      // A scheduled lobby is not activated now - it opens at the scheduled time
+      schedule: formData.durationType === 'scheduled' ? buildLobbySchedule(formData.schedule) : null,
       max_players: formData.maxPlayers,
       invitation_type: formData.invitationType,
       session_config: {
         auto_create_sessions: formData.autoCreateSessions,
         session_count: sessionDistribution.recommendedSessions,
-        players_per_session: formData.playersPerSession
-      }
+        players_per_session: formData.playersPerSession,
+        max_players_per_session: Math.max(formData.playersPerSession, config.sessionDefaults.max_players_per_session)
+      },
+      team_config: normalizeTeamConfig(formData.teamConfig)
     };
 
     onConfirm(activationData);
@@ -197,7 +238,7 @@ export default function EnhancedLobbyActivationDialog({
                   <UserPlus className="w-4 h-4" />
                   אופן הצטרפות תלמידים
                 </Label>
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
                   <div
                     className={`p-4 border-2 rounded-lg cursor-pointer transition-all duration-200 ${
                       formData.invitationType === 'manual_selection'
@@ -257,6 +298,21 @@ export default function EnhancedLobbyActivationDialog({
                     </div>
                     <p className="text-xs text-gray-600">תלמידים נכנסים לחדרים לפי סדר הגעה עד שמתמלאים</p>
                   </div>
+
+                  <div
+                    className={`p-4 border-2 rounded-lg cursor-pointer transition-all duration-200 ${
+                      formData.invitationType === AUTO_BALANCE_INVITATION_TYPE
+                        ? 'border-blue-500 bg-blue-50'
+                        : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                    onClick={() => setFormData(prev => ({ ...prev, invitationType: AUTO_BALANCE_INVITATION_TYPE }))}
+                  >
+                    <div className="flex items-center gap-2 mb-2">
+                      <Scale className="w-4 h-4 text-teal-600" />
+                      <span className="font-medium text-sm">חלוקה מאוזנת</span>
+                    </div>
+                    <p className="text-xs text-gray-600">המערכת משבצת תלמידים לחדרים שווים בגודלם ומאזנת מחדש כשתלמידים עוזבים</p>
+                  </div>
                 </div>
               </div>
 
@@ -276,6 +332,7 @@ export default function EnhancedLobbyActivationDialog({
                       <SelectItem value="duration">החל מעכשיו</SelectItem>
                       <SelectItem value="specific_time">תאריך ושעה</SelectItem>
                       <SelectItem value="indefinite">ללא הגבלה</SelectItem>
+                      <SelectItem value="scheduled">תזמון מראש</SelectItem>
                     </SelectContent>
                   </Select>
                 </div>
@@ -340,6 +397,21 @@ export default function EnhancedLobbyActivationDialog({
                 </div>
               </div>
 
+              {/* Scheduled Opening */}
+              {formData.durationType === 'scheduled' && (
+                <div className="bg-blue-50 p-4 rounded-lg border border-blue-200 space-y-3">
+                  <p className="text-blue-800 text-base flex items-center gap-2">
+                    <Calendar className="w-4 h-4" />
+                    הלובי ייפתח לתלמידים בשעת הפתיחה וייסגר אוטומטית בשעת הסגירה
+                  </p>
+                  <LobbyScheduleFields
+                    values={formData.schedule}
+                    onChange={(changes) => setFormData(prev => ({ ...prev, schedule: { ...prev.schedule, ...changes } }))}
+                    error={showScheduleError ? scheduleError : null}
+                  />
+                </div>
+              )}
+
               {/* Indefinite Message */}
               {formData.durationType === 'indefinite' && (
                 <div className="bg-yellow-50 p-4 rounded-lg border border-yellow-200">
@@ -351,6 +423,74 @@ export default function EnhancedLobbyActivationDialog({
 
           <Separator />
 
+          {/* Team Mode */}
+          <div className="space-y-4">
+            <div className="flex items-center gap-3">
+              <Checkbox
+                id="team-mode"
+                checked={formData.teamConfig.enabled}
+                onCheckedChange={(checked) => updateTeamConfig({ enabled: !!checked })}
+              />
+              <Label htmlFor="team-mode" className="text-lg font-semibold flex items-center gap-3 cursor-pointer">
+                <Flag className="w-5 h-5" />
+                משחק בקבוצות
+              </Label>
+            </div>
+            <p className="text-sm text-gray-600">הניקוד של כל תלמיד נצבר לקבוצה שלו, ומסך המורה מציג טבלת קבוצות</p>
+
+            {formData.teamConfig.enabled && (
+              <div className="grid grid-cols-1 md:grid-cols-[200px_1fr] gap-4 bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <div className="space-y-4">
+                  <div>
+                    <Label className="text-sm font-medium text-gray-700 mb-2 block">מספר קבוצות</Label>
+                    <Input
+                      type="number"
+                      min={MIN_TEAMS}
+                      max={MAX_TEAMS}
+                      value={formData.teamConfig.teams.length}
+                      onChange={(e) => updateTeamConfig({ teams: buildTeams(e.target.value, formData.teamConfig.teams) })}
+                      className="h-10 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <Label className="text-sm font-medium text-gray-700 mb-2 block">חלוקה לקבוצות</Label>
+                    <Select
+                      value={formData.teamConfig.assignment}
+                      onValueChange={(value) => updateTeamConfig({ assignment: value })}
+                    >
+                      <SelectTrigger className="h-10 text-sm">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={TEAM_ASSIGNMENT.STUDENT_CHOICE}>התלמידים בוחרים קבוצה</SelectItem>
+                        <SelectItem value={TEAM_ASSIGNMENT.RANDOM}>חלוקה אקראית</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                <div>
+                  <Label className="text-sm font-medium text-gray-700 mb-2 block">שמות הקבוצות</Label>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    {formData.teamConfig.teams.map(team => (
+                      <div key={team.id} className="flex items-center gap-2">
+                        <span className="w-4 h-4 rounded-full shrink-0" style={{ backgroundColor: team.color }} />
+                        <Input
+                          value={team.name}
+                          onChange={(e) => handleTeamNameChange(team.id, e.target.value)}
+                          className="h-10 text-sm"
+                          maxLength={30}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <Separator />
+
           {/* Session Configuration */}
           <div className="space-y-6">
             <Label className="text-lg font-semibold flex items-center gap-3">
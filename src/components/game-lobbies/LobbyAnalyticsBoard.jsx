@@ -0,0 +1,334 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Bar, BarChart, CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  ChartLegend,
+  ChartLegendContent
+} from '@/components/ui/chart';
+import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
+import { AlertTriangle, RefreshCw, PlayCircle, Users, Timer, CheckCircle2 } from 'lucide-react';
+import { useUser } from '@/contexts/UserContext';
+import { apiRequest, Classroom, ClassroomMembership } from '@/services/apiClient';
+import { luderror } from '@/lib/ludlog';
+import { formatResultTime } from '@/utils/lobbyResultsUtils';
+import { ANALYTICS_PERIODS, SCORE_BANDS, buildGameAnalytics } from '@/utils/lobbyAnalyticsUtils';
+
+const ALL_STUDENTS = 'all';
+
+const activityChartConfig = {
+  lobbiesOpened: { label: 'פתיחות לובי', color: 'hsl(var(--chart-1))' },
+  players: { label: 'שחקנים', color: 'hsl(var(--chart-2))' }
+};
+
+const sessionLengthChartConfig = {
+  averageSessionMinutes: { label: 'משך ממוצע (דקות)', color: 'hsl(var(--chart-3))' }
+};
+
+const completionChartConfig = {
+  completionRate: { label: 'אחוז השלמה', color: 'hsl(var(--chart-4))' }
+};
+
+const scoreChartConfig = {
+  low: { label: SCORE_BANDS[0].label, color: '#f87171' },
+  medium: { label: SCORE_BANDS[1].label, color: '#fbbf24' },
+  high: { label: SCORE_BANDS[2].label, color: '#34d399' }
+};
+
+function SummaryCard({ icon: Icon, label, value, className }) {
+  return (
+    <Card className="bg-white border border-gray-200">
+      <CardContent className="p-4 flex items-center gap-3">
+        <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${className}`}>
+          <Icon className="w-5 h-5" />
+        </div>
+        <div>
+          <div className="text-2xl font-bold text-gray-800">{value}</div>
+          <div className="text-sm text-gray-600">{label}</div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function ChartCard({ title, config, children }) {
+  return (
+    <Card className="bg-white border border-gray-200">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base text-gray-800">{title}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={config} className="h-64 w-full aspect-auto" dir="ltr">
+          {children}
+        </ChartContainer>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Lobby Analytics Board
+ * How a game's lobbies are used over time: lobbies opened, unique players,
+ * session length, completion rate and score distribution, for all players or
+ * for the students of one of the teacher's classrooms.
+ */
+export default function LobbyAnalyticsBoard({ gameId }) {
+  const { currentUser } = useUser();
+  const [game, setGame] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [period, setPeriod] = useState(ANALYTICS_PERIODS.week.id);
+
+  const [classrooms, setClassrooms] = useState([]);
+  const [classroomId, setClassroomId] = useState(ALL_STUDENTS);
+  const [studentIds, setStudentIds] = useState(null);
+  const [studentsLoading, setStudentsLoading] = useState(false);
+
+  const loadGame = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiRequest(`/games/${gameId}`);
+      setGame(data);
+      setError(null);
+    } catch (err) {
+      luderror.game('[LobbyAnalyticsBoard] Error loading game lobbies:', err);
+      setError('שגיאה בטעינת נתוני השימוש');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    loadGame();
+  }, [loadGame]);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    Classroom.filter({ teacher_id: currentUser.id })
+      .then(result => setClassrooms(Array.isArray(result) ? result : result?.data || []))
+      .catch(err => luderror.game('[LobbyAnalyticsBoard] Error loading classrooms:', err));
+  }, [currentUser]);
+
+  // Students of the selected classroom
+  useEffect(() => {
+    if (classroomId === ALL_STUDENTS) {
+      setStudentIds(null);
+      return;
+    }
+
+    let cancelled = false;
+    setStudentsLoading(true);
+
+    ClassroomMembership.filter({ classroom_id: classroomId, status: 'active' })
+      .then(result => {
+        if (cancelled) return;
+        const memberships = Array.isArray(result) ? result : result?.data || [];
+        setStudentIds(new Set(memberships.map(membership => String(membership.student_user_id))));
+      })
+      .catch(err => {
+        luderror.game('[LobbyAnalyticsBoard] Error loading classroom students:', err);
+        if (!cancelled) setStudentIds(new Set());
+      })
+      .finally(() => {
+        if (!cancelled) setStudentsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [classroomId]);
+
+  const analytics = useMemo(() => buildGameAnalytics({
+    lobbies: game?.lobbies || [],
+    settings: game?.game_settings || {},
+    period,
+    studentIds
+  }), [game, period, studentIds]);
+
+  const { summary, timeline } = analytics;
+
+  if (loading) {
+    return (
+      <div className="py-16 flex justify-center">
+        <LudoraLoadingSpinner message="טוען נתוני שימוש..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Card className="bg-white border border-red-200">
+        <CardContent className="py-10 text-center">
+          <AlertTriangle className="w-10 h-10 text-red-500 mx-auto mb-3" />
+          <p className="text-red-700 mb-4">{error}</p>
+          <Button variant="outline" onClick={loadGame}>
+            <RefreshCw className="w-4 h-4 mr-2" />
+            נסה שוב
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <Card className="bg-white border border-gray-200">
+        <CardContent className="p-4 flex flex-col sm:flex-row sm:items-end gap-4">
+          <div className="sm:w-56">
+            <Label className="text-sm font-medium text-gray-700 mb-2 block">כיתה</Label>
+            <Select value={classroomId} onValueChange={setClassroomId}>
+              <SelectTrigger className="h-10 text-sm">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_STUDENTS}>כל השחקנים</SelectItem>
+                {classrooms.map(classroom => (
+                  <SelectItem key={classroom.id} value={String(classroom.id)}>
+                    {classroom.name || 'כיתה ללא שם'}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="sm:w-40">
+            <Label className="text-sm font-medium text-gray-700 mb-2 block">חלוקה לפי</Label>
+            <Select value={period} onValueChange={setPeriod}>
+              <SelectTrigger className="h-10 text-sm">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.values(ANALYTICS_PERIODS).map(option => (
+                  <SelectItem key={option.id} value={option.id}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button variant="outline" onClick={loadGame} className="sm:mr-auto">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            רענון
+          </Button>
+        </CardContent>
+        {classroomId !== ALL_STUDENTS && (
+          <p className="px-4 pb-4 text-xs text-gray-500">
+            בסינון לפי כיתה נספרים רק תלמידים רשומים בכיתה. אורחים שהצטרפו ללא חשבון אינם נכללים.
+          </p>
+        )}
+      </Card>
+
+      {studentsLoading ? (
+        <div className="py-10 flex justify-center">
+          <LudoraLoadingSpinner message="טוען את תלמידי הכיתה..." />
+        </div>
+      ) : timeline.length === 0 ? (
+        <Card className="bg-white border border-gray-200">
+          <CardContent className="py-12 text-center text-gray-600">
+            אין עדיין משחקים שהתקיימו{classroomId !== ALL_STUDENTS ? ' עם תלמידי הכיתה' : ''}
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <SummaryCard
+              icon={PlayCircle}
+              label="פתיחות לובי"
+              value={summary.lobbiesOpened}
+              className="bg-blue-100 text-blue-700"
+            />
+            <SummaryCard
+              icon={Users}
+              label="שחקנים שונים"
+              value={summary.uniquePlayers}
+              className="bg-emerald-100 text-emerald-700"
+            />
+            <SummaryCard
+              icon={Timer}
+              label="משך משחק ממוצע"
+              value={formatResultTime(summary.averageSessionMs)}
+              className="bg-orange-100 text-orange-700"
+            />
+            <SummaryCard
+              icon={CheckCircle2}
+              label="משחקים שהושלמו"
+              value={summary.completionRate === null ? '-' : `${summary.completionRate}%`}
+              className="bg-purple-100 text-purple-700"
+            />
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title="פעילות לאורך זמן" config={activityChartConfig}>
+              <BarChart data={timeline}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={30} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                <Bar dataKey="lobbiesOpened" fill="var(--color-lobbiesOpened)" radius={4} />
+                <Bar dataKey="players" fill="var(--color-players)" radius={4} />
+              </BarChart>
+            </ChartCard>
+
+            <ChartCard title="התפלגות ציונים (אחוז תשובות נכונות)" config={scoreChartConfig}>
+              <BarChart data={timeline}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={30} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <ChartLegend content={<ChartLegendContent />} />
+                {SCORE_BANDS.map(band => (
+                  <Bar key={band.id} dataKey={band.id} stackId="scores" fill={`var(--color-${band.id})`} />
+                ))}
+              </BarChart>
+            </ChartCard>
+
+            <ChartCard title="משך משחק ממוצע (דקות)" config={sessionLengthChartConfig}>
+              <LineChart data={timeline}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis tickLine={false} axisLine={false} width={30} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Line
+                  dataKey="averageSessionMinutes"
+                  type="monotone"
+                  stroke="var(--color-averageSessionMinutes)"
+                  strokeWidth={2}
+                  connectNulls
+                />
+              </LineChart>
+            </ChartCard>
+
+            <ChartCard title="אחוז משחקים שהושלמו" config={completionChartConfig}>
+              <LineChart data={timeline}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis domain={[0, 100]} tickLine={false} axisLine={false} width={30} />
+                <ChartTooltip content={<ChartTooltipContent />} />
+                <Line
+                  dataKey="completionRate"
+                  type="monotone"
+                  stroke="var(--color-completionRate)"
+                  strokeWidth={2}
+                  connectNulls
+                />
+              </LineChart>
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
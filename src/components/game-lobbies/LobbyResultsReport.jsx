@@ -0,0 +1,332 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
+import { BarChart3, Download, Printer, RefreshCw, AlertTriangle } from 'lucide-react';
+import { apiRequest, GameContent } from '@/services/apiClient';
+import { QA } from '@/services/entities';
+import { toast } from '@/components/ui/use-toast';
+import { getContentLabel } from '@/utils/gameContentUtils';
+import { getWordText } from '@/utils/scatterGameUtils';
+import { buildLobbyResults, formatResultTime, lobbyResultsToCsv } from '@/utils/lobbyResultsUtils';
+import { openPrintWindow, escapeHtml } from '@/utils/printUtils';
+import { DIFFICULTY_TIER_LABELS, needsDifficultySupport } from '@/utils/adaptiveDifficultyUtils';
+import { luderror } from '@/lib/ludlog';
+
+// Number of most-missed items shown and exported
+const MAX_MISSED_ITEMS = 10;
+
+const PRINT_STYLES = `
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  .meta { color: #6b7280; font-size: 12px; margin-bottom: 16px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #d1d5db; padding: 6px 8px; text-align: right; }
+  th { background: #f3f4f6; }
+  tr { page-break-inside: avoid; }
+`;
+
+// Labels for the question/pair IDs the game states refer to
+const loadItemLabels = async (game) => {
+  const settings = game?.game_settings || {};
+
+  switch (game?.game_type) {
+    case 'quiz_game': {
+      if (!settings.qa_ids?.length) return {};
+      const response = await QA.find({ id: settings.qa_ids });
+      const records = Array.isArray(response) ? response : (response?.data || []);
+      return Object.fromEntries(records.map(record => [
+        String(record.id),
+        record.question_text || record.question || record.text || ''
+      ]));
+    }
+
+    case 'scatter_game':
+      return Object.fromEntries((settings.words || []).map((word, index) => [
+        String(word.id ?? index),
+        getWordText(word)
+      ]));
+
+    default: {
+      const response = await GameContent.getGameContents(game.id, 'pair');
+      return Object.fromEntries((response.data || []).map(pair => [
+        String(pair.id),
+        (pair.contentItems || []).map(getContentLabel).filter(Boolean).join(' – ')
+      ]));
+    }
+  }
+};
+
+/**
+ * Lobby Results Report
+ * Shows each participant's score, accuracy and time in the lobby's sessions,
+ * and the most missed questions/pairs. Exports to CSV and to a printable page
+ * (saved as PDF from the print dialog). Works for closed lobbies too.
+ */
+export default function LobbyResultsReport({
+  isOpen,
+  onClose,
+  gameId,
+  gameTitle = ''
+}) {
+  const [game, setGame] = useState(null);
+  const [labels, setLabels] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await apiRequest(`/games/${gameId}`);
+      setGame(data);
+
+      try {
+        setLabels(await loadItemLabels(data));
+      } catch (err) {
+        // The report still works with IDs in place of labels
+        luderror.game('[LobbyResultsReport] Error loading item labels:', err);
+      }
+    } catch (err) {
+      luderror.game('[LobbyResultsReport] Error loading lobby results:', err);
+      setError('שגיאה בטעינת תוצאות הלובי');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    if (isOpen && gameId) {
+      loadReport();
+    }
+  }, [isOpen, gameId, loadReport]);
+
+  const lobby = game?.lobbies?.[0] || null;
+
+  const results = useMemo(() => {
+    const report = buildLobbyResults({
+      sessions: lobby?.sessions || [],
+      settings: game?.game_settings || {},
+      labels
+    });
+    return { ...report, missedItems: report.missedItems.slice(0, MAX_MISSED_ITEMS) };
+  }, [lobby, game, labels]);
+
+  const reportTitle = `דו״ח תוצאות - ${gameTitle}`;
+  const reportDate = new Date().toLocaleDateString('he-IL');
+  const hasResults = results.players.length > 0;
+
+  // Final tiers are only recorded in adaptive play
+  const hasDifficulty = results.players.some(player => player.difficulty);
+  const startDifficulty = game?.game_settings?.difficulty;
+  const supportCount = results.players.filter(player => needsDifficultySupport(player.difficulty, startDifficulty)).length;
+
+  const exportCsv = () => {
+    const blob = new Blob(['\uFEFF' + lobbyResultsToCsv(results)], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `lobby-results-${lobby?.lobby_code || gameId}-${new Date().toISOString().split('T')[0]}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    toast({
+      title: "קובץ הורד",
+      description: "דו״ח התוצאות הורד בהצלחה",
+      variant: "default"
+    });
+  };
+
+  const printReport = () => {
+    const playerRows = results.players.map(player => `
+      <tr>
+        <td>${player.rank}</td>
+        <td>${escapeHtml(player.name)}</td>
+        <td>${escapeHtml(player.sessionNumber ?? '')}</td>
+        <td>${player.score}</td>
+        <td>${player.accuracy !== null ? `${player.accuracy}%` : '-'}</td>
+        <td>${formatResultTime(player.timeMs)}</td>
+        ${hasDifficulty ? `<td>${escapeHtml(DIFFICULTY_TIER_LABELS[player.difficulty] || '-')}${needsDifficultySupport(player.difficulty, startDifficulty) ? ' (זקוק לתמיכה)' : ''}</td>` : ''}
+      </tr>`).join('');
+
+    const missedRows = results.missedItems.map(item => `
+      <tr>
+        <td>${escapeHtml(item.label)}</td>
+        <td>${item.misses}</td>
+      </tr>`).join('');
+
+    const opened = openPrintWindow({
+      title: reportTitle,
+      styles: PRINT_STYLES,
+      body: `
+        <h1>${escapeHtml(reportTitle)}</h1>
+        <div class="meta">קוד לובי: ${escapeHtml(lobby?.lobby_code || '-')} · ${reportDate}</div>
+        <h2>תוצאות משתתפים</h2>
+        <table>
+          <thead><tr><th>#</th><th>שם</th><th>חדר</th><th>ניקוד</th><th>דיוק</th><th>זמן</th>${hasDifficulty ? '<th>רמת קושי בסיום</th>' : ''}</tr></thead>
+          <tbody>${playerRows}</tbody>
+        </table>
+        ${missedRows ? `
+        <h2>הפריטים שהוחמצו הכי הרבה</h2>
+        <table>
+          <thead><tr><th>פריט</th><th>טעויות</th></tr></thead>
+          <tbody>${missedRows}</tbody>
+        </table>` : ''}
+      `
+    });
+
+    if (!opened) {
+      toast({
+        title: "לא ניתן לפתוח חלון הדפסה",
+        description: "יש לאפשר חלונות קופצים באתר ולנסות שוב",
+        variant: "destructive"
+      });
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto" dir="rtl">
+        <DialogHeader className="text-right">
+          <DialogTitle className="flex items-center gap-3 text-2xl font-bold">
+            <BarChart3 className="w-7 h-7 text-blue-600" />
+            {reportTitle}
+          </DialogTitle>
+          <DialogDescription className="text-right">
+            ניקוד, דיוק וזמן של כל משתתף, והפריטים שהתלמידים טעו בהם הכי הרבה
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading && (
+          <div className="py-12">
+            <LudoraLoadingSpinner message="טוען תוצאות..." />
+          </div>
+        )}
+
+        {!loading && error && (
+          <div className="py-8 text-center">
+            <AlertTriangle className="w-10 h-10 text-red-500 mx-auto mb-3" />
+            <p className="text-red-700 mb-4">{error}</p>
+            <Button variant="outline" onClick={loadReport}>
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+          </div>
+        )}
+
+        {!loading && !error && !hasResults && (
+          <div className="py-12 text-center text-gray-500">
+            עדיין אין תוצאות ללובי זה
+          </div>
+        )}
+
+        {!loading && !error && hasResults && (
+          <div className="space-y-6">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">תוצאות משתתפים</h3>
+              {supportCount > 0 && (
+                <p className="text-sm text-orange-700 mb-2">
+                  {supportCount} משתתפים סיימו ברמת קושי נמוכה וייתכן שזקוקים לתמיכה
+                </p>
+              )}
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-right">#</TableHead>
+                    <TableHead className="text-right">שם</TableHead>
+                    <TableHead className="text-right">חדר</TableHead>
+                    <TableHead className="text-right">ניקוד</TableHead>
+                    <TableHead className="text-right">דיוק</TableHead>
+                    <TableHead className="text-right">זמן</TableHead>
+                    {hasDifficulty && <TableHead className="text-right">רמת קושי בסיום</TableHead>}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {results.players.map(player => (
+                    <TableRow key={`${player.sessionNumber}-${player.id}`}>
+                      <TableCell>{player.rank}</TableCell>
+                      <TableCell className="font-medium">{player.name}</TableCell>
+                      <TableCell>{player.sessionNumber ?? '-'}</TableCell>
+                      <TableCell>{player.score}</TableCell>
+                      <TableCell>
+                        {player.accuracy !== null ? (
+                          <span className="text-gray-700">
+                            {player.accuracy}%
+                            <span className="text-xs text-gray-400 mr-1">({player.correct}/{player.attempts})</span>
+                          </span>
+                        ) : '-'}
+                      </TableCell>
+                      <TableCell>{formatResultTime(player.timeMs)}</TableCell>
+                      {hasDifficulty && (
+                        <TableCell>
+                          {player.difficulty ? (
+                            <span className="flex items-center gap-1">
+                              {DIFFICULTY_TIER_LABELS[player.difficulty]}
+                              {needsDifficultySupport(player.difficulty, startDifficulty) && (
+                                <Badge variant="outline" className="border-orange-200 text-orange-700">זקוק לתמיכה</Badge>
+                              )}
+                            </span>
+                          ) : '-'}
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">הפריטים שהוחמצו הכי הרבה</h3>
+              {results.missedItems.length === 0 ? (
+                <p className="text-sm text-gray-500">אין פריטים שהוחמצו</p>
+              ) : (
+                <ul className="space-y-2">
+                  {results.missedItems.map(item => (
+                    <li key={item.id} className="flex items-center justify-between bg-red-50 border border-red-100 rounded-lg px-3 py-2">
+                      <span className="text-gray-800">{item.label}</span>
+                      <Badge variant="outline" className="border-red-200 text-red-700">
+                        {item.misses} טעויות
+                      </Badge>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2 sm:justify-start">
+          <Button onClick={exportCsv} disabled={loading || !hasResults} variant="outline">
+            <Download className="w-4 h-4 ml-2" />
+            ייצוא CSV
+          </Button>
+          <Button
+            onClick={printReport}
+            disabled={loading || !hasResults}
+            className="bg-gradient-to-r from-blue-600 to-emerald-600 hover:from-blue-700 hover:to-emerald-700"
+          >
+            <Printer className="w-4 h-4 ml-2" />
+            הדפסה / PDF
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { CalendarClock } from 'lucide-react';
+import { getLobbySchedule, getLobbyScheduleFormValues, getLobbyScheduleError, buildLobbySchedule } from '@/utils/lobbyUtils';
+
+/**
+ * Date, start time and end time fields of a lobby schedule
+ * @param {Object} values - { date, startTime, endTime }
+ * @param {Function} onChange - Called with the changed fields
+ * @param {string|null} error - Validation error to show under the fields
+ */
+export function LobbyScheduleFields({ values, onChange, error = null }) {
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <Label className="text-sm font-medium text-gray-700 mb-2 block">תאריך</Label>
+          <Input
+            type="date"
+            value={values.date}
+            onChange={(e) => onChange({ date: e.target.value })}
+            className="h-10 text-sm"
+          />
+        </div>
+        <div>
+          <Label className="text-sm font-medium text-gray-700 mb-2 block">שעת פתיחה</Label>
+          <Input
+            type="time"
+            value={values.startTime}
+            onChange={(e) => onChange({ startTime: e.target.value })}
+            className="h-10 text-sm"
+          />
+        </div>
+        <div>
+          <Label className="text-sm font-medium text-gray-700 mb-2 block">שעת סגירה</Label>
+          <Input
+            type="time"
+            value={values.endTime}
+            onChange={(e) => onChange({ endTime: e.target.value })}
+            className="h-10 text-sm"
+          />
+        </div>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Lobby Schedule Dialog
+ * Changes when a scheduled lobby opens and closes
+ */
+export default function LobbyScheduleDialog({
+  isOpen,
+  onClose,
+  onConfirm,
+  lobby = null,
+  gameName = '',
+  isLoading = false
+}) {
+  const [values, setValues] = useState(() => getLobbyScheduleFormValues());
+  const [showError, setShowError] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setValues(getLobbyScheduleFormValues(getLobbySchedule(lobby)));
+      setShowError(false);
+    }
+  }, [isOpen, lobby]);
+
+  const error = getLobbyScheduleError(values);
+
+  const handleSubmit = () => {
+    if (error) {
+      setShowError(true);
+      return;
+    }
+    onConfirm(buildLobbySchedule(values));
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader className="text-right">
+          <DialogTitle className="flex items-center gap-3 text-xl font-bold">
+            <CalendarClock className="w-6 h-6 text-blue-600" />
+            עריכת תזמון - {gameName}
+          </DialogTitle>
+          <DialogDescription className="text-right">
+            הלובי ייפתח לתלמידים בשעת הפתיחה וייסגר אוטומטית בשעת הסגירה
+          </DialogDescription>
+        </DialogHeader>
+
+        <LobbyScheduleFields
+          values={values}
+          onChange={(changes) => setValues(prev => ({ ...prev, ...changes }))}
+          error={showError ? error : null}
+        />
+
+        <DialogFooter className="flex gap-4 pt-4">
+          <Button variant="outline" onClick={onClose} disabled={isLoading}>
+            ביטול
+          </Button>
+          <Button onClick={handleSubmit} disabled={isLoading}>
+            {isLoading ? 'שומר...' : 'שמור תזמון'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
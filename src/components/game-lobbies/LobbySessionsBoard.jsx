@@ -0,0 +1,320 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
+import { Users, Scale, RefreshCw, AlertTriangle, GripVertical, Lock } from 'lucide-react';
+import { apiRequest } from '@/services/apiClient';
+import socketClient from '@/services/socketClient';
+import { toast } from '@/components/ui/use-toast';
+import { ludlog, luderror } from '@/lib/ludlog';
+import {
+  AUTO_BALANCE_INVITATION_TYPE,
+  getSessionCapacity,
+  isSessionAssignable
+} from '@/utils/sessionAssignmentUtils';
+
+/**
+ * Lobby Sessions Board
+ * Teacher view of the players in each session of a game's lobby. Players in
+ * sessions that did not start yet can be dragged to another session, or
+ * selected and then moved by clicking the target session (touch/keyboard).
+ * In the auto-balance mode the server evens the sessions out again when
+ * players leave; the teacher can also ask it to rebalance right away.
+ */
+export default function LobbySessionsBoard({ gameId }) {
+  const [game, setGame] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [moving, setMoving] = useState(false);
+  const [selectedPlayer, setSelectedPlayer] = useState(null);
+  const [dragOverSessionId, setDragOverSessionId] = useState(null);
+
+  const lobby = game?.lobbies?.[0] || null;
+  const isAutoBalance = lobby?.settings?.invitation_type === AUTO_BALANCE_INVITATION_TYPE;
+  const { target, max } = getSessionCapacity(lobby?.settings);
+
+  const sessions = useMemo(
+    () => [...(lobby?.sessions || [])].sort((a, b) => (a.session_number || 0) - (b.session_number || 0)),
+    [lobby]
+  );
+
+  const loadGame = useCallback(async () => {
+    try {
+      const data = await apiRequest(`/games/${gameId}`);
+      setGame(data);
+      setError(null);
+      return data;
+    } catch (err) {
+      luderror.game('[LobbySessionsBoard] Error loading lobby sessions:', err);
+      setError('שגיאה בטעינת חדרי הלובי');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  const moveParticipant = async (lobbyId, { participantId, fromSessionId, toSessionId }) => {
+    await apiRequest(`/game-lobbies/${lobbyId}/participants/${participantId}/move`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        from_session_id: fromSessionId,
+        to_session_id: toSessionId
+      })
+    });
+  };
+
+  // Even out the waiting sessions - the server plans and makes the moves
+  const rebalance = async () => {
+    if (!lobby) return;
+
+    setMoving(true);
+    try {
+      const result = await apiRequest(`/game-lobbies/${lobby.id}/rebalance`, { method: 'POST' });
+      const movedCount = result?.moves?.length || 0;
+      ludlog.game(`[LobbySessionsBoard] Rebalanced ${movedCount} players`);
+
+      toast(movedCount > 0 ? {
+        title: "החדרים אוזנו",
+        description: `${movedCount} תלמידים הועברו לחדר אחר`,
+        variant: "default"
+      } : {
+        title: "החדרים מאוזנים",
+        description: "אין צורך להעביר תלמידים",
+        variant: "default"
+      });
+    } catch (err) {
+      luderror.api('[LobbySessionsBoard] Error rebalancing sessions:', err);
+      toast({
+        title: "שגיאה באיזון החדרים",
+        description: "לא ניתן היה להעביר את כל התלמידים",
+        variant: "destructive"
+      });
+    } finally {
+      setMoving(false);
+      loadGame();
+    }
+  };
+
+  useEffect(() => {
+    loadGame();
+  }, [loadGame]);
+
+  useEffect(() => {
+    socketClient.connect().catch(() => {
+      // Socket.IO connection failed - will retry automatically
+    });
+
+    const unsubscribe = socketClient.onLobbyUpdate('lobby:update', (eventData) => {
+      const eventGameId = eventData.data?.game_id || eventData.data?.gameId || eventData.data?.lobby?.game_id;
+      if (eventGameId === gameId) {
+        loadGame();
+      }
+    });
+
+    return unsubscribe;
+  }, [gameId, loadGame]);
+
+  const handleMove = async (player, toSessionId) => {
+    setSelectedPlayer(null);
+    if (!lobby || !player || player.fromSessionId === toSessionId) return;
+
+    setMoving(true);
+    try {
+      await moveParticipant(lobby.id, { ...player, toSessionId });
+      toast({
+        title: "התלמיד הועבר",
+        description: `${player.displayName} הועבר לחדר אחר`,
+        variant: "default"
+      });
+    } catch (err) {
+      luderror.api('[LobbySessionsBoard] Error moving participant:', err);
+      toast({
+        title: "שגיאה בהעברת התלמיד",
+        description: "אנא נסה שוב",
+        variant: "destructive"
+      });
+    } finally {
+      setMoving(false);
+      loadGame();
+    }
+  };
+
+  const handleDragStart = (e, player) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', player.participantId);
+    setSelectedPlayer(player);
+  };
+
+  const handleDragOver = (e, session) => {
+    if (!selectedPlayer || !isSessionAssignable(session)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverSessionId(session.id);
+  };
+
+  const handleDrop = (e, session) => {
+    e.preventDefault();
+    setDragOverSessionId(null);
+    if (isSessionAssignable(session)) {
+      handleMove(selectedPlayer, session.id);
+    }
+  };
+
+  const handleSessionKeyDown = (e, session) => {
+    if ((e.key === 'Enter' || e.key === ' ') && selectedPlayer) {
+      e.preventDefault();
+      handleMove(selectedPlayer, session.id);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-12">
+        <LudoraLoadingSpinner message="טוען חדרים..." />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Card className="bg-white border border-gray-200 shadow-lg text-center py-12">
+        <CardContent>
+          <AlertTriangle className="w-10 h-10 text-red-500 mx-auto mb-3" />
+          <p className="text-red-700 mb-4">{error}</p>
+          <Button variant="outline" onClick={loadGame}>
+            <RefreshCw className="w-4 h-4 ml-2" />
+            נסה שוב
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!lobby || sessions.length === 0) {
+    return (
+      <Card className="bg-white border border-gray-200 shadow-lg text-center py-12">
+        <CardContent>
+          <Users className="w-16 h-16 text-blue-500 mx-auto mb-4" />
+          <p className="text-gray-600">אין עדיין חדרים פעילים בלובי</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-4" dir="rtl">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">{game?.product?.title || game?.title}</h2>
+          <p className="text-sm text-gray-600">
+            קוד לובי: <span className="font-mono font-semibold">{lobby.lobby_code}</span>
+            {' · '}
+            {target} תלמידים בכל חדר (עד {max})
+            {isAutoBalance && <Badge className="mr-2 bg-blue-100 text-blue-800">חלוקה מאוזנת</Badge>}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={loadGame} disabled={moving}>
+            <RefreshCw className={`w-4 h-4 ${moving ? 'animate-spin' : ''}`} />
+          </Button>
+          <Button
+            size="sm"
+            onClick={rebalance}
+            disabled={moving}
+            className="bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            <Scale className="w-4 h-4 ml-2" />
+            איזון חדרים עכשיו
+          </Button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        {selectedPlayer
+          ? `נבחר: ${selectedPlayer.displayName} - לחצו על החדר שאליו להעביר`
+          : 'גררו תלמיד לחדר אחר, או לחצו על תלמיד ואז על החדר שאליו להעביר'}
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {sessions.map(session => {
+          const assignable = isSessionAssignable(session);
+          const participants = session.participants || [];
+          const isDropTarget = !!selectedPlayer && assignable && selectedPlayer.fromSessionId !== session.id;
+
+          return (
+            <Card
+              key={session.id}
+              role={isDropTarget ? 'button' : undefined}
+              tabIndex={isDropTarget ? 0 : undefined}
+              aria-label={isDropTarget ? `העבר לחדר ${session.session_number}` : undefined}
+              onClick={isDropTarget ? () => handleMove(selectedPlayer, session.id) : undefined}
+              onKeyDown={(e) => handleSessionKeyDown(e, session)}
+              onDragOver={(e) => handleDragOver(e, session)}
+              onDragLeave={() => setDragOverSessionId(null)}
+              onDrop={(e) => handleDrop(e, session)}
+              className={`
+                transition-all duration-200
+                ${dragOverSessionId === session.id ? 'ring-2 ring-blue-500 bg-blue-50' : 'bg-white'}
+                ${isDropTarget ? 'cursor-pointer border-blue-300 border-dashed' : ''}
+                ${!assignable ? 'opacity-75' : ''}
+              `}
+            >
+              <CardHeader className="pb-2">
+                <CardTitle className="flex items-center justify-between text-base">
+                  <span>חדר {session.session_number}</span>
+                  <span className="flex items-center gap-2">
+                    {!assignable && <Lock className="w-4 h-4 text-gray-400" aria-label="המשחק בחדר כבר התחיל" />}
+                    <Badge variant="outline" className={participants.length > max ? 'border-red-300 text-red-700' : ''}>
+                      {participants.length}/{max}
+                    </Badge>
+                  </span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="min-h-[80px]">
+                {participants.length === 0 ? (
+                  <p className="text-sm text-gray-400 text-center py-4">חדר ריק</p>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    {participants.map(participant => {
+                      const player = {
+                        participantId: participant.id,
+                        displayName: participant.display_name,
+                        fromSessionId: session.id
+                      };
+                      const isSelected = selectedPlayer?.participantId === participant.id;
+
+                      return (
+                        <button
+                          key={participant.id}
+                          type="button"
+                          draggable={assignable && !moving}
+                          disabled={!assignable || moving}
+                          onDragStart={(e) => handleDragStart(e, player)}
+                          onDragEnd={() => setDragOverSessionId(null)}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setSelectedPlayer(isSelected ? null : player);
+                          }}
+                          aria-pressed={isSelected}
+                          className={`
+                            flex items-center gap-1 rounded-full px-3 py-1 text-sm border transition-colors
+                            ${isSelected ? 'bg-blue-600 text-white border-blue-600' : 'bg-gray-50 text-gray-800 border-gray-200 hover:bg-blue-50'}
+                            ${assignable ? 'cursor-grab' : 'cursor-default'}
+                          `}
+                        >
+                          {assignable && <GripVertical className="w-3 h-3 opacity-50" />}
+                          {participant.display_name}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
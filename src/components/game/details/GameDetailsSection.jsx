@@ -1,5 +1,6 @@
 import React from 'react';
 import MemoryGameDetails from './MemoryGameDetails';
+import SharpAndSmoothDetails from './SharpAndSmoothDetails';
 
 /**
  * GameDetailsSection - Router component for different game type details
@@ -15,6 +16,9 @@ const GameDetailsSection = ({ gameDetails }) => {
     case 'memory_game':
       return <MemoryGameDetails gameDetails={gameDetails} />;
 
+    case 'sharp_and_smooth':
+      return <SharpAndSmoothDetails gameDetails={gameDetails} />;
+
     case 'quiz_game':
       // TODO: Implement QuizGameDetails component
       return (
@@ -0,0 +1,56 @@
+import { normalizeSharpAndSmoothSettings, resolveSharpAndSmoothRules } from '@/utils/sharpAndSmoothUtils';
+
+/**
+ * SharpAndSmoothDetails - Display component for sharp-and-smooth (חד וחלק) games
+ * Shows how many pairs the game has and how its rounds are played
+ */
+const SharpAndSmoothDetails = ({ gameDetails }) => {
+  if (!gameDetails || !gameDetails.details) {
+    return null;
+  }
+
+  const { details } = gameDetails;
+  const gameSettings = details.game_settings || gameDetails.game_settings;
+  const settings = normalizeSharpAndSmoothSettings(gameSettings);
+  const rules = resolveSharpAndSmoothRules(gameSettings);
+  const pairCount = details.pair_count || 0;
+
+  const stats = [
+    { label: 'זוגות תוכן', value: pairCount },
+    { label: 'סבבים במשחק', value: Math.min(settings.rounds_count, pairCount) },
+    { label: 'שניות לסבב', value: rules.timeLimit },
+    { label: 'אפשרויות בכל סבב', value: Math.min(rules.optionsCount, pairCount) }
+  ];
+
+  return (
+    <div className="game-details-section bg-gray-50 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">פרטי המשחק</h3>
+
+      <p className="text-sm text-gray-600 mb-4">
+        משחק מהירות קבוצתי: בכל סבב מוצג פריט, והשחקנים מתחרים מי יבחר ראשון את הפריט המתאים לו.
+        תשובות נכונות ומהירות מקבלות יותר נקודות.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {stats.map(stat => (
+          <div key={stat.label} className="bg-white rounded-lg p-4 border border-gray-200 text-center">
+            <div className="text-3xl font-bold text-blue-600">{stat.value}</div>
+            <div className="text-gray-600 font-medium text-sm">{stat.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {pairCount < 2 && (
+        <div className="text-center py-8 text-gray-500">
+          <div className="text-lg mb-2">😔</div>
+          <div className="text-sm">עדיין לא הוגדרו מספיק זוגות למשחק זה</div>
+          <div className="text-xs text-gray-400 mt-1">
+            ניתן להוסיף זוגות בעמוד הגדרות המשחק
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharpAndSmoothDetails;
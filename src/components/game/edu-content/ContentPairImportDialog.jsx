@@ -0,0 +1,441 @@
+/**
+ * ContentPairImportDialog - Bulk import of content pairs from a CSV/XLSX file
+ *
+ * The sheet has a side A and a side B column. A cell is text, or the file
+ * name of an image selected along with the sheet. Rows are validated and
+ * previewed first; importing then creates the EduContent items and the
+ * game's pair uses row by row, and reports what failed in each row.
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Progress } from '@/components/ui/progress';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Upload, FileSpreadsheet, Image as ImageIcon, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { EduContent, GameContent } from '@/services/apiClient';
+import { ExtractDataFromUploadedFile } from '@/services/integrations';
+import { showSuccess, showError } from '@/utils/messaging';
+import { fixHebrewFilename, getFilenameWithoutExtension } from '@/utils/fileEncodingUtils';
+import { luderror } from '@/lib/ludlog';
+import {
+  PAIR_IMPORT_SIDE_TYPES,
+  parseCsv,
+  tableToImportRows,
+  recordsToImportRows,
+  validateImportRows,
+  getImportSideKey
+} from '@/utils/contentPairImportUtils';
+
+const STEPS = {
+  SELECT: 'select',
+  PREVIEW: 'preview',
+  IMPORTING: 'importing',
+  REPORT: 'report'
+};
+
+// Schema for reading spreadsheets through the file extraction integration
+const SHEET_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      'צד א': { type: 'string', fieldName: 'side_a' },
+      'צד ב': { type: 'string', fieldName: 'side_b' }
+    }
+  }
+};
+
+const getDisplayName = (file) => fixHebrewFilename(file.name);
+
+const readSheetRows = async (file) => {
+  if (file.name.toLowerCase().endsWith('.csv')) {
+    return tableToImportRows(parseCsv(await file.text()));
+  }
+
+  const result = await ExtractDataFromUploadedFile({
+    file,
+    json_schema: JSON.stringify(SHEET_SCHEMA)
+  });
+
+  if (result?.status !== 'success' || !Array.isArray(result.output)) {
+    throw new Error(result?.details || 'פורמט הקובץ אינו תקין');
+  }
+
+  return recordsToImportRows(result.output);
+};
+
+const createSideContent = async (side) => {
+  if (side.type === PAIR_IMPORT_SIDE_TYPES.IMAGE) {
+    const formData = new FormData();
+    formData.append('file', side.file);
+    formData.append('element_type', 'playing_card_complete');
+    formData.append('content', getFilenameWithoutExtension(getDisplayName(side.file)));
+    formData.append('content_metadata', JSON.stringify({}));
+    return EduContent.upload(formData);
+  }
+
+  return EduContent.create({
+    element_type: 'data',
+    content: side.value,
+    content_metadata: {}
+  });
+};
+
+const SideCell = ({ side }) => {
+  if (!side) return <span className="text-gray-400">-</span>;
+
+  if (side.type === PAIR_IMPORT_SIDE_TYPES.IMAGE) {
+    return (
+      <span className="flex items-center gap-1">
+        <ImageIcon className={`w-4 h-4 ${side.file ? 'text-blue-500' : 'text-red-500'}`} />
+        <span dir="ltr">{side.value}</span>
+      </span>
+    );
+  }
+
+  return <span>{side.value}</span>;
+};
+
+const ContentPairImportDialog = ({
+  isOpen,
+  onClose,
+  gameId,
+  onImported
+}) => {
+  const [step, setStep] = useState(STEPS.SELECT);
+  const [sheetFile, setSheetFile] = useState(null);
+  const [imageFiles, setImageFiles] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState('');
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState([]);
+
+  const validatedRows = useMemo(
+    () => validateImportRows(rows, imageFiles, getDisplayName),
+    [rows, imageFiles]
+  );
+  const validRows = validatedRows.filter(row => row.errors.length === 0);
+  const invalidCount = validatedRows.length - validRows.length;
+
+  const resetState = () => {
+    setStep(STEPS.SELECT);
+    setSheetFile(null);
+    setImageFiles([]);
+    setRows([]);
+    setError('');
+    setProgress(0);
+    setResults([]);
+  };
+
+  const handleClose = () => {
+    if (step === STEPS.IMPORTING) return;
+    resetState();
+    onClose();
+  };
+
+  const handleSheetSelect = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!file.name.toLowerCase().match(/\.(csv|xlsx|xls)$/)) {
+      setError('יש לבחור קובץ CSV או Excel בלבד');
+      return;
+    }
+
+    setSheetFile(file);
+    setError('');
+  };
+
+  const handleImagesSelect = (event) => {
+    const files = Array.from(event.target.files || []).filter(file => file.type.startsWith('image/'));
+    event.target.value = '';
+    setImageFiles(prev => [
+      ...prev.filter(existing => !files.some(file => file.name === existing.name)),
+      ...files
+    ]);
+  };
+
+  const handleReadSheet = async () => {
+    if (!sheetFile) return;
+
+    setIsReading(true);
+    setError('');
+
+    try {
+      const sheetRows = await readSheetRows(sheetFile);
+      if (sheetRows.length === 0) {
+        setError('הקובץ ריק או לא מכיל זוגות');
+        return;
+      }
+
+      setRows(sheetRows);
+      setStep(STEPS.PREVIEW);
+    } catch (err) {
+      luderror.api('Error reading content pairs file:', err);
+      setError(err.message || 'שגיאה בקריאת הקובץ');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setStep(STEPS.IMPORTING);
+    setProgress(0);
+
+    // Values repeated across rows (e.g. the same image) are created once
+    const createdContent = new Map();
+    const getContentId = async (side) => {
+      const key = getImportSideKey(side);
+      if (!createdContent.has(key)) {
+        const content = await createSideContent(side);
+        createdContent.set(key, content.id);
+      }
+      return createdContent.get(key);
+    };
+
+    const rowResults = validatedRows
+      .filter(row => row.errors.length > 0)
+      .map(row => ({ rowNumber: row.rowNumber, success: false, message: `דולגה: ${row.errors.join(', ')}` }));
+
+    for (let i = 0; i < validRows.length; i++) {
+      const row = validRows[i];
+
+      try {
+        const contentAId = await getContentId(row.sideA);
+        const contentBId = await getContentId(row.sideB);
+
+        await GameContent.createContentUse(gameId, {
+          use_type: 'pair',
+          contents: [
+            { id: contentAId, source: 'eduContent' },
+            { id: contentBId, source: 'eduContent' }
+          ]
+        });
+
+        rowResults.push({ rowNumber: row.rowNumber, success: true });
+      } catch (err) {
+        luderror.api(`Error importing content pair row ${row.rowNumber}:`, err);
+        rowResults.push({ rowNumber: row.rowNumber, success: false, message: err.message || 'שגיאה ביצירת הזוג' });
+      }
+
+      setProgress(Math.round(((i + 1) / validRows.length) * 100));
+    }
+
+    const createdCount = rowResults.filter(result => result.success).length;
+    setResults(rowResults.sort((a, b) => a.rowNumber - b.rowNumber));
+    setStep(STEPS.REPORT);
+
+    if (createdCount > 0) {
+      showSuccess('הייבוא הושלם', `${createdCount} זוגות נוספו למשחק`);
+      onImported?.(createdCount);
+    } else {
+      showError('הייבוא נכשל', 'לא נוספו זוגות למשחק');
+    }
+  };
+
+  const failedResults = results.filter(result => !result.success);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleClose}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto" dir="rtl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="w-5 h-5" />
+            ייבוא זוגות תוכן מקובץ
+          </DialogTitle>
+          <DialogDescription>
+            קובץ CSV או Excel עם עמודות &quot;צד א&quot; ו&quot;צד ב&quot;. בכל תא טקסט, או שם של קובץ תמונה שנבחר למטה.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {(step === STEPS.SELECT || step === STEPS.PREVIEW) && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="pairs-sheet">קובץ הזוגות</Label>
+              <label
+                htmlFor="pairs-sheet"
+                className="flex items-center gap-2 p-3 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-400"
+              >
+                <Upload className="w-4 h-4 text-gray-500" />
+                <span className="text-sm text-gray-700 truncate">
+                  {sheetFile ? getDisplayName(sheetFile) : 'בחירת קובץ CSV / XLSX'}
+                </span>
+              </label>
+              <input
+                id="pairs-sheet"
+                type="file"
+                accept=".csv,.xlsx,.xls"
+                onChange={handleSheetSelect}
+                className="hidden"
+                disabled={step !== STEPS.SELECT}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="pairs-images">תמונות (לא חובה)</Label>
+              <label
+                htmlFor="pairs-images"
+                className="flex items-center gap-2 p-3 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-400"
+              >
+                <ImageIcon className="w-4 h-4 text-gray-500" />
+                <span className="text-sm text-gray-700">
+                  {imageFiles.length > 0 ? `${imageFiles.length} תמונות נבחרו` : 'בחירת קובצי התמונות שבקובץ'}
+                </span>
+              </label>
+              <input
+                id="pairs-images"
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={handleImagesSelect}
+                className="hidden"
+              />
+            </div>
+          </div>
+        )}
+
+        {step === STEPS.PREVIEW && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-4 text-sm">
+              <span className="flex items-center gap-1 text-green-700">
+                <CheckCircle className="w-4 h-4" />
+                {validRows.length} זוגות תקינים
+              </span>
+              {invalidCount > 0 && (
+                <span className="flex items-center gap-1 text-red-700">
+                  <XCircle className="w-4 h-4" />
+                  {invalidCount} שורות עם שגיאות (לא ייובאו)
+                </span>
+              )}
+            </div>
+
+            <div className="max-h-80 overflow-y-auto border rounded-lg">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-right w-16">שורה</TableHead>
+                    <TableHead className="text-right">צד א</TableHead>
+                    <TableHead className="text-right">צד ב</TableHead>
+                    <TableHead className="text-right">בדיקה</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {validatedRows.map(row => (
+                    <TableRow key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                      <TableCell>{row.rowNumber}</TableCell>
+                      <TableCell><SideCell side={row.sideA} /></TableCell>
+                      <TableCell><SideCell side={row.sideB} /></TableCell>
+                      <TableCell>
+                        {row.errors.length === 0 ? (
+                          <CheckCircle className="w-4 h-4 text-green-600" />
+                        ) : (
+                          <span className="text-xs text-red-700">{row.errors.join(' · ')}</span>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        )}
+
+        {step === STEPS.IMPORTING && (
+          <div className="space-y-2 py-6">
+            <p className="text-sm text-gray-700">מייבא זוגות תוכן...</p>
+            <Progress value={progress} className="w-full" />
+            <p className="text-xs text-gray-500 text-center">{progress}%</p>
+          </div>
+        )}
+
+        {step === STEPS.REPORT && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-4 text-sm">
+              <span className="flex items-center gap-1 text-green-700">
+                <CheckCircle className="w-4 h-4" />
+                {results.length - failedResults.length} זוגות נוצרו
+              </span>
+              {failedResults.length > 0 && (
+                <span className="flex items-center gap-1 text-red-700">
+                  <XCircle className="w-4 h-4" />
+                  {failedResults.length} שורות לא יובאו
+                </span>
+              )}
+            </div>
+
+            {failedResults.length > 0 && (
+              <div className="max-h-80 overflow-y-auto border rounded-lg">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="text-right w-16">שורה</TableHead>
+                      <TableHead className="text-right">סיבה</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {failedResults.map(result => (
+                      <TableRow key={result.rowNumber}>
+                        <TableCell>{result.rowNumber}</TableCell>
+                        <TableCell className="text-red-700 text-sm">{result.message}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {step === STEPS.SELECT && (
+            <Button onClick={handleReadSheet} disabled={!sheetFile || isReading}>
+              {isReading ? 'קורא את הקובץ...' : 'תצוגה מקדימה'}
+            </Button>
+          )}
+          {step === STEPS.PREVIEW && (
+            <>
+              <Button variant="outline" onClick={resetState}>
+                קובץ אחר
+              </Button>
+              <Button onClick={handleImport} disabled={validRows.length === 0}>
+                <Upload className="w-4 h-4 ml-2" />
+                ייבוא {validRows.length} זוגות
+              </Button>
+            </>
+          )}
+          {step === STEPS.REPORT && (
+            <Button onClick={handleClose}>סגור</Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ContentPairImportDialog;
@@ -0,0 +1,371 @@
+/**
+ * RelationshipPairGeneratorDialog - Content pairs proposed from word relationships
+ *
+ * The teacher picks a relationship kind (opposites, translations, synonyms)
+ * and an optional search text. Pairs are proposed from the existing
+ * ContentRelationship records between dictionary words; the teacher accepts
+ * or rejects them in bulk, and the accepted ones are added to the game as
+ * text pairs.
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Link2, Search, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { EduContent, GameContent, ContentRelationship, Word, WordEN } from '@/services/apiClient';
+import { showSuccess, showError } from '@/utils/messaging';
+import { luderror } from '@/lib/ludlog';
+import {
+  RELATIONSHIP_PAIR_KINDS,
+  WORD_ENTITY_TYPES,
+  getKindRelationshipTypes,
+  getRelationshipWordIds,
+  getExistingPairKeys,
+  buildRelationshipPairProposals
+} from '@/utils/relationshipPairUtils';
+
+const STEPS = {
+  SEARCH: 'search',
+  CREATING: 'creating',
+  REPORT: 'report'
+};
+
+// Most relationships one search shows; a narrower filter finds the rest
+const RELATIONSHIP_SEARCH_LIMIT = 300;
+
+const toRecords = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const loadWordsById = async (entity, ids) => {
+  if (ids.length === 0) return new Map();
+  const records = toRecords(await entity.find({ id: ids }));
+  return new Map(records.map(record => [record.id, record]));
+};
+
+// The server filters the relationships by type and by the text of their words,
+// then only the words those relationships point at are loaded
+const searchRelationshipData = async (kindId, filter) => {
+  const query = { relationship_type: getKindRelationshipTypes(kindId) };
+  if (filter.trim()) query.search = filter.trim();
+
+  const relationships = toRecords(await ContentRelationship.filter(query, { limit: RELATIONSHIP_SEARCH_LIMIT }));
+  const wordIds = getRelationshipWordIds(relationships);
+  const [words, wordsEN] = await Promise.all([
+    loadWordsById(Word, wordIds[WORD_ENTITY_TYPES.WORD]),
+    loadWordsById(WordEN, wordIds[WORD_ENTITY_TYPES.WORD_EN])
+  ]);
+
+  return {
+    relationships,
+    wordsByType: {
+      [WORD_ENTITY_TYPES.WORD]: words,
+      [WORD_ENTITY_TYPES.WORD_EN]: wordsEN
+    },
+    truncated: relationships.length >= RELATIONSHIP_SEARCH_LIMIT
+  };
+};
+
+const RelationshipPairGeneratorDialog = ({
+  isOpen,
+  onClose,
+  gameId,
+  contentPairs = [],
+  onGenerated
+}) => {
+  const [step, setStep] = useState(STEPS.SEARCH);
+  const [kindId, setKindId] = useState(RELATIONSHIP_PAIR_KINDS.opposites.id);
+  const [filter, setFilter] = useState('');
+  const [proposals, setProposals] = useState(null);
+  const [selectedKeys, setSelectedKeys] = useState(new Set());
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+
+  const existingKeys = useMemo(() => getExistingPairKeys(contentPairs), [contentPairs]);
+  const newProposals = (proposals || []).filter(proposal => !proposal.exists);
+  const selectedProposals = newProposals.filter(proposal => selectedKeys.has(proposal.key));
+
+  const resetState = () => {
+    setStep(STEPS.SEARCH);
+    setFilter('');
+    setProposals(null);
+    setSelectedKeys(new Set());
+    setError('');
+    setProgress(0);
+    setResults([]);
+    setTruncated(false);
+  };
+
+  const handleClose = () => {
+    if (step === STEPS.CREATING) return;
+    resetState();
+    onClose();
+  };
+
+  const handleSearch = async () => {
+    setIsSearching(true);
+    setError('');
+
+    try {
+      const { relationships, wordsByType, truncated: hasMore } = await searchRelationshipData(kindId, filter);
+
+      const found = buildRelationshipPairProposals({
+        relationships,
+        wordsByType,
+        kindId,
+        filter,
+        existingKeys
+      });
+
+      setTruncated(hasMore);
+
+      setProposals(found);
+      // Every new proposal starts accepted; the teacher rejects what doesn't fit
+      setSelectedKeys(new Set(found.filter(proposal => !proposal.exists).map(proposal => proposal.key)));
+    } catch (err) {
+      luderror.api('Error loading word relationships:', err);
+      setError('שגיאה בטעינת קשרי המילים');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const toggleProposal = (key, checked) => {
+    setSelectedKeys(prev => {
+      const next = new Set(prev);
+      if (checked) {
+        next.add(key);
+      } else {
+        next.delete(key);
+      }
+      return next;
+    });
+  };
+
+  const selectAll = () => setSelectedKeys(new Set(newProposals.map(proposal => proposal.key)));
+  const selectNone = () => setSelectedKeys(new Set());
+
+  const handleCreate = async () => {
+    setStep(STEPS.CREATING);
+    setProgress(0);
+
+    // A word used by several pairs gets one EduContent item
+    const createdContent = new Map();
+    const getContentId = async (side) => {
+      const key = `${side.type}:${side.id}`;
+      if (!createdContent.has(key)) {
+        const content = await EduContent.create({
+          element_type: 'data',
+          content: side.text,
+          content_metadata: { source_entity: side.type, source_id: side.id }
+        });
+        createdContent.set(key, content.id);
+      }
+      return createdContent.get(key);
+    };
+
+    const pairResults = [];
+
+    for (let i = 0; i < selectedProposals.length; i++) {
+      const proposal = selectedProposals[i];
+
+      try {
+        const contentAId = await getContentId(proposal.sideA);
+        const contentBId = await getContentId(proposal.sideB);
+
+        await GameContent.createContentUse(gameId, {
+          use_type: 'pair',
+          contents: [
+            { id: contentAId, source: 'eduContent' },
+            { id: contentBId, source: 'eduContent' }
+          ]
+        });
+
+        pairResults.push({ proposal, success: true });
+      } catch (err) {
+        luderror.api(`Error creating pair from relationship ${proposal.relationshipId}:`, err);
+        pairResults.push({ proposal, success: false, message: err.message || 'שגיאה ביצירת הזוג' });
+      }
+
+      setProgress(Math.round(((i + 1) / selectedProposals.length) * 100));
+    }
+
+    const createdCount = pairResults.filter(result => result.success).length;
+    setResults(pairResults);
+    setStep(STEPS.REPORT);
+
+    if (createdCount > 0) {
+      showSuccess('הזוגות נוספו', `${createdCount} זוגות נוספו למשחק`);
+      onGenerated?.(createdCount);
+    } else {
+      showError('יצירת הזוגות נכשלה', 'לא נוספו זוגות למשחק');
+    }
+  };
+
+  const failedResults = results.filter(result => !result.success);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleClose}>
+      <DialogContent className="sm:max-w-3xl max-h-[90vh] overflow-y-auto" dir="rtl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Link2 className="w-5 h-5" />
+            יצירת זוגות מקשרי מילים
+          </DialogTitle>
+          <DialogDescription>
+            הצעות לזוגות מתוך הקשרים הקיימים בין מילים במאגר. סמנו את הזוגות שמתאימים למשחק והסירו את הסימון מהשאר.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {step === STEPS.SEARCH && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="space-y-1">
+                <Label className="text-sm">סוג הקשר</Label>
+                <Select value={kindId} onValueChange={setKindId}>
+                  <SelectTrigger className="w-52 h-9">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.values(RELATIONSHIP_PAIR_KINDS).map(kind => (
+                      <SelectItem key={kind.id} value={kind.id}>{kind.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-1 flex-1 min-w-[180px]">
+                <Label htmlFor="relationship-filter" className="text-sm">סינון (לא חובה)</Label>
+                <Input
+                  id="relationship-filter"
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                  placeholder="מילה או חלק ממילה"
+                  className="h-9"
+                />
+              </div>
+
+              <Button onClick={handleSearch} disabled={isSearching} className="h-9">
+                <Search className="w-4 h-4 ml-2" />
+                {isSearching ? 'מחפש...' : 'הצג הצעות'}
+              </Button>
+            </div>
+
+            {proposals && proposals.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-6">לא נמצאו קשרים מתאימים</p>
+            )}
+
+            {proposals && proposals.length > 0 && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-700">
+                    {selectedProposals.length} מתוך {newProposals.length} הצעות נבחרו
+                    {proposals.length > newProposals.length && ` · ${proposals.length - newProposals.length} כבר במשחק`}
+                    {truncated && ' · מוצגות התוצאות הראשונות בלבד, צמצמו את הסינון כדי לראות עוד'}
+                  </span>
+                  <div className="flex gap-2">
+                    <Button variant="ghost" size="sm" onClick={selectAll}>אשר הכל</Button>
+                    <Button variant="ghost" size="sm" onClick={selectNone}>דחה הכל</Button>
+                  </div>
+                </div>
+
+                <div className="max-h-80 overflow-y-auto border rounded-lg divide-y">
+                  {proposals.map(proposal => (
+                    <label
+                      key={proposal.key}
+                      className={`flex items-center gap-3 px-3 py-2 ${proposal.exists ? 'opacity-60' : 'cursor-pointer hover:bg-gray-50'}`}
+                    >
+                      <Checkbox
+                        checked={!proposal.exists && selectedKeys.has(proposal.key)}
+                        disabled={proposal.exists}
+                        onCheckedChange={(checked) => toggleProposal(proposal.key, checked)}
+                      />
+                      <span className="flex-1 grid grid-cols-2 gap-3 text-sm">
+                        <span>{proposal.sideA.text}</span>
+                        <span dir="auto">{proposal.sideB.text}</span>
+                      </span>
+                      {proposal.exists && <Badge variant="outline">כבר במשחק</Badge>}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {step === STEPS.CREATING && (
+          <div className="space-y-2 py-6">
+            <p className="text-sm text-gray-700">יוצר זוגות תוכן...</p>
+            <Progress value={progress} className="w-full" />
+            <p className="text-xs text-gray-500 text-center">{progress}%</p>
+          </div>
+        )}
+
+        {step === STEPS.REPORT && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-4 text-sm">
+              <span className="flex items-center gap-1 text-green-700">
+                <CheckCircle className="w-4 h-4" />
+                {results.length - failedResults.length} זוגות נוצרו
+              </span>
+              {failedResults.length > 0 && (
+                <span className="flex items-center gap-1 text-red-700">
+                  <XCircle className="w-4 h-4" />
+                  {failedResults.length} זוגות לא נוצרו
+                </span>
+              )}
+            </div>
+
+            {failedResults.length > 0 && (
+              <ul className="max-h-60 overflow-y-auto border rounded-lg divide-y text-sm">
+                {failedResults.map(result => (
+                  <li key={result.proposal.key} className="px-3 py-2">
+                    <span className="font-medium">{result.proposal.sideA.text} - {result.proposal.sideB.text}</span>
+                    <span className="text-red-700 mr-2">{result.message}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {step === STEPS.SEARCH && (
+            <Button onClick={handleCreate} disabled={selectedProposals.length === 0}>
+              <CheckCircle className="w-4 h-4 ml-2" />
+              הוסף {selectedProposals.length} זוגות למשחק
+            </Button>
+          )}
+          {step === STEPS.REPORT && (
+            <Button onClick={handleClose}>סגור</Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RelationshipPairGeneratorDialog;
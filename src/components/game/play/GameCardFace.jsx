@@ -0,0 +1,35 @@
+/**
+ * GameCardFace - Render one side of a game content pair during play
+ *
+ * Handles regular EduContent items and composite sub-pairs (background + text)
+ */
+
+import ContentDisplay from '@/components/game/edu-content/ContentDisplay';
+import CompositeCardDisplay from '@/components/game/edu-content/CompositeCardDisplay';
+import { getCompositeParts } from '@/utils/gameContentUtils';
+
+const GameCardFace = ({ content, size = 'md', className = '' }) => {
+  const composite = getCompositeParts(content);
+
+  if (composite) {
+    return (
+      <CompositeCardDisplay
+        bgContent={composite.bgContent}
+        dataContent={composite.dataContent}
+        customStyles={composite.textStyles}
+        size={size}
+        className={className}
+      />
+    );
+  }
+
+  return (
+    <ContentDisplay
+      content={content}
+      size={size}
+      className={className}
+    />
+  );
+};
+
+export default GameCardFace;
@@ -0,0 +1,172 @@
+/**
+ * GameTestPlayDialog - Teacher's solo test play of a game from GameSettings
+ *
+ * Runs the game board locally with the game's current content and settings,
+ * with no lobby or session and no API writes, so bad pairs or broken images
+ * can be caught before class. The rule template and difficulty can be tried
+ * out without saving them.
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { FlaskConical, RotateCcw } from 'lucide-react';
+import { RULE_DIFFICULTIES, DEFAULT_RULE_DIFFICULTY, getUsableRuleTemplates } from '@/utils/ruleTemplateEngine';
+import { DIFFICULTY_TIER_LABELS, supportsAdaptiveDifficulty } from '@/utils/adaptiveDifficultyUtils';
+import MemoryGameBoard from './MemoryGameBoard';
+import ScatterGameBoard from './ScatterGameBoard';
+import SharpAndSmoothBoard from './SharpAndSmoothBoard';
+import MatchingGameBoard from './MatchingGameBoard';
+import QuizGameBoard from './QuizGameBoard';
+
+const TEST_PLAYER = { id: 'test-play-teacher', display_name: 'מורה (משחק ניסיון)' };
+
+// Game settings value for "use the game's default template"
+const DEFAULT_TEMPLATE = 'default';
+
+const GameTestPlayDialog = ({
+  isOpen,
+  onClose,
+  gameType,
+  gameEntity,
+  gameTitle = ''
+}) => {
+  const savedSettings = gameEntity?.game_settings;
+
+  const [templateId, setTemplateId] = useState(savedSettings?.rule_template_id || DEFAULT_TEMPLATE);
+  const [difficulty, setDifficulty] = useState(savedSettings?.difficulty || DEFAULT_RULE_DIFFICULTY);
+  const [adaptive, setAdaptive] = useState(!!savedSettings?.adaptive_difficulty);
+  const [run, setRun] = useState(1);
+
+  const templates = useMemo(() => getUsableRuleTemplates(gameType), [gameType]);
+
+  const testSettings = useMemo(() => ({
+    ...(savedSettings || {}),
+    rule_template_id: templateId === DEFAULT_TEMPLATE ? null : templateId,
+    difficulty,
+    adaptive_difficulty: adaptive
+  }), [savedSettings, templateId, difficulty, adaptive]);
+
+  // A new local session each run, so the board is shuffled again
+  const sessionId = `test-play-${gameEntity?.id}-${run}`;
+
+  const restart = () => setRun(prev => prev + 1);
+
+  const renderBoard = () => {
+    const boardProps = {
+      sessionId,
+      settings: testSettings,
+      participantId: TEST_PLAYER.id,
+      gameStarted: true,
+      onExit: onClose,
+      sandbox: true
+    };
+
+    switch (gameType) {
+      case 'memory_game':
+        return <MemoryGameBoard {...boardProps} gameId={gameEntity.id} participants={[TEST_PLAYER]} />;
+      case 'scatter_game':
+        return <ScatterGameBoard {...boardProps} participants={[TEST_PLAYER]} />;
+      case 'sharp_and_smooth':
+        return <SharpAndSmoothBoard {...boardProps} gameId={gameEntity.id} participants={[TEST_PLAYER]} />;
+      case 'matching_game':
+        return <MatchingGameBoard {...boardProps} gameId={gameEntity.id} />;
+      case 'quiz_game':
+        return <QuizGameBoard {...boardProps} />;
+      default:
+        return (
+          <p className="text-center text-gray-600 py-8">
+            משחק ניסיון עדיין לא זמין לסוג משחק זה
+          </p>
+        );
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-5xl max-h-[95vh] overflow-y-auto" dir="rtl">
+        <DialogHeader className="text-right">
+          <DialogTitle className="flex items-center gap-3 text-2xl font-bold">
+            <FlaskConical className="w-7 h-7 text-purple-600" />
+            משחק ניסיון{gameTitle ? ` - ${gameTitle}` : ''}
+          </DialogTitle>
+          <DialogDescription className="text-right">
+            המשחק רץ רק אצלך, ללא לובי וללא שמירת תוצאות. שינויי כללים כאן אינם נשמרים בהגדרות המשחק.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-end gap-4 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+          {templates.length > 0 && (
+            <div className="space-y-1">
+              <Label className="text-sm">תבנית כללים</Label>
+              <Select value={templateId} onValueChange={setTemplateId}>
+                <SelectTrigger className="w-56 h-9">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={DEFAULT_TEMPLATE}>ברירת המחדל של המשחק</SelectItem>
+                  {templates.map(template => (
+                    <SelectItem key={template.id} value={template.id}>
+                      {template.emoji} {template.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <div className="space-y-1">
+            <Label className="text-sm">{adaptive ? 'רמת קושי התחלתית' : 'רמת קושי'}</Label>
+            <Select value={difficulty} onValueChange={setDifficulty}>
+              <SelectTrigger className="w-32 h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {RULE_DIFFICULTIES.map(level => (
+                  <SelectItem key={level} value={level}>{DIFFICULTY_TIER_LABELS[level] || level}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {supportsAdaptiveDifficulty(gameType) && (
+            <div className="flex items-center gap-2 h-9">
+              <Checkbox
+                id="test-play-adaptive"
+                checked={adaptive}
+                onCheckedChange={(checked) => setAdaptive(!!checked)}
+              />
+              <Label htmlFor="test-play-adaptive" className="text-sm cursor-pointer">
+                רמת קושי מותאמת (משתנה לפי התשובות)
+              </Label>
+            </div>
+          )}
+
+          <Button variant="outline" size="sm" onClick={restart} className="h-9">
+            <RotateCcw className="w-4 h-4 ml-2" />
+            התחל מחדש
+          </Button>
+        </div>
+
+        <div className="student-portal-background rounded-lg p-4">
+          {isOpen && gameEntity?.id && (
+            <div key={`${sessionId}-${templateId}-${difficulty}-${adaptive}`}>
+              {renderBoard()}
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default GameTestPlayDialog;
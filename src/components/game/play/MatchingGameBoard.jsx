@@ -0,0 +1,414 @@
+/**
+ * MatchingGameBoard - Drag-and-drop matching game for the student GamePlay page
+ *
+ * Items are dragged (mouse, pen or touch) onto their partners in the targets
+ * column. Without a pointer, players select an item and then its target with
+ * the keyboard or by tapping, and results are announced through aria-live.
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { GamepadIcon, Trophy, Home, RefreshCw, CheckCircle } from 'lucide-react';
+import { GameContent } from '@/services/apiClient';
+import { luderror } from '@/lib/ludlog';
+import GameCardFace from './GameCardFace';
+import { getContentLabel } from '@/utils/gameContentUtils';
+import {
+  resolveMatchingRules,
+  buildMatchingBoards,
+  createMatchingState,
+  attemptMatch
+} from '@/utils/matchingGameUtils';
+import { createPlayerProgressSnapshot, getPlayerResumeState } from '@/utils/gameProgressUtils';
+import { useSharedPlayerProgress } from '@/hooks/useSharedPlayerProgress';
+
+// Pointer travel (px) before a press counts as a drag rather than a tap
+const DRAG_THRESHOLD_PX = 8;
+
+const getTargetKeyFromPoint = (x, y) => {
+  const element = document.elementFromPoint(x, y);
+  return element?.closest?.('[data-match-target]')?.dataset.matchTarget || null;
+};
+
+const MatchingGameBoard = ({
+  gameId,
+  sessionId,
+  settings,
+  participantId,
+  initialGameState = null,
+  gameStarted,
+  onExit,
+  sandbox = false
+}) => {
+  const [contentPairs, setContentPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [playState, setPlayState] = useState(null);
+  const [selectedItemKey, setSelectedItemKey] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [hoverTargetKey, setHoverTargetKey] = useState(null);
+  const [feedback, setFeedback] = useState('');
+  const [lastWrongTargetKey, setLastWrongTargetKey] = useState(null);
+
+  // Ref mirrors so the window drag listeners always see the latest values
+  const playStateRef = useRef(playState);
+  playStateRef.current = playState;
+  const dragRef = useRef(null);
+  const suppressClickRef = useRef(false);
+
+  const rules = useMemo(() => resolveMatchingRules(settings), [settings]);
+
+  const loadContentPairs = useCallback(async () => {
+    if (!gameId) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await GameContent.getGameContents(gameId, 'pair');
+      setContentPairs(response.data || []);
+    } catch (err) {
+      luderror.game('Error loading matching game pairs:', err);
+      setError('שגיאה בטעינת תוכן המשחק');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    loadContentPairs();
+  }, [loadContentPairs]);
+
+  // Seeded by the session so the whole class gets the same boards
+  const boards = useMemo(
+    () => buildMatchingBoards(contentPairs, rules, sessionId),
+    [contentPairs, rules, sessionId]
+  );
+
+  // A player who rejoins picks up from the state kept with the session
+  const resumeState = useMemo(
+    () => getPlayerResumeState(initialGameState, 'matching_game', participantId),
+    [initialGameState, participantId]
+  );
+
+  useEffect(() => {
+    if (gameStarted && boards.length > 0 && !playStateRef.current) {
+      const resumed = resumeState && resumeState.board < boards.length ? resumeState : null;
+      setPlayState(resumed || createMatchingState(Date.now()));
+    }
+  }, [gameStarted, boards.length, resumeState]);
+
+  const board = playState ? boards[playState.board] : null;
+  const totalPairs = useMemo(() => boards.reduce((sum, b) => sum + b.items.length, 0), [boards]);
+
+  // Share progress with the teacher's host screen and results report
+  const progressSnapshot = useMemo(() => {
+    if (!playState || !participantId) return null;
+
+    return createPlayerProgressSnapshot('matching_game', participantId, {
+      completed: Object.keys(playState.matched).length,
+      total: totalPairs,
+      score: playState.score,
+      finished: !!playState.finishedAt,
+      attempts: playState.attempts,
+      correct: playState.attempts - playState.mistakes,
+      timeMs: (playState.finishedAt || Date.now()) - playState.startedAt,
+      missed: playState.missed,
+      resume: playState
+    });
+  }, [playState, participantId, totalPairs]);
+
+  // A teacher's test play stays local
+  useSharedPlayerProgress(sandbox ? null : sessionId, progressSnapshot);
+
+  const labelOf = useCallback((entry) => getContentLabel(entry?.content) || 'פריט', []);
+
+  const tryMatch = useCallback((itemKey, targetKey) => {
+    const current = playStateRef.current;
+    const currentBoard = boards[current?.board];
+    if (!currentBoard) return;
+
+    const { state: next, correct } = attemptMatch(current, boards, rules, itemKey, targetKey, Date.now());
+    if (next === current) return;
+
+    const item = currentBoard.items.find(i => i.key === itemKey);
+    const target = currentBoard.targets.find(t => t.key === targetKey);
+
+    playStateRef.current = next;
+    setPlayState(next);
+    setSelectedItemKey(null);
+
+    if (!correct) {
+      setLastWrongTargetKey(targetKey);
+      setFeedback(`"${labelOf(item)}" לא מתאים ל"${labelOf(target)}". נסו שוב`);
+    } else if (next.finishedAt) {
+      setLastWrongTargetKey(null);
+      setFeedback('כל הכבוד! סיימתם את כל ההתאמות');
+    } else if (next.board !== current.board) {
+      setLastWrongTargetKey(null);
+      setFeedback(`כל הכבוד! עוברים ללוח ${next.board + 1} מתוך ${boards.length}`);
+    } else {
+      setLastWrongTargetKey(null);
+      setFeedback(`נכון! "${labelOf(item)}" מתאים ל"${labelOf(target)}"`);
+    }
+  }, [boards, rules, labelOf]);
+
+  // Pointer drag - listeners live on the window so the drag survives leaving the item
+  useEffect(() => {
+    if (!drag) return;
+
+    const handlePointerMove = (event) => {
+      const current = dragRef.current;
+      if (!current || event.pointerId !== current.pointerId) return;
+
+      const dx = event.clientX - current.startX;
+      const dy = event.clientY - current.startY;
+      const moved = current.moved || Math.hypot(dx, dy) > DRAG_THRESHOLD_PX;
+
+      dragRef.current = { ...current, dx, dy, moved };
+      setDrag(dragRef.current);
+      setHoverTargetKey(moved ? getTargetKeyFromPoint(event.clientX, event.clientY) : null);
+    };
+
+    const handlePointerEnd = (event) => {
+      const current = dragRef.current;
+      if (!current || event.pointerId !== current.pointerId) return;
+
+      dragRef.current = null;
+      setDrag(null);
+      setHoverTargetKey(null);
+
+      // A plain tap is left to the click handler (select item)
+      if (!current.moved || event.type === 'pointercancel') return;
+
+      // Skip the click the browser may fire right after the drag ends
+      suppressClickRef.current = true;
+      setTimeout(() => {
+        suppressClickRef.current = false;
+      }, 0);
+
+      const targetKey = getTargetKeyFromPoint(event.clientX, event.clientY);
+      if (targetKey) {
+        tryMatch(current.itemKey, targetKey);
+      }
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerEnd);
+    window.addEventListener('pointercancel', handlePointerEnd);
+
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerEnd);
+      window.removeEventListener('pointercancel', handlePointerEnd);
+    };
+  }, [drag, tryMatch]);
+
+  const handleItemPointerDown = (event, item) => {
+    if (event.button !== 0 || playState?.matched[item.pairId]) return;
+
+    dragRef.current = {
+      itemKey: item.key,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      dx: 0,
+      dy: 0,
+      moved: false
+    };
+    setDrag(dragRef.current);
+  };
+
+  // Click covers taps, mouse clicks and Enter/Space from the keyboard
+  const handleItemClick = (item) => {
+    if (suppressClickRef.current) return;
+
+    if (selectedItemKey === item.key) {
+      setSelectedItemKey(null);
+      setFeedback('הבחירה בוטלה');
+      return;
+    }
+
+    setSelectedItemKey(item.key);
+    setFeedback(`נבחר "${labelOf(item)}". בחרו את ההתאמה שלו בעמודה השנייה`);
+  };
+
+  const handleTargetClick = (target) => {
+    if (suppressClickRef.current) return;
+
+    if (!selectedItemKey) {
+      setFeedback('בחרו קודם פריט מהעמודה הראשונה');
+      return;
+    }
+
+    tryMatch(selectedItemKey, target.key);
+  };
+
+  const handleBoardKeyDown = (event) => {
+    if (event.key === 'Escape' && selectedItemKey) {
+      setSelectedItemKey(null);
+      setFeedback('הבחירה בוטלה');
+    }
+  };
+
+  if (!gameStarted) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <GamepadIcon className="w-16 h-16 text-green-500 mx-auto mb-4" />
+          <h3 className="text-lg font-bold text-gray-800 mb-2">משחק התאמה</h3>
+          <p className="text-gray-600">ממתין לתחילת המשחק...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <div className="w-10 h-10 border-4 border-green-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-green-700 font-medium">טוען את המשחק...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || boards.length === 0) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <p className="text-gray-700 mb-4">{error || 'צריך לפחות שני זוגות תוכן כדי לשחק'}</p>
+          {error && (
+            <Button onClick={loadContentPairs} className="student-btn-primary">
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!playState) return null;
+
+  if (playState.finishedAt) {
+    const seconds = Math.round((playState.finishedAt - playState.startedAt) / 1000);
+
+    return (
+      <Card className="student-card">
+        <CardContent className="p-6 text-center">
+          <Trophy className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-gray-800 mb-2" aria-live="polite">סיימתם את כל ההתאמות!</h3>
+          <p className="text-gray-600 mb-1">
+            {playState.mistakes === 0 ? 'בלי אף טעות!' : `${playState.mistakes} טעויות`} · {seconds} שניות
+          </p>
+          <p className="text-3xl font-bold text-green-700 mb-6">{playState.score} נקודות</p>
+          {onExit && (
+            <Button onClick={onExit} className="student-btn-primary">
+              <Home className="w-4 h-4 ml-2" />
+              חזרה לעמוד הבית
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const getItemClass = (item) => {
+    if (playState.matched[item.pairId]) return 'border-green-400 bg-green-50 opacity-60 cursor-default';
+    if (drag?.itemKey === item.key && drag.moved) return 'border-blue-500 bg-blue-100 shadow-lg z-10 pointer-events-none';
+    if (selectedItemKey === item.key) return 'border-blue-500 bg-blue-100 ring-2 ring-blue-400';
+    return 'border-dashed border-blue-300 bg-blue-50 hover:bg-blue-100 cursor-grab';
+  };
+
+  const getTargetClass = (target) => {
+    if (playState.matched[target.pairId]) return 'border-green-500 bg-green-50 cursor-default';
+    if (hoverTargetKey === target.key) return 'border-blue-500 bg-blue-50';
+    if (lastWrongTargetKey === target.key) return 'border-red-400 bg-red-50';
+    return 'border-dashed border-gray-300 bg-gray-50 hover:border-blue-300';
+  };
+
+  return (
+    <Card className="student-card">
+      <CardContent className="p-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-bold text-gray-800">משחק התאמה</h3>
+          <div className="flex items-center gap-3 text-sm text-gray-600">
+            {boards.length > 1 && <span>לוח {playState.board + 1}/{boards.length}</span>}
+            <span className="px-3 py-1 rounded-full bg-green-100 text-green-800 font-bold">
+              {playState.score} נקודות
+            </span>
+          </div>
+        </div>
+
+        <p className="mb-4 text-sm text-center text-gray-600 min-h-[1.25rem]" aria-live="polite">
+          {feedback || 'גררו כל פריט מהעמודה הימנית אל ההתאמה שלו בעמודה השמאלית, או בחרו פריט ואז את ההתאמה שלו'}
+        </p>
+
+        {/* In RTL the items column is on the right, matching the reading order */}
+        <div
+          dir="rtl"
+          className="grid grid-cols-2 gap-4 sm:gap-8 max-w-2xl mx-auto select-none"
+          onKeyDown={handleBoardKeyDown}
+        >
+          <div>
+            <h4 id={`${board.id}-items`} className="text-sm font-semibold text-gray-700 mb-2 text-center">פריטים</h4>
+            <ul aria-labelledby={`${board.id}-items`} className="space-y-2">
+              {board.items.map(item => {
+                const isMatched = !!playState.matched[item.pairId];
+                const isDragging = drag?.itemKey === item.key && drag.moved;
+
+                return (
+                  <li key={item.key}>
+                    <button
+                      type="button"
+                      disabled={isMatched}
+                      aria-pressed={selectedItemKey === item.key}
+                      aria-label={`${labelOf(item)}${isMatched ? ' - הותאם' : ''}`}
+                      onPointerDown={(e) => handleItemPointerDown(e, item)}
+                      onClick={() => handleItemClick(item)}
+                      style={isDragging ? { transform: `translate(${drag.dx}px, ${drag.dy}px)` } : undefined}
+                      className={`relative w-full min-h-[56px] flex items-center justify-center p-2 border-2 rounded-lg touch-none transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 ${getItemClass(item)}`}
+                    >
+                      <GameCardFace content={item.content} size="sm" />
+                      {isMatched && <CheckCircle className="absolute top-1 left-1 w-4 h-4 text-green-600" />}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
+          <div>
+            <h4 id={`${board.id}-targets`} className="text-sm font-semibold text-gray-700 mb-2 text-center">התאמות</h4>
+            <ul aria-labelledby={`${board.id}-targets`} className="space-y-2">
+              {board.targets.map(target => {
+                const isMatched = !!playState.matched[target.pairId];
+
+                return (
+                  <li key={target.key}>
+                    <button
+                      type="button"
+                      data-match-target={target.key}
+                      disabled={isMatched}
+                      aria-label={`${labelOf(target)}${isMatched ? ' - הותאם' : ''}`}
+                      onClick={() => handleTargetClick(target)}
+                      className={`relative w-full min-h-[56px] flex items-center justify-center p-2 border-2 rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 ${getTargetClass(target)}`}
+                    >
+                      <GameCardFace content={target.content} size="sm" />
+                      {isMatched && <CheckCircle className="absolute top-1 left-1 w-4 h-4 text-green-600" />}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MatchingGameBoard;
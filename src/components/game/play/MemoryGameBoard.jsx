@@ -0,0 +1,316 @@
+/**
+ * MemoryGameBoard - Multiplayer memory game for the student GamePlay page
+ *
+ * Builds the board from the game's content pairs, enforces turns between
+ * session participants and syncs every move through socketClient.
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { GamepadIcon, Trophy, Home, RefreshCw } from 'lucide-react';
+import { GameContent } from '@/services/apiClient';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import { luderror } from '@/lib/ludlog';
+import GameCardFace from './GameCardFace';
+import { getContentLabel } from '@/utils/gameContentUtils';
+import {
+  MEMORY_GAME_STATUS,
+  MISMATCH_REVEAL_MS,
+  resolveMemoryGameRules,
+  buildMemoryDeck,
+  createMemoryGameState,
+  getCurrentPlayerId,
+  isCardFaceUp,
+  canFlipCard,
+  flipMemoryCard,
+  resolveMismatch,
+  syncMemoryPlayers,
+  getMemoryGameRanking
+} from '@/utils/memoryGameUtils';
+
+const MemoryGameBoard = ({
+  gameId,
+  sessionId,
+  settings,
+  participants = [],
+  participantId,
+  initialGameState = null,
+  gameStarted,
+  onExit,
+  sandbox = false,
+  spectator = false
+}) => {
+  const [contentPairs, setContentPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [gameState, setGameState] = useState(
+    initialGameState?.game_type === 'memory_game' ? initialGameState : null
+  );
+
+  // Ref mirror so timers and socket handlers always see the latest state
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+
+  const rules = useMemo(() => resolveMemoryGameRules(settings), [settings]);
+
+  const participantIds = useMemo(() => participants.map(p => p.id), [participants]);
+
+  const playerNames = useMemo(() => Object.fromEntries(
+    participants.map(p => [p.id, p.display_name])
+  ), [participants]);
+
+  const loadContentPairs = useCallback(async () => {
+    if (!gameId) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await GameContent.getGameContents(gameId, 'pair');
+      setContentPairs(response.data || []);
+    } catch (err) {
+      luderror.game('Error loading memory game pairs:', err);
+      setError('שגיאה בטעינת קלפי המשחק');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    loadContentPairs();
+  }, [loadContentPairs]);
+
+  const deck = useMemo(() => buildMemoryDeck(contentPairs, sessionId), [contentPairs, sessionId]);
+
+  const cardsByKey = useMemo(() => Object.fromEntries(
+    deck.map(card => [card.key, card])
+  ), [deck]);
+
+  // Apply a new local state and broadcast it to the session
+  const commitState = useCallback((nextState) => {
+    if (!nextState || nextState === gameStateRef.current) return;
+
+    gameStateRef.current = nextState;
+    setGameState(nextState);
+    // A teacher's test play and spectators stay local
+    if (!sandbox && !spectator) {
+      socketClient.sendGameStateUpdate(sessionId, nextState);
+    }
+  }, [sessionId, sandbox, spectator]);
+
+  // Create the board once the game starts and the deck is ready
+  useEffect(() => {
+    if (!gameStarted || gameStateRef.current || deck.length === 0 || participantIds.length === 0) {
+      return;
+    }
+
+    // Every client builds the same initial state from the session seed,
+    // so there is no need to broadcast it
+    setGameState(createMemoryGameState(deck, participantIds));
+  }, [gameStarted, deck, participantIds]);
+
+  // Keep the turn order in line with who is actually in the session
+  useEffect(() => {
+    if (!gameStateRef.current || participantIds.length === 0) return;
+    commitState(syncMemoryPlayers(gameStateRef.current, participantIds));
+  }, [participantIds, commitState]);
+
+  // Receive moves made by other players
+  useEffect(() => {
+    const unsubscribe = socketClient.onSessionEvent(SESSION_EVENT_TYPES.MOVE, (data) => {
+      if (data?.session_id !== sessionId) return;
+
+      const incoming = data.game_state;
+      if (incoming?.game_type !== 'memory_game') return;
+
+      const current = gameStateRef.current;
+      if (!current || incoming.version > current.version) {
+        gameStateRef.current = incoming;
+        setGameState(incoming);
+      }
+    });
+
+    return unsubscribe;
+  }, [sessionId]);
+
+  // Turn a mismatched pair back over. The player who flipped it does this;
+  // others step in later in case that player dropped out mid-turn.
+  useEffect(() => {
+    if (!gameState?.pendingMismatch) return;
+
+    const delay = gameState.lastMoveBy === participantId
+      ? MISMATCH_REVEAL_MS
+      : MISMATCH_REVEAL_MS * 3;
+
+    const timer = setTimeout(() => {
+      commitState(resolveMismatch(gameStateRef.current));
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [gameState?.pendingMismatch, gameState?.version, gameState?.lastMoveBy, participantId, commitState]);
+
+  const handleCardClick = (cardKey) => {
+    if (spectator) return;
+    commitState(flipMemoryCard(gameStateRef.current, cardKey, participantId, rules));
+  };
+
+  if (!gameStarted) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <GamepadIcon className="w-16 h-16 text-purple-500 mx-auto mb-4" />
+          <h3 className="text-lg font-bold text-gray-800 mb-2">משחק זיכרון</h3>
+          <p className="text-gray-600">ממתין לתחילת המשחק...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <div className="w-10 h-10 border-4 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-purple-700 font-medium">טוען קלפים...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || deck.length === 0) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <p className="text-gray-700 mb-4">{error || 'אין קלפים במשחק הזה עדיין'}</p>
+          {error && (
+            <Button onClick={loadContentPairs} className="student-btn-primary">
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!gameState) return null;
+
+  const currentPlayerId = getCurrentPlayerId(gameState);
+  const isMyTurn = currentPlayerId === participantId;
+  const matchedCount = Object.keys(gameState.matched).length;
+  const totalPairs = gameState.order.length / 2;
+
+  if (gameState.status === MEMORY_GAME_STATUS.FINISHED) {
+    const ranking = getMemoryGameRanking(gameState);
+
+    return (
+      <Card className="student-card">
+        <CardContent className="p-6 text-center">
+          <Trophy className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-gray-800 mb-1">כל הזוגות נמצאו!</h3>
+          <p className="text-gray-600 mb-6">{gameState.moves} תורות במשחק</p>
+
+          <ol className="max-w-sm mx-auto space-y-2 mb-6">
+            {ranking.map(entry => (
+              <li
+                key={entry.playerId}
+                className={`flex items-center justify-between px-4 py-2 rounded-lg ${
+                  entry.rank === 1 ? 'bg-yellow-100 border border-yellow-300' : 'bg-gray-50 border border-gray-200'
+                }`}
+              >
+                <span className="font-bold text-gray-700">{entry.rank}.</span>
+                <span className="flex-1 text-right mr-3 text-gray-800">
+                  {playerNames[entry.playerId] || 'שחקן'}
+                  {entry.playerId === participantId && (
+                    <span className="text-xs text-green-600 font-bold mr-1">(אתה)</span>
+                  )}
+                </span>
+                <span className="text-sm text-gray-500 ml-3">{entry.pairs} זוגות</span>
+                <span className="font-bold text-purple-700">{entry.score} נק׳</span>
+              </li>
+            ))}
+          </ol>
+
+          {onExit && (
+            <Button onClick={onExit} className="student-btn-primary">
+              <Home className="w-4 h-4 ml-2" />
+              חזרה לעמוד הבית
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="student-card">
+      <CardContent className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-gray-800">משחק זיכרון</h3>
+          <span className="text-sm text-gray-600">{matchedCount}/{totalPairs} זוגות</span>
+        </div>
+
+        {/* Turn indicator */}
+        <div
+          className={`mb-4 p-3 rounded-lg text-center font-medium ${
+            isMyTurn ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+          }`}
+          aria-live="polite"
+        >
+          {isMyTurn ? 'התור שלך! הפוך שני קלפים' : `התור של ${playerNames[currentPlayerId] || 'שחקן אחר'}`}
+        </div>
+
+        {/* Scores */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {gameState.players.map(playerId => (
+            <div
+              key={playerId}
+              className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm ${
+                playerId === currentPlayerId
+                  ? 'bg-purple-500 text-white'
+                  : 'bg-purple-100 text-purple-800'
+              }`}
+            >
+              <span>{playerNames[playerId] || 'שחקן'}</span>
+              <span className="font-bold">{gameState.scores[playerId] || 0}</span>
+            </div>
+          ))}
+        </div>
+
+        {/* Board */}
+        <div className="grid grid-cols-3 sm:grid-cols-4 gap-3 justify-items-center">
+          {gameState.order.map((cardKey, index) => {
+            const card = cardsByKey[cardKey];
+            const faceUp = isCardFaceUp(gameState, cardKey);
+            const flippable = canFlipCard(gameState, cardKey, participantId);
+            const matchedBy = card && gameState.matched[card.pairId];
+
+            return (
+              <button
+                key={cardKey}
+                type="button"
+                onClick={() => handleCardClick(cardKey)}
+                disabled={!flippable}
+                aria-label={faceUp && card ? getContentLabel(card.content) : `קלף ${index + 1}`}
+                className={`w-24 h-24 rounded-lg transition-transform focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                  flippable ? 'hover:scale-105 cursor-pointer' : 'cursor-default'
+                } ${matchedBy ? 'opacity-60' : ''}`}
+              >
+                {faceUp && card ? (
+                  <GameCardFace content={card.content} size="md" />
+                ) : (
+                  <div className="w-full h-full bg-gradient-to-br from-purple-400 to-blue-400 rounded-lg flex items-center justify-center">
+                    <span className="text-white font-bold text-2xl">?</span>
+                  </div>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MemoryGameBoard;
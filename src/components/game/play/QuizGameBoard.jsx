@@ -0,0 +1,372 @@
+/**
+ * QuizGameBoard - Timed quiz for the student GamePlay page
+ *
+ * Questions come from the QA entity; time limits, option counts and scoring
+ * come from the rule template and difficulty chosen in the game settings.
+ * With adaptive difficulty on, each question is played at the tier the
+ * player's recent answers put them in.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { GamepadIcon, Trophy, Home, RefreshCw, CheckCircle, XCircle, ArrowLeft } from 'lucide-react';
+import { QA } from '@/services/entities';
+import { apiRequestAnonymous } from '@/services/apiClient';
+import { luderror } from '@/lib/ludlog';
+import {
+  RULE_DIFFICULTIES,
+  DEFAULT_RULE_DIFFICULTY,
+  resolveRules,
+  poolFromQARecords,
+  buildRounds,
+  checkAnswer,
+  scoreAnswer
+} from '@/utils/ruleTemplateEngine';
+import { createPlayerProgressSnapshot, getPlayerResumeState } from '@/utils/gameProgressUtils';
+import {
+  DIFFICULTY_TIER_LABELS,
+  isAdaptiveDifficulty,
+  getAdaptiveDifficulty
+} from '@/utils/adaptiveDifficultyUtils';
+import { useSharedPlayerProgress } from '@/hooks/useSharedPlayerProgress';
+
+// How long the correct answer stays on screen before moving on
+const REVEAL_MS = 2500;
+const CLOCK_TICK_MS = 250;
+
+const QuizGameBoard = ({
+  sessionId,
+  settings,
+  participantId,
+  initialGameState = null,
+  gameStarted,
+  onExit,
+  sandbox = false
+}) => {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // A player who rejoins continues after the questions they already answered
+  const [resumedResults] = useState(() => (
+    getPlayerResumeState(initialGameState, 'quiz_game', participantId)?.results || []
+  ));
+  const [questionIndex, setQuestionIndex] = useState(resumedResults.length);
+  const [questionStartedAt, setQuestionStartedAt] = useState(null);
+  const [currentAnswer, setCurrentAnswer] = useState(null);
+  const [openInput, setOpenInput] = useState('');
+  const [results, setResults] = useState(resumedResults);
+  const [now, setNow] = useState(Date.now());
+
+  // Rules of every tier, so adaptive play can switch tiers between questions
+  const rulesByTier = useMemo(() => Object.fromEntries(RULE_DIFFICULTIES.map(level => [level, resolveRules({
+    templateId: settings?.rule_template_id,
+    gameType: 'quiz_game',
+    difficulty: level
+  })])), [settings?.rule_template_id]);
+  const adaptive = isAdaptiveDifficulty(settings);
+  const startDifficulty = RULE_DIFFICULTIES.includes(settings?.difficulty) ? settings.difficulty : DEFAULT_RULE_DIFFICULTY;
+  const qaIds = settings?.qa_ids;
+
+  const loadQuestions = useCallback(async () => {
+    if (!qaIds?.length) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await QA.find({ id: qaIds });
+      setRecords(Array.isArray(response) ? response : (response?.data || []));
+    } catch (err) {
+      luderror.game('Error loading quiz questions:', err);
+      setError('שגיאה בטעינת שאלות החידון');
+    } finally {
+      setLoading(false);
+    }
+  }, [qaIds]);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [loadQuestions]);
+
+  // Each player gets their own question order; the seed keeps it the same in every tier
+  const questionsByTier = useMemo(() => {
+    const pool = poolFromQARecords(records);
+    return Object.fromEntries(RULE_DIFFICULTIES.map(level => [level, buildRounds(rulesByTier[level], pool, {
+      seed: `${sessionId}:${participantId}`,
+      count: settings?.questions_count
+    })]));
+  }, [records, rulesByTier, sessionId, participantId, settings?.questions_count]);
+
+  // The tier of the current question comes from the answers before it
+  const difficulty = adaptive
+    ? getAdaptiveDifficulty(results.slice(0, questionIndex), startDifficulty).difficulty
+    : startDifficulty;
+  const finalDifficulty = adaptive ? getAdaptiveDifficulty(results, startDifficulty).difficulty : null;
+  const rules = rulesByTier[difficulty];
+  const questions = questionsByTier[difficulty];
+
+  const question = questions[questionIndex];
+  const isFinished = questions.length > 0 && questionIndex >= questions.length;
+  const isRevealing = !!currentAnswer;
+  const limitMs = rules.timeLimit * 1000;
+  const elapsedMs = questionStartedAt ? now - questionStartedAt : 0;
+  const remainingMs = Math.max(0, limitMs - elapsedMs);
+  const totalScore = results.reduce((sum, result) => sum + result.points, 0);
+  const correctCount = results.filter(result => result.correct).length;
+
+  // Share progress with the teacher's host screen and results report
+  const progressSnapshot = useMemo(() => {
+    if (!gameStarted || !participantId || questions.length === 0) return null;
+
+    return createPlayerProgressSnapshot('quiz_game', participantId, {
+      completed: results.length,
+      total: questions.length,
+      score: totalScore,
+      finished: results.length >= questions.length,
+      attempts: results.length,
+      correct: correctCount,
+      timeMs: results.reduce((sum, result) => sum + (result.elapsedMs || 0), 0),
+      missed: Object.fromEntries(results.filter(result => !result.correct).map(result => [result.questionId, 1])),
+      difficulty: finalDifficulty,
+      resume: { results }
+    });
+  }, [gameStarted, participantId, questions.length, results, totalScore, correctCount, finalDifficulty]);
+
+  // A teacher's test play stays local
+  useSharedPlayerProgress(sandbox ? null : sessionId, progressSnapshot);
+
+  // Keep the player's tier on their session participant, where the server keeps it
+  // (see BACKEND_REQUIREMENTS_ADAPTIVE_DIFFICULTY.md). The shared progress snapshot
+  // carries the tier too, so a failed save only costs the report a fallback.
+  useEffect(() => {
+    if (sandbox || !adaptive || !gameStarted || !sessionId || !participantId || !finalDifficulty) return;
+
+    apiRequestAnonymous(`/game-sessions/${sessionId}/participants/${participantId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ difficulty_tier: finalDifficulty })
+    }).catch(err => luderror.game('Error saving difficulty tier:', err));
+  }, [sandbox, adaptive, gameStarted, sessionId, participantId, finalDifficulty]);
+
+  // Start the clock for each new question
+  useEffect(() => {
+    if (gameStarted && question && !questionStartedAt) {
+      setQuestionStartedAt(Date.now());
+      setNow(Date.now());
+    }
+  }, [gameStarted, question, questionStartedAt]);
+
+  useEffect(() => {
+    if (!questionStartedAt || isRevealing) return;
+
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(interval);
+  }, [questionStartedAt, isRevealing]);
+
+  const recordAnswer = useCallback((answer) => {
+    const points = scoreAnswer(rules, answer);
+    const result = { questionId: question.id, ...answer, points, difficulty, timeLimitMs: rules.timeLimit * 1000 };
+
+    setCurrentAnswer(result);
+    setResults(prev => [...prev, result]);
+  }, [rules, question, difficulty]);
+
+  // Time is up
+  useEffect(() => {
+    if (question && questionStartedAt && !isRevealing && remainingMs === 0) {
+      recordAnswer({ answered: false, correct: false, elapsedMs: limitMs, optionKey: null });
+    }
+  }, [question, questionStartedAt, isRevealing, remainingMs, limitMs, recordAnswer]);
+
+  // Move on after the answer has been shown
+  useEffect(() => {
+    if (!isRevealing) return;
+
+    const timer = setTimeout(() => {
+      setCurrentAnswer(null);
+      setOpenInput('');
+      setQuestionStartedAt(null);
+      setQuestionIndex(index => index + 1);
+    }, REVEAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [isRevealing]);
+
+  const handleChooseOption = (optionKey) => {
+    if (isRevealing) return;
+
+    recordAnswer({
+      answered: true,
+      correct: checkAnswer(rules, question, optionKey),
+      elapsedMs: Date.now() - questionStartedAt,
+      optionKey
+    });
+  };
+
+  const handleSubmitOpenAnswer = (event) => {
+    event.preventDefault();
+    if (isRevealing || !openInput.trim()) return;
+
+    recordAnswer({
+      answered: true,
+      correct: checkAnswer(rules, question, openInput),
+      elapsedMs: Date.now() - questionStartedAt,
+      optionKey: null
+    });
+  };
+
+  if (!gameStarted) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <GamepadIcon className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+          <h3 className="text-lg font-bold text-gray-800 mb-2">משחק חידון</h3>
+          <p className="text-gray-600">ממתין לתחילת המשחק...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <div className="w-10 h-10 border-4 border-yellow-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-yellow-700 font-medium">טוען שאלות...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || questions.length === 0) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <p className="text-gray-700 mb-4">{error || 'אין שאלות בחידון הזה עדיין'}</p>
+          {error && (
+            <Button onClick={loadQuestions} className="student-btn-primary">
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (isFinished) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-6 text-center">
+          <Trophy className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-gray-800 mb-2">סיימת את החידון!</h3>
+          <p className="text-gray-600 mb-1">{correctCount} תשובות נכונות מתוך {questions.length}</p>
+          <p className="text-3xl font-bold text-purple-700 mb-6">{totalScore} נקודות</p>
+          {adaptive && (
+            <p className="text-sm text-gray-600 -mt-4 mb-6">רמת קושי בסיום: {DIFFICULTY_TIER_LABELS[finalDifficulty]}</p>
+          )}
+          {onExit && (
+            <Button onClick={onExit} className="student-btn-primary">
+              <Home className="w-4 h-4 ml-2" />
+              חזרה לעמוד הבית
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const getOptionClass = (option) => {
+    if (!isRevealing) return 'border-gray-300 hover:border-yellow-400 hover:bg-yellow-50';
+    if (option.key === question.correctKey) return 'border-green-500 bg-green-50';
+    if (option.key === currentAnswer.optionKey) return 'border-red-400 bg-red-50';
+    return 'border-gray-200 opacity-60';
+  };
+
+  return (
+    <Card className="student-card">
+      <CardContent className="p-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-bold text-gray-800">
+            שאלה {questionIndex + 1}/{questions.length}
+          </h3>
+          <div className="flex items-center gap-2">
+            {adaptive && (
+              <span className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800 text-sm" aria-live="polite">
+                רמה: {DIFFICULTY_TIER_LABELS[difficulty]}
+              </span>
+            )}
+            <span className="px-3 py-1 rounded-full bg-purple-100 text-purple-800 font-bold text-sm">
+              {totalScore} נקודות
+            </span>
+          </div>
+        </div>
+
+        {/* Countdown */}
+        <div className="mb-4">
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full transition-all ${remainingMs < 5000 ? 'bg-red-500' : 'bg-yellow-500'}`}
+              style={{ width: `${(remainingMs / limitMs) * 100}%` }}
+            />
+          </div>
+          <p className="text-center text-sm text-gray-600 mt-1">{Math.ceil(remainingMs / 1000)} שניות</p>
+        </div>
+
+        <div className="text-lg font-bold text-gray-800 mb-4 text-center">{question.prompt}</div>
+
+        {rules.ruleType === 'open_question' ? (
+          <form onSubmit={handleSubmitOpenAnswer} className="flex gap-2 max-w-lg mx-auto">
+            <Input
+              value={openInput}
+              onChange={(e) => setOpenInput(e.target.value)}
+              placeholder="הקלידו את התשובה..."
+              disabled={isRevealing}
+              autoFocus
+            />
+            <Button type="submit" disabled={isRevealing || !openInput.trim()} className="student-btn-primary">
+              <ArrowLeft className="w-4 h-4" />
+            </Button>
+          </form>
+        ) : (
+          <div className="grid grid-cols-1 gap-2 max-w-lg mx-auto">
+            {question.options.map(option => (
+              <button
+                key={option.key}
+                type="button"
+                onClick={() => handleChooseOption(option.key)}
+                disabled={isRevealing}
+                className={`flex items-center justify-between p-3 border-2 rounded-lg transition-colors text-right ${getOptionClass(option)}`}
+              >
+                <span>{option.value}</span>
+                {isRevealing && option.key === question.correctKey && <CheckCircle className="w-5 h-5 text-green-600" />}
+                {isRevealing && option.key === currentAnswer.optionKey && !currentAnswer.correct && (
+                  <XCircle className="w-5 h-5 text-red-500" />
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Answer reveal */}
+        <div className="mt-4 text-center min-h-[1.5rem]" aria-live="polite">
+          {isRevealing && (
+            <p className={`font-bold ${currentAnswer.correct ? 'text-green-700' : 'text-red-600'}`}>
+              {currentAnswer.correct
+                ? `נכון! +${currentAnswer.points}`
+                : `${currentAnswer.answered ? 'לא נכון' : 'הזמן נגמר'}. התשובה: ${question.acceptedAnswers[0]}`}
+              {!currentAnswer.correct && currentAnswer.points < 0 && ` (${currentAnswer.points})`}
+            </p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default QuizGameBoard;
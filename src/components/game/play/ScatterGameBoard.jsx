@@ -0,0 +1,361 @@
+/**
+ * ScatterGameBoard - Word-search (תפזורת) player for the student GamePlay page
+ *
+ * Students swipe across the grid (or tap the first and last letter) to mark
+ * a word. Found words are shared with the rest of the session via socketClient.
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { GamepadIcon, Trophy, Home, CheckCircle } from 'lucide-react';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import {
+  SCATTER_LANGUAGES,
+  DEFAULT_SCATTER_SETTINGS,
+  resolveScatterRules,
+  generateScatterGrid,
+  getLineCells,
+  findPlacementForSelection,
+  createScatterGameState,
+  markWordFound,
+  recordScatterMiss,
+  mergeScatterGameState
+} from '@/utils/scatterGameUtils';
+
+// Highlight colors for found words, picked by placement index
+const FOUND_COLORS = [
+  'bg-green-200',
+  'bg-yellow-200',
+  'bg-pink-200',
+  'bg-sky-200',
+  'bg-orange-200',
+  'bg-lime-200',
+  'bg-violet-200',
+  'bg-teal-200'
+];
+
+const cellKey = (row, col) => `${row}-${col}`;
+
+const ScatterGameBoard = ({
+  sessionId,
+  settings,
+  participants = [],
+  participantId,
+  initialGameState = null,
+  gameStarted,
+  onExit,
+  sandbox = false,
+  spectator = false
+}) => {
+  const language = settings?.language || DEFAULT_SCATTER_SETTINGS.language;
+  const isRtl = language !== SCATTER_LANGUAGES.EN;
+
+  // Seeded by the session so everyone in the room gets the same grid
+  const puzzle = useMemo(() => {
+    const gameSettings = { ...DEFAULT_SCATTER_SETTINGS, ...(settings || {}) };
+
+    return generateScatterGrid({
+      words: gameSettings.words,
+      size: gameSettings.grid_size,
+      directions: gameSettings.directions,
+      allowReverse: gameSettings.allow_reverse,
+      language: gameSettings.language,
+      seed: sessionId
+    });
+  }, [sessionId, settings]);
+
+  const totalWords = puzzle.placements.length;
+  const rules = useMemo(() => resolveScatterRules(settings), [settings]);
+
+  const [gameState, setGameState] = useState(
+    initialGameState?.game_type === 'scatter_game'
+      ? initialGameState
+      : createScatterGameState(participants.map(p => p.id), totalWords)
+  );
+  const [anchor, setAnchor] = useState(null);
+  const [hoverCell, setHoverCell] = useState(null);
+  const [feedback, setFeedback] = useState('');
+
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+  const draggingRef = useRef(false);
+
+  const playerNames = useMemo(() => Object.fromEntries(
+    participants.map(p => [p.id, p.display_name])
+  ), [participants]);
+
+  // Map each found cell to the color of the word that covers it
+  const foundCellColors = useMemo(() => {
+    const colors = {};
+    puzzle.placements.forEach((placement, index) => {
+      if (!gameState.found[placement.id]) return;
+      placement.cells.forEach(([r, c]) => {
+        colors[cellKey(r, c)] = FOUND_COLORS[index % FOUND_COLORS.length];
+      });
+    });
+    return colors;
+  }, [puzzle, gameState.found]);
+
+  const selectionCells = useMemo(() => {
+    if (!anchor) return new Set();
+    const cells = getLineCells(anchor, hoverCell || anchor) || [anchor];
+    return new Set(cells.map(([r, c]) => cellKey(r, c)));
+  }, [anchor, hoverCell]);
+
+  const commitState = useCallback((nextState) => {
+    if (!nextState || nextState === gameStateRef.current) return;
+
+    gameStateRef.current = nextState;
+    setGameState(nextState);
+    // A teacher's test play and spectators stay local
+    if (!sandbox && !spectator) {
+      socketClient.sendGameStateUpdate(sessionId, nextState);
+    }
+  }, [sessionId, sandbox, spectator]);
+
+  // Receive words found by other players
+  useEffect(() => {
+    const unsubscribe = socketClient.onSessionEvent(SESSION_EVENT_TYPES.MOVE, (data) => {
+      if (data?.session_id !== sessionId) return;
+
+      const incoming = data.game_state;
+      if (incoming?.game_type !== 'scatter_game') return;
+
+      const merged = mergeScatterGameState(gameStateRef.current, incoming, totalWords, rules);
+      const addsToIncoming = Object.keys(merged.found).length > Object.keys(incoming.found || {}).length;
+
+      if (addsToIncoming) {
+        // We know about words the sender missed - share them back
+        commitState({ ...merged, version: merged.version + 1 });
+      } else {
+        gameStateRef.current = merged;
+        setGameState(merged);
+      }
+    });
+
+    return unsubscribe;
+  }, [sessionId, totalWords, rules, commitState]);
+
+  const submitSelection = (start, end) => {
+    const cells = getLineCells(start, end);
+    const placement = findPlacementForSelection(puzzle.placements, cells);
+
+    if (!placement) {
+      commitState(recordScatterMiss(gameStateRef.current, participantId, rules));
+      setFeedback('זו לא אחת המילים, נסו שוב');
+      return;
+    }
+
+    if (gameStateRef.current.found[placement.id]) {
+      setFeedback(`המילה "${placement.text}" כבר נמצאה`);
+      return;
+    }
+
+    commitState(markWordFound(gameStateRef.current, placement.id, participantId, totalWords, rules));
+    setFeedback(`מצאתם את "${placement.text}"!`);
+  };
+
+  const getCellFromPoint = (x, y) => {
+    const element = document.elementFromPoint(x, y);
+    const cell = element?.closest?.('[data-scatter-cell]');
+    if (!cell) return null;
+    return [Number(cell.dataset.row), Number(cell.dataset.col)];
+  };
+
+  const handlePointerDown = (event, row, col) => {
+    if (gameState.finished || spectator) return;
+    event.preventDefault();
+
+    // A second tap completes a tap-tap selection (tapping the same letter cancels it)
+    if (anchor && !draggingRef.current) {
+      if (anchor[0] !== row || anchor[1] !== col) {
+        submitSelection(anchor, [row, col]);
+      }
+      setAnchor(null);
+      setHoverCell(null);
+      return;
+    }
+
+    draggingRef.current = true;
+    setAnchor([row, col]);
+    setHoverCell([row, col]);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draggingRef.current) return;
+
+    const cell = getCellFromPoint(event.clientX, event.clientY);
+    if (cell && (!hoverCell || cell[0] !== hoverCell[0] || cell[1] !== hoverCell[1])) {
+      setHoverCell(cell);
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    if (!draggingRef.current) return;
+    draggingRef.current = false;
+
+    const end = getCellFromPoint(event.clientX, event.clientY) || hoverCell;
+
+    // Released on the starting cell - keep it as the anchor for tap-tap selection
+    if (!end || (end[0] === anchor[0] && end[1] === anchor[1])) return;
+
+    submitSelection(anchor, end);
+    setAnchor(null);
+    setHoverCell(null);
+  };
+
+  // Keyboard: Enter/Space on a letter works like a tap
+  const handleCellKeyDown = (event, row, col) => {
+    if (gameState.finished || spectator || (event.key !== 'Enter' && event.key !== ' ')) return;
+    event.preventDefault();
+
+    if (!anchor) {
+      setAnchor([row, col]);
+      setHoverCell([row, col]);
+    } else if (anchor[0] === row && anchor[1] === col) {
+      setAnchor(null);
+      setHoverCell(null);
+    } else {
+      submitSelection(anchor, [row, col]);
+      setAnchor(null);
+      setHoverCell(null);
+    }
+  };
+
+  if (!gameStarted) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <GamepadIcon className="w-16 h-16 text-purple-500 mx-auto mb-4" />
+          <h3 className="text-lg font-bold text-gray-800 mb-2">תפזורת</h3>
+          <p className="text-gray-600">ממתין לתחילת המשחק...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (totalWords === 0) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <p className="text-gray-700">אין מילים בתפזורת הזו עדיין</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const foundCount = Object.keys(gameState.found).length;
+  const ranking = participants
+    .map(p => [p.id, gameState.scores[p.id] || 0])
+    .sort(([, a], [, b]) => b - a);
+
+  return (
+    <Card className="student-card">
+      <CardContent className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-gray-800">תפזורת</h3>
+          <span className="text-sm text-gray-600">{foundCount}/{totalWords} מילים</span>
+        </div>
+
+        {gameState.finished && (
+          <div className="mb-4 p-4 rounded-lg bg-yellow-50 border border-yellow-300 text-center">
+            <Trophy className="w-10 h-10 text-yellow-500 mx-auto mb-2" />
+            <p className="font-bold text-gray-800 mb-3">כל המילים נמצאו!</p>
+            {onExit && (
+              <Button onClick={onExit} className="student-btn-primary">
+                <Home className="w-4 h-4 ml-2" />
+                חזרה לעמוד הבית
+              </Button>
+            )}
+          </div>
+        )}
+
+        <p className="mb-4 text-sm text-center text-gray-600 min-h-[1.25rem]" aria-live="polite">
+          {feedback || 'החליקו על האותיות של מילה, או הקישו על האות הראשונה ועל האחרונה'}
+        </p>
+
+        <div className="flex flex-col md:flex-row gap-6">
+          {/* Grid - columns stay left-to-right so swipes map to the same cells for every player */}
+          <div
+            dir="ltr"
+            role="grid"
+            aria-label="לוח התפזורת"
+            className="grid gap-1 w-full max-w-lg mx-auto select-none touch-none"
+            style={{ gridTemplateColumns: `repeat(${puzzle.size}, minmax(0, 1fr))` }}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          >
+            {puzzle.grid.flatMap((row, r) => row.map((letter, c) => {
+              const key = cellKey(r, c);
+              const isSelected = selectionCells.has(key);
+              const foundColor = foundCellColors[key];
+
+              return (
+                <div
+                  key={key}
+                  role="gridcell"
+                  tabIndex={spectator ? -1 : 0}
+                  data-scatter-cell
+                  data-row={r}
+                  data-col={c}
+                  aria-selected={isSelected}
+                  onPointerDown={(e) => handlePointerDown(e, r, c)}
+                  onKeyDown={(e) => handleCellKeyDown(e, r, c)}
+                  className={`aspect-square flex items-center justify-center rounded font-bold text-sm sm:text-lg cursor-pointer transition-colors focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                    isSelected
+                      ? 'bg-purple-500 text-white'
+                      : foundColor
+                        ? `${foundColor} text-gray-800`
+                        : 'bg-white text-gray-800 hover:bg-purple-50'
+                  }`}
+                >
+                  {letter}
+                </div>
+              );
+            }))}
+          </div>
+
+          {/* Word list and scores */}
+          <div className="md:w-56 space-y-4" dir={isRtl ? 'rtl' : 'ltr'}>
+            <ul className="flex flex-wrap md:flex-col gap-2">
+              {puzzle.placements.map(placement => {
+                const claim = gameState.found[placement.id];
+                return (
+                  <li
+                    key={placement.id}
+                    className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm ${
+                      claim ? 'bg-green-100 text-green-800 line-through' : 'bg-purple-50 text-gray-800'
+                    }`}
+                  >
+                    {claim && <CheckCircle className="w-4 h-4 shrink-0" />}
+                    <span>{placement.text}</span>
+                    {claim && (
+                      <span className="text-xs no-underline opacity-75">
+                        ({claim.by === participantId ? 'אתה' : (playerNames[claim.by] || 'שחקן')})
+                      </span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="space-y-1" dir="rtl">
+              {ranking.map(([playerId, score]) => (
+                <div key={playerId} className="flex items-center justify-between text-sm">
+                  <span className={playerId === participantId ? 'font-bold text-green-700' : 'text-gray-700'}>
+                    {playerNames[playerId] || 'שחקן'}
+                  </span>
+                  <span className="font-bold text-purple-700">{score}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ScatterGameBoard;
@@ -0,0 +1,374 @@
+/**
+ * SharpAndSmoothBoard - Round-based speed game (חד וחלק) for the student GamePlay page
+ *
+ * Each round shows one side of a content pair; every player races to pick its
+ * partner. The first participant in the session drives the round clock, and
+ * the rest take over if that player drops out. Spectators never drive the
+ * clock - they only show the states received from the session.
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { GamepadIcon, Trophy, Home, RefreshCw, Zap, CheckCircle, XCircle } from 'lucide-react';
+import { GameContent } from '@/services/apiClient';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import { luderror } from '@/lib/ludlog';
+import GameCardFace from './GameCardFace';
+import { getContentLabel } from '@/utils/gameContentUtils';
+import {
+  SHARP_AND_SMOOTH_PHASE,
+  normalizeSharpAndSmoothSettings,
+  resolveSharpAndSmoothRules,
+  buildSharpAndSmoothRounds,
+  createSharpAndSmoothState,
+  getPlayerAnswer,
+  submitSharpAndSmoothAnswer,
+  haveAllPlayersAnswered,
+  getPhaseDuration,
+  advanceSharpAndSmooth,
+  mergeSharpAndSmoothState,
+  getRoundResults,
+  getSharpAndSmoothRanking
+} from '@/utils/sharpAndSmoothUtils';
+
+// Extra time other players wait before advancing a round themselves
+const TAKEOVER_GRACE_MS = 3000;
+const CLOCK_TICK_MS = 250;
+
+const SharpAndSmoothBoard = ({
+  gameId,
+  sessionId,
+  settings,
+  participants = [],
+  participantId,
+  initialGameState = null,
+  gameStarted,
+  onExit,
+  sandbox = false,
+  spectator = false
+}) => {
+  const [contentPairs, setContentPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [gameState, setGameState] = useState(
+    initialGameState?.game_type === 'sharp_and_smooth' ? initialGameState : null
+  );
+  const [now, setNow] = useState(Date.now());
+
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+
+  const gameSettings = useMemo(() => normalizeSharpAndSmoothSettings(settings), [settings]);
+  const rules = useMemo(() => resolveSharpAndSmoothRules(settings), [settings]);
+
+  const participantIds = useMemo(() => participants.map(p => p.id), [participants]);
+  const playerNames = useMemo(() => Object.fromEntries(
+    participants.map(p => [p.id, p.display_name])
+  ), [participants]);
+
+  const isRoundLeader = participantIds[0] === participantId;
+
+  const loadContentPairs = useCallback(async () => {
+    if (!gameId) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await GameContent.getGameContents(gameId, 'pair');
+      setContentPairs(response.data || []);
+    } catch (err) {
+      luderror.game('Error loading sharp and smooth pairs:', err);
+      setError('שגיאה בטעינת תוכן המשחק');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    loadContentPairs();
+  }, [loadContentPairs]);
+
+  const rounds = useMemo(
+    () => buildSharpAndSmoothRounds(contentPairs, gameSettings, rules, sessionId),
+    [contentPairs, gameSettings, rules, sessionId]
+  );
+
+  const commitState = useCallback((nextState) => {
+    if (!nextState || nextState === gameStateRef.current) return;
+
+    gameStateRef.current = nextState;
+    setGameState(nextState);
+    // A teacher's test play and spectators stay local
+    if (!sandbox && !spectator) {
+      socketClient.sendGameStateUpdate(sessionId, nextState);
+    }
+  }, [sessionId, sandbox, spectator]);
+
+  // Start the first round once the game starts and the rounds are ready
+  useEffect(() => {
+    if (spectator || !gameStarted || gameStateRef.current || rounds.length === 0) return;
+
+    const initialState = createSharpAndSmoothState(Date.now(), rounds.map(round => round.id));
+    if (isRoundLeader) {
+      commitState(initialState);
+    } else {
+      setGameState(initialState);
+    }
+  }, [spectator, gameStarted, rounds, isRoundLeader, commitState]);
+
+  // Receive answers and round changes from other players
+  useEffect(() => {
+    const unsubscribe = socketClient.onSessionEvent(SESSION_EVENT_TYPES.MOVE, (data) => {
+      if (data?.session_id !== sessionId) return;
+
+      const incoming = data.game_state;
+      if (incoming?.game_type !== 'sharp_and_smooth') return;
+
+      const merged = mergeSharpAndSmoothState(gameStateRef.current, incoming);
+      gameStateRef.current = merged;
+      setGameState(merged);
+    });
+
+    return unsubscribe;
+  }, [sessionId]);
+
+  // Round clock
+  useEffect(() => {
+    if (!gameState || gameState.phase === SHARP_AND_SMOOTH_PHASE.FINISHED) return;
+
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(interval);
+  }, [gameState]);
+
+  // Advance the round when time is up (or everyone answered)
+  useEffect(() => {
+    if (spectator || !gameState || gameState.phase === SHARP_AND_SMOOTH_PHASE.FINISHED) return;
+
+    const phaseEndsAt = gameState.phaseStartedAt + getPhaseDuration(gameState, gameSettings, rules);
+    const everyoneAnswered = gameState.phase === SHARP_AND_SMOOTH_PHASE.QUESTION &&
+      haveAllPlayersAnswered(gameState, participantIds);
+    const lastAnswerAt = everyoneAnswered
+      ? Math.max(...participantIds.map(id => getPlayerAnswer(gameState, gameState.round, id).at))
+      : Infinity;
+    const dueAt = Math.min(phaseEndsAt, lastAnswerAt);
+    const grace = isRoundLeader ? 0 : TAKEOVER_GRACE_MS;
+
+    if (now >= dueAt + grace) {
+      commitState(advanceSharpAndSmooth(gameStateRef.current, rounds.length, Date.now()));
+    }
+  }, [spectator, now, gameState, gameSettings, rules, participantIds, isRoundLeader, rounds.length, commitState]);
+
+  const handleAnswer = (optionKey) => {
+    if (spectator) return;
+    commitState(submitSharpAndSmoothAnswer(gameStateRef.current, rounds, rules, participantId, optionKey, Date.now()));
+  };
+
+  if (!gameStarted) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <GamepadIcon className="w-16 h-16 text-purple-500 mx-auto mb-4" />
+          <h3 className="text-lg font-bold text-gray-800 mb-2">חד וחלק</h3>
+          <p className="text-gray-600">ממתין לתחילת המשחק...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (loading) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <div className="w-10 h-10 border-4 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-purple-700 font-medium">טוען סבבים...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (error || rounds.length === 0) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <p className="text-gray-700 mb-4">{error || 'צריך לפחות שני זוגות תוכן כדי לשחק'}</p>
+          {error && (
+            <Button onClick={loadContentPairs} className="student-btn-primary">
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!gameState) {
+    if (!spectator) return null;
+
+    return (
+      <Card className="student-card">
+        <CardContent className="p-8 text-center">
+          <div className="w-10 h-10 border-4 border-purple-500 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+          <p className="text-purple-700 font-medium">ממתין לסבב הראשון...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const ranking = getSharpAndSmoothRanking(gameState, participantIds, rules);
+
+  if (gameState.phase === SHARP_AND_SMOOTH_PHASE.FINISHED) {
+    return (
+      <Card className="student-card">
+        <CardContent className="p-6 text-center">
+          <Trophy className="w-16 h-16 text-yellow-500 mx-auto mb-4" />
+          <h3 className="text-xl font-bold text-gray-800 mb-6">המשחק הסתיים!</h3>
+
+          <ol className="max-w-sm mx-auto space-y-2 mb-6">
+            {ranking.map(entry => (
+              <li
+                key={entry.playerId}
+                className={`flex items-center justify-between px-4 py-2 rounded-lg ${
+                  entry.rank === 1 ? 'bg-yellow-100 border border-yellow-300' : 'bg-gray-50 border border-gray-200'
+                }`}
+              >
+                <span className="font-bold text-gray-700">{entry.rank}.</span>
+                <span className="flex-1 text-right mr-3 text-gray-800">
+                  {playerNames[entry.playerId] || 'שחקן'}
+                  {entry.playerId === participantId && (
+                    <span className="text-xs text-green-600 font-bold mr-1">(אתה)</span>
+                  )}
+                </span>
+                <span className="font-bold text-purple-700">{entry.score} נק׳</span>
+              </li>
+            ))}
+          </ol>
+
+          {onExit && (
+            <Button onClick={onExit} className="student-btn-primary">
+              <Home className="w-4 h-4 ml-2" />
+              חזרה לעמוד הבית
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const round = rounds[gameState.round];
+  const isReveal = gameState.phase === SHARP_AND_SMOOTH_PHASE.REVEAL;
+  const myAnswer = getPlayerAnswer(gameState, gameState.round, participantId);
+  const phaseDuration = getPhaseDuration(gameState, gameSettings, rules);
+  const remainingMs = Math.max(0, gameState.phaseStartedAt + phaseDuration - now);
+  const roundResults = isReveal ? getRoundResults(gameState, gameState.round, rules) : [];
+
+  const getOptionClass = (option) => {
+    if (isReveal) {
+      if (option.key === round.correctKey) return 'border-green-500 bg-green-50';
+      if (option.key === myAnswer?.optionKey) return 'border-red-400 bg-red-50';
+      return 'border-gray-200 opacity-60';
+    }
+    if (option.key === myAnswer?.optionKey) return 'border-purple-500 bg-purple-50';
+    return 'border-gray-200 hover:border-purple-400 hover:bg-purple-50';
+  };
+
+  return (
+    <Card className="student-card">
+      <CardContent className="p-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-bold text-gray-800 flex items-center gap-2">
+            <Zap className="w-5 h-5 text-yellow-500" />
+            חד וחלק
+          </h3>
+          <span className="text-sm text-gray-600">
+            סבב {gameState.round + 1}/{rounds.length}
+          </span>
+        </div>
+
+        {/* Countdown */}
+        {!isReveal && (
+          <div className="mb-4">
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className={`h-full transition-all ${remainingMs < 5000 ? 'bg-red-500' : 'bg-purple-500'}`}
+                style={{ width: `${(remainingMs / phaseDuration) * 100}%` }}
+              />
+            </div>
+            <p className="text-center text-sm text-gray-600 mt-1">{Math.ceil(remainingMs / 1000)} שניות</p>
+          </div>
+        )}
+
+        {/* Prompt */}
+        <div className="flex justify-center mb-6">
+          <GameCardFace content={round.prompt} size="lg" />
+        </div>
+
+        <p className="text-center text-sm font-medium text-gray-700 mb-3" aria-live="polite">
+          {isReveal
+            ? (spectator ? 'סוף הסבב' : myAnswer?.correct ? 'תשובה נכונה!' : myAnswer ? 'לא הפעם...' : 'הזמן נגמר')
+            : (spectator ? 'השחקנים עונים...' : myAnswer ? 'ממתינים לשאר השחקנים...' : 'מה מתאים? מהר!')}
+        </p>
+
+        {/* Options */}
+        <div className="grid grid-cols-2 gap-3 mb-6">
+          {round.options.map(option => (
+            <button
+              key={option.key}
+              type="button"
+              onClick={() => handleAnswer(option.key)}
+              disabled={spectator || isReveal || !!myAnswer}
+              aria-label={getContentLabel(option.value)}
+              className={`relative flex items-center justify-center p-3 border-2 rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-purple-500 ${getOptionClass(option)}`}
+            >
+              <GameCardFace content={option.value} size="sm" />
+              {isReveal && option.key === round.correctKey && (
+                <CheckCircle className="absolute top-1 left-1 w-5 h-5 text-green-600" />
+              )}
+              {isReveal && option.key === myAnswer?.optionKey && !myAnswer.correct && (
+                <XCircle className="absolute top-1 left-1 w-5 h-5 text-red-500" />
+              )}
+            </button>
+          ))}
+        </div>
+
+        {/* Round results */}
+        {isReveal && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <p className="text-sm font-bold text-gray-800 mb-2">הכי מהירים בסבב:</p>
+            {roundResults.length === 0 ? (
+              <p className="text-sm text-gray-600">אף אחד לא ענה נכון בסבב הזה</p>
+            ) : (
+              <ol className="space-y-1">
+                {roundResults.map(result => (
+                  <li key={result.playerId} className="flex items-center justify-between text-sm">
+                    <span>{playerNames[result.playerId] || 'שחקן'}</span>
+                    <span className="font-bold text-purple-700">+{result.points}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        {/* Scores */}
+        <div className="flex flex-wrap gap-2">
+          {ranking.map(entry => (
+            <div
+              key={entry.playerId}
+              className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm ${
+                entry.playerId === participantId ? 'bg-purple-500 text-white' : 'bg-purple-100 text-purple-800'
+              }`}
+            >
+              <span>{playerNames[entry.playerId] || 'שחקן'}</span>
+              <span className="font-bold">{entry.score}</span>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SharpAndSmoothBoard;
@@ -0,0 +1,109 @@
+import { useState, useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Save } from 'lucide-react';
+import {
+  RULE_DIFFICULTIES,
+  DEFAULT_RULE_DIFFICULTY,
+  getUsableRuleTemplates
+} from '@/utils/ruleTemplateEngine';
+import { DIFFICULTY_TIER_LABELS, supportsAdaptiveDifficulty } from '@/utils/adaptiveDifficultyUtils';
+
+// Game settings value for "use the game's default template"
+const DEFAULT_TEMPLATE = 'default';
+
+const DEFAULT_DESCRIPTION = 'תבנית הכללים ורמת הקושי קובעות את הניקוד במשחק';
+
+/**
+ * RuleTemplateSettings - Rule template and difficulty section of a game's settings
+ * Saves rule_template_id and difficulty into the game settings, for the games
+ * that score through the rule template engine
+ */
+const RuleTemplateSettings = ({
+  gameType,
+  description = DEFAULT_DESCRIPTION,
+  gameEntity,
+  onSettingsChange,
+  isUpdating = false
+}) => {
+  const savedSettings = gameEntity?.game_settings || {};
+
+  const [templateId, setTemplateId] = useState(savedSettings.rule_template_id || DEFAULT_TEMPLATE);
+  const [difficulty, setDifficulty] = useState(
+    RULE_DIFFICULTIES.includes(savedSettings.difficulty) ? savedSettings.difficulty : DEFAULT_RULE_DIFFICULTY
+  );
+
+  const templates = useMemo(() => getUsableRuleTemplates(gameType), [gameType]);
+
+  const handleSave = () => {
+    if (onSettingsChange) {
+      onSettingsChange({
+        ...savedSettings,
+        rule_template_id: templateId === DEFAULT_TEMPLATE ? null : templateId,
+        difficulty
+      });
+    }
+  };
+
+  return (
+    <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-blue-800">כללי משחק</h3>
+          <p className="text-sm text-blue-600">
+            {description}
+          </p>
+        </div>
+        <Button
+          onClick={handleSave}
+          size="sm"
+          disabled={isUpdating}
+        >
+          <Save className="w-4 h-4 ml-1" />
+          שמור כללים
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-1">
+          <Label>תבנית כללים</Label>
+          <Select value={templateId} onValueChange={setTemplateId}>
+            <SelectTrigger className="bg-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={DEFAULT_TEMPLATE}>ברירת המחדל של המשחק</SelectItem>
+              {templates.map(template => (
+                <SelectItem key={template.id} value={template.id}>
+                  {template.emoji} {template.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-1">
+          <Label>רמת קושי</Label>
+          <Select value={difficulty} onValueChange={setDifficulty}>
+            <SelectTrigger className="bg-white">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RULE_DIFFICULTIES.map(level => (
+                <SelectItem key={level} value={level}>{DIFFICULTY_TIER_LABELS[level] || level}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {!supportsAdaptiveDifficulty(gameType) && (
+            <p className="text-xs text-gray-500">
+              כל השחקנים משחקים ברמה הזו. רמת קושי מותאמת לכל שחקן זמינה כרגע רק במשחקי חידון
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RuleTemplateSettings;
@@ -1,7 +1,9 @@
 // Game Settings Components by Type
 export * from './memory_game';
+export * from './scatter_game';
+export * from './sharp_and_smooth';
+export * from './quiz_game';
+export * from './matching_game';
 
 // Placeholder exports for future game types
-// export * from './scatter_game';
-// export * from './sharp_and_smooth';
 // export * from './ar_up_there';
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Link2 } from 'lucide-react';
+import RuleTemplateSettings from '@/components/game/settings/RuleTemplateSettings';
+
+/**
+ * MatchingGameSettingsDigital - Settings for the digital matching game
+ * Chooses the rule template and difficulty the boards are built and scored with
+ */
+const MatchingGameSettingsDigital = ({
+  gameEntity,
+  onSettingsChange,
+  isUpdating = false
+}) => (
+  <Card className="border-blue-200">
+    <CardHeader className="bg-blue-50 border-b border-blue-200">
+      <CardTitle className="flex items-center gap-2 text-blue-800">
+        <Link2 className="w-5 h-5" />
+        הגדרות משחק התאמה
+      </CardTitle>
+    </CardHeader>
+
+    <CardContent className="p-6">
+      <RuleTemplateSettings
+        gameType="matching_game"
+        gameEntity={gameEntity}
+        onSettingsChange={onSettingsChange}
+        isUpdating={isUpdating}
+      />
+    </CardContent>
+  </Card>
+);
+
+export default MatchingGameSettingsDigital;
@@ -0,0 +1,2 @@
+// Matching Game Settings Components
+export { default as MatchingGameSettingsDigital } from './MatchingGameSettingsDigital';
\ No newline at end of file
@@ -2,11 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Monitor, Plus, RefreshCw, AlertTriangle } from 'lucide-react';
+import { Monitor, Plus, RefreshCw, AlertTriangle, FileSpreadsheet, Link2 } from 'lucide-react';
 import { GameContent } from '@/services/apiClient';
 import { showSuccess, showError } from '@/utils/messaging';
 import ContentPairDisplay from '@/components/game/edu-content/ContentPairDisplay';
 import ContentPairEditor from '@/components/game/edu-content/ContentPairEditor';
+import ContentPairImportDialog from '@/components/game/edu-content/ContentPairImportDialog';
+import RelationshipPairGeneratorDialog from '@/components/game/edu-content/RelationshipPairGeneratorDialog';
+import RuleTemplateSettings from '@/components/game/settings/RuleTemplateSettings';
 
 const MemoryGameSettingsDigital = ({
   gameProduct,
@@ -20,6 +23,8 @@ const MemoryGameSettingsDigital = ({
   const [showPairEditor, setShowPairEditor] = useState(false);
   const [editingPair, setEditingPair] = useState(null);
   const [deletingPairId, setDeletingPairId] = useState(null);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [showGeneratorDialog, setShowGeneratorDialog] = useState(false);
 
   // Load content pairs on mount
   useEffect(() => {
@@ -67,6 +72,7 @@ const MemoryGameSettingsDigital = ({
     // Trigger settings change callback to parent if needed
     if (onSettingsChange) {
       onSettingsChange({
+        ...gameEntity?.game_settings,
         content_pairs_count: contentPairs.length + (editingPair ? 0 : 1)
       });
     }
@@ -83,6 +89,7 @@ const MemoryGameSettingsDigital = ({
       // Trigger settings change callback to parent if needed
       if (onSettingsChange) {
         onSettingsChange({
+          ...gameEntity?.game_settings,
           content_pairs_count: contentPairs.length - 1
         });
       }
@@ -115,6 +122,24 @@ const MemoryGameSettingsDigital = ({
             >
               <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
             </Button>
+            <Button
+              onClick={() => setShowImportDialog(true)}
+              variant="outline"
+              size="sm"
+              disabled={isLoading || isUpdating || !gameEntity?.id}
+            >
+              <FileSpreadsheet className="w-4 h-4 ml-1" />
+              ייבוא מקובץ
+            </Button>
+            <Button
+              onClick={() => setShowGeneratorDialog(true)}
+              variant="outline"
+              size="sm"
+              disabled={isLoading || isUpdating || !gameEntity?.id}
+            >
+              <Link2 className="w-4 h-4 ml-1" />
+              יצירה מקשרי מילים
+            </Button>
             <Button
               onClick={handleAddNewPair}
               variant="default"
@@ -129,6 +154,16 @@ const MemoryGameSettingsDigital = ({
       </CardHeader>
 
       <CardContent className="p-6">
+        {/* Rule Template */}
+        <div className="mb-6">
+          <RuleTemplateSettings
+            gameType="memory_game"
+            gameEntity={gameEntity}
+            onSettingsChange={onSettingsChange}
+            isUpdating={isUpdating}
+          />
+        </div>
+
         {/* Error Display */}
         {error && (
           <Alert variant="destructive" className="mb-4">
@@ -210,6 +245,23 @@ const MemoryGameSettingsDigital = ({
         contentUse={editingPair}
         mode={editingPair ? 'edit' : 'create'}
       />
+
+      {/* Bulk Import Modal */}
+      <ContentPairImportDialog
+        isOpen={showImportDialog}
+        onClose={() => setShowImportDialog(false)}
+        gameId={gameEntity?.id}
+        onImported={handleRefresh}
+      />
+
+      {/* Pairs From Word Relationships Modal */}
+      <RelationshipPairGeneratorDialog
+        isOpen={showGeneratorDialog}
+        onClose={() => setShowGeneratorDialog(false)}
+        gameId={gameEntity?.id}
+        contentPairs={contentPairs}
+        onGenerated={handleRefresh}
+      />
     </Card>
   );
 };
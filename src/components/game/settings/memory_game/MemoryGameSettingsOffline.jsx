@@ -1,10 +1,39 @@
-import React from 'react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-import { FileText, Settings, Printer } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { FileText, Printer, Save, RefreshCw, AlertTriangle } from 'lucide-react';
+import { GameContent } from '@/services/apiClient';
+import { showError } from '@/utils/messaging';
+import { luderror } from '@/lib/ludlog';
+import GameCardFace from '@/components/game/play/GameCardFace';
+import { openPrintWindow } from '@/utils/printUtils';
+import {
+  MEMORY_PRINT_CARD_SIZES,
+  MEMORY_PRINT_DUPLEX,
+  normalizeMemoryPrintSettings,
+  getMemorySheetLayout,
+  buildMemoryPrintCards,
+  buildMemoryPrintDocument
+} from '@/utils/memoryPrintUtils';
+
+const DUPLEX_OPTIONS = [
+  { value: MEMORY_PRINT_DUPLEX.LONG_EDGE, label: 'דו־צדדי - היפוך בצד הארוך' },
+  { value: MEMORY_PRINT_DUPLEX.SHORT_EDGE, label: 'דו־צדדי - היפוך בצד הקצר' },
+  { value: MEMORY_PRINT_DUPLEX.NONE, label: 'חד־צדדי (ללא גב לקלפים)' }
+];
+
+// Cards shown in the preview strip
+const PREVIEW_CARDS = 6;
 
 /**
  * MemoryGameSettingsOffline - Offline/Print version settings for memory games
- * Handles configuration for printable memory game materials
+ * Builds print-ready A4 card sheets from the game's content pairs: card size,
+ * duplex card backs, cut lines and the composite card styles of each pair
  */
 const MemoryGameSettingsOffline = ({
   gameProduct,
@@ -12,85 +41,213 @@ const MemoryGameSettingsOffline = ({
   onSettingsChange,
   isUpdating = false
 }) => {
+  const savedSettings = gameEntity?.game_settings || {};
+
+  const [printSettings, setPrintSettings] = useState(() => normalizeMemoryPrintSettings(savedSettings.print_settings));
+  const [contentPairs, setContentPairs] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const gameTitle = gameProduct?.title || '';
+
+  const loadContentPairs = useCallback(async () => {
+    if (!gameEntity?.id) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await GameContent.getGameContents(gameEntity.id, 'pair');
+      setContentPairs(response.data || []);
+    } catch (err) {
+      luderror.api('Error loading content pairs:', err);
+      setError('שגיאה בטעינת זוגות התוכן');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [gameEntity?.id]);
+
+  useEffect(() => {
+    loadContentPairs();
+  }, [loadContentPairs]);
+
+  const normalized = useMemo(() => normalizeMemoryPrintSettings(printSettings), [printSettings]);
+  const layout = useMemo(() => getMemorySheetLayout(normalized.card_size), [normalized.card_size]);
+  const cards = useMemo(
+    () => buildMemoryPrintCards(contentPairs, normalized.pairs_count),
+    [contentPairs, normalized.pairs_count]
+  );
+
+  // Duplex backs share the paper of their fronts
+  const paperSheets = Math.ceil(cards.length / layout.perPage) + (normalized.include_instructions ? 1 : 0);
+
+  const handleChange = (key, value) => {
+    setPrintSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = () => {
+    setPrintSettings(normalized);
+
+    if (onSettingsChange) {
+      onSettingsChange({ ...savedSettings, print_settings: normalized });
+    }
+  };
+
+  const handlePrint = () => {
+    const { body, styles } = buildMemoryPrintDocument({
+      contentPairs,
+      printSettings: normalized,
+      title: gameTitle
+    });
+
+    if (!openPrintWindow({ title: gameTitle || 'משחק זיכרון', body, styles })) {
+      showError('לא ניתן לפתוח חלון הדפסה', 'יש לאפשר חלונות קופצים באתר ולנסות שוב');
+    }
+  };
+
   return (
     <Card className="border-green-200">
       <CardHeader className="bg-green-50 border-b border-green-200">
-        <CardTitle className="flex items-center gap-2 text-green-800">
-          <FileText className="w-5 h-5" />
-          הגדרות משחק זיכרון להדפסה
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-green-800">
+            <FileText className="w-5 h-5" />
+            הגדרות משחק זיכרון להדפסה
+          </div>
+          <Button
+            onClick={loadContentPairs}
+            variant="outline"
+            size="sm"
+            disabled={isLoading || isUpdating}
+          >
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </Button>
         </CardTitle>
       </CardHeader>
       <CardContent className="p-6">
         <div className="space-y-6">
-          {/* Game Info */}
-          <div className="flex items-center gap-3 p-4 bg-green-50 rounded-lg">
-            <div className="w-12 h-12 bg-green-100 rounded-full flex items-center justify-center">
-              <Printer className="w-6 h-6 text-green-600" />
-            </div>
-            <div>
-              <h3 className="font-semibold text-green-800">משחק זיכרון להדפסה</h3>
-              <p className="text-sm text-green-600">
-                הגדרות ליצירת קלפים פיזיים למשחק זיכרון
-              </p>
-            </div>
-          </div>
+          {error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
 
-          {/* Placeholder Settings */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center gap-2 mb-2">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="font-medium text-gray-700">גודל קלפים</span>
-              </div>
-              <p className="text-sm text-gray-500">הגדרת גודל הקלפים להדפסה</p>
+            <div className="space-y-2">
+              <Label>גודל קלפים</Label>
+              <Select value={normalized.card_size} onValueChange={(value) => handleChange('card_size', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(MEMORY_PRINT_CARD_SIZES).map(([key, size]) => (
+                    <SelectItem key={key} value={key}>{size.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-gray-500">{layout.perPage} קלפים בכל עמוד A4</p>
             </div>
 
-            <div className="p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center gap-2 mb-2">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="font-medium text-gray-700">מספר זוגות</span>
-              </div>
-              <p className="text-sm text-gray-500">כמה זוגות קלפים ייכללו בקובץ ההדפסה</p>
+            <div className="space-y-2">
+              <Label>מספר זוגות</Label>
+              <Input
+                type="number"
+                min={1}
+                max={contentPairs.length || undefined}
+                value={printSettings.pairs_count ?? ''}
+                placeholder={`כל הזוגות (${contentPairs.length})`}
+                onChange={(e) => handleChange('pairs_count', e.target.value)}
+              />
+              <p className="text-xs text-gray-500">ריק - כל זוגות התוכן של המשחק</p>
             </div>
 
-            <div className="p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center gap-2 mb-2">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="font-medium text-gray-700">פריסת עמוד</span>
-              </div>
-              <p className="text-sm text-gray-500">סידור הקלפים בעמוד PDF</p>
+            <div className="space-y-2">
+              <Label>הדפסה דו־צדדית</Label>
+              <Select value={normalized.duplex} onValueChange={(value) => handleChange('duplex', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {DUPLEX_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-gray-500">יש לבחור באותה אפשרות גם בחלון ההדפסה של המדפסת</p>
             </div>
 
-            <div className="p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center gap-2 mb-2">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="font-medium text-gray-700">הוראות משחק</span>
+            <div className="space-y-2">
+              <Label>גב הקלף</Label>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="color"
+                  value={normalized.back_color}
+                  onChange={(e) => handleChange('back_color', e.target.value)}
+                  className="w-14 p-1"
+                  disabled={normalized.duplex === MEMORY_PRINT_DUPLEX.NONE}
+                />
+                <Input
+                  value={printSettings.back_text}
+                  placeholder={gameTitle || 'טקסט על גב הקלף'}
+                  onChange={(e) => handleChange('back_text', e.target.value)}
+                  disabled={normalized.duplex === MEMORY_PRINT_DUPLEX.NONE}
+                />
               </div>
-              <p className="text-sm text-gray-500">כללת הוראות ברורות למורה/תלמיד</p>
             </div>
+          </div>
 
-            <div className="p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center gap-2 mb-2">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="font-medium text-gray-700">גב הקלף</span>
-              </div>
-              <p className="text-sm text-gray-500">עיצוב אחורי הקלפים</p>
+          <div className="flex flex-wrap gap-6">
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="print-cut-lines"
+                checked={normalized.cut_lines}
+                onCheckedChange={(checked) => handleChange('cut_lines', !!checked)}
+              />
+              <Label htmlFor="print-cut-lines">קווי גזירה</Label>
+            </div>
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="print-instructions"
+                checked={normalized.include_instructions}
+                onCheckedChange={(checked) => handleChange('include_instructions', !!checked)}
+              />
+              <Label htmlFor="print-instructions">עמוד הוראות משחק</Label>
             </div>
+          </div>
 
-            <div className="p-4 border border-gray-200 rounded-lg">
-              <div className="flex items-center gap-2 mb-2">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="font-medium text-gray-700">איכות הדפסה</span>
-              </div>
-              <p className="text-sm text-gray-500">רזולוציה ואיכות לצורך הדפסה</p>
+          {/* Preview */}
+          <div className="p-4 bg-green-50 rounded-lg space-y-3">
+            <div className="flex items-center gap-2 text-green-800 font-medium">
+              <Printer className="w-4 h-4" />
+              {cards.length} קלפים · {paperSheets} דפי A4
+              {normalized.duplex !== MEMORY_PRINT_DUPLEX.NONE && ' (מודפסים משני הצדדים)'}
             </div>
+            {cards.length === 0 && !isLoading ? (
+              <p className="text-sm text-gray-600">
+                אין עדיין זוגות תוכן למשחק. יש להוסיף זוגות בגרסה הדיגיטלית של המשחק או בעורך התוכן.
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {cards.slice(0, PREVIEW_CARDS).map(card => (
+                  <GameCardFace key={card.key} content={card.content} size="md" />
+                ))}
+              </div>
+            )}
           </div>
 
-          {/* Development Note */}
-          <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
-            <p className="text-sm text-gray-600 text-center">
-              🚧 רכיב זה נמצא בפיתוח - הגדרות פרטניות יתווספו בהמשך
-            </p>
+          <div className="flex flex-wrap justify-end gap-2">
+            <Button variant="outline" onClick={handleSave} disabled={isUpdating}>
+              <Save className="w-4 h-4 ml-2" />
+              שמור הגדרות הדפסה
+            </Button>
+            <Button
+              onClick={handlePrint}
+              disabled={isLoading || cards.length === 0}
+              className="bg-green-600 hover:bg-green-700"
+            >
+              <Printer className="w-4 h-4 ml-2" />
+              הדפסה / שמירה כ־PDF
+            </Button>
           </div>
         </div>
       </CardContent>
@@ -98,4 +255,4 @@ const MemoryGameSettingsOffline = ({
   );
 };
 
-export default MemoryGameSettingsOffline;
\ No newline at end of file
+export default MemoryGameSettingsOffline;
@@ -0,0 +1,348 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { HelpCircle, RefreshCw, Save, AlertTriangle, Search, X } from 'lucide-react';
+import { QA } from '@/services/entities';
+import { luderror } from '@/lib/ludlog';
+import {
+  RULE_DIFFICULTIES,
+  DEFAULT_RULE_DIFFICULTY,
+  getUsableRuleTemplates
+} from '@/utils/ruleTemplateEngine';
+import { DIFFICULTY_TIER_LABELS } from '@/utils/adaptiveDifficultyUtils';
+
+// Game settings value for "use the game's default template"
+const DEFAULT_TEMPLATE = 'default';
+
+// How many questions a search shows at a time
+const SEARCH_LIMIT = 50;
+
+const MAX_QUESTIONS_COUNT = 100;
+
+const getQuestionText = (record) => record.question_text || record.question || record.text || '';
+
+const toRecordList = (response) => (Array.isArray(response) ? response : (response?.data || []));
+
+const normalizeQuestionsCount = (value) => {
+  const count = parseInt(value, 10);
+  if (!count || count < 1) return null;
+  return Math.min(count, MAX_QUESTIONS_COUNT);
+};
+
+/**
+ * QuizGameSettingsDigital - Settings for the digital quiz game
+ * Picks the QA questions the quiz is built from, the rule template, the
+ * difficulty and how many questions each player gets
+ */
+const QuizGameSettingsDigital = ({
+  gameEntity,
+  onSettingsChange,
+  isUpdating = false
+}) => {
+  const savedSettings = gameEntity?.game_settings || {};
+
+  const [selectedIds, setSelectedIds] = useState(() => (savedSettings.qa_ids || []).map(String));
+  const [templateId, setTemplateId] = useState(savedSettings.rule_template_id || DEFAULT_TEMPLATE);
+  const [difficulty, setDifficulty] = useState(
+    RULE_DIFFICULTIES.includes(savedSettings.difficulty) ? savedSettings.difficulty : DEFAULT_RULE_DIFFICULTY
+  );
+  const [questionsCount, setQuestionsCount] = useState(savedSettings.questions_count || '');
+  const [adaptive, setAdaptive] = useState(!!savedSettings.adaptive_difficulty);
+
+  const [recordsById, setRecordsById] = useState({});
+  const [searchText, setSearchText] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  const templates = useMemo(() => getUsableRuleTemplates('quiz_game'), []);
+
+  const rememberRecords = useCallback((records) => {
+    setRecordsById(prev => ({
+      ...prev,
+      ...Object.fromEntries(records.map(record => [String(record.id), record]))
+    }));
+  }, []);
+
+  // The saved questions are loaded by id, so they show even when outside the search results
+  const loadSelectedQuestions = useCallback(async () => {
+    const savedIds = gameEntity?.game_settings?.qa_ids;
+    if (!savedIds?.length) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      rememberRecords(toRecordList(await QA.find({ id: savedIds })));
+    } catch (err) {
+      luderror.api('Error loading quiz questions:', err);
+      setError('שגיאה בטעינת שאלות החידון');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [gameEntity?.game_settings?.qa_ids, rememberRecords]);
+
+  const searchQuestions = useCallback(async (text) => {
+    setIsSearching(true);
+    setError('');
+
+    try {
+      const query = { limit: SEARCH_LIMIT };
+      if (text.trim()) query.search = text.trim();
+
+      const records = toRecordList(await QA.find(query));
+      rememberRecords(records);
+      setSearchResults(records);
+    } catch (err) {
+      luderror.api('Error searching quiz questions:', err);
+      setError('שגיאה בחיפוש שאלות');
+    } finally {
+      setIsSearching(false);
+    }
+  }, [rememberRecords]);
+
+  useEffect(() => {
+    loadSelectedQuestions();
+  }, [loadSelectedQuestions]);
+
+  useEffect(() => {
+    searchQuestions('');
+  }, [searchQuestions]);
+
+  const toggleQuestion = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+  };
+
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    searchQuestions(searchText);
+  };
+
+  const handleSave = () => {
+    const normalizedCount = normalizeQuestionsCount(questionsCount);
+    setQuestionsCount(normalizedCount || '');
+
+    if (onSettingsChange) {
+      onSettingsChange({
+        ...savedSettings,
+        qa_ids: selectedIds,
+        rule_template_id: templateId === DEFAULT_TEMPLATE ? null : templateId,
+        difficulty,
+        adaptive_difficulty: adaptive,
+        questions_count: normalizedCount
+      });
+    }
+  };
+
+  const playableQuestions = Math.min(normalizeQuestionsCount(questionsCount) || selectedIds.length, selectedIds.length);
+
+  return (
+    <Card className="border-blue-200">
+      <CardHeader className="bg-blue-50 border-b border-blue-200">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-blue-800">
+            <HelpCircle className="w-5 h-5" />
+            הגדרות חידון
+          </div>
+          <div className="flex gap-2">
+            <Button
+              onClick={() => searchQuestions(searchText)}
+              variant="outline"
+              size="sm"
+              disabled={isSearching || isUpdating}
+            >
+              <RefreshCw className={`w-4 h-4 ${isSearching ? 'animate-spin' : ''}`} />
+            </Button>
+            <Button
+              onClick={handleSave}
+              variant="default"
+              size="sm"
+              disabled={isUpdating || isLoading}
+            >
+              <Save className="w-4 h-4 ml-1" />
+              שמור הגדרות
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="p-6 space-y-6">
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {/* Quiz Rules */}
+        <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-4">
+          <div>
+            <h3 className="font-semibold text-blue-800">חוקי החידון</h3>
+            <p className="text-sm text-blue-600">
+              תבנית הכללים ורמת הקושי קובעות את זמן המענה, מספר האפשרויות והניקוד
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="space-y-1">
+              <Label>תבנית כללים</Label>
+              <Select value={templateId} onValueChange={setTemplateId}>
+                <SelectTrigger className="bg-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={DEFAULT_TEMPLATE}>ברירת המחדל של המשחק</SelectItem>
+                  {templates.map(template => (
+                    <SelectItem key={template.id} value={template.id}>
+                      {template.emoji} {template.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-1">
+              <Label>{adaptive ? 'רמת קושי התחלתית' : 'רמת קושי'}</Label>
+              <Select value={difficulty} onValueChange={setDifficulty}>
+                <SelectTrigger className="bg-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {RULE_DIFFICULTIES.map(level => (
+                    <SelectItem key={level} value={level}>{DIFFICULTY_TIER_LABELS[level] || level}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="quiz-questions-count">מספר שאלות</Label>
+              <Input
+                id="quiz-questions-count"
+                type="number"
+                min={1}
+                max={MAX_QUESTIONS_COUNT}
+                placeholder="כל השאלות"
+                value={questionsCount}
+                onChange={(e) => setQuestionsCount(e.target.value)}
+                className="bg-white"
+              />
+              <p className="text-xs text-gray-500">כמה שאלות יקבל כל שחקן. ריק - כל השאלות שנבחרו</p>
+            </div>
+          </div>
+
+          <div className="flex items-start gap-2">
+            <Checkbox
+              id="quiz-adaptive-difficulty"
+              checked={adaptive}
+              onCheckedChange={(checked) => setAdaptive(!!checked)}
+              className="mt-0.5"
+            />
+            <div>
+              <Label htmlFor="quiz-adaptive-difficulty" className="cursor-pointer">
+                רמת קושי מותאמת
+              </Label>
+              <p className="text-xs text-gray-500">
+                כל שחקן מתחיל ברמה שנבחרה ועולה או יורד רמה לפי הדיוק והמהירות של התשובות שלו.
+                זמין כרגע רק במשחקי חידון
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Selected Questions */}
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-blue-800">
+              שאלות נבחרות ({selectedIds.length})
+            </h3>
+            {selectedIds.length > 0 && (
+              <span className="text-sm text-gray-600">
+                {playableQuestions} שאלות בכל משחק
+              </span>
+            )}
+          </div>
+
+          {selectedIds.length === 0 ? (
+            <Alert>
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>
+                בחרו לפחות שאלה אחת מהמאגר כדי שאפשר יהיה לשחק
+              </AlertDescription>
+            </Alert>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {selectedIds.map(id => (
+                <span
+                  key={id}
+                  className="flex items-center gap-1 px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm"
+                >
+                  {recordsById[id] ? getQuestionText(recordsById[id]) : (isLoading ? 'טוען...' : `שאלה ${id}`)}
+                  <button
+                    type="button"
+                    onClick={() => toggleQuestion(id)}
+                    className="text-blue-600 hover:text-blue-900"
+                    aria-label="הסר שאלה"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Question Bank */}
+        <div className="space-y-3">
+          <h3 className="font-semibold text-blue-800">מאגר השאלות</h3>
+
+          <form onSubmit={handleSearchSubmit} className="flex gap-2">
+            <Input
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="חיפוש שאלה..."
+            />
+            <Button type="submit" variant="outline" disabled={isSearching}>
+              <Search className="w-4 h-4 ml-1" />
+              חפש
+            </Button>
+          </form>
+
+          {isSearching ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="flex items-center gap-2 text-blue-600">
+                <div className="w-6 h-6 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+                <span>טוען שאלות...</span>
+              </div>
+            </div>
+          ) : searchResults.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-6">לא נמצאו שאלות</p>
+          ) : (
+            <div className="border rounded-lg divide-y max-h-80 overflow-y-auto">
+              {searchResults.map(record => {
+                const id = String(record.id);
+                return (
+                  <label key={id} className="flex items-center gap-3 p-3 cursor-pointer hover:bg-gray-50">
+                    <Checkbox
+                      checked={selectedIds.includes(id)}
+                      onCheckedChange={() => toggleQuestion(id)}
+                    />
+                    <span className="text-sm text-gray-800">{getQuestionText(record)}</span>
+                  </label>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default QuizGameSettingsDigital;
@@ -0,0 +1,2 @@
+// Quiz Game Settings Components
+export { default as QuizGameSettingsDigital } from './QuizGameSettingsDigital';
\ No newline at end of file
@@ -0,0 +1,354 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Grid3x3, Plus, X, Search, Shuffle, Save, AlertTriangle } from 'lucide-react';
+import { Word, WordEN } from '@/services/entities';
+import { luderror } from '@/lib/ludlog';
+import RuleTemplateSettings from '@/components/game/settings/RuleTemplateSettings';
+import {
+  SCATTER_LANGUAGES,
+  SCATTER_GRID_SIZE,
+  SCATTER_DIRECTIONS,
+  DEFAULT_SCATTER_SETTINGS,
+  clampGridSize,
+  getWordText,
+  normalizeScatterWord,
+  generateScatterGrid
+} from '@/utils/scatterGameUtils';
+
+// How many words to load into the picker at once
+const WORD_LIST_LIMIT = 500;
+
+/**
+ * ScatterGameSettingsDigital - Word-search (תפזורת) settings for digital games
+ * Teachers pick words from the Word / WordEN dictionaries, choose the grid
+ * size and allowed directions, and preview the generated grid.
+ */
+const ScatterGameSettingsDigital = ({
+  gameEntity,
+  onSettingsChange,
+  isUpdating = false
+}) => {
+  const savedSettings = gameEntity?.game_settings || {};
+
+  const [settings, setSettings] = useState({
+    ...DEFAULT_SCATTER_SETTINGS,
+    ...savedSettings
+  });
+  const [availableWords, setAvailableWords] = useState([]);
+  const [isLoadingWords, setIsLoadingWords] = useState(false);
+  const [wordsError, setWordsError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [previewSeed, setPreviewSeed] = useState(gameEntity?.id || 'preview');
+
+  // Load the dictionary for the selected language
+  useEffect(() => {
+    const loadWords = async () => {
+      setIsLoadingWords(true);
+      setWordsError('');
+
+      try {
+        const entity = settings.language === SCATTER_LANGUAGES.EN ? WordEN : Word;
+        const response = await entity.filter({}, { limit: WORD_LIST_LIMIT });
+        const records = Array.isArray(response) ? response : (response?.data || []);
+        setAvailableWords(records);
+      } catch (error) {
+        luderror.api('Error loading words for scatter game:', error);
+        setWordsError('שגיאה בטעינת רשימת המילים');
+      } finally {
+        setIsLoadingWords(false);
+      }
+    };
+
+    loadWords();
+  }, [settings.language]);
+
+  const selectedIds = useMemo(
+    () => new Set(settings.words.map(word => word.id)),
+    [settings.words]
+  );
+
+  const filteredWords = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+
+    return availableWords
+      .filter(record => !selectedIds.has(record.id))
+      .filter(record => {
+        const text = getWordText(record);
+        if (!normalizeScatterWord(text, settings.language)) return false;
+        return !term || text.toLowerCase().includes(term);
+      })
+      .slice(0, 50);
+  }, [availableWords, selectedIds, searchTerm, settings.language]);
+
+  const preview = useMemo(() => generateScatterGrid({
+    words: settings.words,
+    size: settings.grid_size,
+    directions: settings.directions,
+    allowReverse: settings.allow_reverse,
+    language: settings.language,
+    seed: previewSeed
+  }), [settings, previewSeed]);
+
+  const previewCells = useMemo(() => preview.grid.flatMap((row, r) =>
+    row.map((letter, c) => ({ key: `${r}-${c}`, letter }))
+  ), [preview]);
+
+  const updateSetting = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleLanguageChange = (language) => {
+    // Words from the other dictionary cannot be mixed into the grid
+    setSettings(prev => ({ ...prev, language, words: [] }));
+    setSearchTerm('');
+  };
+
+  const handleToggleDirection = (direction, checked) => {
+    setSettings(prev => {
+      const directions = checked
+        ? [...new Set([...prev.directions, direction])]
+        : prev.directions.filter(key => key !== direction);
+
+      // At least one direction must stay enabled
+      return directions.length ? { ...prev, directions } : prev;
+    });
+  };
+
+  const handleAddWord = (record) => {
+    updateSetting('words', [...settings.words, { id: record.id, text: getWordText(record) }]);
+  };
+
+  const handleRemoveWord = (wordId) => {
+    updateSetting('words', settings.words.filter(word => word.id !== wordId));
+  };
+
+  const handleSave = () => {
+    if (!onSettingsChange) return;
+
+    onSettingsChange({
+      ...savedSettings,
+      language: settings.language,
+      grid_size: clampGridSize(settings.grid_size),
+      directions: settings.directions,
+      allow_reverse: settings.allow_reverse,
+      words: settings.words
+    });
+  };
+
+  const isRtl = settings.language !== SCATTER_LANGUAGES.EN;
+
+  return (
+    <Card className="border-blue-200">
+      <CardHeader className="bg-blue-50 border-b border-blue-200">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-blue-800">
+            <Grid3x3 className="w-5 h-5" />
+            הגדרות תפזורת דיגיטלית
+          </div>
+          <Button
+            onClick={handleSave}
+            variant="default"
+            size="sm"
+            disabled={isUpdating || settings.words.length === 0}
+          >
+            <Save className="w-4 h-4 ml-1" />
+            שמור הגדרות
+          </Button>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="p-6 space-y-6">
+        {/* Grid Options */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <Label>שפה</Label>
+            <Select value={settings.language} onValueChange={handleLanguageChange}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={SCATTER_LANGUAGES.HE}>עברית</SelectItem>
+                <SelectItem value={SCATTER_LANGUAGES.EN}>אנגלית</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="scatter-grid-size">גודל הלוח</Label>
+            <Input
+              id="scatter-grid-size"
+              type="number"
+              min={SCATTER_GRID_SIZE.MIN}
+              max={SCATTER_GRID_SIZE.MAX}
+              value={settings.grid_size}
+              onChange={(e) => updateSetting('grid_size', e.target.value)}
+              onBlur={() => updateSetting('grid_size', clampGridSize(settings.grid_size))}
+            />
+            <p className="text-xs text-gray-500">
+              בין {SCATTER_GRID_SIZE.MIN} ל-{SCATTER_GRID_SIZE.MAX} משבצות בכל שורה
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <Label>כיווני מילים</Label>
+            <div className="space-y-2">
+              {Object.entries(SCATTER_DIRECTIONS).map(([key, direction]) => (
+                <label key={key} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={settings.directions.includes(key)}
+                    onCheckedChange={(checked) => handleToggleDirection(key, !!checked)}
+                  />
+                  {direction.label}
+                </label>
+              ))}
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <Checkbox
+                  checked={settings.allow_reverse}
+                  onCheckedChange={(checked) => updateSetting('allow_reverse', !!checked)}
+                />
+                אפשר מילים הפוכות
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {/* Rule Template */}
+        <RuleTemplateSettings
+          gameType="scatter_game"
+          gameEntity={gameEntity}
+          onSettingsChange={onSettingsChange}
+          isUpdating={isUpdating}
+        />
+
+        {/* Word Picker */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label>הוספת מילים מהמאגר</Label>
+            <div className="relative">
+              <Search className="absolute right-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <Input
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="חיפוש מילה..."
+                className="pr-9"
+                dir={isRtl ? 'rtl' : 'ltr'}
+              />
+            </div>
+
+            {wordsError && (
+              <Alert variant="destructive">
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>{wordsError}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="h-56 overflow-y-auto border border-gray-200 rounded-lg p-2 space-y-1">
+              {isLoadingWords ? (
+                <div className="flex items-center justify-center h-full text-blue-600 gap-2">
+                  <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+                  <span>טוען מילים...</span>
+                </div>
+              ) : filteredWords.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-8">לא נמצאו מילים</p>
+              ) : (
+                filteredWords.map(record => (
+                  <button
+                    key={record.id}
+                    type="button"
+                    onClick={() => handleAddWord(record)}
+                    className="w-full flex items-center justify-between px-3 py-1.5 rounded hover:bg-blue-50 text-sm"
+                    dir={isRtl ? 'rtl' : 'ltr'}
+                  >
+                    <span>{getWordText(record)}</span>
+                    <Plus className="w-4 h-4 text-blue-600" />
+                  </button>
+                ))
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label>מילים בתפזורת ({settings.words.length})</Label>
+            <div className="h-[17rem] overflow-y-auto border border-gray-200 rounded-lg p-2">
+              {settings.words.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-8">
+                  בחרו מילים מהרשימה כדי לבנות את התפזורת
+                </p>
+              ) : (
+                <div className="flex flex-wrap gap-2" dir={isRtl ? 'rtl' : 'ltr'}>
+                  {settings.words.map(word => (
+                    <span
+                      key={word.id}
+                      className="flex items-center gap-1 px-2 py-1 bg-blue-100 text-blue-800 rounded-full text-sm"
+                    >
+                      {word.text}
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveWord(word.id)}
+                        aria-label={`הסר את ${word.text}`}
+                        className="hover:text-red-600"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Preview */}
+        {settings.words.length > 0 && (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-blue-800">תצוגה מקדימה</h3>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setPreviewSeed(`preview-${Date.now()}`)}
+              >
+                <Shuffle className="w-4 h-4 ml-1" />
+                ערבב מחדש
+              </Button>
+            </div>
+
+            {preview.skipped.length > 0 && (
+              <Alert>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  {`לא היה מקום ל-${preview.skipped.length} מילים (${preview.skipped.map(w => w.text).join(', ')}). `}
+                  הגדילו את הלוח או אפשרו כיוונים נוספים. במשחק הלוח נבנה מחדש לכל חדר.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {/* Columns are laid out left-to-right so grid coordinates stay stable in RTL pages */}
+            <div
+              dir="ltr"
+              className="inline-grid gap-1 p-3 bg-gray-50 border border-gray-200 rounded-lg"
+              style={{ gridTemplateColumns: `repeat(${preview.size}, minmax(0, 1.75rem))` }}
+            >
+              {previewCells.map(cell => (
+                <div
+                  key={cell.key}
+                  className="w-7 h-7 flex items-center justify-center bg-white rounded text-sm font-bold text-gray-700"
+                >
+                  {cell.letter}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ScatterGameSettingsDigital;
@@ -0,0 +1,2 @@
+// Scatter Game Settings Components
+export { default as ScatterGameSettingsDigital } from './ScatterGameSettingsDigital';
\ No newline at end of file
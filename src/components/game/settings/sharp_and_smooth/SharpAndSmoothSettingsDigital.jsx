@@ -0,0 +1,301 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Zap, Plus, RefreshCw, Save, AlertTriangle, FileSpreadsheet, Link2 } from 'lucide-react';
+import { GameContent } from '@/services/apiClient';
+import { showSuccess, showError } from '@/utils/messaging';
+import { luderror } from '@/lib/ludlog';
+import ContentPairDisplay from '@/components/game/edu-content/ContentPairDisplay';
+import ContentPairEditor from '@/components/game/edu-content/ContentPairEditor';
+import ContentPairImportDialog from '@/components/game/edu-content/ContentPairImportDialog';
+import RelationshipPairGeneratorDialog from '@/components/game/edu-content/RelationshipPairGeneratorDialog';
+import RuleTemplateSettings from '@/components/game/settings/RuleTemplateSettings';
+import {
+  SHARP_AND_SMOOTH_LIMITS,
+  normalizeSharpAndSmoothSettings,
+  resolveSharpAndSmoothRules
+} from '@/utils/sharpAndSmoothUtils';
+
+const SETTING_FIELDS = [
+  { key: 'rounds_count', label: 'מספר סבבים', hint: 'כמה זוגות יוצגו בכל משחק' },
+  { key: 'round_time_seconds', label: 'זמן לסבב (שניות)', hint: 'הזמן שיש לשחקנים לענות. ריק - לפי רמת הקושי', templateRule: 'timeLimit' },
+  { key: 'options_count', label: 'מספר אפשרויות', hint: 'כמה תשובות יוצגו בכל סבב. ריק - לפי רמת הקושי', templateRule: 'optionsCount' },
+  { key: 'reveal_seconds', label: 'זמן הצגת תשובה (שניות)', hint: 'כמה זמן מוצגת התשובה הנכונה' }
+];
+
+/**
+ * SharpAndSmoothSettingsDigital - Settings for the sharp-and-smooth (חד וחלק) speed game
+ * Configures the round rules and manages the content pairs the rounds are built from
+ */
+const SharpAndSmoothSettingsDigital = ({
+  gameEntity,
+  onSettingsChange,
+  isUpdating = false
+}) => {
+  const savedSettings = gameEntity?.game_settings || {};
+
+  const [rules, setRules] = useState(() => normalizeSharpAndSmoothSettings(savedSettings));
+  const [contentPairs, setContentPairs] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [showPairEditor, setShowPairEditor] = useState(false);
+  const [editingPair, setEditingPair] = useState(null);
+  const [deletingPairId, setDeletingPairId] = useState(null);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [showGeneratorDialog, setShowGeneratorDialog] = useState(false);
+
+  // What the saved rule template and difficulty give when a field is left empty
+  const templateRules = useMemo(() => resolveSharpAndSmoothRules({
+    rule_template_id: savedSettings.rule_template_id,
+    difficulty: savedSettings.difficulty
+  }), [savedSettings.rule_template_id, savedSettings.difficulty]);
+
+  const loadContentPairs = useCallback(async () => {
+    if (!gameEntity?.id) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await GameContent.getGameContents(gameEntity.id, 'pair');
+      setContentPairs(response.data || []);
+    } catch (err) {
+      luderror.api('Error loading content pairs:', err);
+      setError('שגיאה בטעינת זוגות התוכן');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [gameEntity?.id]);
+
+  useEffect(() => {
+    loadContentPairs();
+  }, [loadContentPairs]);
+
+  const handleRuleChange = (key, value) => {
+    setRules(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSaveRules = () => {
+    const normalized = normalizeSharpAndSmoothSettings(rules);
+    setRules(normalized);
+
+    if (onSettingsChange) {
+      onSettingsChange({ ...savedSettings, ...normalized });
+    }
+  };
+
+  const handleAddNewPair = () => {
+    setEditingPair(null);
+    setShowPairEditor(true);
+  };
+
+  const handleEditPair = (contentUse) => {
+    setEditingPair(contentUse);
+    setShowPairEditor(true);
+  };
+
+  const handlePairSaved = (savedPair) => {
+    if (editingPair) {
+      setContentPairs(prev => prev.map(pair => pair.id === savedPair.id ? savedPair : pair));
+    } else {
+      setContentPairs(prev => [savedPair, ...prev]);
+    }
+  };
+
+  const handleDeletePair = async (pairId) => {
+    setDeletingPairId(pairId);
+
+    try {
+      await GameContent.deleteContentUse(gameEntity.id, pairId);
+      setContentPairs(prev => prev.filter(pair => pair.id !== pairId));
+      showSuccess('נמחק בהצלחה', 'זוג התוכן נמחק בהצלחה');
+    } catch (err) {
+      luderror.api('Error deleting content pair:', err);
+      showError('שגיאה', err.message || 'לא הצלחנו למחוק את זוג התוכן');
+    } finally {
+      setDeletingPairId(null);
+    }
+  };
+
+  const playableRounds = Math.min(rules.rounds_count, contentPairs.length);
+
+  return (
+    <Card className="border-blue-200">
+      <CardHeader className="bg-blue-50 border-b border-blue-200">
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center gap-2 text-blue-800">
+            <Zap className="w-5 h-5" />
+            הגדרות משחק חד וחלק
+          </div>
+          <div className="flex gap-2">
+            <Button
+              onClick={loadContentPairs}
+              variant="outline"
+              size="sm"
+              disabled={isLoading || isUpdating}
+            >
+              <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+            </Button>
+            <Button
+              onClick={() => setShowImportDialog(true)}
+              variant="outline"
+              size="sm"
+              disabled={isLoading || isUpdating || !gameEntity?.id}
+            >
+              <FileSpreadsheet className="w-4 h-4 ml-1" />
+              ייבוא מקובץ
+            </Button>
+            <Button
+              onClick={() => setShowGeneratorDialog(true)}
+              variant="outline"
+              size="sm"
+              disabled={isLoading || isUpdating || !gameEntity?.id}
+            >
+              <Link2 className="w-4 h-4 ml-1" />
+              יצירה מקשרי מילים
+            </Button>
+            <Button
+              onClick={handleAddNewPair}
+              variant="default"
+              size="sm"
+              disabled={isLoading || isUpdating}
+            >
+              <Plus className="w-4 h-4 ml-1" />
+              הוסף זוג חדש
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent className="p-6 space-y-6">
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {/* Round Rules */}
+        <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold text-blue-800">חוקי הסבבים</h3>
+              <p className="text-sm text-blue-600">
+                בכל סבב מוצג פריט אחד מזוג, והשחקנים מתחרים מי יבחר ראשון את בן הזוג שלו
+              </p>
+            </div>
+            <Button
+              onClick={handleSaveRules}
+              size="sm"
+              disabled={isUpdating}
+            >
+              <Save className="w-4 h-4 ml-1" />
+              שמור חוקים
+            </Button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {SETTING_FIELDS.map(field => (
+              <div key={field.key} className="space-y-1">
+                <Label htmlFor={`sharp-smooth-${field.key}`}>{field.label}</Label>
+                <Input
+                  id={`sharp-smooth-${field.key}`}
+                  type="number"
+                  min={SHARP_AND_SMOOTH_LIMITS[field.key].min}
+                  max={SHARP_AND_SMOOTH_LIMITS[field.key].max}
+                  value={rules[field.key] ?? ''}
+                  placeholder={field.templateRule ? String(templateRules[field.templateRule]) : undefined}
+                  onChange={(e) => handleRuleChange(field.key, e.target.value)}
+                  className="bg-white"
+                />
+                <p className="text-xs text-gray-500">{field.hint}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Rule Template */}
+        <RuleTemplateSettings
+          gameType="sharp_and_smooth"
+          description="תבנית הכללים ורמת הקושי קובעות את הניקוד, ואת זמן הסבב ומספר האפשרויות כשהם לא נקבעו בחוקי הסבבים"
+          gameEntity={gameEntity}
+          onSettingsChange={onSettingsChange}
+          isUpdating={isUpdating}
+        />
+
+        {/* Content Pairs */}
+        {isLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="flex items-center gap-2 text-blue-600">
+              <div className="w-6 h-6 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+              <span>טוען זוגות תוכן...</span>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold text-blue-800">
+                זוגות תוכן ({contentPairs.length})
+              </h3>
+              {contentPairs.length >= 2 && (
+                <span className="text-sm text-gray-600">
+                  {playableRounds} סבבים בכל משחק
+                </span>
+              )}
+            </div>
+
+            {contentPairs.length < 2 && (
+              <Alert>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  צריך לפחות שני זוגות תוכן כדי שאפשר יהיה לשחק
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {contentPairs.map(contentUse => (
+              <ContentPairDisplay
+                key={contentUse.id}
+                contentUse={contentUse}
+                onEdit={handleEditPair}
+                onDelete={handleDeletePair}
+                isDeleting={deletingPairId === contentUse.id}
+              />
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <ContentPairEditor
+        isOpen={showPairEditor}
+        onClose={() => setShowPairEditor(false)}
+        onSave={handlePairSaved}
+        gameId={gameEntity?.id}
+        contentUse={editingPair}
+        mode={editingPair ? 'edit' : 'create'}
+      />
+
+      {/* Bulk Import Modal */}
+      <ContentPairImportDialog
+        isOpen={showImportDialog}
+        onClose={() => setShowImportDialog(false)}
+        gameId={gameEntity?.id}
+        onImported={loadContentPairs}
+      />
+
+      {/* Pairs From Word Relationships Modal */}
+      <RelationshipPairGeneratorDialog
+        isOpen={showGeneratorDialog}
+        onClose={() => setShowGeneratorDialog(false)}
+        gameId={gameEntity?.id}
+        contentPairs={contentPairs}
+        onGenerated={loadContentPairs}
+      />
+    </Card>
+  );
+};
+
+export default SharpAndSmoothSettingsDigital;
@@ -0,0 +1,2 @@
+// Sharp and Smooth Settings Components
+export { default as SharpAndSmoothSettingsDigital } from './SharpAndSmoothSettingsDigital';
\ No newline at end of file
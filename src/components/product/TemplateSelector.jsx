@@ -4,12 +4,14 @@ import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Switch } from '@/components/ui/switch';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Eye, Settings, Palette, Plus, Info, Sparkles } from 'lucide-react';
+import { Eye, Settings, Palette, Plus, Info, Sparkles, History } from 'lucide-react';
 import { apiRequest } from '@/services/apiClient';
 import { ludlog, luderror } from '@/lib/ludlog';
 import { toast } from '@/components/ui/use-toast';
 import { showConfirm } from '@/utils/messaging';
 import VisualTemplateEditor from '@/components/templates/VisualTemplateEditor';
+import TemplateVersionHistoryDialog from '@/components/templates/TemplateVersionHistoryDialog';
+import { recordTemplateVersion, getEntityTemplateVersionsPath } from '@/utils/templateVersionUtils';
 
 /**
  * TemplateSelector - Enhanced template selection component
@@ -24,7 +26,7 @@ const TemplateSelector = ({
   entityType = 'file', // 'file' or 'lessonplan'
   entityId,
   templateType, // 'branding', 'watermark'
-  targetFormat = 'pdf-a4-portrait', // 'pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'
+  targetFormat = 'pdf-a4-portrait', // A CANVAS_DIMENSIONS key, e.g. 'pdf-a4-portrait', 'svg-lessonplan'
   currentTemplateId,
   customTemplateData,
   enabled = false,
@@ -45,6 +47,7 @@ const TemplateSelector = ({
   const [showTemplateEditor, setShowTemplateEditor] = useState(false);
   const [isCustomMode, setIsCustomMode] = useState(!!customTemplateData);
   const [pendingCustomData, setPendingCustomData] = useState(null); // Store initialized custom data locally
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
 
   // Derived state
   const isAdmin = userRole === 'admin' || userRole === 'sysadmin';
@@ -82,6 +85,14 @@ const TemplateSelector = ({
 
   const config = getTemplateConfig();
 
+  // Saved versions of this entity's custom template, for history and restore
+  const versionsPath = entityId ? getEntityTemplateVersionsPath(entityType, entityId, templateType) : null;
+  const toVersionTemplate = (templateData) => ({
+    name: `${config.name} מותאם אישית`,
+    target_format: fileEntity?.target_format || targetFormat,
+    template_data: templateData
+  });
+
   // Debug logging
   ludlog.media(`🐛 TemplateSelector render - templateType: ${templateType}`, { data: { enabled, fileExists, selectedTemplateId, availableTemplatesLength: availableTemplates.length, currentTemplateId, isCustomMode, customTemplateData } });
 
@@ -372,6 +383,8 @@ const TemplateSelector = ({
 
   // Handle custom template save with immediate saving
   const handleCustomTemplateSave = async (customData) => {
+    const previousCustomData = pendingCustomData || customTemplateData;
+
     try {
       setIsCustomMode(true);
 
@@ -384,6 +397,11 @@ const TemplateSelector = ({
 
       // Save immediately to database
       await saveTemplateSettingsImmediately(null, customData);
+      await recordTemplateVersion(
+        versionsPath,
+        previousCustomData ? toVersionTemplate(previousCustomData) : null,
+        toVersionTemplate(customData)
+      );
 
       setShowTemplateEditor(false);
       ludlog.ui('💾 Custom template data saved for specific entity');
@@ -405,6 +423,13 @@ const TemplateSelector = ({
     }
   };
 
+  // Restore a saved version of the custom template
+  const handleRestoreCustomVersion = async (restoredTemplate) => {
+    await saveTemplateSettingsImmediately(null, restoredTemplate.template_data);
+    onCustomTemplateChange?.(restoredTemplate.template_data);
+    return restoredTemplate;
+  };
+
   // Get initial template data for editor
   const getInitialTemplateData = () => {
     // Use pending custom data if available (from recent initialization)
@@ -731,26 +756,40 @@ const TemplateSelector = ({
                     }
                   </p>
                 </div>
-                <Button
-                  type="button"
-                  variant="outline"
-                  size="sm"
-                  onClick={handleCustomEdit}
-                  className={`border-${config.color}-300 text-${config.color}-700 hover:bg-${config.color}-100`}
-                  disabled={!enabled}
-                >
-                  {customTemplateData ? (
-                    <>
-                      <Settings className="w-4 h-4 mr-2" />
-                      ערוך תבנית
-                    </>
-                  ) : (
-                    <>
-                      <Plus className="w-4 h-4 mr-2" />
-                      צור תבנית
-                    </>
+                <div className="flex items-center gap-2">
+                  {customTemplateData && versionsPath && (
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setShowVersionHistory(true)}
+                      className={`border-${config.color}-300 text-${config.color}-700 hover:bg-${config.color}-100`}
+                    >
+                      <History className="w-4 h-4 mr-2" />
+                      היסטוריית גרסאות
+                    </Button>
                   )}
-                </Button>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleCustomEdit}
+                    className={`border-${config.color}-300 text-${config.color}-700 hover:bg-${config.color}-100`}
+                    disabled={!enabled}
+                  >
+                    {customTemplateData ? (
+                      <>
+                        <Settings className="w-4 h-4 mr-2" />
+                        ערוך תבנית
+                      </>
+                    ) : (
+                      <>
+                        <Plus className="w-4 h-4 mr-2" />
+                        צור תבנית
+                      </>
+                    )}
+                  </Button>
+                </div>
               </div>
             </div>
           )}
@@ -813,6 +852,17 @@ const TemplateSelector = ({
           }}
         />
       )}
+
+      {/* Custom Template Version History */}
+      {versionsPath && customTemplateData && (
+        <TemplateVersionHistoryDialog
+          open={showVersionHistory}
+          onOpenChange={setShowVersionHistory}
+          template={toVersionTemplate(customTemplateData)}
+          versionsPath={versionsPath}
+          saveTemplate={handleRestoreCustomVersion}
+        />
+      )}
     </div>
   );
 };
@@ -10,6 +10,7 @@ import AccessControlEditor from '@/components/admin/AccessControlEditor';
 import TemplateSelector from '@/components/product/TemplateSelector';
 import VisualTemplateEditor from '@/components/templates/VisualTemplateEditor';
 import { fixHebrewFilename } from '@/utils/fileEncodingUtils';
+import { getTargetFormatOptions } from '@/utils/canvasDimensions';
 
 /**
  * FileProductSection - Handles file-specific settings
@@ -175,18 +176,14 @@ const FileProductSection = ({
 													<SelectValue placeholder='בחר סוג פריסה' />
 												</SelectTrigger>
 												<SelectContent>
-													<SelectItem value='pdf-a4-portrait'>
-														<div className='flex items-center gap-2'>
-															<span>📄</span>
-															<span>PDF אנכי (Portrait)</span>
-														</div>
-													</SelectItem>
-													<SelectItem value='pdf-a4-landscape'>
-														<div className='flex items-center gap-2'>
-															<span>📋</span>
-															<span>PDF אופקי (Landscape)</span>
-														</div>
-													</SelectItem>
+													{getTargetFormatOptions('pdf').map(format => (
+														<SelectItem key={format.value} value={format.value}>
+															<div className='flex items-center gap-2'>
+																<span>{format.orientation === 'landscape' ? '📋' : '📄'}</span>
+																<span>{format.label}</span>
+															</div>
+														</SelectItem>
+													))}
 												</SelectContent>
 											</Select>
 											<p className='text-xs text-gray-500'>שינוי הכיוון ישפיע על התבניות הזמינות במיתוג וסימני המים</p>
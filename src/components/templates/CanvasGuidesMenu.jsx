@@ -0,0 +1,108 @@
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { NumberInput } from '@/components/ui/number-input';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { CANVAS_UNITS, getCanvasUnits } from '@/utils/canvasDimensions';
+import { convertCanvasLength } from '@/utils/canvasSnapUtils';
+
+/**
+ * Canvas Guides Menu
+ * Toolbar popover with the grid, snapping, page margin and ruler settings of the template canvas
+ */
+const CanvasGuidesMenu = ({ settings, onChange, targetFormat }) => {
+  const units = getCanvasUnits(targetFormat);
+  const unitLabel = CANVAS_UNITS[settings.unit]?.label || settings.unit;
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  // Keep the grid and margin lengths when switching units
+  const handleUnitChange = (unit) => {
+    update({
+      unit,
+      gridSize: convertCanvasLength(settings.gridSize, settings.unit, unit),
+      margin: convertCanvasLength(settings.margin, settings.unit, unit)
+    });
+  };
+
+  const renderSwitch = (key, label) => (
+    <div className="flex items-center justify-between">
+      <Label className="text-sm">{label}</Label>
+      <Switch checked={!!settings[key]} onCheckedChange={(checked) => update({ [key]: checked })} />
+    </div>
+  );
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          className={`px-3 py-1 text-sm rounded border hover:bg-gray-50 ${
+            settings.showGrid || settings.snapToGrid || settings.showMargins || settings.showRulers
+              ? 'border-blue-300 bg-blue-50 text-blue-700'
+              : 'border-gray-300'
+          }`}
+          title="רשת, מדריכים וסרגלים"
+        >
+          📐 רשת
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-72 space-y-4" dir="rtl" align="start">
+        {units.length > 1 && (
+          <div className="space-y-2">
+            <Label className="text-sm">יחידות מידה</Label>
+            <Select value={settings.unit} onValueChange={handleUnitChange}>
+              <SelectTrigger className="h-9 text-sm">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {units.map(unit => (
+                  <SelectItem key={unit} value={unit}>{CANVAS_UNITS[unit].label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        {renderSwitch('showGrid', 'הצג רשת')}
+        {renderSwitch('snapToGrid', 'הצמד לרשת')}
+        {(settings.showGrid || settings.snapToGrid) && (
+          <div className="space-y-2">
+            <Label className="text-sm">גודל משבצת</Label>
+            <NumberInput
+              value={settings.gridSize}
+              onChange={(value) => update({ gridSize: value })}
+              min={1}
+              max={200}
+              step={settings.unit === 'mm' ? 1 : 5}
+              suffix={unitLabel}
+            />
+          </div>
+        )}
+
+        {renderSwitch('smartGuides', 'מדריכי יישור חכמים')}
+        {renderSwitch('showMargins', 'הצג שולי עמוד')}
+        {settings.showMargins && (
+          <div className="space-y-2">
+            <Label className="text-sm">שוליים</Label>
+            <NumberInput
+              value={settings.margin}
+              onChange={(value) => update({ margin: value })}
+              min={0}
+              max={200}
+              step={settings.unit === 'mm' ? 1 : 5}
+              suffix={unitLabel}
+            />
+          </div>
+        )}
+
+        {renderSwitch('showRulers', 'הצג סרגלים')}
+
+        <p className="text-xs text-gray-500 border-t pt-3">
+          מקשי החצים מזיזים את האלמנט הנבחר ב-1 {unitLabel}, ועם Shift ב-10 {unitLabel}
+        </p>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default CanvasGuidesMenu;
@@ -0,0 +1,81 @@
+import { getCanvasDimensions, fromCanvasUnits } from '@/utils/canvasDimensions';
+
+const RULER_SIZE_PX = 20;
+const NICE_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+
+// Smallest step of at least minPixels on screen
+const getStep = (pixelsPerUnit, minPixels) => (
+  NICE_STEPS.find(step => step * pixelsPerUnit >= minPixels) || NICE_STEPS[NICE_STEPS.length - 1]
+);
+
+const getTicks = (length, pixelsPerUnit) => {
+  const minor = getStep(pixelsPerUnit, 8);
+  const major = getStep(pixelsPerUnit, 50);
+  const ticks = [];
+
+  for (let value = 0; value <= length; value += minor) {
+    ticks.push({ value, offset: value * pixelsPerUnit, isMajor: value % major === 0 });
+  }
+
+  return ticks;
+};
+
+/**
+ * Canvas Rulers
+ * Top and left rulers of the template page in real units (mm/pt, or px for slides)
+ * @param {string} targetFormat - The target format (page size in canvas units)
+ * @param {string} unit - Key of CANVAS_UNITS
+ * @param {number} pageWidth - Page width on screen (px)
+ * @param {number} pageHeight - Page height on screen (px)
+ */
+const CanvasRulers = ({ targetFormat, unit, pageWidth, pageHeight }) => {
+  const dimensions = getCanvasDimensions(targetFormat);
+  const widthInUnits = fromCanvasUnits(dimensions.width, unit);
+  const heightInUnits = fromCanvasUnits(dimensions.height, unit);
+  const pixelsPerUnit = pageWidth / widthInUnits;
+
+  const horizontalTicks = getTicks(widthInUnits, pixelsPerUnit);
+  const verticalTicks = getTicks(heightInUnits, pageHeight / heightInUnits);
+
+  return (
+    <>
+      {/* Top ruler */}
+      <div
+        className="absolute left-0 bg-gray-50 border border-gray-300 pointer-events-none overflow-hidden"
+        style={{ top: -RULER_SIZE_PX, width: pageWidth, height: RULER_SIZE_PX }}
+        dir="ltr"
+      >
+        {horizontalTicks.map(tick => (
+          <div key={tick.value} className="absolute bottom-0" style={{ left: tick.offset }}>
+            <div className="bg-gray-500" style={{ width: 1, height: tick.isMajor ? 10 : 5 }} />
+            {tick.isMajor && tick.value > 0 && (
+              <span className="absolute text-[9px] leading-none text-gray-600" style={{ bottom: 10, left: 2 }}>
+                {tick.value}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Left ruler */}
+      <div
+        className="absolute top-0 bg-gray-50 border border-gray-300 pointer-events-none overflow-hidden"
+        style={{ left: -RULER_SIZE_PX, width: RULER_SIZE_PX, height: pageHeight }}
+        dir="ltr"
+      >
+        {verticalTicks.map(tick => (
+          <div key={tick.value} className="absolute inset-x-0" style={{ top: tick.offset }}>
+            <div className="bg-gray-500 ml-auto" style={{ height: 1, width: tick.isMajor ? 10 : 5 }} />
+            {tick.isMajor && tick.value > 0 && (
+              <span className="absolute text-[9px] leading-none text-gray-600" style={{ left: 1, top: 2 }}>
+                {tick.value}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default CanvasRulers;
@@ -66,6 +66,8 @@ const ElementCard = ({
       case 'watermark-logo': return 'לוגו סימן מים';
       case 'logo': return 'לוגו';
       case 'user-info': return 'פרטי משתמש';
+      case 'image': return 'תמונה';
+      case 'qr-code': return 'קוד QR';
       default: return type;
     }
   };
@@ -81,6 +83,8 @@ const ElementCard = ({
       case 'watermark-logo': return '🖼️';
       case 'logo': return '🖼️';
       case 'user-info': return '👤';
+      case 'image': return '🏞️';
+      case 'qr-code': return '🔳';
       default: return '🔧';
     }
   };
@@ -96,6 +100,8 @@ const ElementCard = ({
       case 'watermark-text': return 'border-indigo-300 bg-indigo-50 hover:bg-indigo-100';
       case 'watermark-logo': return 'border-purple-300 bg-purple-50 hover:bg-purple-100';
       case 'logo': return 'border-purple-300 bg-purple-50 hover:bg-purple-100';
+      case 'image': return 'border-teal-300 bg-teal-50 hover:bg-teal-100';
+      case 'qr-code': return 'border-slate-300 bg-slate-50 hover:bg-slate-100';
       default: return 'border-gray-300 bg-gray-50 hover:bg-gray-100';
     }
   };
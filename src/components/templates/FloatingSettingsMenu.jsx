@@ -1,5 +1,5 @@
-import React, { useState, useRef } from 'react';
-import { X, Crown, Trash2, Copy, RotateCw, EyeOff, Eye, Type, Palette, Move, Sparkles, FileText, Lock, Unlock } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { X, Crown, Trash2, Copy, RotateCw, EyeOff, Eye, Type, Palette, Move, Sparkles, FileText, Lock, Unlock, Upload, QrCode } from 'lucide-react';
 import { Label } from '@/components/ui/label';
 import { Input } from '@/components/ui/input';
 import { Switch } from '@/components/ui/switch';
@@ -7,6 +7,194 @@ import { Textarea } from '@/components/ui/textarea';
 import { NumberInput } from '@/components/ui/number-input';
 import { Button } from '@/components/ui/button';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { UploadFile } from '@/services/integrations';
+import { Product } from '@/services/apiClient';
+import { useUser } from '@/contexts/UserContext';
+import { urls } from '@/config/urls';
+import { getImageCrop } from '@/utils/elementHelpers';
+import { luderror } from '@/lib/ludlog';
+
+// How many of the creator's products the QR link picker offers
+const QR_PRODUCTS_LIMIT = 100;
+
+const MAX_IMAGE_SIZE_BYTES = 5 * 1024 * 1024;
+
+const CROP_SIDES = [
+  { key: 'top', label: 'חיתוך מלמעלה' },
+  { key: 'bottom', label: 'חיתוך מלמטה' },
+  { key: 'right', label: 'חיתוך מימין' },
+  { key: 'left', label: 'חיתוך משמאל' }
+];
+
+/**
+ * Upload control of an image element
+ * @param {string} url - Current image URL
+ * @param {Function} onChange - Called with the uploaded image URL
+ */
+const ImageSourceControls = ({ url, onChange }) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      setError('יש להעלות קובץ תמונה בלבד');
+      return;
+    }
+    if (file.size > MAX_IMAGE_SIZE_BYTES) {
+      setError('גודל הקובץ לא יכול לעלות על 5MB');
+      return;
+    }
+
+    setIsUploading(true);
+    setError(null);
+    try {
+      const { file_url } = await UploadFile({ file });
+      onChange(file_url);
+    } catch (err) {
+      luderror.ui('[FloatingSettingsMenu] Error uploading template image:', err);
+      setError('שגיאה בהעלאת התמונה');
+    }
+    setIsUploading(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-sm">תמונה</Label>
+      {url && (
+        <img src={url} alt="" className="w-full max-h-32 object-contain rounded border bg-white" />
+      )}
+      <label className={`flex items-center justify-center gap-2 h-10 rounded-md border border-dashed border-teal-300 bg-teal-50 text-sm text-teal-700 ${
+        isUploading ? 'opacity-60 cursor-wait' : 'cursor-pointer hover:bg-teal-100'
+      }`}>
+        <Upload className="w-4 h-4" />
+        {isUploading ? 'מעלה...' : (url ? 'החלפת תמונה' : 'העלאת תמונה')}
+        <input
+          type="file"
+          accept="image/*"
+          className="hidden"
+          onChange={handleFileChange}
+          disabled={isUploading}
+        />
+      </label>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+/**
+ * Link control of a QR code element
+ * Only the link is saved; the QR itself is drawn from it when rendering
+ * @param {Object} qr - Current QR settings: { source, url, productId }
+ * @param {Function} onChange - Called with the new QR settings
+ */
+const QrCodeSourceControls = ({ qr = {}, onChange }) => {
+  const { currentUser } = useUser();
+  const source = qr.source || 'url';
+  const [urlDraft, setUrlDraft] = useState(source === 'url' ? qr.url || '' : '');
+  const [products, setProducts] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (source !== 'product' || !currentUser) return;
+
+    Product.filter({ creator_user_id: currentUser.id }, { limit: QR_PRODUCTS_LIMIT })
+      .then(result => setProducts(Array.isArray(result) ? result : result?.data || []))
+      .catch(err => luderror.ui('[FloatingSettingsMenu] Error loading products for QR code:', err));
+  }, [source, currentUser]);
+
+  const setLink = (link, productId = null) => {
+    try {
+      new URL(link);
+    } catch {
+      setError('יש להזין קישור מלא, לדוגמה https://example.com');
+      return;
+    }
+
+    setError(null);
+    onChange({ source, url: link, productId });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        <Label className="text-sm">הקוד מוביל אל</Label>
+        <Select
+          value={source}
+          onValueChange={(value) => {
+            setError(null);
+            onChange({ source: value, url: qr.url || '', productId: qr.productId || null });
+          }}
+        >
+          <SelectTrigger className="h-10 text-sm">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="url">קישור</SelectItem>
+            <SelectItem value="product">מוצר שלי בלודורה</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      {source === 'url' ? (
+        <div className="space-y-2">
+          <Label className="text-sm">כתובת הקישור</Label>
+          <div className="flex gap-2">
+            <Input
+              value={urlDraft}
+              onChange={(e) => setUrlDraft(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') setLink(urlDraft.trim());
+              }}
+              dir="ltr"
+              placeholder="https://example.com"
+            />
+            <Button
+              onClick={() => setLink(urlDraft.trim())}
+              disabled={!urlDraft.trim()}
+              size="sm"
+              className="h-10"
+              title="שמור קישור"
+            >
+              <QrCode className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <Label className="text-sm">מוצר</Label>
+          <Select
+            value={qr.productId ? String(qr.productId) : undefined}
+            onValueChange={(productId) => setLink(urls.portal.teacher.productDetails(productId), productId)}
+          >
+            <SelectTrigger className="h-10 text-sm">
+              <SelectValue placeholder="בחרו מוצר" />
+            </SelectTrigger>
+            <SelectContent>
+              {products.map(product => (
+                <SelectItem key={product.id} value={String(product.id)}>
+                  {product.title || product.id}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {products.length === 0 && (
+            <p className="text-xs text-gray-500">לא נמצאו מוצרים שיצרת</p>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {qr.url && (
+        <p className="text-xs text-gray-500 break-all" dir="ltr">{qr.url}</p>
+      )}
+    </div>
+  );
+};
 
 const FloatingSettingsMenu = ({
   selectedItem,
@@ -116,7 +304,10 @@ const FloatingSettingsMenu = ({
     hasDimensions: ['logo'].includes(selectedItem) ||
                    (isCustomElement && ['box', 'circle', 'line', 'dotted-line', 'logo', 'watermark-logo'].includes(itemConfig.type)),
     hasSize: ['logo'].includes(selectedItem) ||
-             (isCustomElement && ['logo', 'watermark-logo'].includes(itemConfig.type)),
+             (isCustomElement && ['logo', 'watermark-logo', 'qr-code'].includes(itemConfig.type)),
+    hasImageSource: isCustomElement && itemConfig.type === 'image',
+    hasQrSource: isCustomElement && itemConfig.type === 'qr-code',
+    hasCrop: isCustomElement && itemConfig.type === 'image',
     hasRotation: true, // All elements can rotate
     hasOpacity: true, // All elements can have opacity
     hasPosition: true, // All elements have position (handled via drag)
@@ -138,6 +329,8 @@ const FloatingSettingsMenu = ({
         case 'free-text': return 'טקסט חופשי';
         case 'user-info': return 'פרטי משתמש';
         case 'logo': return 'לוגו מותאם';
+        case 'image': return 'תמונה';
+        case 'qr-code': return 'קוד QR';
         default: return elementType;
       }
     }
@@ -164,6 +357,8 @@ const FloatingSettingsMenu = ({
         case 'watermark-logo': return 'bg-pink-50 border-pink-200';
         case 'free-text': return 'bg-blue-50 border-blue-200';
         case 'user-info': return 'bg-violet-50 border-violet-200';
+        case 'image': return 'bg-teal-50 border-teal-200';
+        case 'qr-code': return 'bg-slate-50 border-slate-200';
         default: return 'bg-gray-50 border-gray-200';
       }
     }
@@ -178,8 +373,35 @@ const FloatingSettingsMenu = ({
     }
   };
 
+  // Image and QR sources are set by content creators too, not only by admins
+  const hasSource = elementCapabilities.hasImageSource || elementCapabilities.hasQrSource;
+
+  const renderSourceControls = () => {
+    if (elementCapabilities.hasImageSource) {
+      return (
+        <ImageSourceControls
+          url={itemConfig.url}
+          onChange={(url) => onConfigChange(selectedItem, 'url', url)}
+        />
+      );
+    }
+
+    if (elementCapabilities.hasQrSource) {
+      return (
+        <QrCodeSourceControls
+          key={selectedItem}
+          qr={itemConfig.qr}
+          onChange={(qr) => onConfigChange(selectedItem, 'qr', qr)}
+        />
+      );
+    }
+
+    return null;
+  };
+
   // Unified render functions for each tab
   const renderContentTab = () => {
+    if (hasSource) return renderSourceControls();
     if (!elementCapabilities.hasContent || !isAdmin) return null;
 
     const contentLabel = elementCapabilities.isTextual ? 'תוכן הטקסט' : 'תוכן';
@@ -333,6 +555,52 @@ const FloatingSettingsMenu = ({
           </div>
         )}
 
+        {/* Frame and crop for images */}
+        {elementCapabilities.hasCrop && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-2">
+                <Label className="text-sm">רוחב</Label>
+                <NumberInput
+                  value={itemConfig.style?.width || 150}
+                  onChange={(value) => onStyleChange(selectedItem, 'width', value)}
+                  min={10}
+                  step={5}
+                  suffix="px"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label className="text-sm">גובה</Label>
+                <NumberInput
+                  value={itemConfig.style?.height || 150}
+                  onChange={(value) => onStyleChange(selectedItem, 'height', value)}
+                  min={10}
+                  step={5}
+                  suffix="px"
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {CROP_SIDES.map(side => (
+                <div key={side.key} className="space-y-2">
+                  <Label className="text-sm">{side.label}</Label>
+                  <NumberInput
+                    value={getImageCrop(itemConfig)[side.key]}
+                    onChange={(value) => onStyleChange(selectedItem, 'crop', {
+                      ...getImageCrop(itemConfig),
+                      [side.key]: value
+                    })}
+                    min={0}
+                    max={45}
+                    step={1}
+                    suffix="%"
+                  />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
         {/* Dimensions for shapes */}
         {elementCapabilities.hasDimensions && !elementCapabilities.hasSize && (
           <>
@@ -729,7 +997,7 @@ const FloatingSettingsMenu = ({
 
             <TabsContent value="content" className="p-4 space-y-4 mt-0">
               {renderContentTab()}
-              {!elementCapabilities.hasContent && (
+              {!elementCapabilities.hasContent && !hasSource && (
                 <div className="text-center py-4 text-gray-500 text-sm">
                   אין תוכן לעריכה עבור אלמנט זה
                 </div>
@@ -738,7 +1006,7 @@ const FloatingSettingsMenu = ({
 
             <TabsContent value="styling" className="p-4 space-y-4 mt-0">
               {renderStylingTab()}
-              {!elementCapabilities.hasTextStyling && !elementCapabilities.hasSize && !elementCapabilities.hasDimensions && (
+              {!elementCapabilities.hasTextStyling && !elementCapabilities.hasSize && !elementCapabilities.hasDimensions && !elementCapabilities.hasCrop && (
                 <div className="text-center py-4 text-gray-500 text-sm">
                   אין אפשרויות עיצוב זמינות עבור אלמנט זה
                 </div>
@@ -765,6 +1033,11 @@ const FloatingSettingsMenu = ({
                 🖱️ גרור את האלמנט בתצוגה המקדימה כדי לשנות את מיקומו
               </p>
             </div>
+            {hasSource && (
+              <div className="mt-4">
+                {renderSourceControls()}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Button } from '@/components/ui/button';
-import { Square, Minus, MoreHorizontal, Plus, Layers, Circle, Type, Link, Copyright, User } from 'lucide-react';
+import { Square, Minus, MoreHorizontal, Plus, Layers, Circle, Type, Link, Copyright, User, Image as ImageIcon, QrCode } from 'lucide-react';
 import LogoDisplay from '@/components/ui/LogoDisplay';
 import ElementCard from './ElementCard';
 
@@ -85,6 +85,18 @@ const ItemButtons = ({
       color: 'border-violet-300 bg-violet-50 hover:bg-violet-100',
       isBuiltIn: false
     },
+    image: {
+      name: 'תמונה',
+      icon: <ImageIcon className="w-4 h-4" />,
+      color: 'border-teal-300 bg-teal-50 hover:bg-teal-100',
+      isBuiltIn: false
+    },
+    'qr-code': {
+      name: 'קוד QR',
+      icon: <QrCode className="w-4 h-4" />,
+      color: 'border-slate-300 bg-slate-50 hover:bg-slate-100',
+      isBuiltIn: false
+    },
     // Second section: Shapes at the bottom as requested
     box: {
       name: 'תיבה',
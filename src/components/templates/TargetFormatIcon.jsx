@@ -0,0 +1,21 @@
+import { Monitor, RectangleHorizontal, RectangleVertical, Smartphone, Square } from 'lucide-react';
+import { getCanvasDimensions, getFormatOrientation } from '@/utils/canvasDimensions';
+
+/**
+ * Target Format Icon
+ * Page shape icon of a target format: slides, square, story, portrait or landscape page
+ * @param {string} targetFormat - The target format
+ * @param {string} className - Icon classes
+ */
+const TargetFormatIcon = ({ targetFormat, className = 'w-4 h-4' }) => {
+  const { category } = getCanvasDimensions(targetFormat);
+  const orientation = getFormatOrientation(targetFormat);
+
+  if (category === 'svg') return <Monitor className={className} />;
+  if (orientation === 'square') return <Square className={className} />;
+  if (category === 'social') return <Smartphone className={className} />;
+  if (orientation === 'landscape') return <RectangleHorizontal className={className} />;
+  return <RectangleVertical className={className} />;
+};
+
+export default TargetFormatIcon;
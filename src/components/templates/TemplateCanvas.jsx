@@ -3,20 +3,102 @@ import { Document, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/Page/AnnotationLayer.css';
 import 'react-pdf/dist/Page/TextLayer.css';
 import { getTextFontFamily, containsHebrew, applyHebrewFontStyle } from '@/utils/hebrewUtils';
-import { getCanvasDimensions, isSVGFormat } from '@/utils/canvasDimensions';
-import { getElementTransformStyle, getElementShadowStyle } from '@/utils/elementHelpers.js';
+import { getCanvasDimensions, getCanvasDisplayWidth, isSVGFormat, isPixelFormat } from '@/utils/canvasDimensions';
+import { getElementTransformStyle, getElementShadowStyle, getImageCropStyle } from '@/utils/elementHelpers.js';
 import {
   fetchResolvedTemplateContent,
   getElementDisplayContent,
   getElementDisplayHref
 } from '@/utils/templateContentResolver.js';
+import {
+  SNAP_THRESHOLD_PX,
+  getDefaultCanvasGuideSettings,
+  unitsToPagePercent,
+  getSnapLines,
+  snapElementPosition
+} from '@/utils/canvasSnapUtils';
 import LogoDisplay from '@/components/ui/LogoDisplay';
+import CanvasGuidesMenu from './CanvasGuidesMenu';
+import CanvasRulers from './CanvasRulers';
 import { ludlog, luderror } from '@/lib/ludlog';
 import { urls } from '@/config/urls';
+import { createLudoraQRDataURL } from '@/utils/qrCodeUtils';
 
 // Configure PDF.js worker - use CDN for compatibility
 pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
 
+// Positions keep two decimals, so snapped edges line up exactly
+const roundPosition = (value) => Math.round(value * 100) / 100;
+
+// Grid and guide settings are remembered separately for PDF pages and slides
+const getGuideSettingsStorageKey = (targetFormat) => `templateCanvas.guideSettings.${isPixelFormat(targetFormat) ? 'svg' : 'pdf'}`;
+
+// Arrow key nudge directions
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+const loadGuideSettings = (targetFormat) => {
+  const defaults = getDefaultCanvasGuideSettings(targetFormat);
+  try {
+    const stored = JSON.parse(localStorage.getItem(getGuideSettingsStorageKey(targetFormat)));
+    return stored ? { ...defaults, ...stored } : defaults;
+  } catch {
+    return defaults;
+  }
+};
+
+// QR image resolution - sharp at any element size
+const QR_RENDER_SIZE_PX = 600;
+
+/**
+ * QR code element image, drawn from the saved link
+ * The template only stores the link; the PDF server draws the same code from it
+ * (see BACKEND_REQUIREMENTS_TEMPLATE_MEDIA_ELEMENTS.md)
+ */
+const QrCodeImage = ({ url, size, boxShadow }) => {
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setImage(null);
+    if (!url) return;
+
+    createLudoraQRDataURL(url, QR_RENDER_SIZE_PX)
+      .then(dataUrl => {
+        if (!cancelled) setImage(dataUrl);
+      })
+      .catch(err => luderror.ui('[TemplateCanvas] Error drawing QR code:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  if (!image) {
+    return (
+      <div
+        className="flex items-center justify-center border-2 border-dashed border-slate-300 bg-slate-50 text-slate-600 text-xs text-center"
+        style={{ width: `${size}px`, height: `${size}px` }}
+      >
+        {url ? 'יוצר קוד QR...' : 'הזינו קישור לקוד QR'}
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={image}
+      alt="QR"
+      style={{ display: 'block', width: `${size}px`, height: `${size}px`, boxShadow }}
+      draggable={false}
+    />
+  );
+};
+
 const TemplateCanvas = ({
   pdfUrl,
   templateConfig,
@@ -37,9 +119,7 @@ const TemplateCanvas = ({
   const [numPages, setNumPages] = useState(propNumPages || null);
   const [pageWidth, setPageWidth] = useState(() => {
     // Set initial width based on format using centralized dimensions
-    const dimensions = getCanvasDimensions(targetFormat);
-    // Scale down SVG slides to fit in reasonable screen space (800px width)
-    return isSVGFormat(targetFormat) ? 800 : dimensions.width;
+    return getCanvasDisplayWidth(targetFormat);
   });
   const [isDragging, setIsDragging] = useState(null);
   const [dragStart, setDragStart] = useState(null);
@@ -55,8 +135,11 @@ const TemplateCanvas = ({
   });
   const [resolvedTemplateContent, setResolvedTemplateContent] = useState(null);
   const [isLoadingResolvedContent, setIsLoadingResolvedContent] = useState(false);
+  const [guideSettings, setGuideSettings] = useState(() => loadGuideSettings(targetFormat));
+  const [activeGuides, setActiveGuides] = useState({ x: null, y: null });
   const overlayRef = React.useRef(null);
   const containerRef = React.useRef(null);
+  const dragSnapRef = React.useRef(null); // Element boxes measured when a drag starts
 
   // Helper function to check if we're working with SVG
   const isSvgFormat = () => {
@@ -167,9 +250,7 @@ const TemplateCanvas = ({
   // Update pageWidth when targetFormat changes
   useEffect(() => {
     const dimensions = getCanvasDimensions(targetFormat);
-    // Scale down SVG slides to fit in reasonable screen space (800px width)
-    const width = isSVGFormat(targetFormat) ? 800 : dimensions.width;
-    setPageWidth(width);
+    setPageWidth(getCanvasDisplayWidth(targetFormat));
 
     // For SVG slides, set the actual dimensions to the full 1920x1080 for coordinate calculations
     if (isSVGFormat(targetFormat)) {
@@ -211,6 +292,16 @@ const TemplateCanvas = ({
     localStorage.setItem('pdfViewer.showInstructions', showInstructions.toString());
   }, [showInstructions]);
 
+  // Load the grid and guide settings of the format
+  useEffect(() => {
+    setGuideSettings(loadGuideSettings(targetFormat));
+  }, [targetFormat]);
+
+  const handleGuideSettingsChange = (newSettings) => {
+    setGuideSettings(newSettings);
+    localStorage.setItem(getGuideSettingsStorageKey(targetFormat), JSON.stringify(newSettings));
+  };
+
   // Fetch resolved template content when fileId changes
   useEffect(() => {
     if (fileId && templateType === 'branding') {
@@ -277,7 +368,7 @@ const TemplateCanvas = ({
   };
 
   // Helper function to find element in both unified and legacy structures
-  const findElement = (elementKey) => {
+  const findElement = React.useCallback((elementKey) => {
     const hasUnifiedStructure = templateConfig?.elements;
 
     if (hasUnifiedStructure) {
@@ -303,6 +394,37 @@ const TemplateCanvas = ({
     }
 
     return null;
+  }, [templateConfig]);
+
+  // Boxes of the rendered elements in page percents, for the smart guides
+  const measureElementBoxes = (draggedKey) => {
+    const overlayElement = overlayRef.current;
+    if (!overlayElement) return null;
+
+    const overlayRect = overlayElement.getBoundingClientRect();
+    const toBox = (rect) => ({
+      left: ((rect.left - overlayRect.left) / overlayRect.width) * 100,
+      right: ((rect.right - overlayRect.left) / overlayRect.width) * 100,
+      top: ((rect.top - overlayRect.top) / overlayRect.height) * 100,
+      bottom: ((rect.bottom - overlayRect.top) / overlayRect.height) * 100
+    });
+
+    const boxes = [];
+    let draggedBox = null;
+    overlayElement.querySelectorAll('[data-element-key]').forEach(node => {
+      const box = toBox(node.getBoundingClientRect());
+      if (node.dataset.elementKey === draggedKey) {
+        draggedBox = box;
+      } else {
+        boxes.push(box);
+      }
+    });
+
+    return {
+      boxes,
+      halfWidth: draggedBox ? (draggedBox.right - draggedBox.left) / 2 : 0,
+      halfHeight: draggedBox ? (draggedBox.bottom - draggedBox.top) / 2 : 0
+    };
   };
 
   const handleMouseDown = (elementKey, event) => {
@@ -333,6 +455,7 @@ const TemplateCanvas = ({
     }
 
     setIsDragging(elementKey);
+    dragSnapRef.current = measureElementBoxes(elementKey);
 
     const elementPosition = elementInfo.element.position;
     setDragStart({
@@ -361,8 +484,8 @@ const TemplateCanvas = ({
                 ...element,
                 position: {
                   ...element.position,
-                  x: Math.round(newX),
-                  y: Math.round(newY)
+                  x: roundPosition(newX),
+                  y: roundPosition(newY)
                 }
               };
               return newConfig;
@@ -381,8 +504,8 @@ const TemplateCanvas = ({
             ...config.customElements[elementKey],
             position: {
               ...config.customElements[elementKey].position,
-              x: Math.round(newX),
-              y: Math.round(newY)
+              x: roundPosition(newX),
+              y: roundPosition(newY)
             }
           }
         };
@@ -391,8 +514,8 @@ const TemplateCanvas = ({
           ...config[elementKey],
           position: {
             ...config[elementKey].position,
-            x: Math.round(newX),
-            y: Math.round(newY)
+            x: roundPosition(newX),
+            y: roundPosition(newY)
           }
         };
       }
@@ -443,6 +566,34 @@ const TemplateCanvas = ({
     newX = Math.max(paddingX, Math.min(100 - paddingX, newX));
     newY = Math.max(paddingY, Math.min(100 - paddingY, newY));
 
+    // Snap to other elements, the page margins and the grid (Alt moves freely)
+    if (!event.altKey && (guideSettings.smartGuides || guideSettings.snapToGrid)) {
+      const snapInfo = dragSnapRef.current;
+      const snapped = snapElementPosition({
+        x: newX,
+        y: newY,
+        halfWidth: snapInfo?.halfWidth || 0,
+        halfHeight: snapInfo?.halfHeight || 0,
+        lines: guideSettings.smartGuides
+          ? getSnapLines(
+            snapInfo?.boxes || [],
+            guideSettings.showMargins ? unitsToPagePercent(guideSettings.margin, guideSettings.unit, targetFormat) : null
+          )
+          : null,
+        threshold: {
+          x: (SNAP_THRESHOLD_PX / rect.width) * 100,
+          y: (SNAP_THRESHOLD_PX / rect.height) * 100
+        },
+        grid: guideSettings.snapToGrid ? unitsToPagePercent(guideSettings.gridSize, guideSettings.unit, targetFormat) : null
+      });
+
+      newX = snapped.x;
+      newY = snapped.y;
+      setActiveGuides(snapped.guides);
+    } else {
+      setActiveGuides({ x: null, y: null });
+    }
+
     // Update position during drag
     if (onTemplateConfigChange) {
       // Find the current dragged element
@@ -455,8 +606,8 @@ const TemplateCanvas = ({
       if (draggedElementGroup) {
         // Group movement: move all elements in the group together
         const currentElement = draggedElementInfo.element;
-        const deltaX = Math.round(newX) - currentElement.position.x;
-        const deltaY = Math.round(newY) - currentElement.position.y;
+        const deltaX = roundPosition(newX) - currentElement.position.x;
+        const deltaY = roundPosition(newY) - currentElement.position.y;
 
         // Move all elements in the group by the same delta
         let newConfig = { ...templateConfig };
@@ -495,6 +646,8 @@ const TemplateCanvas = ({
   const handleMouseUp = () => {
     setIsDragging(null);
     setDragStart(null);
+    setActiveGuides({ x: null, y: null });
+    dragSnapRef.current = null;
   };
 
   // Function to handle element duplication
@@ -556,6 +709,37 @@ const TemplateCanvas = ({
     };
   }, [isDragging, dragStart]);
 
+  // Arrow keys nudge the focused element by 1 unit (10 with Shift)
+  useEffect(() => {
+    if (!focusedItem || !onTemplateConfigChange) return;
+
+    const handleKeyDown = (event) => {
+      const direction = ARROW_DIRECTIONS[event.key];
+      if (!direction) return;
+
+      // Leave arrow keys to form fields and menus
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"], [role="combobox"], [role="listbox"], [role="menu"], [role="slider"]')) return;
+
+      const elementInfo = findElement(focusedItem);
+      if (!elementInfo || elementInfo.element.locked) return;
+
+      event.preventDefault();
+      const step = unitsToPagePercent(event.shiftKey ? 10 : 1, guideSettings.unit, targetFormat);
+      const { x, y } = elementInfo.element.position;
+
+      const newConfig = updateElementPosition(
+        templateConfig,
+        focusedItem,
+        Math.max(0, Math.min(100, x + direction.x * step.x)),
+        Math.max(0, Math.min(100, y + direction.y * step.y))
+      );
+      onTemplateConfigChange(newConfig);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [focusedItem, templateConfig, guideSettings, targetFormat, findElement, onTemplateConfigChange]);
+
   // Add wheel event listener with non-passive option to allow preventDefault
   useEffect(() => {
     const containerElement = containerRef.current;
@@ -677,6 +861,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -701,6 +886,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -732,6 +918,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -763,6 +950,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -795,6 +983,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -825,6 +1014,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -848,6 +1038,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -870,6 +1061,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -893,6 +1085,7 @@ const TemplateCanvas = ({
         return (
           <div
             key={elementKey}
+            data-element-key={elementKey}
             className={commonClasses}
             style={{
               ...commonStyle,
@@ -913,11 +1106,126 @@ const TemplateCanvas = ({
           </div>
         );
 
+      case 'image':
+        return (
+          <div
+            key={elementKey}
+            data-element-key={elementKey}
+            className={commonClasses}
+            style={{
+              ...commonStyle,
+              transform: getElementTransformStyle(element, elementType)
+            }}
+            onMouseDown={(e) => handleMouseDown(elementKey, e)}
+          >
+            <div
+              style={{
+                position: 'relative',
+                width: `${element.style?.width || 150}px`,
+                height: `${element.style?.height || 150}px`,
+                overflow: 'hidden',
+                boxShadow: getElementShadowStyle(element, elementType)
+              }}
+            >
+              {element.url ? (
+                <img
+                  src={element.url}
+                  alt=""
+                  style={{ ...getImageCropStyle(element), maxWidth: 'none' }}
+                  draggable={false}
+                />
+              ) : (
+                <div className="w-full h-full flex items-center justify-center border-2 border-dashed border-teal-300 bg-teal-50 text-teal-700 text-xs text-center">
+                  העלו תמונה
+                </div>
+              )}
+            </div>
+          </div>
+        );
+
+      case 'qr-code':
+        return (
+          <div
+            key={elementKey}
+            data-element-key={elementKey}
+            className={commonClasses}
+            style={{
+              ...commonStyle,
+              transform: getElementTransformStyle(element, elementType)
+            }}
+            onMouseDown={(e) => handleMouseDown(elementKey, e)}
+          >
+            <QrCodeImage
+              url={element.qr?.url}
+              size={element.style?.size || 100}
+              boxShadow={getElementShadowStyle(element, elementType)}
+            />
+          </div>
+        );
+
       default:
         return null;
     }
   };
 
+  // Grid, page margins, rulers and the smart guides of the current drag
+  const renderPageGuides = () => {
+    const pageHeight = pageWidth * getPageDimensions().aspectRatio;
+    const gridPx = (unitsToPagePercent(guideSettings.gridSize, guideSettings.unit, targetFormat).x / 100) * pageWidth;
+    const margin = unitsToPagePercent(guideSettings.margin, guideSettings.unit, targetFormat);
+    const guideLineColor = '#ec4899';
+
+    return (
+      <>
+        {guideSettings.showGrid && gridPx >= 2 && (
+          <div
+            className="absolute inset-0 pointer-events-none"
+            style={{
+              zIndex: 5,
+              backgroundImage: 'linear-gradient(to right, rgba(59, 130, 246, 0.18) 1px, transparent 1px), linear-gradient(to bottom, rgba(59, 130, 246, 0.18) 1px, transparent 1px)',
+              backgroundSize: `${gridPx}px ${gridPx}px`
+            }}
+          />
+        )}
+
+        {guideSettings.showMargins && (
+          <div
+            className="absolute pointer-events-none border border-dashed border-orange-400"
+            style={{
+              zIndex: 5,
+              left: `${margin.x}%`,
+              right: `${margin.x}%`,
+              top: `${margin.y}%`,
+              bottom: `${margin.y}%`
+            }}
+          />
+        )}
+
+        {guideSettings.showRulers && (
+          <CanvasRulers
+            targetFormat={targetFormat}
+            unit={guideSettings.unit}
+            pageWidth={pageWidth}
+            pageHeight={pageHeight}
+          />
+        )}
+
+        {isDragging && activeGuides.x !== null && (
+          <div
+            className="absolute top-0 bottom-0 pointer-events-none"
+            style={{ zIndex: 20, left: `${activeGuides.x}%`, width: 1, backgroundColor: guideLineColor }}
+          />
+        )}
+        {isDragging && activeGuides.y !== null && (
+          <div
+            className="absolute left-0 right-0 pointer-events-none"
+            style={{ zIndex: 20, top: `${activeGuides.y}%`, height: 1, backgroundColor: guideLineColor }}
+          />
+        )}
+      </>
+    );
+  };
+
   return (
     <div className="relative w-full h-full flex flex-col">
       {/* Unified Toolbar - Sticks to header */}
@@ -950,6 +1258,11 @@ const TemplateCanvas = ({
             >
               🎯 מרכז
             </button>
+            <CanvasGuidesMenu
+              settings={guideSettings}
+              onChange={handleGuideSettingsChange}
+              targetFormat={targetFormat}
+            />
             {!showInstructions && (
               <>
                 <div className="mx-2 h-5 w-px bg-gray-300"></div>
@@ -1028,6 +1341,7 @@ const TemplateCanvas = ({
                   }}
                 />
               )}
+              {renderPageGuides()}
               {renderTemplateOverlay()}
             </div>
           ) : (
@@ -1068,6 +1382,7 @@ const TemplateCanvas = ({
                     renderAnnotationLayer={true}
                   />
                 )}
+                {renderPageGuides()}
                 {renderTemplateOverlay()}
               </div>
             </Document>
@@ -1092,6 +1407,8 @@ const TemplateCanvas = ({
             <li>• <strong>גלילה</strong>: גלגלת עכבר למעלה/מטה</li>
             <li>• <strong>זום</strong>: Ctrl + גלגלת עכבר</li>
             <li>• <strong>עריכה</strong>: לחץ על אלמנטים לגרירה</li>
+            <li>• <strong>הזזה מדויקת</strong>: חצים (Shift לצעד גדול)</li>
+            <li>• <strong>ללא הצמדה</strong>: Alt בזמן גרירה</li>
           </ul>
         </div>
       )}
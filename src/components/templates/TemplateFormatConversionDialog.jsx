@@ -0,0 +1,200 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { AlertTriangle, ArrowRight } from 'lucide-react';
+import TargetFormatIcon from '@/components/templates/TargetFormatIcon';
+import TemplatePagePreview from '@/components/templates/TemplatePagePreview';
+import { getFormatLabel, getTargetFormatOptions } from '@/utils/canvasDimensions';
+import { convertLegacyToUnifiedStructure, getElementTypeName } from '@/utils/templateTransferUtils';
+import { convertTemplateToFormat } from '@/utils/templateFormatConversion';
+
+const formatSize = ({ width, height }) => {
+  if (width && height) return `${Math.round(width)}×${Math.round(height)}`;
+  return width || height ? `${Math.round(width || height)}` : '-';
+};
+
+const formatPosition = (position) => (
+  position ? `${Math.round(position.x)}%, ${Math.round(position.y)}%` : '-'
+);
+
+// Element boxes of one side of the conversion, moved elements highlighted
+const getPreviewBoxes = (changes, side) => changes
+  .filter(change => change.visible)
+  .map(change => ({
+    key: `${change.type}-${change.id}`,
+    position: change[side].position,
+    size: change[side].size,
+    tone: change.movedInside && side === 'after' ? 'warning' : 'default'
+  }));
+
+/**
+ * Template Format Conversion Dialog
+ * Converts a template to another target format in two steps: choose the format,
+ * then review how each element was moved and resized before creating the copy.
+ * @param {boolean} open - Dialog visibility
+ * @param {Function} onOpenChange - Called with the new visibility
+ * @param {Object} template - The system template to convert
+ * @param {Function} onConvert - Called with { name, target_format, template_data } of the new template
+ * @param {boolean} isSaving - Disables the dialog while the new template is created
+ */
+export default function TemplateFormatConversionDialog({ open, onOpenChange, template, onConvert, isSaving = false }) {
+  const [step, setStep] = useState(1);
+  const [targetFormat, setTargetFormat] = useState('');
+  const [name, setName] = useState('');
+
+  const formatOptions = useMemo(
+    () => getTargetFormatOptions().filter(format => format.value !== template?.target_format),
+    [template]
+  );
+
+  // Reset when the dialog opens for a template
+  useEffect(() => {
+    if (open) {
+      setStep(1);
+      setTargetFormat('');
+      setName('');
+    }
+  }, [open, template]);
+
+  const conversion = useMemo(() => {
+    if (!template || !targetFormat) return null;
+
+    return convertTemplateToFormat(
+      convertLegacyToUnifiedStructure(template.template_data || {}),
+      template.target_format,
+      targetFormat
+    );
+  }, [template, targetFormat]);
+
+  const movedCount = conversion?.changes.filter(change => change.movedInside).length || 0;
+
+  const handleContinue = () => {
+    setName(`${template.name} - ${getFormatLabel(targetFormat)}`);
+    setStep(2);
+  };
+
+  const handleConvert = () => {
+    onConvert({
+      name: name.trim(),
+      target_format: targetFormat,
+      template_data: conversion.templateData
+    });
+  };
+
+  if (!template) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl" dir="rtl">
+        <DialogHeader>
+          <DialogTitle>המרת תבנית לפורמט אחר</DialogTitle>
+          <DialogDescription>
+            {step === 1
+              ? `בחרו את הפורמט החדש של "${template.name}". מיקומי האלמנטים וגדלים יותאמו לפי יחס העמוד.`
+              : 'בדקו את התבנית המותאמת. התבנית המקורית לא תשתנה, ותיווצר תבנית חדשה.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 1 ? (
+          <div className="space-y-2">
+            <Label>פורמט יעד</Label>
+            <Select value={targetFormat} onValueChange={setTargetFormat}>
+              <SelectTrigger>
+                <SelectValue placeholder="בחרו פורמט" />
+              </SelectTrigger>
+              <SelectContent>
+                {formatOptions.map(format => (
+                  <SelectItem key={format.value} value={format.value}>
+                    <span className="flex items-center gap-2">
+                      <TargetFormatIcon targetFormat={format.value} />
+                      {format.label}
+                    </span>
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center justify-center gap-6 bg-gray-50 rounded-lg p-4" dir="ltr">
+              <TemplatePagePreview targetFormat={template.target_format} boxes={getPreviewBoxes(conversion.changes, 'before')} />
+              <ArrowRight className="w-5 h-5 text-gray-400" />
+              <TemplatePagePreview targetFormat={targetFormat} boxes={getPreviewBoxes(conversion.changes, 'after')} />
+            </div>
+
+            {movedCount > 0 && (
+              <Alert>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  {movedCount === 1 ? 'אלמנט אחד הוזז' : `${movedCount} אלמנטים הוזזו`} פנימה כדי לא לחרוג מגבולות העמוד. מומלץ לבדוק אותם בעורך הוויזואלי.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <div className="max-h-52 overflow-y-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                  <tr>
+                    <th className="text-right font-medium p-2">אלמנט</th>
+                    <th className="text-right font-medium p-2">מיקום</th>
+                    <th className="text-right font-medium p-2">גודל</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {conversion.changes.length === 0 ? (
+                    <tr>
+                      <td colSpan={3} className="p-4 text-center text-gray-500">אין אלמנטים בתבנית</td>
+                    </tr>
+                  ) : conversion.changes.map(change => (
+                    <tr key={`${change.type}-${change.id}`} className={`border-t ${change.movedInside ? 'bg-amber-50' : ''}`}>
+                      <td className="p-2">
+                        {getElementTypeName(change.type)}
+                        {!change.visible && <span className="text-xs text-gray-400 mr-1">(מוסתר)</span>}
+                      </td>
+                      <td className="p-2 text-gray-600" dir="ltr">
+                        {formatPosition(change.before.position)} → {formatPosition(change.after.position)}
+                      </td>
+                      <td className="p-2 text-gray-600" dir="ltr">
+                        {formatSize(change.before.size)} → {formatSize(change.after.size)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="converted-template-name">שם התבנית החדשה</Label>
+              <Input
+                id="converted-template-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {step === 1 ? (
+            <Button onClick={handleContinue} disabled={!targetFormat}>
+              המשך לבדיקה
+            </Button>
+          ) : (
+            <>
+              <Button onClick={handleConvert} disabled={isSaving || !name.trim()}>
+                {isSaving ? 'יוצר...' : 'צור תבנית מותאמת'}
+              </Button>
+              <Button variant="outline" onClick={() => setStep(1)} disabled={isSaving}>
+                חזרה
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
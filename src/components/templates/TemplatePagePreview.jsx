@@ -0,0 +1,53 @@
+import TargetFormatIcon from '@/components/templates/TargetFormatIcon';
+import { getFormatLabel } from '@/utils/canvasDimensions';
+import { getDisplayPageSize } from '@/utils/templateFormatConversion';
+
+const PREVIEW_BOX_PX = 180;
+
+const TONE_CLASSES = {
+  default: 'bg-blue-200/70 border-blue-500',
+  muted: 'bg-gray-200/70 border-gray-400',
+  warning: 'bg-amber-200/70 border-amber-500',
+  added: 'bg-green-200/70 border-green-600',
+  removed: 'bg-red-200/70 border-red-500',
+  changed: 'bg-purple-200/70 border-purple-500'
+};
+
+/**
+ * Template Page Preview
+ * Page thumbnail with element boxes at their positions, sized like in the editor
+ * @param {string} targetFormat - The target format of the page
+ * @param {Array} boxes - [{ key, position: { x, y }, size: { width, height }, tone }]
+ * @param {string} caption - Text under the page, defaults to the format label
+ */
+export default function TemplatePagePreview({ targetFormat, boxes, caption }) {
+  const page = getDisplayPageSize(targetFormat);
+  const scale = PREVIEW_BOX_PX / Math.max(page.width, page.height);
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <div
+        className="relative bg-white border border-gray-300 shadow-sm overflow-hidden"
+        style={{ width: page.width * scale, height: page.height * scale }}
+      >
+        {boxes.filter(box => box.position).map(box => (
+          <div
+            key={box.key}
+            className={`absolute rounded-sm border ${TONE_CLASSES[box.tone] || TONE_CLASSES.default}`}
+            style={{
+              left: `${box.position.x}%`,
+              top: `${box.position.y}%`,
+              width: Math.max((box.size?.width || 40) * scale, 3),
+              height: Math.max((box.size?.height || 10) * scale, 3),
+              transform: 'translate(-50%, -50%)'
+            }}
+          />
+        ))}
+      </div>
+      <span className="flex items-center gap-1 text-xs text-gray-600">
+        <TargetFormatIcon targetFormat={targetFormat} className="w-3 h-3" />
+        {caption || getFormatLabel(targetFormat)}
+      </span>
+    </div>
+  );
+}
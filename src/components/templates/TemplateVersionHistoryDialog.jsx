@@ -0,0 +1,296 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
+import { toast } from '@/components/ui/use-toast';
+import { AlertTriangle, ArrowRight, RefreshCw, RotateCcw } from 'lucide-react';
+import TemplatePagePreview from '@/components/templates/TemplatePagePreview';
+import { apiRequest } from '@/services/apiClient';
+import { luderror } from '@/lib/ludlog';
+import { getElementTypeName } from '@/utils/templateTransferUtils';
+import { getElementDisplaySize } from '@/utils/templateFormatConversion';
+import {
+  fetchTemplateVersions,
+  recordTemplateVersion,
+  getVersionAuthor,
+  diffTemplateVersions
+} from '@/utils/templateVersionUtils';
+
+const DIFF_STATUSES = {
+  added: { label: 'נוספו', itemLabel: 'נוסף', tone: 'added', className: 'bg-green-100 text-green-700' },
+  removed: { label: 'הוסרו', itemLabel: 'הוסר', tone: 'removed', className: 'bg-red-100 text-red-700' },
+  moved: { label: 'הוזזו', itemLabel: 'הוזז', tone: 'warning', className: 'bg-amber-100 text-amber-700' },
+  changed: { label: 'שונו', itemLabel: 'שונה', tone: 'changed', className: 'bg-purple-100 text-purple-700' }
+};
+
+const CHANGED_FIELD_NAMES = {
+  style: 'עיצוב',
+  content: 'תוכן',
+  visible: 'הצגה',
+  url: 'תמונה',
+  qr: 'קישור QR',
+  locked: 'נעילה',
+  groupId: 'קבוצה'
+};
+
+const formatVersionDate = (date) => new Date(date).toLocaleString('he-IL', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Element boxes of one side of the diff, colored by what happened to them
+const getDiffBoxes = (diff, side) => diff
+  .filter(entry => entry[side] && entry[side].visible !== false)
+  .map(entry => ({
+    key: entry.key,
+    position: entry[side].position,
+    size: getElementDisplaySize(entry[side]),
+    tone: entry.status === 'unchanged' ? 'muted' : DIFF_STATUSES[entry.status].tone
+  }));
+
+// Restores into the system template itself
+const saveSystemTemplate = async (restoredTemplate) => {
+  const result = await apiRequest(`/system-templates/${restoredTemplate.id}`, {
+    method: 'PUT',
+    body: JSON.stringify(restoredTemplate)
+  });
+  return result?.data || restoredTemplate;
+};
+
+/**
+ * Template Version History Dialog
+ * Saved versions of a template with their author and time, a visual
+ * side-by-side diff of any two versions and one-click restore.
+ * @param {boolean} open - Dialog visibility
+ * @param {Function} onOpenChange - Called with the new visibility
+ * @param {Object} template - The template ({ name, target_format, template_data })
+ * @param {string} versionsPath - Versions endpoint of the template (see templateVersionUtils)
+ * @param {Function} saveTemplate - Saves a restored template and resolves to it; defaults to updating the system template
+ * @param {Function} onRestored - Called with the updated template after a restore
+ */
+export default function TemplateVersionHistoryDialog({
+  open,
+  onOpenChange,
+  template,
+  versionsPath,
+  saveTemplate = saveSystemTemplate,
+  onRestored
+}) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [fromVersionId, setFromVersionId] = useState('');
+  const [toVersionId, setToVersionId] = useState('');
+  const [restoringId, setRestoringId] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    if (!versionsPath) return;
+
+    setLoading(true);
+    try {
+      const data = await fetchTemplateVersions(versionsPath);
+      setVersions(data);
+      setToVersionId(data[0] ? String(data[0].id) : '');
+      setFromVersionId(data[1] ? String(data[1].id) : '');
+      setError(null);
+    } catch (err) {
+      luderror.api('[TemplateVersionHistoryDialog] Error loading versions:', err);
+      setError('שגיאה בטעינת היסטוריית הגרסאות');
+    } finally {
+      setLoading(false);
+    }
+  }, [versionsPath]);
+
+  useEffect(() => {
+    if (open) {
+      loadVersions();
+    }
+  }, [open, loadVersions]);
+
+  const getVersionNumber = (version) => versions.length - versions.indexOf(version);
+  const getVersionLabel = (version) => `גרסה ${getVersionNumber(version)} · ${formatVersionDate(version.created_at)}`;
+
+  const fromVersion = versions.find(version => String(version.id) === fromVersionId);
+  const toVersion = versions.find(version => String(version.id) === toVersionId);
+
+  const diff = useMemo(() => (
+    fromVersion && toVersion ? diffTemplateVersions(fromVersion.template_data, toVersion.template_data) : []
+  ), [fromVersion, toVersion]);
+
+  const changedEntries = diff.filter(entry => entry.status !== 'unchanged');
+
+  const handleRestore = async (version) => {
+    setRestoringId(version.id);
+    try {
+      const restoredTemplate = {
+        ...template,
+        target_format: version.target_format || template.target_format,
+        template_data: version.template_data
+      };
+
+      const savedTemplate = await saveTemplate(restoredTemplate);
+
+      await recordTemplateVersion(versionsPath, template, savedTemplate, { restoredFrom: version.id });
+
+      toast({
+        title: 'הגרסה שוחזרה',
+        description: `התבנית הוחזרה לגרסה ${getVersionNumber(version)}`
+      });
+      onRestored?.(savedTemplate);
+      await loadVersions();
+    } catch (err) {
+      luderror.api('[TemplateVersionHistoryDialog] Error restoring version:', err);
+      toast({
+        title: 'שגיאה בשחזור הגרסה',
+        description: err.message,
+        variant: 'destructive'
+      });
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const renderVersionSelect = (value, onChange, label) => (
+    <div className="flex-1 space-y-1">
+      <Label className="text-sm">{label}</Label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger className="h-9 text-sm">
+          <SelectValue placeholder="בחרו גרסה" />
+        </SelectTrigger>
+        <SelectContent>
+          {versions.map(version => (
+            <SelectItem key={version.id} value={String(version.id)}>{getVersionLabel(version)}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+
+  if (!template) return null;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto" dir="rtl">
+        <DialogHeader>
+          <DialogTitle>היסטוריית גרסאות - {template.name}</DialogTitle>
+          <DialogDescription>
+            כל שמירה של התבנית נשמרת כגרסה. השוו בין גרסאות ושחזרו גרסה קודמת בלחיצה.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="py-12 flex justify-center">
+            <LudoraLoadingSpinner message="טוען גרסאות..." />
+          </div>
+        ) : error ? (
+          <div className="py-10 text-center">
+            <AlertTriangle className="w-10 h-10 text-red-500 mx-auto mb-3" />
+            <p className="text-red-700 mb-4">{error}</p>
+            <Button variant="outline" onClick={loadVersions}>
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="py-12 text-center text-gray-600">
+            עדיין אין גרסאות שמורות. גרסה תישמר בכל שמירה של התבנית.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            {/* Visual diff */}
+            {versions.length > 1 && (
+              <div className="space-y-4">
+                <div className="flex flex-col sm:flex-row gap-3">
+                  {renderVersionSelect(fromVersionId, setFromVersionId, 'גרסה להשוואה')}
+                  {renderVersionSelect(toVersionId, setToVersionId, 'מול גרסה')}
+                </div>
+
+                {fromVersion && toVersion && (
+                  <>
+                    <div className="flex items-center justify-center gap-6 bg-gray-50 rounded-lg p-4" dir="ltr">
+                      <TemplatePagePreview
+                        targetFormat={fromVersion.target_format || template.target_format}
+                        boxes={getDiffBoxes(diff, 'before')}
+                        caption={`גרסה ${getVersionNumber(fromVersion)}`}
+                      />
+                      <ArrowRight className="w-5 h-5 text-gray-400" />
+                      <TemplatePagePreview
+                        targetFormat={toVersion.target_format || template.target_format}
+                        boxes={getDiffBoxes(diff, 'after')}
+                        caption={`גרסה ${getVersionNumber(toVersion)}`}
+                      />
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(DIFF_STATUSES).map(([status, config]) => (
+                        <span key={status} className={`px-2 py-1 rounded text-xs font-medium ${config.className}`}>
+                          {config.label}: {diff.filter(entry => entry.status === status).length}
+                        </span>
+                      ))}
+                    </div>
+
+                    {changedEntries.length === 0 ? (
+                      <p className="text-sm text-gray-500">אין הבדלים באלמנטים בין שתי הגרסאות</p>
+                    ) : (
+                      <ul className="text-sm space-y-1 max-h-40 overflow-y-auto border rounded-lg p-3">
+                        {changedEntries.map(entry => (
+                          <li key={entry.key} className="flex items-center gap-2">
+                            <span className={`px-2 py-0.5 rounded text-xs ${DIFF_STATUSES[entry.status].className}`}>
+                              {DIFF_STATUSES[entry.status].itemLabel}
+                            </span>
+                            <span>{getElementTypeName(entry.type)}</span>
+                            {entry.changedFields.length > 0 && (
+                              <span className="text-xs text-gray-500">
+                                ({entry.changedFields.map(field => CHANGED_FIELD_NAMES[field]).join(', ')})
+                              </span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Version list */}
+            <div className="border rounded-lg divide-y">
+              {versions.map((version, index) => (
+                <div key={version.id} className="flex items-center justify-between gap-3 p-3">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-800">גרסה {getVersionNumber(version)}</span>
+                      {index === 0 && <Badge className="bg-blue-100 text-blue-700">נוכחית</Badge>}
+                      {version.is_baseline && <Badge variant="outline">מקורית</Badge>}
+                      {version.restored_from && <Badge variant="outline">שחזור</Badge>}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      {formatVersionDate(version.created_at)} · {getVersionAuthor(version)}
+                    </div>
+                  </div>
+                  {index > 0 && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleRestore(version)}
+                      disabled={restoringId !== null}
+                    >
+                      <RotateCcw className="w-4 h-4 ml-2" />
+                      {restoringId === version.id ? 'משחזר...' : 'שחזור'}
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
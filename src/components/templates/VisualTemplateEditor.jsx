@@ -13,6 +13,8 @@ import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
 import { ludlog, luderror } from '@/lib/ludlog';
 import { getTextFontFamily, containsHebrew } from '@/utils/hebrewUtils';
 import { useUser } from '@/contexts/UserContext';
+import { validateAndFixElementTypes } from '@/utils/templateTransferUtils';
+import { getFormatLabel, getFormatOrientation } from '@/utils/canvasDimensions';
 
 
 const VisualTemplateEditor = ({
@@ -556,7 +558,7 @@ const VisualTemplateEditor = ({
           if (effectiveFormat === 'svg-lessonplan') {
             placeholderFile = 'template-editor-lessonplan.svg';
             fileType = 'SVG';
-          } else if (effectiveFormat === 'pdf-a4-landscape') {
+          } else if (getFormatOrientation(effectiveFormat) === 'landscape') {
             placeholderFile = 'preview-not-available-landscape.pdf';
             fileType = 'Landscape PDF';
           } else {
@@ -1020,6 +1022,33 @@ const VisualTemplateEditor = ({
             rotation: 0
           }
         };
+      case 'image':
+        return {
+          ...baseConfig,
+          url: '', // Set once the creator uploads an image
+          style: {
+            width: 150,
+            height: 150,
+            crop: { top: 0, right: 0, bottom: 0, left: 0 }, // Percent cut from each side
+            opacity: 100,
+            rotation: 0
+          }
+        };
+      case 'qr-code':
+        return {
+          ...baseConfig,
+          // Only the link is saved - the canvas and the PDF server draw the QR from it
+          qr: {
+            source: 'url',
+            url: '',
+            productId: null
+          },
+          style: {
+            size: 100,
+            opacity: 100,
+            rotation: 0
+          }
+        };
       case 'user-info':
         const userInfoContent = 'קובץ זה נוצר עבור {{user.email}}';
         return {
@@ -1452,52 +1481,6 @@ const VisualTemplateEditor = ({
     try {
       let configToSave;
 
-      // VALIDATION: Ensure all elements have required 'type' field
-      const validateAndFixElementTypes = (config) => {
-        const fixedConfig = JSON.parse(JSON.stringify(config)); // Deep clone
-        let hasChanges = false;
-
-        // Check unified structure elements (new format)
-        if (fixedConfig.elements) {
-          Object.entries(fixedConfig.elements).forEach(([elementType, elementArray]) => {
-            if (Array.isArray(elementArray)) {
-              elementArray.forEach((element, index) => {
-                if (!element.type || typeof element.type !== 'string') {
-                  element.type = elementType;
-                  hasChanges = true;
-                  ludlog.ui(`🔧 Fixed missing type field for ${elementType}[${index}]: added type="${elementType}"`);
-                }
-              });
-            }
-          });
-        }
-
-        // Check custom elements
-        if (fixedConfig.customElements) {
-          Object.entries(fixedConfig.customElements).forEach(([elementId, element]) => {
-            if (!element.type || typeof element.type !== 'string') {
-              // Try to infer type from element ID or use 'free-text' as default
-              const inferredType = elementId.includes('logo') ? 'logo' :
-                                 elementId.includes('text') ? 'free-text' :
-                                 elementId.includes('url') ? 'url' :
-                                 elementId.includes('user-info') ? 'user-info' :
-                                 elementId.includes('copyright') ? 'copyright-text' :
-                                 elementId.includes('watermark') ? 'watermark-logo' :
-                                 'free-text'; // Default fallback
-              element.type = inferredType;
-              hasChanges = true;
-              ludlog.ui(`🔧 Fixed missing type field for custom element ${elementId}: inferred type="${inferredType}"`);
-            }
-          });
-        }
-
-        if (hasChanges) {
-          ludlog.ui('✅ Template validation: Fixed missing type fields');
-        }
-
-        return fixedConfig;
-      };
-
       if (templateType === 'watermark') {
         // Save watermark config using same structure as footer/header
         configToSave = validateAndFixElementTypes(templateConfig);
@@ -1780,11 +1763,7 @@ const VisualTemplateEditor = ({
         watermark: 'עיצוב תבנית סימן מים'
       }[templateType] || 'עיצוב תבנית';
 
-      const formatSuffix = {
-        'pdf-a4-portrait': ' (PDF אנכי)',
-        'pdf-a4-landscape': ' (PDF אופקי)',
-        'svg-lessonplan': ' (SVG מצגת)'
-      }[effectiveFormat] || '';
+      const formatSuffix = effectiveFormat ? ` (${getFormatLabel(effectiveFormat)})` : '';
 
       baseTitle = templateBaseTitle + formatSuffix;
 
@@ -1851,10 +1830,7 @@ const VisualTemplateEditor = ({
 
       // Show target format if we know it
       if (effectiveFormat) {
-        const formatLabel = effectiveFormat === 'pdf-a4-portrait' ? 'PDF אנכי' :
-                           effectiveFormat === 'pdf-a4-landscape' ? 'PDF אופקי' :
-                           effectiveFormat === 'svg-lessonplan' ? 'SVG מצגת' :
-                           effectiveFormat;
+        const formatLabel = getFormatLabel(effectiveFormat);
         contextItems.push(
           <span key="fallbackFormat" className="bg-purple-100 text-purple-700 px-2 py-1 rounded text-xs font-medium">
             📄 {formatLabel}
@@ -1904,10 +1880,7 @@ const VisualTemplateEditor = ({
         // Target format
         if (effectiveFormat) {
           const format = effectiveFormat;
-          const formatLabel = format === 'pdf-a4-portrait' ? 'PDF אנכי' :
-                             format === 'pdf-a4-landscape' ? 'PDF אופקי' :
-                             format === 'svg-lessonplan' ? 'SVG מצגת' :
-                             format;
+          const formatLabel = getFormatLabel(format);
           contextItems.push(
             <span key="format" className="bg-purple-100 text-purple-700 px-2 py-1 rounded text-xs font-medium">
               📄 {formatLabel}
@@ -1936,10 +1909,7 @@ const VisualTemplateEditor = ({
 
         // Show target format if we know it
         if (effectiveFormat) {
-          const formatLabel = effectiveFormat === 'pdf-a4-portrait' ? 'PDF אנכי' :
-                             effectiveFormat === 'pdf-a4-landscape' ? 'PDF אופקי' :
-                             effectiveFormat === 'svg-lessonplan' ? 'SVG מצגת' :
-                             effectiveFormat;
+          const formatLabel = getFormatLabel(effectiveFormat);
           contextItems.push(
             <span key="fallbackFormat" className="bg-purple-100 text-purple-700 px-2 py-1 rounded text-xs font-medium">
               📄 {formatLabel}
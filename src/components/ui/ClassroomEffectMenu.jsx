@@ -13,7 +13,8 @@ const ClassroomEffectMenu = ({
 	effectsToExclude = [],
 	layout = 'horizontal',
 	mode = 'floating', // 'floating' or 'embedded'
-	onClose = null
+	onClose = null,
+	autoTriggerEffect = null // Effect id to play once on mount (e.g. 'fireworks' for a celebration)
 }) => {
 	const [activeEffect, setActiveEffect] = useState(null);
 	const [position, setPosition] = useState({ x: 0, y: 0 });
@@ -108,6 +109,15 @@ const ClassroomEffectMenu = ({
 		!effectsToExclude.includes(effect.id)
 	);
 
+	// Play the requested effect once when the menu appears
+	useEffect(() => {
+		if (autoTriggerEffect && !effectsToExclude.includes(autoTriggerEffect)) {
+			handleEffectAction(autoTriggerEffect);
+		}
+		// Only re-run when a different effect is requested
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [autoTriggerEffect]);
+
 	// Drag functionality (only for floating mode)
 	const handleMouseDown = (e) => {
 		if (mode === 'floating' && e.target.closest('.drag-handle')) {
@@ -66,6 +66,7 @@ export const portalUrls = {
     home: () => config.portals.buildStudentUrl('/'),
     portal: (invitationCode) => config.portals.buildStudentUrl(`/portal/${invitationCode}`),
     lobby: (lobbyCode) => config.portals.buildStudentUrl(`/lobby/${lobbyCode}`),
+    lobbySpectate: (lobbyCode) => config.portals.buildStudentUrl(`/lobby/${lobbyCode}/watch`),
     play: (gameId) => config.portals.buildStudentUrl(`/play/${gameId}`),
     game: (lobbyCode) => config.portals.buildStudentUrl(`/play/${lobbyCode}`), // Legacy support
   },
@@ -78,6 +79,7 @@ export const portalUrls = {
     gameCreate: () => config.portals.buildTeacherUrl('/games/create'),
     gameEdit: (gameId) => config.portals.buildTeacherUrl(`/games/${gameId}/edit`),
     products: () => config.portals.buildTeacherUrl('/products'),
+    productDetails: (productId) => config.portals.buildTeacherUrl(`/product-details?product=${productId}`),
     templates: () => config.portals.buildTeacherUrl('/template-manager'),
   },
 
@@ -0,0 +1,37 @@
+import { useEffect, useRef } from 'react';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import { mergeProgressSnapshots } from '@/utils/gameProgressUtils';
+
+/**
+ * useSharedPlayerProgress Hook
+ * Shares a player's progress snapshot (from createPlayerProgressSnapshot) with
+ * the session room. The progress of the other players heard so far is sent
+ * along, so the last state the server keeps for the session covers everyone
+ * and the lobby results report can read it after the game.
+ * @param {string|null} sessionId - Game session ID, or null to share nothing
+ * @param {Object|null} snapshot - Memoized snapshot to send, or null to send nothing
+ */
+export const useSharedPlayerProgress = (sessionId, snapshot) => {
+  const knownRef = useRef(null);
+
+  useEffect(() => {
+    knownRef.current = null;
+    if (!sessionId) return;
+
+    const unsubscribe = socketClient.onSessionEvent(SESSION_EVENT_TYPES.MOVE, (data) => {
+      if (data?.session_id !== sessionId || !data.game_state?.players_progress) return;
+      knownRef.current = mergeProgressSnapshots(knownRef.current, data.game_state);
+    });
+
+    return unsubscribe;
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!snapshot || !sessionId) return;
+
+    knownRef.current = mergeProgressSnapshots(knownRef.current, snapshot);
+    socketClient.sendGameStateUpdate(sessionId, knownRef.current);
+  }, [sessionId, snapshot]);
+};
+
+export default useSharedPlayerProgress;
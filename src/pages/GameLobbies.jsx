@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useUser } from '@/contexts/UserContext';
 import { motion } from 'framer-motion';
@@ -8,6 +8,7 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Input } from '@/components/ui/input';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import {
   ArrowLeft,
   Users,
@@ -28,15 +29,25 @@ import {
   ClipboardList,
   BookOpenCheck,
   QrCode,
+  Monitor,
+  BarChart3,
+  CalendarClock,
+  Printer,
   X
 } from 'lucide-react';
 import { renderQRCode, LUDORA_OFFICIAL_PRESET } from '@/utils/qrCodeUtils';
-import { computeLobbyStatus, isLobbyActive, isLobbyJoinable, filterActiveLobbies, filterJoinableLobbies, getLobbyStatusConfig, findBestJoinableLobby, findMostRecentLobby } from '@/utils/lobbyUtils';
+import { computeLobbyStatus, isLobbyActive, isLobbyJoinable, filterActiveLobbies, filterJoinableLobbies, getLobbyStatusConfig, findBestJoinableLobby, findMostRecentLobby, getLobbySchedule, isLobbyScheduleUpcoming, getLobbyScheduleText } from '@/utils/lobbyUtils';
 import ProductImage from '@/components/ui/ProductImage';
 import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
 import { toast } from '@/components/ui/use-toast';
 import { getProductTypeName } from '@/config/productTypes';
 import EnhancedLobbyCreationDialog from '@/components/game-lobbies/EnhancedLobbyActivationDialog';
+import LobbyResultsReport from '@/components/game-lobbies/LobbyResultsReport';
+import LobbySessionsBoard from '@/components/game-lobbies/LobbySessionsBoard';
+import LobbyAnalyticsBoard from '@/components/game-lobbies/LobbyAnalyticsBoard';
+import LobbyScheduleDialog from '@/components/game-lobbies/LobbyScheduleDialog';
+import QrPosterDialog from '@/components/dialogs/QrPosterDialog';
+import { QR_POSTER_KINDS } from '@/utils/qrPosterUtils';
 import { urls } from '@/config/urls';
 import { ludlog, luderror } from '@/lib/ludlog';
 
@@ -353,6 +364,7 @@ function MainLobbyView({ userGames, loading }) {
             searchTerm={searchTerm}
             socketConnectionState={socketConnectionState}
             gameUpdateTrigger={gameUpdateTrigger}
+            onLobbiesChanged={() => setGameUpdateTrigger(prev => prev + 1)}
           />
         )}
       </div>
@@ -514,7 +526,14 @@ function EmptyGamesState() {
 }
 
 // Active games grid (for when user has games)
-function ActiveGamesGrid({ userGames, searchTerm, socketConnectionState, gameUpdateTrigger }) {
+function ActiveGamesGrid({ userGames, searchTerm, socketConnectionState, gameUpdateTrigger, onLobbiesChanged }) {
+  // Latest lobby of each game card, for the upcoming lobbies list
+  const [lobbiesByGame, setLobbiesByGame] = useState({});
+
+  const handleLobbyChange = useCallback((gameId, lobby) => {
+    setLobbiesByGame(prev => (prev[gameId] === lobby ? prev : { ...prev, [gameId]: lobby }));
+  }, []);
+
   // Filter games based on search with safe title access
   const filteredGames = userGames.filter(game => {
     // Game title comes from the associated Product, not the Game entity itself
@@ -525,6 +544,13 @@ function ActiveGamesGrid({ userGames, searchTerm, socketConnectionState, gameUpd
   return (
     <div className="space-y-8 py-8">
 
+      {/* Lobbies scheduled to open */}
+      <UpcomingLobbiesList
+        userGames={userGames}
+        lobbiesByGame={lobbiesByGame}
+        onLobbiesChanged={onLobbiesChanged}
+      />
+
       {/* Section Title */}
       <motion.div
         initial={{ opacity: 0, x: -20 }}
@@ -588,6 +614,7 @@ function ActiveGamesGrid({ userGames, searchTerm, socketConnectionState, gameUpd
               // Pass simple Socket.IO connection state
               socketConnectionState={socketConnectionState}
               gameUpdateTrigger={gameUpdateTrigger}
+              onLobbyChange={handleLobbyChange}
             />
           ))}
         </div>
@@ -596,19 +623,164 @@ function ActiveGamesGrid({ userGames, searchTerm, socketConnectionState, gameUpd
   );
 }
 
+// Lobbies scheduled in advance, soonest first, with schedule editing and cancelling
+function UpcomingLobbiesList({ userGames, lobbiesByGame, onLobbiesChanged }) {
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [savingLobbyId, setSavingLobbyId] = useState(null);
+
+  const upcomingEntries = userGames
+    .map(game => ({
+      game,
+      lobby: lobbiesByGame[game.id],
+      gameTitle: game.product?.title || game.product?.name || 'משחק ללא שם'
+    }))
+    .filter(entry => entry.lobby && isLobbyScheduleUpcoming(entry.lobby))
+    .sort((a, b) => getLobbySchedule(a.lobby).opensAt - getLobbySchedule(b.lobby).opensAt);
+
+  const saveSchedule = async (lobby, schedule) => {
+    await apiRequest(`/game-lobbies/${lobby.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        settings: {
+          ...lobby.settings,
+          schedule
+        }
+      })
+    });
+    onLobbiesChanged?.();
+  };
+
+  const handleScheduleEdit = async (schedule) => {
+    const { lobby } = editingEntry;
+    try {
+      setSavingLobbyId(lobby.id);
+      await saveSchedule(lobby, schedule);
+      setEditingEntry(null);
+      toast({
+        title: "התזמון עודכן",
+        description: `הלובי ייפתח ${getLobbyScheduleText({ settings: { schedule } })}`,
+        variant: "default"
+      });
+    } catch (error) {
+      luderror.game('[GameLobbies] Error updating lobby schedule:', error);
+      toast({
+        title: "שגיאה בעדכון התזמון",
+        description: error.message || "אירעה שגיאה בלתי צפויה",
+        variant: "destructive"
+      });
+    } finally {
+      setSavingLobbyId(null);
+    }
+  };
+
+  const handleScheduleCancel = async ({ lobby, gameTitle }) => {
+    if (!confirm(`לבטל את התזמון של "${gameTitle}"? הלובי לא ייפתח אוטומטית.`)) return;
+
+    try {
+      setSavingLobbyId(lobby.id);
+      await saveSchedule(lobby, null);
+      toast({
+        title: "התזמון בוטל",
+        description: "ניתן לפתוח את הלובי ידנית בכל עת",
+        variant: "default"
+      });
+    } catch (error) {
+      luderror.game('[GameLobbies] Error cancelling lobby schedule:', error);
+      toast({
+        title: "שגיאה בביטול התזמון",
+        description: error.message || "אירעה שגיאה בלתי צפויה",
+        variant: "destructive"
+      });
+    } finally {
+      setSavingLobbyId(null);
+    }
+  };
+
+  if (upcomingEntries.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200"
+    >
+      <h2 className="text-2xl font-bold text-gray-800 mb-1 flex items-center gap-3">
+        <CalendarClock className="w-6 h-6 text-blue-600" />
+        לובים מתוזמנים ({upcomingEntries.length})
+      </h2>
+      <p className="text-gray-600 mb-4">
+        הלובים ייפתחו וייסגרו אוטומטית בזמנים שנקבעו
+      </p>
+
+      <div className="divide-y divide-gray-100">
+        {upcomingEntries.map(entry => (
+          <div key={entry.lobby.id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 py-3">
+            <div>
+              <div className="font-medium text-gray-800">{entry.gameTitle}</div>
+              <div className="text-sm text-gray-600 flex items-center gap-2">
+                <Clock className="w-4 h-4" />
+                {getLobbyScheduleText(entry.lobby)}
+                {entry.lobby.lobby_code && (
+                  <Badge variant="outline" className="font-mono">{entry.lobby.lobby_code}</Badge>
+                )}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                onClick={() => setEditingEntry(entry)}
+                disabled={savingLobbyId === entry.lobby.id}
+                variant="outline"
+                size="sm"
+                className="border-2 border-blue-200 hover:bg-blue-50 text-blue-700"
+              >
+                <Settings className="w-4 h-4 mr-1" />
+                ערוך
+              </Button>
+              <Button
+                onClick={() => handleScheduleCancel(entry)}
+                disabled={savingLobbyId === entry.lobby.id}
+                variant="outline"
+                size="sm"
+                className="border-2 border-red-200 hover:bg-red-50 text-red-700"
+              >
+                <X className="w-4 h-4 mr-1" />
+                בטל תזמון
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <LobbyScheduleDialog
+        isOpen={!!editingEntry}
+        onClose={() => setEditingEntry(null)}
+        onConfirm={handleScheduleEdit}
+        lobby={editingEntry?.lobby || null}
+        gameName={editingEntry?.gameTitle || ''}
+        isLoading={!!editingEntry && savingLobbyId === editingEntry.lobby.id}
+      />
+    </motion.div>
+  );
+}
+
 // Individual game card component
 function GameCard({
   game,
   index,
   // Simple Socket.IO props from parent
   socketConnectionState,
-  gameUpdateTrigger
+  gameUpdateTrigger,
+  // Reports the card's lobby to the games grid
+  onLobbyChange
 }) {
   const navigate = useNavigate();
   const [lobbyData, setLobbyData] = useState(null);
   const [lobbyLoading, setLobbyLoading] = useState(true);
   const [lobbyError, setLobbyError] = useState(null);
   const [showQRModal, setShowQRModal] = useState(false);
+  const [showPosterDialog, setShowPosterDialog] = useState(false);
+  const [showResultsReport, setShowResultsReport] = useState(false);
   const [qrContainer, setQrContainer] = useState(null);
   const [playerCountChanged, setPlayerCountChanged] = useState(false);
   const [lastPlayerCount, setLastPlayerCount] = useState(0);
@@ -628,6 +800,10 @@ function GameCard({
   // Make gameId completely stable - only create once per component
   const [stableGameId] = useState(() => game.id);
 
+  useEffect(() => {
+    onLobbyChange?.(stableGameId, lobby);
+  }, [lobby, stableGameId, onLobbyChange]);
+
   // Listen for real-time Socket.IO events specific to this game
   useEffect(() => {
     const handleLobbyUpdate = (eventData) => {
@@ -639,8 +815,8 @@ function GameCard({
         if (eventGameId && eventGameId === gameId) {
           ludlog.game(`🔄 Real-time update for game ${gameId}:`, eventData.type);
 
-          // For participant events, fetch fresh data to get accurate counts
-          if (['participant_joined', 'participant_left', 'session_created', 'session_finished'].includes(eventData.type)) {
+          // For participant events and scheduled openings/closings by the server, fetch fresh data
+          if (['participant_joined', 'participant_left', 'session_created', 'session_finished', 'lobby_activated', 'lobby_closed'].includes(eventData.type)) {
             refreshLobbyFromAPI();
           } else {
             // For other lobby events, re-process existing data
@@ -819,6 +995,10 @@ function GameCard({
             session_time_limit: 30,
             allow_guest_users: true,
             invitation_type: creationData.invitation_type || 'manual_selection',
+            session_config: creationData.session_config || targetLobby.settings?.session_config,
+            team_config: creationData.team_config || targetLobby.settings?.team_config,
+            // Opening and closing times of a lobby scheduled in advance
+            schedule: creationData.schedule || null,
             auto_close_after: 60
           }
         };
@@ -855,7 +1035,13 @@ function GameCard({
             max_players: creationData.max_players || maxPlayersPerSession,
             session_time_limit: 30,
             allow_guest_users: true,
-            invitation_type: 'manual_selection',
+            invitation_type: creationData.invitation_type || 'manual_selection',
+            // Session sizes, used when the system assigns players to sessions
+            session_config: creationData.session_config,
+            // Teams the students play in (team mode)
+            team_config: creationData.team_config,
+            // Opening and closing times of a lobby scheduled in advance
+            schedule: creationData.schedule || null,
             auto_close_after: 60
           }
         };
@@ -881,8 +1067,10 @@ function GameCard({
         }
 
         toast({
-          title: "לובי נוצר בהצלחה!",
-          description: `קוד לובי: ${response.lobby_code}`,
+          title: creationData.schedule ? "הלובי תוזמן בהצלחה!" : "לובי נוצר בהצלחה!",
+          description: creationData.schedule
+            ? `קוד לובי: ${response.lobby_code}, ייפתח ${getLobbyScheduleText({ settings: { schedule: creationData.schedule } })}`
+            : `קוד לובי: ${response.lobby_code}`,
           variant: "default"
         });
       }
@@ -993,6 +1181,7 @@ function GameCard({
       }
 
       setLobbyLoading(true);
+      const hadSessions = (lobby.sessions?.length || 0) > 0 || totalActiveSessions > 0;
 
       const response = await apiRequest(`/game-lobbies/${lobby.id}/close`, {
         method: 'PUT'
@@ -1004,6 +1193,11 @@ function GameCard({
         variant: "default"
       });
 
+      // Show the session outcomes right away so they are not lost with the lobby
+      if (hadSessions) {
+        setShowResultsReport(true);
+      }
+
       // Update UI immediately with fresh API response data
       if (response) {
         const updatedLobby = response;
@@ -1224,6 +1418,17 @@ function GameCard({
               </div>
             </div>
 
+            {/* Scheduled Opening */}
+            {lobby && isLobbyScheduleUpcoming(lobby) && (
+              <div className="bg-indigo-50 rounded-lg p-3 border border-indigo-100">
+                <div className="flex items-center gap-2">
+                  <CalendarClock className="w-4 h-4 text-indigo-600" />
+                  <span className="text-sm font-medium text-indigo-800">מתוזמן:</span>
+                  <span className="text-sm text-indigo-700">{getLobbyScheduleText(lobby)}</span>
+                </div>
+              </div>
+            )}
+
             {/* Session Details */}
             {totalActiveSessions > 0 && !lobbyLoading && (
               <div className="bg-blue-50 rounded-lg p-3 border border-blue-100">
@@ -1289,6 +1494,15 @@ function GameCard({
                   <Play className="w-5 h-5 mr-2" />
                   פתח לובי מחדש
                 </Button>
+                <Button
+                  onClick={() => setShowResultsReport(true)}
+                  disabled={lobbyLoading}
+                  variant="outline"
+                  className="w-full border-2 border-purple-200 hover:bg-purple-50 text-purple-700 font-medium py-2 rounded-lg"
+                >
+                  <BarChart3 className="w-4 h-4 mr-1" />
+                  דו״ח תוצאות
+                </Button>
                 <div className="grid grid-cols-2 gap-2">
                   <Button
                     onClick={editLobby}
@@ -1374,6 +1588,24 @@ function GameCard({
                   <Users className="w-5 h-5 mr-2" />
                   נהל חדרים פעילים ({totalActiveSessions})
                 </Button>
+                <Button
+                  onClick={() => navigate(`/game-lobbies/${game.id}/host`)}
+                  disabled={lobbyLoading}
+                  variant="outline"
+                  className="w-full border-2 border-indigo-200 hover:bg-indigo-50 text-indigo-700 font-medium py-2 rounded-lg"
+                >
+                  <Monitor className="w-4 h-4 mr-1" />
+                  מסך מקרן לכיתה
+                </Button>
+                <Button
+                  onClick={() => setShowResultsReport(true)}
+                  disabled={lobbyLoading}
+                  variant="outline"
+                  className="w-full border-2 border-purple-200 hover:bg-purple-50 text-purple-700 font-medium py-2 rounded-lg"
+                >
+                  <BarChart3 className="w-4 h-4 mr-1" />
+                  דו״ח תוצאות
+                </Button>
                 <div className="grid grid-cols-2 gap-2">
                   <Button
                     onClick={closeLobby}
@@ -1422,6 +1654,26 @@ function GameCard({
         existingLobbyData={isEditMode ? lobby : null}
       />
 
+      {/* Printable QR Poster */}
+      {lobbyCode && (
+        <QrPosterDialog
+          isOpen={showPosterDialog}
+          onClose={() => setShowPosterDialog(false)}
+          kind={QR_POSTER_KINDS.LOBBY}
+          url={urls.portal.student.lobby(lobbyCode)}
+          code={lobbyCode}
+          title={gameTitle}
+        />
+      )}
+
+      {/* Lobby Results Report */}
+      <LobbyResultsReport
+        isOpen={showResultsReport}
+        onClose={() => setShowResultsReport(false)}
+        gameId={game.id}
+        gameTitle={gameTitle}
+      />
+
       {/* Full-Screen QR Code Modal */}
       {showQRModal && (
         <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center p-4">
@@ -1467,6 +1719,15 @@ function GameCard({
                   {urls.portal.student.home().replace(/^https?:\/\//, '')}/play
                 </p>
               </div>
+
+              <Button
+                onClick={() => setShowPosterDialog(true)}
+                variant="outline"
+                className="mt-6 border-2 border-teal-200 hover:bg-teal-50 text-teal-700"
+              >
+                <Printer className="w-4 h-4 mr-2" />
+                פוסטר להדפסה
+              </Button>
             </div>
           </div>
         </div>
@@ -1475,7 +1736,7 @@ function GameCard({
   );
 }
 
-// Game-specific view component (simplified for now)
+// Game-specific view component - the sessions of the game's lobby and its usage analytics
 function GameSpecificView({ gameId }) {
   const navigate = useNavigate();
 
@@ -1496,27 +1757,26 @@ function GameSpecificView({ gameId }) {
             חזור לכל ה{getProductTypeName('game', 'plural')}
           </Button>
 
-          <Card className="bg-white border border-gray-200 shadow-lg text-center py-16">
-            <CardContent>
-              <School className="w-20 h-20 text-blue-500 mx-auto mb-6" />
-              <h2 className="text-2xl font-bold text-gray-800 mb-4">
-                ניהול {getProductTypeName('game', 'singular')} חינוכי
-              </h2>
-              <p className="text-gray-600 mb-6">
-                TODO: הוסף ממשק לניהול קבוצות תלמידים עבור {getProductTypeName('game', 'singular')} {gameId}
-              </p>
-              <Button
-                onClick={() => toast({
-                  title: "בפיתוח",
-                  description: "ממשק ניהול הקבוצות יתווסף בקרוב",
-                  variant: "default"
-                })}
-                className="bg-blue-600 hover:bg-blue-700 text-white"
-              >
-                צור קבוצת תלמידים חדשה
-              </Button>
-            </CardContent>
-          </Card>
+          <Tabs defaultValue="sessions" dir="rtl">
+            <TabsList className="mb-6">
+              <TabsTrigger value="sessions" className="flex items-center gap-2">
+                <Users className="w-4 h-4" />
+                חדרי משחק
+              </TabsTrigger>
+              <TabsTrigger value="analytics" className="flex items-center gap-2">
+                <BarChart3 className="w-4 h-4" />
+                נתוני שימוש
+              </TabsTrigger>
+            </TabsList>
+
+            <TabsContent value="sessions">
+              <LobbySessionsBoard gameId={gameId} />
+            </TabsContent>
+
+            <TabsContent value="analytics">
+              <LobbyAnalyticsBoard gameId={gameId} />
+            </TabsContent>
+          </Tabs>
         </motion.div>
       </div>
     </div>
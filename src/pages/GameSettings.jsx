@@ -13,8 +13,9 @@ import { ludlog, luderror } from '@/lib/ludlog';
 import { toast } from '@/components/ui/use-toast';
 import GameTypeSelector from '@/components/game/GameTypeSelector';
 import GameTypeDisplay from '@/components/game/GameTypeDisplay';
-import { MemoryGameSettingsDigital, MemoryGameSettingsOffline } from '@/components/game/settings';
-import { Play, Edit, ArrowRight, Monitor, FileText, Lock } from 'lucide-react';
+import { MemoryGameSettingsDigital, MemoryGameSettingsOffline, ScatterGameSettingsDigital, SharpAndSmoothSettingsDigital, QuizGameSettingsDigital, MatchingGameSettingsDigital } from '@/components/game/settings';
+import GameTestPlayDialog from '@/components/game/play/GameTestPlayDialog';
+import { Play, Edit, ArrowRight, Monitor, FileText, Lock, FlaskConical } from 'lucide-react';
 
 export default function GameSettings() {
 	const { gameId } = useParams();
@@ -27,6 +28,7 @@ export default function GameSettings() {
 	const [error, setError] = useState(null);
 	const [isUpdating, setIsUpdating] = useState(false);
 	const [showGameTypeSelector, setShowGameTypeSelector] = useState(false);
+	const [showTestPlay, setShowTestPlay] = useState(false);
 
 	useEffect(() => {
 		loadGameData();
@@ -221,6 +223,9 @@ export default function GameSettings() {
 	// Can only change digital if: no game settings AND game type supports both options
 	const canChangeDigital = !hasGameSettings && gameTypeHasBothOptions;
 
+	// Test play runs the digital game locally, so it needs the saved game entity
+	const canTestPlay = hasGameType && gameProduct?.type_attributes?.digital && !!gameEntity?.id;
+
 	// Handle game settings changes
 	const handleGameSettingsChange = async (newSettings) => {
 		setIsUpdating(true);
@@ -312,6 +317,50 @@ export default function GameSettings() {
 			}
 		}
 
+		// Scatter Game (word search) Components
+		if (gameType === 'scatter_game' && isDigital) {
+			return (
+				<ScatterGameSettingsDigital
+					gameEntity={gameEntity}
+					onSettingsChange={handleGameSettingsChange}
+					isUpdating={isUpdating}
+				/>
+			);
+		}
+
+		// Sharp and Smooth Components
+		if (gameType === 'sharp_and_smooth' && isDigital) {
+			return (
+				<SharpAndSmoothSettingsDigital
+					gameEntity={gameEntity}
+					onSettingsChange={handleGameSettingsChange}
+					isUpdating={isUpdating}
+				/>
+			);
+		}
+
+		// Quiz Game Components
+		if (gameType === 'quiz_game' && isDigital) {
+			return (
+				<QuizGameSettingsDigital
+					gameEntity={gameEntity}
+					onSettingsChange={handleGameSettingsChange}
+					isUpdating={isUpdating}
+				/>
+			);
+		}
+
+		// Matching Game Components
+		if (gameType === 'matching_game' && isDigital) {
+			return (
+				<MatchingGameSettingsDigital
+					gameEntity={gameEntity}
+					onSettingsChange={handleGameSettingsChange}
+					isUpdating={isUpdating}
+				/>
+			);
+		}
+
 		// Placeholder for other game types
 		return (
 			<div className={`p-8 border rounded-lg text-center ${
@@ -421,6 +470,17 @@ export default function GameSettings() {
 								חזרה לרשימת המוצרים
 							</Button>
 
+							{canTestPlay && (
+								<Button
+									onClick={() => setShowTestPlay(true)}
+									variant='outline'
+									className='border-purple-300 text-purple-700 hover:bg-purple-50'
+								>
+									<FlaskConical className='w-4 h-4 ml-2' />
+									משחק ניסיון
+								</Button>
+							)}
+
 							<Button
 								onClick={handleEditProduct}
 								className='bg-blue-600 hover:bg-blue-700'
@@ -510,6 +570,16 @@ export default function GameSettings() {
 					</div>
 				)}
 			</div>
+
+			{canTestPlay && (
+				<GameTestPlayDialog
+					isOpen={showTestPlay}
+					onClose={() => setShowTestPlay(false)}
+					gameType={gameProduct.type_attributes.game_type}
+					gameEntity={gameEntity}
+					gameTitle={gameProduct.title}
+				/>
+			)}
 		</div>
 	);
 }
@@ -0,0 +1,479 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { apiRequest } from '@/services/apiClient';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import { Button } from '@/components/ui/button';
+import ClassroomEffectMenu from '@/components/ui/ClassroomEffectMenu';
+import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
+import LogoDisplay from '@/components/ui/LogoDisplay';
+import { ArrowRight, Maximize, Minimize, Trophy, Users, Medal, LayoutGrid, Flag } from 'lucide-react';
+import { createLudoraQRCode, LUDORA_OFFICIAL_PRESET } from '@/utils/qrCodeUtils';
+import { getSessionProgress, mergeProgressSnapshots } from '@/utils/gameProgressUtils';
+import { getLobbyTeams, getParticipantTeamId, buildTeamScoreboard } from '@/utils/teamUtils';
+import { urls } from '@/config/urls';
+import { ludlog, luderror } from '@/lib/ludlog';
+
+const QR_SIZE = 320;
+
+const PODIUM_STYLES = [
+  'bg-yellow-400 text-yellow-950',
+  'bg-gray-300 text-gray-900',
+  'bg-orange-400 text-orange-950'
+];
+
+/**
+ * LobbyHostScreen - Full-screen view of a lobby for the classroom projector
+ * Accessed via /game-lobbies/{gameId}/host
+ *
+ * Shows the join code and QR while players join, live progress per session,
+ * and a final leaderboard with a celebration once the sessions are done.
+ * In team mode a live team scoreboard is shown as well.
+ */
+export default function LobbyHostScreen() {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+
+  const [game, setGame] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [gameStates, setGameStates] = useState({}); // sessionId -> latest game state snapshot
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [qrContainer, setQrContainer] = useState(null);
+
+  const hostRef = useRef(null);
+  const autoLeaderboardShownRef = useRef(false);
+
+  const lobby = game?.lobbies?.[0] || null;
+  const lobbyCode = lobby?.lobby_code || null;
+  const gameTitle = game?.product?.title || game?.product?.name || 'משחק';
+  const gameSettings = game?.game_settings;
+  const teams = useMemo(() => getLobbyTeams(lobby?.settings), [lobby]);
+  const teamsById = useMemo(() => Object.fromEntries((teams || []).map(team => [team.id, team])), [teams]);
+
+  const sessions = useMemo(
+    () => [...(lobby?.sessions || [])].sort((a, b) => (a.session_number || 0) - (b.session_number || 0)),
+    [lobby]
+  );
+  const sessionIdsKey = sessions.map(session => session.id).join(',');
+
+  const loadGame = useCallback(async () => {
+    try {
+      const data = await apiRequest(`/games/${gameId}`);
+      setGame(data);
+      setError(null);
+
+      // Seed progress from the states the server already has
+      setGameStates(prev => {
+        const next = { ...prev };
+        (data?.lobbies?.[0]?.sessions || []).forEach(session => {
+          if (session.game_state) {
+            next[session.id] = mergeProgressSnapshots(next[session.id], session.game_state);
+          }
+        });
+        return next;
+      });
+    } catch (err) {
+      luderror.game('[LobbyHostScreen] Error loading lobby:', err);
+      setError('שגיאה בטעינת הלובי');
+    } finally {
+      setLoading(false);
+    }
+  }, [gameId]);
+
+  useEffect(() => {
+    loadGame();
+  }, [loadGame]);
+
+  // Lobby-level events (new sessions, lobby closed, ...)
+  useEffect(() => {
+    socketClient.connect().catch(() => {
+      // Socket.IO connection failed - will retry automatically
+    });
+
+    const unsubscribe = socketClient.onLobbyUpdate('lobby:update', (eventData) => {
+      const eventGameId = eventData.data?.game_id || eventData.data?.gameId || eventData.data?.lobby?.game_id;
+      if (eventGameId === gameId) {
+        ludlog.game(`[LobbyHostScreen] Lobby update: ${eventData.type}`);
+        loadGame();
+      }
+    });
+
+    return unsubscribe;
+  }, [gameId, loadGame]);
+
+  // Watch every session room of the lobby
+  useEffect(() => {
+    if (!sessionIdsKey) return;
+
+    const sessionIds = sessionIdsKey.split(',');
+    sessionIds.forEach(sessionId => socketClient.joinSessionRoom(sessionId, { participantId: null, spectator: true }));
+
+    const handleMove = (data) => {
+      if (!sessionIds.includes(data?.session_id) || !data.game_state) return;
+
+      setGameStates(prev => ({
+        ...prev,
+        [data.session_id]: mergeProgressSnapshots(prev[data.session_id], data.game_state)
+      }));
+    };
+
+    const handleSessionChange = (data) => {
+      if (sessionIds.includes(data?.session_id)) {
+        loadGame();
+      }
+    };
+
+    const unsubscribes = [
+      socketClient.onSessionEvent(SESSION_EVENT_TYPES.MOVE, handleMove),
+      ...[
+        SESSION_EVENT_TYPES.PLAYER_JOINED,
+        SESSION_EVENT_TYPES.PLAYER_LEFT,
+        SESSION_EVENT_TYPES.GAME_STARTED,
+        SESSION_EVENT_TYPES.FINISHED
+      ].map(eventType => socketClient.onSessionEvent(eventType, handleSessionChange))
+    ];
+
+    return () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      sessionIds.forEach(sessionId => socketClient.leaveSessionRoom(sessionId));
+    };
+  }, [sessionIdsKey, loadGame]);
+
+  // Join QR
+  useEffect(() => {
+    if (!qrContainer || !lobbyCode) return;
+
+    let cancelled = false;
+
+    createLudoraQRCode(urls.portal.student.lobby(lobbyCode), LUDORA_OFFICIAL_PRESET, {
+      width: QR_SIZE,
+      height: QR_SIZE,
+      margin: 0
+    })
+      .then(qrCode => {
+        if (cancelled) return;
+        qrContainer.replaceChildren();
+        qrCode.append(qrContainer);
+      })
+      .catch(err => luderror.game('[LobbyHostScreen] Error generating QR code:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [qrContainer, lobbyCode]);
+
+  useEffect(() => {
+    const handleFullscreenChange = () => setIsFullscreen(!!document.fullscreenElement);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+  }, []);
+
+  const toggleFullscreen = async () => {
+    try {
+      if (document.fullscreenElement) {
+        await document.exitFullscreen();
+      } else {
+        await hostRef.current?.requestFullscreen?.();
+      }
+    } catch (err) {
+      luderror.ui('[LobbyHostScreen] Fullscreen toggle failed:', err);
+    }
+  };
+
+  const sessionProgress = useMemo(() => Object.fromEntries(
+    sessions.map(session => [session.id, getSessionProgress(gameStates[session.id], gameSettings)])
+  ), [sessions, gameStates, gameSettings]);
+
+  const playingSessions = sessions.filter(session => session.participants?.length > 0);
+  const allFinished = playingSessions.length > 0 && playingSessions.every(session =>
+    session.finished_at || sessionProgress[session.id]?.finished
+  );
+
+  // Jump to the leaderboard once, when every session with players is done
+  useEffect(() => {
+    if (allFinished && !autoLeaderboardShownRef.current) {
+      autoLeaderboardShownRef.current = true;
+      setShowLeaderboard(true);
+    }
+  }, [allFinished]);
+
+  const leaderboard = useMemo(() => {
+    const players = sessions.flatMap(session => (session.participants || []).map(participant => ({
+      id: participant.id,
+      name: participant.display_name,
+      sessionNumber: session.session_number,
+      teamId: getParticipantTeamId(participant),
+      score: sessionProgress[session.id]?.scores?.[participant.id] || 0
+    })));
+
+    let rank = 0;
+    let previousScore = null;
+
+    return players
+      .sort((a, b) => b.score - a.score)
+      .map((player, index) => {
+        if (player.score !== previousScore) {
+          rank = index + 1;
+          previousScore = player.score;
+        }
+        return { ...player, rank };
+      });
+  }, [sessions, sessionProgress]);
+
+  const totalPlayers = leaderboard.length;
+
+  const teamScoreboard = useMemo(
+    () => (teams ? buildTeamScoreboard(teams, leaderboard) : []),
+    [teams, leaderboard]
+  );
+  const topTeamScore = Math.max(1, ...teamScoreboard.map(team => team.score));
+
+  const renderTeamScoreboard = (large = false) => (
+    <section className={`bg-white/10 rounded-2xl ${large ? 'p-6 mb-10' : 'p-5 lg:col-span-2'}`}>
+      <h2 className={`${large ? 'text-3xl' : 'text-2xl'} font-bold flex items-center gap-2 mb-4`}>
+        <Flag className="w-6 h-6" />
+        טבלת קבוצות
+      </h2>
+      <ol className="space-y-3">
+        {teamScoreboard.map(team => (
+          <motion.li key={team.id} layout className="flex items-center gap-4">
+            <span className={`w-8 font-bold text-indigo-200 ${large ? 'text-2xl' : 'text-xl'}`}>{team.rank}.</span>
+            <span className={`w-40 font-bold truncate ${large ? 'text-2xl' : 'text-xl'}`}>{team.name}</span>
+            <div className="flex-1 h-6 bg-white/10 rounded-full overflow-hidden">
+              <motion.div
+                className="h-full rounded-full"
+                style={{ backgroundColor: team.color }}
+                initial={false}
+                animate={{ width: `${(team.score / topTeamScore) * 100}%` }}
+                transition={{ duration: 0.6 }}
+              />
+            </div>
+            <span className="w-24 text-left font-bold text-xl">{team.score} נק׳</span>
+            <span className="w-20 text-left text-sm text-indigo-200">{team.members} שחקנים</span>
+          </motion.li>
+        ))}
+      </ol>
+    </section>
+  );
+
+  if (loading) {
+    return (
+      <div className="fixed inset-0 z-50 bg-gradient-to-br from-indigo-900 to-purple-900 flex items-center justify-center">
+        <LudoraLoadingSpinner message="טוען את מסך המשחק..." size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !lobby) {
+    return (
+      <div className="fixed inset-0 z-50 bg-gradient-to-br from-indigo-900 to-purple-900 flex items-center justify-center p-4" dir="rtl">
+        <div className="text-center text-white">
+          <p className="text-2xl font-bold mb-6">{error || 'אין לובי פעיל למשחק הזה'}</p>
+          <Button onClick={() => navigate('/game-lobbies')} className="bg-white text-indigo-900 hover:bg-indigo-50">
+            <ArrowRight className="w-5 h-5 ml-2" />
+            חזרה ללובים
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={hostRef}
+      dir="rtl"
+      data-presentation-area="true"
+      className="fixed inset-0 z-50 overflow-auto bg-gradient-to-br from-indigo-900 via-purple-900 to-indigo-950 text-white"
+    >
+      {/* Header */}
+      <header className="flex items-center justify-between px-8 py-4">
+        <div className="flex items-center gap-4">
+          <LogoDisplay size="small" className="h-10 object-contain" />
+          <h1 className="text-3xl font-bold">{gameTitle}</h1>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="ghost"
+            onClick={() => setShowLeaderboard(prev => !prev)}
+            className="text-white hover:bg-white/10"
+          >
+            {showLeaderboard ? <LayoutGrid className="w-5 h-5 ml-2" /> : <Trophy className="w-5 h-5 ml-2" />}
+            {showLeaderboard ? 'חזרה לחדרים' : 'טבלת מובילים'}
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={toggleFullscreen}
+            className="text-white hover:bg-white/10"
+            aria-label={isFullscreen ? 'יציאה ממסך מלא' : 'מסך מלא'}
+          >
+            {isFullscreen ? <Minimize className="w-5 h-5" /> : <Maximize className="w-5 h-5" />}
+          </Button>
+          <Button
+            variant="ghost"
+            onClick={() => navigate('/game-lobbies')}
+            className="text-white hover:bg-white/10"
+          >
+            <ArrowRight className="w-5 h-5 ml-2" />
+            יציאה
+          </Button>
+        </div>
+      </header>
+
+      {showLeaderboard ? (
+        <main className="max-w-4xl mx-auto px-8 pb-12">
+          <div className="text-center mb-8">
+            <Trophy className="w-20 h-20 text-yellow-400 mx-auto mb-3" />
+            <h2 className="text-5xl font-bold">טבלת המובילים</h2>
+          </div>
+
+          {teams && renderTeamScoreboard(true)}
+
+          {/* Podium */}
+          <div className="flex items-end justify-center gap-6 mb-10">
+            {[1, 0, 2].map(position => {
+              const player = leaderboard[position];
+              if (!player) return null;
+
+              return (
+                <motion.div
+                  key={player.id}
+                  initial={{ opacity: 0, y: 40 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: 0.3 + (2 - position) * 0.3 }}
+                  className="flex flex-col items-center"
+                >
+                  <div className="text-2xl font-bold mb-2 text-center">{player.name}</div>
+                  <div
+                    className={`w-40 rounded-t-xl flex flex-col items-center justify-start pt-4 ${PODIUM_STYLES[position]}`}
+                    style={{ height: [220, 170, 130][position] }}
+                  >
+                    <Medal className="w-10 h-10 mb-1" />
+                    <div className="text-4xl font-black">{player.rank}</div>
+                    <div className="text-xl font-bold">{player.score} נק׳</div>
+                  </div>
+                </motion.div>
+              );
+            })}
+          </div>
+
+          {/* Everyone else */}
+          {leaderboard.length > 3 && (
+            <ol className="bg-white/10 rounded-2xl divide-y divide-white/10 mb-10">
+              {leaderboard.slice(3).map(player => (
+                <li key={player.id} className="flex items-center justify-between px-6 py-3 text-xl">
+                  <span className="w-10 font-bold text-indigo-200">{player.rank}.</span>
+                  <span className="flex-1">{player.name}</span>
+                  <span className="text-sm text-indigo-200 ml-6">חדר {player.sessionNumber}</span>
+                  <span className="font-bold">{player.score} נק׳</span>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {leaderboard.length === 0 && (
+            <p className="text-center text-2xl text-indigo-200 mb-10">עדיין אין שחקנים במשחק</p>
+          )}
+
+          {/* Celebration */}
+          <div className="flex justify-center">
+            <ClassroomEffectMenu
+              display={true}
+              mode="embedded"
+              layout="horizontal"
+              effectsToExclude={['shhhh']}
+              autoTriggerEffect={leaderboard.length > 0 ? 'fireworks' : null}
+            />
+          </div>
+        </main>
+      ) : (
+        <main className="grid grid-cols-1 lg:grid-cols-[auto_1fr] gap-8 px-8 pb-12">
+          {teams && renderTeamScoreboard()}
+
+          {/* Join panel */}
+          <section className="bg-white text-gray-900 rounded-3xl p-8 flex flex-col items-center self-start">
+            <p className="text-xl font-medium text-gray-600 mb-4">סרקו להצטרפות</p>
+            <div ref={setQrContainer} className="bg-white" style={{ width: QR_SIZE, height: QR_SIZE }} />
+            <p className="text-lg text-gray-600 mt-6 mb-1">או היכנסו ל-</p>
+            <p className="text-xl font-bold text-indigo-700 mb-4" dir="ltr">
+              {urls.portal.student.home().replace(/^https?:\/\//, '')}
+            </p>
+            <p className="text-lg text-gray-600 mb-1">והזינו את הקוד</p>
+            <p className="text-6xl font-black font-mono tracking-widest text-gray-900" dir="ltr">{lobbyCode}</p>
+            <div className="flex items-center gap-2 mt-6 text-lg text-gray-600">
+              <Users className="w-5 h-5" />
+              {totalPlayers} שחקנים הצטרפו
+            </div>
+          </section>
+
+          {/* Sessions */}
+          <section className="grid grid-cols-1 md:grid-cols-2 2xl:grid-cols-3 gap-6 content-start">
+            {sessions.length === 0 && (
+              <div className="col-span-full text-center text-2xl text-indigo-200 py-16">
+                ממתינים לשחקנים הראשונים...
+              </div>
+            )}
+
+            {sessions.map(session => {
+              const progress = sessionProgress[session.id];
+              const participants = session.participants || [];
+              const isDone = !!session.finished_at || progress?.finished;
+
+              return (
+                <div key={session.id} className="bg-white/10 rounded-2xl p-5">
+                  <div className="flex items-center justify-between mb-3">
+                    <h2 className="text-2xl font-bold">חדר {session.session_number}</h2>
+                    <span className="text-indigo-200">
+                      {isDone ? 'הסתיים' : session.started_at ? 'משחקים' : 'ממתינים'}
+                    </span>
+                  </div>
+
+                  <div className="h-3 bg-white/20 rounded-full overflow-hidden mb-1">
+                    <motion.div
+                      className={`h-full ${isDone ? 'bg-emerald-400' : 'bg-yellow-400'}`}
+                      initial={false}
+                      animate={{ width: `${isDone ? 100 : progress?.percent || 0}%` }}
+                      transition={{ duration: 0.6 }}
+                    />
+                  </div>
+                  <p className="text-sm text-indigo-200 mb-4 min-h-[1.25rem]">
+                    {progress?.total ? `${progress.completed}/${progress.total}` : null}
+                  </p>
+
+                  <ul className="flex flex-wrap gap-2">
+                    <AnimatePresence>
+                      {participants.map(participant => (
+                        <motion.li
+                          key={participant.id}
+                          layout
+                          initial={{ opacity: 0, scale: 0.6 }}
+                          animate={{ opacity: 1, scale: 1 }}
+                          exit={{ opacity: 0, scale: 0.6 }}
+                          className="flex items-center gap-2 px-3 py-1 rounded-full bg-white/20 text-lg"
+                        >
+                          {teamsById[getParticipantTeamId(participant)] && (
+                            <span
+                              className="w-3 h-3 rounded-full"
+                              style={{ backgroundColor: teamsById[getParticipantTeamId(participant)].color }}
+                              title={teamsById[getParticipantTeamId(participant)].name}
+                            />
+                          )}
+                          <span>{participant.display_name}</span>
+                          {progress?.scores?.[participant.id] !== undefined && (
+                            <span className="font-bold text-yellow-300">{progress.scores[participant.id]}</span>
+                          )}
+                        </motion.li>
+                      ))}
+                    </AnimatePresence>
+                  </ul>
+                </div>
+              );
+            })}
+          </section>
+        </main>
+      )}
+    </div>
+  );
+}
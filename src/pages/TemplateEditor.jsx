@@ -6,6 +6,9 @@ import { toast } from "@/components/ui/use-toast";
 import { apiRequest } from "@/services/apiClient.js";
 import { getTextFontFamily } from "@/utils/hebrewUtils";
 import { urls } from '@/config/urls';
+import { convertLegacyToUnifiedStructure } from '@/utils/templateTransferUtils';
+import { getTargetFormatOptions, isSupportedFormat } from '@/utils/canvasDimensions';
+import { recordTemplateVersion, getSystemTemplateVersionsPath } from '@/utils/templateVersionUtils';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -13,6 +16,7 @@ import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import VisualTemplateEditor from "@/components/templates/VisualTemplateEditor";
+import TemplateVersionHistoryDialog from "@/components/templates/TemplateVersionHistoryDialog";
 import LogoDisplay from '@/components/ui/LogoDisplay';
 import {
   ArrowRight,
@@ -20,9 +24,7 @@ import {
   Palette,
   AlertCircle,
   CheckCircle,
-  RectangleVertical,
-  RectangleHorizontal,
-  Monitor
+  History
 } from "lucide-react";
 
 export default function TemplateEditor() {
@@ -45,28 +47,11 @@ export default function TemplateEditor() {
   const [message, setMessage] = useState(null);
   const [showVisualEditor, setShowVisualEditor] = useState(false);
   const [isCreateMode, setIsCreateMode] = useState(!templateId);
+  const [savedTemplate, setSavedTemplate] = useState(null); // Template as stored, base of the next version
+  const [showVersionHistory, setShowVersionHistory] = useState(false);
 
   // Target format options
-  const targetFormats = [
-    {
-      value: 'pdf-a4-portrait',
-      label: 'PDF A4 לאורך',
-      icon: <RectangleVertical className="w-4 h-4" />,
-      type: 'pdf'
-    },
-    {
-      value: 'pdf-a4-landscape',
-      label: 'PDF A4 לרוחב',
-      icon: <RectangleHorizontal className="w-4 h-4" />,
-      type: 'pdf'
-    },
-    {
-      value: 'svg-lessonplan',
-      label: 'SVG מצגת שיעור',
-      icon: <Monitor className="w-4 h-4" />,
-      type: 'svg'
-    }
-  ];
+  const targetFormats = getTargetFormatOptions();
 
   const templateTypes = [
     { value: 'branding', label: 'מיתוג' },
@@ -220,6 +205,7 @@ export default function TemplateEditor() {
     try {
       const result = await apiRequest(`/system-templates/${templateId}`);
       setTemplate(result.data);
+      setSavedTemplate(result.data);
       setIsCreateMode(false);
     } catch (error) {
       luderror.validation("Error loading template:", error);
@@ -263,6 +249,7 @@ export default function TemplateEditor() {
         // Switch to edit mode and update URL
         setIsCreateMode(false);
         setTemplate(result.data);
+        setSavedTemplate(result.data);
         navigate(`/template-manager/edit/${result.data.id}`, { replace: true });
 
         setMessage({ type: 'success', text: 'התבנית נוצרה בהצלחה' });
@@ -271,8 +258,10 @@ export default function TemplateEditor() {
           method: 'PUT',
           body: JSON.stringify(templateToSave)
         });
+        await recordTemplateVersion(getSystemTemplateVersionsPath(templateId), savedTemplate, result.data || templateToSave);
 
         setTemplate(result.data);
+        setSavedTemplate(result.data);
         setMessage({ type: 'success', text: 'התבנית עודכנה בהצלחה' });
       }
 
@@ -291,7 +280,6 @@ export default function TemplateEditor() {
 
   const handleOpenVisualEditor = () => {
     // Visual editor now supports all template types and formats
-    const supportedFormats = ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'];
     const supportedTypes = ['branding', 'watermark'];
 
     if (!supportedTypes.includes(template.template_type)) {
@@ -303,7 +291,7 @@ export default function TemplateEditor() {
       return;
     }
 
-    if (!supportedFormats.includes(template.target_format)) {
+    if (!isSupportedFormat(template.target_format)) {
       toast({
         title: "עורך ויזואלי לא זמין",
         description: "פורמט תבנית לא נתמך",
@@ -315,83 +303,6 @@ export default function TemplateEditor() {
     setShowVisualEditor(true);
   };
 
-  // Convert legacy template structure to unified structure
-  const convertLegacyToUnifiedStructure = (legacyConfig) => {
-    // If it's already unified structure, return as-is
-    if (legacyConfig.elements && typeof legacyConfig.elements === 'object') {
-      return legacyConfig;
-    }
-
-    const elements = {};
-
-    // Convert built-in elements from legacy structure (branding templates)
-    if (legacyConfig.logo) {
-      elements.logo = [{
-        ...legacyConfig.logo,
-        deletable: legacyConfig.logo.deletable ?? true,
-        type: 'logo'
-      }];
-    }
-
-    if (legacyConfig.text) {
-      elements['copyright-text'] = [{
-        ...legacyConfig.text,
-        deletable: legacyConfig.text.deletable ?? true,
-        type: 'copyright-text'
-      }];
-    }
-
-    if (legacyConfig.url) {
-      elements.url = [{
-        ...legacyConfig.url,
-        deletable: legacyConfig.url.deletable ?? true,
-        type: 'url'
-      }];
-    }
-
-    // Convert watermark templates legacy structure
-    if (legacyConfig.textElements && Array.isArray(legacyConfig.textElements)) {
-      elements['watermark-text'] = legacyConfig.textElements.map(element => ({
-        ...element,
-        type: 'watermark-text',
-        deletable: element.deletable ?? true
-      }));
-    }
-
-    if (legacyConfig.logoElements && Array.isArray(legacyConfig.logoElements)) {
-      elements['watermark-logo'] = legacyConfig.logoElements.map(element => ({
-        ...element,
-        type: 'watermark-logo',
-        deletable: element.deletable ?? true
-      }));
-    }
-
-    // Convert custom elements from legacy structure
-    if (legacyConfig.customElements && typeof legacyConfig.customElements === 'object') {
-      Object.entries(legacyConfig.customElements).forEach(([elementId, element]) => {
-        if (element && typeof element === 'object') {
-          const elementType = element.type || 'free-text';
-
-          if (!elements[elementType]) {
-            elements[elementType] = [];
-          }
-
-          elements[elementType].push({
-            ...element,
-            id: element.id || elementId,
-            type: elementType,
-            deletable: element.deletable ?? true
-          });
-        }
-      });
-    }
-
-    return {
-      elements,
-      globalSettings: legacyConfig.globalSettings || {}
-    };
-  };
-
   const handleSaveFromVisualEditor = (templateConfig) => {
     const unifiedConfig = convertLegacyToUnifiedStructure(templateConfig);
 
@@ -540,13 +451,13 @@ export default function TemplateEditor() {
                   onClick={handleOpenVisualEditor}
                   disabled={
                     !(['branding', 'watermark'].includes(template.template_type) &&
-                      ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'].includes(template.target_format))
+                      isSupportedFormat(template.target_format))
                   }
                   className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300"
                 >
                   <Palette className="w-4 h-4 ml-2" />
                   {(['branding', 'watermark'].includes(template.template_type) &&
-                    ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'].includes(template.target_format))
+                    isSupportedFormat(template.target_format))
                     ? 'פתח עורך ויזואלי'
                     : 'לא נתמך'}
                 </Button>
@@ -569,6 +480,16 @@ export default function TemplateEditor() {
               >
                 ביטול
               </Button>
+              {!isCreateMode && (
+                <Button
+                  variant="outline"
+                  onClick={() => setShowVersionHistory(true)}
+                  className="mr-auto"
+                >
+                  <History className="w-4 h-4 ml-2" />
+                  היסטוריית גרסאות
+                </Button>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -588,6 +509,19 @@ export default function TemplateEditor() {
             currentTemplateId={!isCreateMode ? templateId : null} // Pass template ID for auto-apply
           />
         )}
+
+        {!isCreateMode && (
+          <TemplateVersionHistoryDialog
+            open={showVersionHistory}
+            onOpenChange={setShowVersionHistory}
+            template={savedTemplate}
+            versionsPath={getSystemTemplateVersionsPath(templateId)}
+            onRestored={(restored) => {
+              setTemplate(restored);
+              setSavedTemplate(restored);
+            }}
+          />
+        )}
       </div>
     </div>
   );
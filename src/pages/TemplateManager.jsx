@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import { useUser } from "@/contexts/UserContext";
 import { getApiBase } from "@/utils/api";
@@ -6,6 +6,14 @@ import { ludlog, luderror } from '@/lib/ludlog';
 import { toast } from "@/components/ui/use-toast";
 import { apiRequest } from "@/services/apiClient.js";
 import { urls } from '@/config/urls';
+import {
+  convertLegacyToUnifiedStructure,
+  buildTemplateExport,
+  getTemplateExportFilename,
+  parseTemplateImport
+} from '@/utils/templateTransferUtils';
+import { getTargetFormatOptions, isSupportedFormat } from '@/utils/canvasDimensions';
+import { recordTemplateVersion, getSystemTemplateVersionsPath } from '@/utils/templateVersionUtils';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -13,6 +21,9 @@ import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import VisualTemplateEditor from "@/components/templates/VisualTemplateEditor";
+import TargetFormatIcon from "@/components/templates/TargetFormatIcon";
+import TemplateFormatConversionDialog from "@/components/templates/TemplateFormatConversionDialog";
+import TemplateVersionHistoryDialog from "@/components/templates/TemplateVersionHistoryDialog";
 import LogoDisplay from '@/components/ui/LogoDisplay';
 import {
   FileText,
@@ -25,11 +36,12 @@ import {
   AlertCircle,
   CheckCircle,
   Palette,
-  Monitor,
   Layout,
-  RectangleHorizontal,
-  RectangleVertical,
-  Paintbrush
+  Paintbrush,
+  Download,
+  Upload,
+  ArrowRightLeft,
+  History
 } from "lucide-react";
 
 export default function TemplateManager() {
@@ -47,29 +59,15 @@ export default function TemplateManager() {
   const [showTemplateTypeSelector, setShowTemplateTypeSelector] = useState(false);
   const [showVisualEditor, setShowVisualEditor] = useState(false);
   const [editingTemplate, setEditingTemplate] = useState(null);
+  const [convertingTemplate, setConvertingTemplate] = useState(null);
+  const [historyTemplate, setHistoryTemplate] = useState(null);
+  const importInputRef = useRef(null);
 
   // Target format options
-  const targetFormats = [
-    {
-      value: 'pdf-a4-portrait',
-      label: 'PDF A4 לאורך',
-      icon: <RectangleVertical className="w-4 h-4" />,
-      type: 'pdf'
-    },
-    {
-      value: 'pdf-a4-landscape',
-      label: 'PDF A4 לרוחב',
-      icon: <RectangleHorizontal className="w-4 h-4" />,
-      type: 'pdf'
-    },
-    {
-      value: 'svg-lessonplan',
-      label: 'SVG מצגת שיעור',
-      icon: <Monitor className="w-4 h-4" />,
-      type: 'svg'
-    }
-  ];
-
+  const targetFormats = getTargetFormatOptions().map(format => ({
+    ...format,
+    icon: <TargetFormatIcon targetFormat={format.value} />
+  }));
 
   const templateTypes = [
     { value: 'all', label: 'כל הסוגים' },
@@ -79,9 +77,7 @@ export default function TemplateManager() {
 
   const templateFormats = [
     { value: 'all', label: 'כל הפורמטים' },
-    { value: 'pdf-a4-portrait', label: 'PDF A4 לאורך' },
-    { value: 'pdf-a4-landscape', label: 'PDF A4 לרוחב' },
-    { value: 'svg-lessonplan', label: 'SVG מצגת שיעור' }
+    ...targetFormats
   ];
 
   useEffect(() => {
@@ -207,6 +203,105 @@ export default function TemplateManager() {
     setTimeout(() => setMessage(null), 3000);
   };
 
+  const handleExportTemplate = (template) => {
+    try {
+      const content = JSON.stringify(buildTemplateExport(template), null, 2);
+      const blobUrl = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = getTemplateExportFilename(template);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      luderror.validation('Error exporting template:', error);
+      toast({
+        title: "שגיאה בייצוא התבנית",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+  };
+
+  // Create a copy of a template remapped to another target format
+  const handleConvertTemplate = async (converted) => {
+    setIsUpdating(true);
+    try {
+      const result = await apiRequest('/system-templates', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: converted.name,
+          description: convertingTemplate.description,
+          template_type: convertingTemplate.template_type,
+          target_format: converted.target_format,
+          template_data: converted.template_data,
+          is_default: false
+        })
+      });
+
+      ludlog.api('Template converted:', { data: { from: convertingTemplate.id, id: result.data?.id, format: converted.target_format } });
+      setMessage({ type: 'success', text: `התבנית "${converted.name}" נוצרה בהצלחה` });
+      setConvertingTemplate(null);
+      await loadTemplates();
+    } catch (error) {
+      luderror.validation('Error converting template:', error);
+      toast({
+        title: "שגיאה בהמרת התבנית",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+    setIsUpdating(false);
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+      imported = parseTemplateImport(await file.text());
+    } catch (error) {
+      toast({
+        title: "לא ניתן לייבא את הקובץ",
+        description: error.message,
+        variant: "destructive"
+      });
+      return;
+    }
+
+    setIsUpdating(true);
+    try {
+      const result = await apiRequest('/system-templates', {
+        method: 'POST',
+        body: JSON.stringify({ ...imported.template, is_default: false })
+      });
+
+      ludlog.api('Template imported:', { data: { id: result.data?.id, version: imported.version } });
+      setMessage({ type: 'success', text: `התבנית "${imported.template.name}" יובאה בהצלחה` });
+      if (imported.warnings.length > 0) {
+        toast({
+          title: "התבנית יובאה עם תיקונים",
+          description: imported.warnings.join('\n')
+        });
+      }
+      await loadTemplates();
+    } catch (error) {
+      luderror.validation('Error importing template:', error);
+      toast({
+        title: "שגיאה בייבוא התבנית",
+        description: error.message,
+        variant: "destructive"
+      });
+    }
+    setIsUpdating(false);
+    setTimeout(() => setMessage(null), 3000);
+  };
+
   const getDefaultTemplateData = (templateType) => {
     if (templateType === 'watermark') {
       return {
@@ -309,7 +404,6 @@ export default function TemplateManager() {
 
   // Handle opening visual editor for existing template
   const handleOpenVisualEditor = (template) => {
-    const supportedFormats = ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'];
     const supportedTypes = ['branding', 'watermark'];
 
     if (!supportedTypes.includes(template.template_type)) {
@@ -321,7 +415,7 @@ export default function TemplateManager() {
       return;
     }
 
-    if (!supportedFormats.includes(template.target_format)) {
+    if (!isSupportedFormat(template.target_format)) {
       toast({
         title: "עורך ויזואלי לא זמין",
         description: "פורמט תבנית לא נתמך",
@@ -334,83 +428,6 @@ export default function TemplateManager() {
     setShowVisualEditor(true);
   };
 
-  // Convert legacy template structure to unified structure
-  const convertLegacyToUnifiedStructure = (legacyConfig) => {
-    // If it's already unified structure, return as-is
-    if (legacyConfig.elements && typeof legacyConfig.elements === 'object') {
-      return legacyConfig;
-    }
-
-    const elements = {};
-
-    // Convert built-in elements from legacy structure (branding templates)
-    if (legacyConfig.logo) {
-      elements.logo = [{
-        ...legacyConfig.logo,
-        deletable: legacyConfig.logo.deletable ?? true,
-        type: 'logo'
-      }];
-    }
-
-    if (legacyConfig.text) {
-      elements['copyright-text'] = [{
-        ...legacyConfig.text,
-        deletable: legacyConfig.text.deletable ?? true,
-        type: 'copyright-text'
-      }];
-    }
-
-    if (legacyConfig.url) {
-      elements.url = [{
-        ...legacyConfig.url,
-        deletable: legacyConfig.url.deletable ?? true,
-        type: 'url'
-      }];
-    }
-
-    // Convert watermark templates legacy structure
-    if (legacyConfig.textElements && Array.isArray(legacyConfig.textElements)) {
-      elements['watermark-text'] = legacyConfig.textElements.map(element => ({
-        ...element,
-        type: 'watermark-text',
-        deletable: element.deletable ?? true
-      }));
-    }
-
-    if (legacyConfig.logoElements && Array.isArray(legacyConfig.logoElements)) {
-      elements['watermark-logo'] = legacyConfig.logoElements.map(element => ({
-        ...element,
-        type: 'watermark-logo',
-        deletable: element.deletable ?? true
-      }));
-    }
-
-    // Convert custom elements from legacy structure
-    if (legacyConfig.customElements && typeof legacyConfig.customElements === 'object') {
-      Object.entries(legacyConfig.customElements).forEach(([elementId, element]) => {
-        if (element && typeof element === 'object') {
-          const elementType = element.type || 'free-text';
-
-          if (!elements[elementType]) {
-            elements[elementType] = [];
-          }
-
-          elements[elementType].push({
-            ...element,
-            id: element.id || elementId,
-            type: elementType,
-            deletable: element.deletable ?? true
-          });
-        }
-      });
-    }
-
-    return {
-      elements,
-      globalSettings: legacyConfig.globalSettings || {}
-    };
-  };
-
   // Handle saving from visual editor
   const handleSaveFromVisualEditor = async (templateConfig) => {
     if (!editingTemplate) return;
@@ -428,6 +445,7 @@ export default function TemplateManager() {
         method: 'PUT',
         body: JSON.stringify(updatedTemplate)
       });
+      await recordTemplateVersion(getSystemTemplateVersionsPath(editingTemplate.id), editingTemplate, result.data || updatedTemplate);
 
       setMessage({ type: 'success', text: 'תבנית עודכנה בהצלחה בעורך הויזואלי (מבנה מאוחד)' });
       await loadTemplates();
@@ -554,6 +572,23 @@ export default function TemplateManager() {
                 <Plus className="w-4 h-4 ml-2" />
                 צור תבנית חדשה
               </Button>
+              <Button
+                variant="outline"
+                onClick={() => importInputRef.current?.click()}
+                disabled={isUpdating}
+                className="mr-2"
+                title="ייבוא תבנית מקובץ JSON שיוצא מלודורה"
+              >
+                <Upload className="w-4 h-4 ml-2" />
+                ייבוא מקובץ
+              </Button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={handleImportFile}
+              />
 
               {/* Template Type Selector Dropdown */}
               {showTemplateTypeSelector && (
@@ -638,9 +673,9 @@ export default function TemplateManager() {
                           variant="outline"
                           size="sm"
                           onClick={() => handleOpenVisualEditor(template)}
-                          disabled={isUpdating || !(['branding', 'watermark'].includes(template.template_type) && ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'].includes(template.target_format))}
+                          disabled={isUpdating || !(['branding', 'watermark'].includes(template.template_type) && isSupportedFormat(template.target_format))}
                           className="text-purple-600 hover:bg-purple-50 disabled:text-gray-400"
-                          title={(['branding', 'watermark'].includes(template.template_type) && ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'].includes(template.target_format)) ? "עורך ויזואלי" : "עורך ויזואלי לא זמין"}
+                          title={(['branding', 'watermark'].includes(template.template_type) && isSupportedFormat(template.target_format)) ? "עורך ויזואלי" : "עורך ויזואלי לא זמין"}
                         >
                           <Paintbrush className="w-4 h-4" />
                         </Button>
@@ -653,6 +688,36 @@ export default function TemplateManager() {
                         >
                           <Copy className="w-4 h-4" />
                         </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleExportTemplate(template)}
+                          disabled={isUpdating}
+                          className="text-gray-600 hover:bg-gray-50"
+                          title="ייצוא לקובץ JSON"
+                        >
+                          <Download className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setConvertingTemplate(template)}
+                          disabled={isUpdating || !isSupportedFormat(template.target_format)}
+                          className="text-indigo-600 hover:bg-indigo-50"
+                          title="המרה לפורמט אחר"
+                        >
+                          <ArrowRightLeft className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setHistoryTemplate(template)}
+                          disabled={isUpdating}
+                          className="text-slate-600 hover:bg-slate-50"
+                          title="היסטוריית גרסאות"
+                        >
+                          <History className="w-4 h-4" />
+                        </Button>
                         {!template.is_default && (
                           <Button
                             variant="outline"
@@ -718,9 +783,9 @@ export default function TemplateManager() {
                           variant="outline"
                           size="sm"
                           onClick={() => handleOpenVisualEditor(template)}
-                          disabled={isUpdating || !(['branding', 'watermark'].includes(template.template_type) && ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'].includes(template.target_format))}
+                          disabled={isUpdating || !(['branding', 'watermark'].includes(template.template_type) && isSupportedFormat(template.target_format))}
                           className="text-purple-600 hover:bg-purple-50 disabled:text-gray-400"
-                          title={(['branding', 'watermark'].includes(template.template_type) && ['pdf-a4-portrait', 'pdf-a4-landscape', 'svg-lessonplan'].includes(template.target_format)) ? "עורך ויזואלי" : "עורך ויזואלי לא זמין"}
+                          title={(['branding', 'watermark'].includes(template.template_type) && isSupportedFormat(template.target_format)) ? "עורך ויזואלי" : "עורך ויזואלי לא זמין"}
                         >
                           <Paintbrush className="w-4 h-4" />
                         </Button>
@@ -743,6 +808,36 @@ export default function TemplateManager() {
                         >
                           <Copy className="w-4 h-4" />
                         </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleExportTemplate(template)}
+                          disabled={isUpdating}
+                          className="text-gray-600 hover:bg-gray-50"
+                          title="ייצוא לקובץ JSON"
+                        >
+                          <Download className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setConvertingTemplate(template)}
+                          disabled={isUpdating || !isSupportedFormat(template.target_format)}
+                          className="text-indigo-600 hover:bg-indigo-50"
+                          title="המרה לפורמט אחר"
+                        >
+                          <ArrowRightLeft className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setHistoryTemplate(template)}
+                          disabled={isUpdating}
+                          className="text-slate-600 hover:bg-slate-50"
+                          title="היסטוריית גרסאות"
+                        >
+                          <History className="w-4 h-4" />
+                        </Button>
                         {!template.is_default && (
                           <Button
                             variant="outline"
@@ -802,6 +897,9 @@ export default function TemplateManager() {
                   <li>• תבניות מותאמות ניתנות לעריכה ושכפול</li>
                   <li>• תבניות מערכת (ברירת מחדל) ניתנות לעריכה אך לא למחיקה</li>
                   <li>• נתוני התבנית מוגדרים בפורמט JSON גמיש</li>
+                  <li>• ניתן לייצא תבנית לקובץ לגיבוי או להעברה בין חשבונות, ולייבא אותה כתבנית חדשה</li>
+                  <li>• כל שמירה נשמרת בהיסטוריית הגרסאות של התבנית, עם אפשרות להשוות בין גרסאות ולשחזר גרסה קודמת</li>
+                  <li>• ניתן להמיר תבנית לפורמט אחר (A3, Letter, פוסט לרשתות ועוד) - מיקומים וגדלים מותאמים אוטומטית ונבדקים לפני השמירה</li>
                 </ul>
               </div>
 
@@ -834,6 +932,25 @@ export default function TemplateManager() {
           />
         )}
 
+        <TemplateFormatConversionDialog
+          open={!!convertingTemplate}
+          onOpenChange={(open) => !open && setConvertingTemplate(null)}
+          template={convertingTemplate}
+          onConvert={handleConvertTemplate}
+          isSaving={isUpdating}
+        />
+
+        <TemplateVersionHistoryDialog
+          open={!!historyTemplate}
+          onOpenChange={(open) => !open && setHistoryTemplate(null)}
+          template={historyTemplate}
+          versionsPath={historyTemplate ? getSystemTemplateVersionsPath(historyTemplate.id) : null}
+          onRestored={(restored) => {
+            setHistoryTemplate(restored);
+            loadTemplates();
+          }}
+        />
+
       </div>
     </div>
   );
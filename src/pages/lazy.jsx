@@ -26,6 +26,7 @@ export const StudentHome = lazy(() => import('./students/StudentHome'));
 export const StudentNotFound = lazy(() => import('./students/StudentNotFound'));
 export const TeacherCatalog = lazy(() => import('./students/TeacherCatalog'));
 export const LobbyJoin = lazy(() => import('./students/LobbyJoin'));
+export const LobbySpectate = lazy(() => import('./students/LobbySpectate'));
 export const GamePlay = lazy(() => import('./students/GamePlay'));
 export const MyTeachersPage = lazy(() => import('./students/MyTeachersPage'));
 
@@ -47,6 +48,7 @@ export const PendingRequestsList = lazy(() => import('../components/teacher/Pend
 
 // Game multiplayer management
 export const GameLobbies = lazy(() => import('./GameLobbies'));
+export const LobbyHostScreen = lazy(() => import('./LobbyHostScreen'));
 
 // Content creation
 export const ContentCreatorSignup = lazy(() => import('./ContentCreatorSignup'));
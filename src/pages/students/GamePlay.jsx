@@ -1,11 +1,25 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams, useLocation, useNavigate, Link } from 'react-router-dom';
 import { apiRequestAnonymous } from '@/services/apiClient';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
-import { GamepadIcon, Users, Home, Crown, AlertCircle, CheckCircle, XCircle, PlayIcon } from 'lucide-react';
+import { GamepadIcon, Users, Home, Crown, AlertCircle, CheckCircle, XCircle, PlayIcon, WifiOff } from 'lucide-react';
 import GameTypeDisplay from '@/components/game/GameTypeDisplay';
 import LogoDisplay from '@/components/ui/LogoDisplay';
+import MemoryGameBoard from '@/components/game/play/MemoryGameBoard';
+import ScatterGameBoard from '@/components/game/play/ScatterGameBoard';
+import SharpAndSmoothBoard from '@/components/game/play/SharpAndSmoothBoard';
+import QuizGameBoard from '@/components/game/play/QuizGameBoard';
+import MatchingGameBoard from '@/components/game/play/MatchingGameBoard';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import { getLobbyTeams, getParticipantTeamId } from '@/utils/teamUtils';
+import { luderror } from '@/lib/ludlog';
+import { toast } from '@/components/ui/use-toast';
+import {
+  saveSessionResumeInfo,
+  loadSessionResumeInfo,
+  clearSessionResumeInfo
+} from '@/utils/gameSessionResume';
 
 /**
  * Student game play page
@@ -19,11 +33,15 @@ const GamePlay = () => {
 
   const [sessionData, setSessionData] = useState(location.state?.sessionData || null);
   const [lobbyData, setLobbyData] = useState(location.state?.lobbyData || null);
-  const [participantId] = useState(location.state?.participantId || null);
+  // Falls back to the saved participant so a reload rejoins as the same player
+  const [participantId] = useState(
+    location.state?.participantId || loadSessionResumeInfo(code)?.participantId || null
+  );
   const [loading, setLoading] = useState(!sessionData);
   const [error, setError] = useState(null);
   const [gameStarted, setGameStarted] = useState(false);
   const [gameFinished, setGameFinished] = useState(false);
+  const [connectionLost, setConnectionLost] = useState(false);
 
   // Load session data if not passed from navigation
   useEffect(() => {
@@ -47,26 +65,115 @@ const GamePlay = () => {
     }
   }, [code, sessionData]);
 
-  // Set up real-time updates
+  // Connect to Socket.IO so in-game moves are synced between players
   useEffect(() => {
-    const refreshSessionData = async () => {
-      if (!sessionData?.id) return;
+    socketClient.connect().catch(() => {
+      // Socket.IO connection failed - will retry automatically
+    });
+
+    const unsubscribeConnect = socketClient.onLobbyUpdate('connect', () => setConnectionLost(false));
+    const unsubscribeDisconnect = socketClient.onLobbyUpdate('disconnect', () => setConnectionLost(true));
+
+    // Tablets dropping Wi-Fi can outlast the automatic reconnect attempts
+    const handleOnline = () => {
+      socketClient.ensureConnected().catch(() => {
+        // Will try again on the next 'online' event
+      });
+    };
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      unsubscribeConnect();
+      unsubscribeDisconnect();
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  const applySession = useCallback((session) => {
+    if (!session) return;
+    setSessionData(prev => ({ ...prev, ...session }));
+    setGameStarted(!!session.started_at);
+    setGameFinished(!!session.finished_at);
+  }, []);
+
+  const sessionId = sessionData?.id;
+
+  // Remember who we play as, for resuming after a reload
+  useEffect(() => {
+    if (sessionId && participantId && !gameFinished) {
+      saveSessionResumeInfo(sessionId, { participantId });
+    }
+  }, [sessionId, participantId, gameFinished]);
+
+  // Real-time session updates through the session room
+  useEffect(() => {
+    if (!sessionId || gameFinished) return;
 
+    const refreshSessionData = async () => {
       try {
-        const data = await apiRequestAnonymous(`/game-sessions/${sessionData.id}`);
-        setSessionData(data.session);
-        setGameStarted(!!data.session.started_at);
-        setGameFinished(!!data.session.finished_at);
+        const data = await apiRequestAnonymous(`/game-sessions/${sessionId}`);
+        applySession(data.session);
       } catch (err) {
-        console.error('Failed to refresh session data:', err);
+        luderror.game('Failed to refresh session data:', err);
+      }
+    };
+
+    // Events carry the updated session when the server has it at hand
+    const handleSessionChange = (data) => {
+      if (data?.session_id !== sessionId) return;
+
+      if (data.session) {
+        applySession(data.session);
+      } else {
+        refreshSessionData();
       }
     };
 
-    if (sessionData && !gameFinished) {
-      const interval = setInterval(refreshSessionData, 3000); // Poll every 3 seconds
-      return () => clearInterval(interval);
+    // The teacher (or automatic rebalancing) moved a player to another session
+    const handlePlayerMoved = (data) => {
+      if (data?.session_id !== sessionId) return;
+
+      if (data.participant_id === participantId && data.to_session_id) {
+        clearSessionResumeInfo(sessionId);
+        toast({
+          title: "הועברת לחדר אחר",
+          description: data.to_session_number ? `ממשיכים בחדר ${data.to_session_number}` : undefined,
+          variant: "default"
+        });
+        navigate(`/play/${data.to_session_id}`, {
+          replace: true,
+          state: { lobbyData, participantId }
+        });
+      } else {
+        handleSessionChange(data);
+      }
+    };
+
+    const unsubscribes = [
+      SESSION_EVENT_TYPES.PLAYER_JOINED,
+      SESSION_EVENT_TYPES.PLAYER_LEFT,
+      SESSION_EVENT_TYPES.GAME_STARTED,
+      SESSION_EVENT_TYPES.FINISHED,
+      SESSION_EVENT_TYPES.RESUMED
+    ].map(eventType => socketClient.onSessionEvent(eventType, handleSessionChange));
+    unsubscribes.push(socketClient.onSessionEvent(SESSION_EVENT_TYPES.PLAYER_MOVED, handlePlayerMoved));
+
+    socketClient.joinSessionRoom(sessionId, { participantId });
+
+    // Catch up on anything missed before the room was joined
+    refreshSessionData();
+
+    return () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      socketClient.leaveSessionRoom(sessionId);
+    };
+  }, [sessionId, participantId, gameFinished, applySession, lobbyData, navigate]);
+
+  useEffect(() => {
+    if (gameFinished && sessionId) {
+      clearSessionResumeInfo(sessionId);
     }
-  }, [sessionData, gameFinished]);
+  }, [gameFinished, sessionId]);
 
   const leaveSession = async () => {
     if (!participantId) {
@@ -79,9 +186,11 @@ const GamePlay = () => {
         method: 'DELETE'
       });
     } catch (err) {
-      console.error('Failed to leave session:', err);
+      luderror.game('Failed to leave session:', err);
     }
 
+    clearSessionResumeInfo(sessionData.id);
+
     navigate('/');
   };
 
@@ -117,6 +226,10 @@ const GamePlay = () => {
     switch (lobbyData.game.game_type) {
       case 'memory_game':
         return renderMemoryGame();
+      case 'scatter_game':
+        return renderScatterGame();
+      case 'sharp_and_smooth':
+        return renderSharpAndSmoothGame();
       case 'matching_game':
         return renderMatchingGame();
       case 'quiz_game':
@@ -128,109 +241,72 @@ const GamePlay = () => {
 
   const renderMemoryGame = () => {
     return (
-      <Card className="student-card">
-        <CardContent className="p-6">
-          <h3 className="text-lg font-bold text-gray-800 mb-4">משחק זיכרון</h3>
-          <div className="text-center p-8 bg-gradient-to-br from-purple-100 to-blue-100 rounded-lg">
-            <GamepadIcon className="w-20 h-20 text-purple-500 mx-auto mb-4" />
-            <p className="text-gray-700 mb-4">
-              {gameStarted
-                ? 'המשחק התחיל! מצא את הזוגות התואמים.'
-                : 'ממתין לתחילת המשחק...'
-              }
-            </p>
-            {gameStarted && (
-              <div className="grid grid-cols-4 gap-2 max-w-md mx-auto">
-                {/* Placeholder for memory cards */}
-                {Array.from({ length: 12 }).map((_, i) => (
-                  <div
-                    key={i}
-                    className="aspect-square bg-gradient-to-br from-purple-400 to-blue-400 rounded-lg flex items-center justify-center cursor-pointer hover:scale-105 transition-transform"
-                  >
-                    <span className="text-white font-bold">?</span>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
-        </CardContent>
-      </Card>
+      <MemoryGameBoard
+        gameId={lobbyData.game.id || lobbyData.game_id}
+        sessionId={sessionData.id}
+        settings={lobbyData.game.game_settings}
+        participants={sessionData.participants || []}
+        participantId={participantId}
+        initialGameState={sessionData.game_state}
+        gameStarted={gameStarted}
+        onExit={() => navigate('/')}
+      />
+    );
+  };
+
+  const renderScatterGame = () => {
+    return (
+      <ScatterGameBoard
+        sessionId={sessionData.id}
+        settings={lobbyData.game.game_settings}
+        participants={sessionData.participants || []}
+        participantId={participantId}
+        initialGameState={sessionData.game_state}
+        gameStarted={gameStarted}
+        onExit={() => navigate('/')}
+      />
+    );
+  };
+
+  const renderSharpAndSmoothGame = () => {
+    return (
+      <SharpAndSmoothBoard
+        gameId={lobbyData.game.id || lobbyData.game_id}
+        sessionId={sessionData.id}
+        settings={lobbyData.game.game_settings}
+        participants={sessionData.participants || []}
+        participantId={participantId}
+        initialGameState={sessionData.game_state}
+        gameStarted={gameStarted}
+        onExit={() => navigate('/')}
+      />
     );
   };
 
   const renderMatchingGame = () => {
     return (
-      <Card className="student-card">
-        <CardContent className="p-6">
-          <h3 className="text-lg font-bold text-gray-800 mb-4">משחק התאמה</h3>
-          <div className="text-center p-8 bg-gradient-to-br from-green-100 to-emerald-100 rounded-lg">
-            <GamepadIcon className="w-20 h-20 text-green-500 mx-auto mb-4" />
-            <p className="text-gray-700 mb-4">
-              {gameStarted
-                ? 'המשחק התחיל! גרור ושחרר כדי להתאים.'
-                : 'ממתין לתחילת המשחק...'
-              }
-            </p>
-            {gameStarted && (
-              <div className="space-y-4">
-                <div className="text-sm text-gray-600 mb-4">גרור מהעמודה השמאלית לעמודה הימנית</div>
-                <div className="grid grid-cols-2 gap-8 max-w-md mx-auto">
-                  <div className="space-y-2">
-                    {['פריט 1', 'פריט 2', 'פריט 3'].map((item, i) => (
-                      <div key={i} className="p-3 bg-blue-100 rounded-lg border-2 border-dashed border-blue-300 text-center cursor-grab">
-                        {item}
-                      </div>
-                    ))}
-                  </div>
-                  <div className="space-y-2">
-                    {['יעד א', 'יעד ב', 'יעד ג'].map((target, i) => (
-                      <div key={i} className="p-3 bg-gray-100 rounded-lg border-2 border-dashed border-gray-300 text-center min-h-[44px] flex items-center justify-center">
-                        {target}
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              </div>
-            )}
-          </div>
-        </CardContent>
-      </Card>
+      <MatchingGameBoard
+        gameId={lobbyData.game.id || lobbyData.game_id}
+        sessionId={sessionData.id}
+        settings={lobbyData.game.game_settings}
+        participantId={participantId}
+        initialGameState={sessionData.game_state}
+        gameStarted={gameStarted}
+        onExit={() => navigate('/')}
+      />
     );
   };
 
   const renderQuizGame = () => {
     return (
-      <Card className="student-card">
-        <CardContent className="p-6">
-          <h3 className="text-lg font-bold text-gray-800 mb-4">משחק חידון</h3>
-          <div className="text-center p-8 bg-gradient-to-br from-yellow-100 to-orange-100 rounded-lg">
-            <GamepadIcon className="w-20 h-20 text-yellow-500 mx-auto mb-4" />
-            <p className="text-gray-700 mb-4">
-              {gameStarted
-                ? 'המשחק התחיל! ענה על השאלות.'
-                : 'ממתין לתחילת המשחק...'
-              }
-            </p>
-            {gameStarted && (
-              <div className="space-y-4 max-w-lg mx-auto">
-                <div className="text-lg font-bold text-gray-800 mb-4">
-                  שאלה 1: מה זה לודורה?
-                </div>
-                <div className="grid grid-cols-1 gap-2">
-                  {['פלטפורמה חינוכית', 'משחק מחשב', 'אפליקציה', 'כל התשובות נכונות'].map((answer, i) => (
-                    <button
-                      key={i}
-                      className="p-3 border-2 border-gray-300 rounded-lg hover:border-yellow-400 hover:bg-yellow-50 transition-colors text-right"
-                    >
-                      {answer}
-                    </button>
-                  ))}
-                </div>
-              </div>
-            )}
-          </div>
-        </CardContent>
-      </Card>
+      <QuizGameBoard
+        sessionId={sessionData.id}
+        settings={lobbyData.game.game_settings}
+        participantId={participantId}
+        initialGameState={sessionData.game_state}
+        gameStarted={gameStarted}
+        onExit={() => navigate('/')}
+      />
     );
   };
 
@@ -316,6 +392,9 @@ const GamePlay = () => {
     );
   }
 
+  // Team mode - teams by ID, for the team of each participant
+  const teamsById = Object.fromEntries((getLobbyTeams(lobbyData.settings) || []).map(team => [team.id, team]));
+
   return (
     <div className="min-h-screen student-portal-background">
       {/* Header */}
@@ -362,6 +441,16 @@ const GamePlay = () => {
 
       {/* Content */}
       <main className="max-w-4xl mx-auto px-4 py-8">
+        {connectionLost && !gameFinished && (
+          <div
+            role="status"
+            className="mb-4 flex items-center justify-center gap-2 p-3 rounded-lg bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm"
+          >
+            <WifiOff className="w-4 h-4" />
+            החיבור נותק. מתחברים מחדש, ההתקדמות שלך נשמרת...
+          </div>
+        )}
+
         {/* Participants */}
         <Card className="student-card mb-6">
           <CardContent className="p-4">
@@ -377,6 +466,7 @@ const GamePlay = () => {
                 <div
                   key={participant.id}
                   className="flex items-center gap-2 px-3 py-2 bg-gradient-to-r from-purple-100 to-blue-100 rounded-full"
+                  style={teamsById[getParticipantTeamId(participant)] ? { boxShadow: `inset 0 0 0 2px ${teamsById[getParticipantTeamId(participant)].color}` } : undefined}
                 >
                   {participant.isAuthedUser ? (
                     <Crown className="w-4 h-4 text-yellow-500" />
@@ -389,6 +479,9 @@ const GamePlay = () => {
                   {participant.id === participantId && (
                     <span className="text-xs text-green-600 font-bold">(אתה)</span>
                   )}
+                  {teamsById[getParticipantTeamId(participant)] && (
+                    <span className="text-xs text-gray-600">{teamsById[getParticipantTeamId(participant)].name}</span>
+                  )}
                 </div>
               ))}
             </div>
@@ -419,4 +512,10 @@ const GamePlay = () => {
   );
 };
 
-export default GamePlay;
\ No newline at end of file
+// Remount for each session, so a player moved to another session starts fresh
+const GamePlayPage = () => {
+  const { code } = useParams();
+  return <GamePlay key={code} />;
+};
+
+export default GamePlayPage;
\ No newline at end of file
@@ -3,13 +3,15 @@ import { useParams, useNavigate, Link, useLocation } from 'react-router-dom';
 import { apiRequestAnonymous } from '@/services/apiClient';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
-import { GamepadIcon, PlayIcon, Home, Users, Clock, AlertCircle, CheckCircle, XCircle, Plus, AlertTriangle } from 'lucide-react';
+import { GamepadIcon, PlayIcon, Home, Users, Clock, AlertCircle, CheckCircle, XCircle, Plus, AlertTriangle, Eye } from 'lucide-react';
 import { useUser } from '@/contexts/UserContext';
 import GameTypeDisplay from '@/components/game/GameTypeDisplay';
 import ProductImage from '@/components/ui/ProductImage';
 import LogoDisplay from '@/components/ui/LogoDisplay';
 import socketClient, { useSocket } from '@/services/socketClient';
 import { isLobbyJoinable, getLobbyStatusConfig } from '@/utils/lobbyUtils';
+import { AUTO_BALANCE_INVITATION_TYPE } from '@/utils/sessionAssignmentUtils';
+import { TEAM_ASSIGNMENT, getLobbyTeams, normalizeTeamConfig } from '@/utils/teamUtils';
 import { toast } from '@/components/ui/use-toast';
 
 /**
@@ -27,6 +29,7 @@ const LobbyJoin = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedSession, setSelectedSession] = useState(null);
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
   const [displayName, setDisplayName] = useState('');
   const [joining, setJoining] = useState(false);
   const [creatingSession, setCreatingSession] = useState(false);
@@ -431,6 +434,31 @@ const LobbyJoin = () => {
   }, [lobbyData, onLobbyUpdate, code, user]);
 
 
+  // Whether the server places joining students in the smallest team
+  const isRandomTeamAssignment = () => {
+    const lobbySettings = lobbyData.lobby?.settings;
+    return !!getLobbyTeams(lobbySettings) &&
+      normalizeTeamConfig(lobbySettings.team_config).assignment === TEAM_ASSIGNMENT.RANDOM;
+  };
+
+  // Team the joining student picked in team mode (null without teams or when
+  // the server assigns one, undefined while one must still be picked)
+  const resolveTeamId = () => {
+    const teams = getLobbyTeams(lobbyData.lobby?.settings);
+    if (!teams || isRandomTeamAssignment()) return null;
+
+    if (!teams.some(team => team.id === selectedTeamId)) {
+      toast({
+        title: "שגיאה",
+        description: "נא לבחור קבוצה",
+        variant: "destructive"
+      });
+      return undefined;
+    }
+
+    return selectedTeamId;
+  };
+
   const handleJoinLobby = async () => {
     // Only require display name for non-authenticated users
     const isAuthenticated = (isPlayerAuthenticated && currentPlayer?.display_name) || user?.name;
@@ -458,6 +486,13 @@ const LobbyJoin = () => {
       return;
     }
 
+    // In auto-balance mode the server picks the session (opening a new one when needed)
+    const autoAssign = lobbyData.settings.invitation_type === AUTO_BALANCE_INVITATION_TYPE;
+    const sessionIdToJoin = autoAssign ? null : selectedSession?.id || null;
+
+    const teamId = resolveTeamId();
+    if (teamId === undefined) return;
+
     try {
       setJoining(true);
 
@@ -468,8 +503,11 @@ const LobbyJoin = () => {
             display_name: finalDisplayName,
             user_id: user?.id || null,
             guest_token: user?.id ? null : `guest_${Date.now()}`,
+            team_id: teamId
           },
-          session_id: selectedSession?.id || null
+          session_id: sessionIdToJoin,
+          auto_assign: autoAssign,
+          auto_assign_team: isRandomTeamAssignment()
         })
       });
 
@@ -510,6 +548,9 @@ const LobbyJoin = () => {
       user?.name ||
       'אורח';
 
+    const teamId = resolveTeamId();
+    if (teamId === undefined) return;
+
     try {
       setCreatingSession(true);
 
@@ -520,7 +561,9 @@ const LobbyJoin = () => {
             display_name: finalDisplayName,
             user_id: user?.id || null,
             guest_token: user?.id ? null : `guest_${Date.now()}`,
-          }
+            team_id: teamId
+          },
+          auto_assign_team: isRandomTeamAssignment()
         })
       });
 
@@ -677,6 +720,8 @@ const LobbyJoin = () => {
   const participantsSummary = lobbyData.participantsSummary || { total: 0 };
 
   const isManualSelection = lobby.settings.invitation_type === 'manual_selection';
+  const teams = getLobbyTeams(lobby.settings);
+  const isTeamChoice = !!teams && normalizeTeamConfig(lobby.settings.team_config).assignment === TEAM_ASSIGNMENT.STUDENT_CHOICE;
   const availableSessions = sessions.filter(session =>
     session.status === 'open' && session.participants && session.participants.length < lobby.settings.max_players
   );
@@ -1106,6 +1151,44 @@ const LobbyJoin = () => {
               </div>
             </div>
 
+            {/* Team Selection (Team Mode) */}
+            {teams && (
+              <div className="mb-4">
+                {isTeamChoice ? (
+                  <>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      בחר קבוצה
+                    </label>
+                    <div className="grid grid-cols-2 gap-3" role="radiogroup" aria-label="בחירת קבוצה">
+                      {teams.map(team => (
+                        <button
+                          key={team.id}
+                          type="button"
+                          role="radio"
+                          aria-checked={selectedTeamId === team.id}
+                          onClick={() => setSelectedTeamId(team.id)}
+                          className={`student-glass-button ${
+                            selectedTeamId === team.id
+                              ? 'student-glass-button-selected'
+                              : 'student-glass-button-hover'
+                          }`}
+                        >
+                          <div className="flex items-center gap-2">
+                            <span className="w-4 h-4 rounded-full shrink-0" style={{ backgroundColor: team.color }} />
+                            <span className="font-medium text-gray-800">{team.name}</span>
+                          </div>
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <div className="p-3 bg-blue-50 rounded-lg text-sm text-blue-700">
+                    משחקים בקבוצות - המערכת תשבץ אותך לאחת הקבוצות
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Session Selection (Manual Only) */}
             {isManualSelection && (
               <div className="mb-4">
@@ -1117,7 +1200,7 @@ const LobbyJoin = () => {
                 <div className="mb-3">
                   <Button
                     onClick={handleCreateSession}
-                    disabled={creatingSession || (!displayName.trim() && !(isPlayerAuthenticated && currentPlayer?.display_name) && !user?.name)}
+                    disabled={creatingSession || (!displayName.trim() && !(isPlayerAuthenticated && currentPlayer?.display_name) && !user?.name) || (isTeamChoice && !selectedTeamId)}
                     className="w-full sm:w-auto student-btn-primary"
                     variant="outline"
                   >
@@ -1185,6 +1268,9 @@ const LobbyJoin = () => {
                   {lobby.settings.invitation_type === 'order' &&
                     'תוזמן לחדר הראשון הזמין'
                   }
+                  {lobby.settings.invitation_type === AUTO_BALANCE_INVITATION_TYPE &&
+                    'המערכת תשבץ אותך לחדר כך שבכל החדרים יהיה מספר שחקנים דומה'
+                  }
                 </div>
               </div>
             )}
@@ -1192,7 +1278,7 @@ const LobbyJoin = () => {
             {/* Join Button - Mobile Optimized */}
             <Button
               onClick={handleJoinLobby}
-              disabled={joining || (!displayName.trim() && !(isPlayerAuthenticated && currentPlayer?.display_name) && !user?.name) || (isManualSelection && !selectedSession)}
+              disabled={joining || (!displayName.trim() && !(isPlayerAuthenticated && currentPlayer?.display_name) && !user?.name) || (isManualSelection && !selectedSession) || (isTeamChoice && !selectedTeamId)}
               className="w-full student-btn-primary py-4 sm:py-3 text-lg sm:text-base font-bold active:scale-95 transition-transform touch-manipulation"
             >
               {joining ? (
@@ -1207,6 +1293,15 @@ const LobbyJoin = () => {
                 </>
               )}
             </Button>
+
+            {/* Spectator path - follow the game without taking a player slot */}
+            <Link
+              to={`/lobby/${code}/watch`}
+              className="flex items-center justify-center gap-2 mt-3 text-sm text-gray-600 hover:text-purple-700"
+            >
+              <Eye className="w-4 h-4" />
+              צפייה במשחק בלבד (בלי להצטרף)
+            </Link>
           </CardContent>
         </Card>
         </section>
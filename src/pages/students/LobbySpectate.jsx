@@ -0,0 +1,358 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { apiRequest, apiRequestAnonymous } from '@/services/apiClient';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import { Eye, PlayIcon, RefreshCw, Users, Trophy, XCircle } from 'lucide-react';
+import ProtectedStudentRoute from '@/components/auth/ProtectedStudentRoute';
+import LudoraLoadingSpinner from '@/components/ui/LudoraLoadingSpinner';
+import socketClient, { SESSION_EVENT_TYPES } from '@/services/socketClient';
+import { getPortalContext, shouldAllowAuthenticatedConnection } from '@/utils/portalContext';
+import { getSessionProgress, mergeProgressSnapshots } from '@/utils/gameProgressUtils';
+import { getLobbyTeams, getParticipantTeamId, buildTeamScoreboard } from '@/utils/teamUtils';
+import { ludlog, luderror } from '@/lib/ludlog';
+import MemoryGameBoard from '@/components/game/play/MemoryGameBoard';
+import ScatterGameBoard from '@/components/game/play/ScatterGameBoard';
+import SharpAndSmoothBoard from '@/components/game/play/SharpAndSmoothBoard';
+
+// Games played on one shared board can be watched live; the others show progress only
+const SHARED_BOARD_GAME_TYPES = ['memory_game', 'scatter_game', 'sharp_and_smooth'];
+
+/**
+ * Student portal spectator page
+ * Accessed via my.domain/lobby/{lobbyCode}/watch
+ * Follows a running lobby read-only - the board and scores of each session -
+ * without joining as a player. Access follows the students_access mode, and
+ * requests use the credential policy of the portal context.
+ */
+const LobbySpectateContent = () => {
+  const { code } = useParams();
+
+  const [lobbyData, setLobbyData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [gameStates, setGameStates] = useState({}); // sessionId -> latest game state snapshot
+  const [selectedSessionId, setSelectedSessionId] = useState(null);
+
+  const loadSpectatorData = useCallback(async () => {
+    try {
+      const portalContext = await getPortalContext();
+      const request = shouldAllowAuthenticatedConnection(portalContext) ? apiRequest : apiRequestAnonymous;
+      const data = await request(`/game-lobbies/spectate/${code}`);
+
+      setLobbyData(data);
+      setError(null);
+
+      // Seed the boards with the states the server already has
+      setGameStates(prev => {
+        const next = { ...prev };
+        (data?.sessions || []).forEach(session => {
+          if (session.game_state) {
+            next[session.id] = mergeProgressSnapshots(next[session.id], session.game_state);
+          }
+        });
+        return next;
+      });
+    } catch (err) {
+      luderror.game('[LobbySpectate] Error loading lobby for spectating:', err);
+      setError(err.message || 'שגיאה בטעינת הלובי');
+    } finally {
+      setLoading(false);
+    }
+  }, [code]);
+
+  useEffect(() => {
+    loadSpectatorData();
+  }, [loadSpectatorData]);
+
+  const lobby = lobbyData?.lobby || null;
+  const game = lobby?.game || null;
+  const gameType = game?.game_type;
+  const gameSettings = game?.game_settings;
+  const teams = useMemo(() => getLobbyTeams(lobby?.settings), [lobby]);
+
+  const sessions = useMemo(
+    () => [...(lobbyData?.sessions || [])].sort((a, b) => (a.session_number || 0) - (b.session_number || 0)),
+    [lobbyData]
+  );
+  const sessionIdsKey = sessions.map(session => session.id).join(',');
+
+  const selectedSession = sessions.find(session => session.id === selectedSessionId) ||
+    sessions.find(session => session.participants?.length > 0) ||
+    sessions[0] ||
+    null;
+
+  // Lobby-level events (new sessions, players joining, lobby closed, ...)
+  useEffect(() => {
+    socketClient.connect().catch(() => {
+      // Socket.IO connection failed - will retry automatically
+    });
+
+    const unsubscribe = socketClient.onLobbyUpdate('lobby:update', (eventData) => {
+      const eventLobbyId = eventData.data?.lobby_id || eventData.data?.lobbyId || eventData.data?.lobby?.id;
+      const eventGameId = eventData.data?.game_id || eventData.data?.gameId || eventData.data?.lobby?.game_id;
+      if ((lobby?.id && eventLobbyId === lobby.id) || (game?.id && eventGameId === game.id)) {
+        ludlog.game(`[LobbySpectate] Lobby update: ${eventData.type}`);
+        loadSpectatorData();
+      }
+    });
+
+    return unsubscribe;
+  }, [lobby?.id, game?.id, loadSpectatorData]);
+
+  // Watch every session room as a spectator
+  useEffect(() => {
+    if (!sessionIdsKey) return;
+
+    const sessionIds = sessionIdsKey.split(',');
+    sessionIds.forEach(sessionId => socketClient.joinSessionRoom(sessionId, { participantId: null, spectator: true }));
+
+    const handleMove = (data) => {
+      if (!sessionIds.includes(data?.session_id) || !data.game_state) return;
+
+      setGameStates(prev => ({
+        ...prev,
+        [data.session_id]: mergeProgressSnapshots(prev[data.session_id], data.game_state)
+      }));
+    };
+
+    const handleSessionChange = (data) => {
+      if (sessionIds.includes(data?.session_id)) {
+        loadSpectatorData();
+      }
+    };
+
+    const unsubscribes = [
+      socketClient.onSessionEvent(SESSION_EVENT_TYPES.MOVE, handleMove),
+      ...[
+        SESSION_EVENT_TYPES.PLAYER_JOINED,
+        SESSION_EVENT_TYPES.PLAYER_LEFT,
+        SESSION_EVENT_TYPES.GAME_STARTED,
+        SESSION_EVENT_TYPES.FINISHED
+      ].map(eventType => socketClient.onSessionEvent(eventType, handleSessionChange))
+    ];
+
+    return () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      sessionIds.forEach(sessionId => socketClient.leaveSessionRoom(sessionId));
+    };
+  }, [sessionIdsKey, loadSpectatorData]);
+
+  const sessionProgress = useMemo(() => Object.fromEntries(
+    sessions.map(session => [session.id, getSessionProgress(gameStates[session.id], gameSettings)])
+  ), [sessions, gameStates, gameSettings]);
+
+  const players = useMemo(() => sessions.flatMap(session => (session.participants || []).map(participant => ({
+    id: participant.id,
+    name: participant.display_name,
+    sessionId: session.id,
+    teamId: getParticipantTeamId(participant),
+    score: sessionProgress[session.id]?.scores?.[participant.id] || 0
+  }))), [sessions, sessionProgress]);
+
+  const teamScoreboard = useMemo(
+    () => (teams ? buildTeamScoreboard(teams, players) : []),
+    [teams, players]
+  );
+
+  const renderBoard = (session) => {
+    const boardProps = {
+      sessionId: session.id,
+      settings: gameSettings,
+      participants: session.participants || [],
+      participantId: null,
+      initialGameState: gameStates[session.id] || session.game_state || null,
+      gameStarted: !!session.started_at,
+      spectator: true
+    };
+
+    switch (gameType) {
+      case 'memory_game':
+        return <MemoryGameBoard {...boardProps} gameId={game.id} />;
+      case 'scatter_game':
+        return <ScatterGameBoard {...boardProps} />;
+      case 'sharp_and_smooth':
+        return <SharpAndSmoothBoard {...boardProps} gameId={game.id} />;
+      default:
+        return null;
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen student-portal-background flex items-center justify-center" dir="rtl">
+        <LudoraLoadingSpinner size="lg" text="טוען את המשחק..." />
+      </div>
+    );
+  }
+
+  if (error || !lobby) {
+    return (
+      <div className="fixed inset-0 student-error-page student-portal-background overflow-y-auto" dir="rtl">
+        <div className="student-error-card">
+          <div className="student-icon-container-warning mx-auto mb-6">
+            <XCircle className="w-10 h-10 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold student-text-gradient mb-4">לא ניתן לצפות במשחק</h2>
+          <p className="text-gray-700 text-lg mb-8">{error || 'הלובי הזה סגור או לא זמין כרגע'}</p>
+          <div className="flex justify-center gap-3">
+            <Button onClick={loadSpectatorData} variant="outline">
+              <RefreshCw className="w-4 h-4 ml-2" />
+              נסה שוב
+            </Button>
+            <Link to={`/lobby/${code}`}>
+              <Button className="student-btn-primary">חזרה ללובי</Button>
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const selectedProgress = selectedSession ? sessionProgress[selectedSession.id] : null;
+  const selectedRanking = selectedSession
+    ? [...(selectedSession.participants || [])]
+      .map(participant => ({ ...participant, score: selectedProgress?.scores?.[participant.id] || 0 }))
+      .sort((a, b) => b.score - a.score)
+    : [];
+
+  return (
+    <div className="min-h-screen student-portal-background" dir="rtl">
+      <main className="max-w-5xl mx-auto px-3 sm:px-4 py-4 sm:py-8 space-y-4">
+        {/* Header */}
+        <Card className="student-card">
+          <CardContent className="p-4 flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h1 className="text-xl font-bold text-gray-800">{game?.title || game?.product?.title || 'משחק'}</h1>
+              <p className="text-sm text-gray-600 flex items-center gap-2">
+                <Eye className="w-4 h-4" />
+                מצב צפייה · קוד לובי <span className="font-mono font-semibold" dir="ltr">{lobby.lobby_code || code}</span>
+              </p>
+            </div>
+            <Link to={`/lobby/${code}`}>
+              <Button className="student-btn-primary">
+                <PlayIcon className="w-4 h-4 ml-2" />
+                הצטרפות למשחק
+              </Button>
+            </Link>
+          </CardContent>
+        </Card>
+
+        {/* Teams */}
+        {teams && teamScoreboard.length > 0 && (
+          <Card className="student-card">
+            <CardContent className="p-4">
+              <h2 className="text-lg font-bold text-gray-800 mb-3">טבלת קבוצות</h2>
+              <ol className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                {teamScoreboard.map(team => (
+                  <li key={team.id} className="flex items-center gap-2 p-2 rounded-lg bg-gray-50">
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: team.color }} />
+                    <span className="flex-1 font-medium truncate">{team.rank}. {team.name}</span>
+                    <span className="font-bold">{team.score}</span>
+                  </li>
+                ))}
+              </ol>
+            </CardContent>
+          </Card>
+        )}
+
+        {sessions.length === 0 ? (
+          <Card className="student-card">
+            <CardContent className="p-8 text-center text-gray-600">
+              <Users className="w-12 h-12 text-purple-400 mx-auto mb-3" />
+              עדיין אין חדרי משחק פעילים
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            {/* Session picker */}
+            <div className="flex flex-wrap gap-2" role="tablist" aria-label="חדרי משחק">
+              {sessions.map(session => {
+                const progress = sessionProgress[session.id];
+                const isSelected = session.id === selectedSession?.id;
+
+                return (
+                  <button
+                    key={session.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={isSelected}
+                    onClick={() => setSelectedSessionId(session.id)}
+                    className={`px-4 py-2 rounded-full text-sm border transition-colors ${
+                      isSelected ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-gray-800 border-gray-200 hover:bg-purple-50'
+                    }`}
+                  >
+                    חדר {session.session_number}
+                    <span className="mr-2 opacity-75">
+                      {session.participants?.length || 0} שחקנים{progress?.total ? ` · ${progress.percent}%` : ''}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+
+            {selectedSession && (
+              <div className="grid grid-cols-1 lg:grid-cols-[1fr_280px] gap-4">
+                <div>
+                  {SHARED_BOARD_GAME_TYPES.includes(gameType) ? (
+                    <div key={selectedSession.id}>
+                      {renderBoard(selectedSession)}
+                    </div>
+                  ) : (
+                    <Card className="student-card">
+                      <CardContent className="p-6">
+                        <p className="text-gray-700 mb-3">כל שחקן משחק בקצב שלו - כאן רואים את ההתקדמות של החדר</p>
+                        <div className="h-3 bg-gray-200 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-purple-500 transition-all"
+                            style={{ width: `${selectedProgress?.percent || 0}%` }}
+                          />
+                        </div>
+                        <p className="text-sm text-gray-500 mt-1">
+                          {selectedProgress?.total ? `${selectedProgress.completed}/${selectedProgress.total}` : 'המשחק עוד לא התחיל'}
+                        </p>
+                      </CardContent>
+                    </Card>
+                  )}
+                </div>
+
+                {/* Scores */}
+                <Card className="student-card self-start">
+                  <CardContent className="p-4">
+                    <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2 mb-3">
+                      <Trophy className="w-5 h-5 text-yellow-500" />
+                      ניקוד בחדר {selectedSession.session_number}
+                    </h2>
+                    {selectedRanking.length === 0 ? (
+                      <p className="text-sm text-gray-500">אין עדיין שחקנים בחדר</p>
+                    ) : (
+                      <ol className="space-y-1">
+                        {selectedRanking.map(participant => (
+                          <li key={participant.id} className="flex items-center justify-between text-sm">
+                            <span className="truncate">{participant.display_name}</span>
+                            <span className="font-bold text-purple-700">{participant.score}</span>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </CardContent>
+                </Card>
+              </div>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+// Wrap the component with protection based on students_access settings
+const LobbySpectate = () => {
+  return (
+    <ProtectedStudentRoute requireAuth={true}>
+      <LobbySpectateContent />
+    </ProtectedStudentRoute>
+  );
+};
+
+export default LobbySpectate;
@@ -26,6 +26,7 @@ class SocketClient {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
     this.lobbyUpdateChannel = 'lobby-updates'; // Fixed channel name
+    this.sessionRooms = new Map(); // Game session rooms: sessionId -> { participantId, spectator, joined, pendingGameState }
 
     // Portal context for authentication strategy
     this.portalContext = null;
@@ -208,6 +209,9 @@ class SocketClient {
           // Auto-join lobby updates channel
           this.joinLobbyUpdates();
 
+          // Rejoin game session rooms (this also runs after automatic reconnects)
+          this.rejoinSessionRooms();
+
           // Notify listeners of successful connection
           this.notifyListeners('connect', { socketId: this.socket.id });
 
@@ -274,6 +278,7 @@ class SocketClient {
 
         // Setup lobby update listeners
         this.setupLobbyUpdateHandlers();
+        this.setupSessionHandlers();
 
       } catch (error) {
         luderror.api('❌ Failed to initialize Socket.IO:', error);
@@ -430,6 +435,193 @@ class SocketClient {
     });
   }
 
+  /**
+   * Setup handlers for game session room events
+   * The server sends 'session:update' with a type; listeners subscribe to
+   * 'session:<type>' (see SESSION_EVENT_TYPES) through onSessionEvent.
+   */
+  setupSessionHandlers() {
+    if (!this.socket) return;
+
+    this.socket.on('session:update', (eventData) => {
+      if (!eventData?.type) return;
+
+      ludlog.api(`🎮 Received session event: ${eventData.type}`, {
+        sessionId: eventData.session_id,
+        inRoom: this.sessionRooms.has(eventData.session_id)
+      });
+
+      this.notifyListeners(`session:${eventData.type}`, {
+        session_id: eventData.session_id,
+        ...(eventData.data || {})
+      });
+    });
+  }
+
+  /**
+   * Join a game session room to receive its events
+   * The room is remembered, so it is rejoined (as a resume) after reconnects.
+   * @param {string} sessionId - Game session ID
+   * @param {Object} options
+   * @param {string} options.participantId - Participant ID of this player
+   * @param {boolean} options.spectator - Watch the room without taking a player slot
+   */
+  joinSessionRoom(sessionId, { participantId, spectator = false } = {}) {
+    if (!sessionId) return;
+
+    const room = this.sessionRooms.get(sessionId);
+    this.sessionRooms.set(sessionId, {
+      participantId,
+      spectator,
+      joined: room?.joined || false,
+      pendingGameState: room?.pendingGameState || null
+    });
+
+    if (this.socket && this.connected) {
+      this.emitSessionJoin(sessionId);
+    }
+  }
+
+  /**
+   * Leave a game session room
+   * @param {string} sessionId - Game session ID
+   */
+  leaveSessionRoom(sessionId) {
+    const room = this.sessionRooms.get(sessionId);
+    if (!room) return;
+
+    this.sessionRooms.delete(sessionId);
+
+    if (this.socket && this.connected) {
+      this.socket.emit('session:leave', {
+        session_id: sessionId,
+        participant_id: room.participantId
+      });
+    }
+  }
+
+  /**
+   * Rejoin every remembered session room after (re)connecting
+   */
+  rejoinSessionRooms() {
+    this.sessionRooms.forEach((room, sessionId) => this.emitSessionJoin(sessionId));
+  }
+
+  /**
+   * Join (or resume) a session room on the server
+   * On a resume the server answers with the current session and game state.
+   * Listeners get it as a 'resumed' event, and the game state is replayed as
+   * a 'move' so game boards merge it like any other update. Moves made while
+   * offline are sent afterwards.
+   * @param {string} sessionId - Game session ID
+   */
+  emitSessionJoin(sessionId) {
+    const room = this.sessionRooms.get(sessionId);
+    if (!room || !this.socket) return;
+
+    const resume = room.joined;
+    const event = resume ? 'session:resume' : 'session:join';
+
+    this.socket.timeout(10000).emit(event, {
+      session_id: sessionId,
+      participant_id: room.participantId,
+      spectator: !!room.spectator,
+      last_version: room.pendingGameState?.version ?? null
+    }, (error, response) => {
+      if (error || response?.success === false) {
+        luderror.api(`❌ Failed to ${resume ? 'resume' : 'join'} session room:`, error || response);
+        this.notifyListeners(`session:${SESSION_EVENT_TYPES.JOIN_FAILED}`, {
+          session_id: sessionId,
+          resume,
+          error: response?.error || error?.message || null
+        });
+        return;
+      }
+
+      const currentRoom = this.sessionRooms.get(sessionId);
+      if (!currentRoom) return;
+      currentRoom.joined = true;
+
+      ludlog.api(`✅ ${resume ? 'Resumed' : 'Joined'} session room:`, { sessionId });
+
+      if (resume) {
+        this.notifyListeners(`session:${SESSION_EVENT_TYPES.RESUMED}`, {
+          session_id: sessionId,
+          session: response?.session || null,
+          game_state: response?.game_state || null
+        });
+
+        if (response?.game_state) {
+          this.notifyListeners(`session:${SESSION_EVENT_TYPES.MOVE}`, {
+            session_id: sessionId,
+            game_state: response.game_state
+          });
+        }
+      }
+
+      const pending = currentRoom.pendingGameState;
+      if (pending) {
+        currentRoom.pendingGameState = null;
+        this.sendGameStateUpdate(sessionId, pending);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to game session room events
+   * @param {string} eventType - One of SESSION_EVENT_TYPES
+   * @param {function} callback - Callback function (receives { session_id, ...data })
+   * @returns {function} Unsubscribe function
+   */
+  onSessionEvent(eventType, callback) {
+    return this.onLobbyUpdate(`session:${eventType}`, callback);
+  }
+
+  /**
+   * Broadcast a game state change (a move) to the session room
+   * The server relays it to the other players as a 'move' session event.
+   * While offline the latest snapshot is kept and sent once the room resumes.
+   * @param {string} sessionId - Game session ID
+   * @param {Object} gameState - Full game state snapshot (must carry a version number)
+   * @returns {boolean} True if the update was sent
+   */
+  sendGameStateUpdate(sessionId, gameState) {
+    const room = this.sessionRooms.get(sessionId);
+
+    if (!this.socket || !this.connected || (room && !room.joined)) {
+      if (room) {
+        room.pendingGameState = gameState;
+      } else {
+        luderror.api('❌ Cannot send game state: Socket not connected');
+      }
+      return false;
+    }
+
+    this.socket.emit('session:move', {
+      session_id: sessionId,
+      participant_id: room?.participantId || null,
+      game_state: gameState,
+      timestamp: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Reconnect after the automatic reconnection gave up (e.g. after a long Wi-Fi drop)
+   * @returns {Promise<void>}
+   */
+  async ensureConnected() {
+    if (this.socket && this.connected) return;
+
+    if (this.socket) {
+      this.socket.connect();
+      return;
+    }
+
+    await this.connect();
+  }
+
   /**
    * Disconnect Socket.IO client
    */
@@ -439,6 +631,7 @@ class SocketClient {
       this.socket = null;
       this.connected = false;
       this.listeners.clear();
+      this.sessionRooms.clear();
     }
   }
 
@@ -679,6 +872,18 @@ export const LOBBY_UPDATE_TYPES = {
   SESSION_FINISHED: 'session_finished'
 };
 
+// Game session room event types (subscribe with socketClient.onSessionEvent)
+export const SESSION_EVENT_TYPES = {
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  PLAYER_MOVED: 'player_moved',
+  GAME_STARTED: 'game_started',
+  MOVE: 'move',
+  FINISHED: 'finished',
+  RESUMED: 'resumed',
+  JOIN_FAILED: 'join_failed'
+};
+
 // Convenience functions for common lobby events
 export const onLobbyCreated = (callback) => socketClient.onLobbyUpdate(LOBBY_UPDATE_TYPES.LOBBY_CREATED, callback);
 export const onLobbyActivated = (callback) => socketClient.onLobbyUpdate(LOBBY_UPDATE_TYPES.LOBBY_ACTIVATED, callback);
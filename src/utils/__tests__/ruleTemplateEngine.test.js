@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveRules,
+  poolFromQARecords,
+  buildRounds,
+  checkAnswer,
+  scoreAnswer
+} from '@/utils/ruleTemplateEngine';
+
+const QA_RECORDS = [
+  { id: 1, question_text: 'בירת צרפת?', correct_answer: 'פריז', incorrect_answers: ['רומא', 'מדריד', 'ברלין'] },
+  { id: 2, question_text: '2 + 2?', correct_answer: '4', incorrect_answers: ['3'] },
+  { id: 3, question_text: 'צבע השמיים?', correct_answer: 'כחול' },
+  { id: 4, question_text: 'מספר ימים בשבוע?', correct_answer: '7' },
+  { id: 5, question_text: 'Capital of Italy?', correct_answers: ['Rome', 'Roma'] }
+];
+
+describe('resolveRules', () => {
+  it('uses the game default template and the medium tier when nothing is chosen', () => {
+    const rules = resolveRules({ gameType: 'quiz_game' });
+
+    expect(rules.templateId).toBe('multiple_choice_qa');
+    expect(rules.difficulty).toBe('medium');
+    expect(rules.timeLimit).toBe(30);
+    expect(rules.optionsCount).toBe(4);
+  });
+
+  it('applies the difficulty settings of the template', () => {
+    const easy = resolveRules({ gameType: 'quiz_game', difficulty: 'easy' });
+    const hard = resolveRules({ gameType: 'quiz_game', difficulty: 'hard' });
+
+    expect(easy.timeLimit).toBe(40);
+    expect(easy.optionsCount).toBe(3);
+    expect(hard.timeLimit).toBe(20);
+  });
+
+  it('falls back to the medium tier for an unknown difficulty', () => {
+    expect(resolveRules({ gameType: 'quiz_game', difficulty: 'impossible' }).difficulty).toBe('medium');
+  });
+
+  it('ignores a template that does not fit the game type', () => {
+    const rules = resolveRules({ templateId: 'open_question', gameType: 'matching_game' });
+
+    expect(rules.templateId).toBeNull();
+    expect(rules.ruleType).toBe('pair_match');
+  });
+
+  it('clamps the option count override to the allowed range', () => {
+    expect(resolveRules({ gameType: 'sharp_and_smooth', overrides: { optionsCount: 10 } }).optionsCount).toBe(6);
+    expect(resolveRules({ gameType: 'sharp_and_smooth', overrides: { optionsCount: 1 } }).optionsCount).toBe(2);
+  });
+});
+
+describe('buildRounds', () => {
+  const rules = resolveRules({ gameType: 'quiz_game' });
+  const pool = poolFromQARecords(QA_RECORDS);
+
+  it('gives every round the rule option count with the correct answer among them', () => {
+    const rounds = buildRounds(rules, pool, { seed: 'session-1' });
+
+    expect(rounds).toHaveLength(QA_RECORDS.length);
+    rounds.forEach(round => {
+      expect(round.options).toHaveLength(rules.optionsCount);
+      expect(round.options.map(option => option.key)).toContain(round.correctKey);
+      expect(new Set(round.options.map(option => option.value)).size).toBe(round.options.length);
+    });
+  });
+
+  it('offers fewer options when the pool has too few distinct answers', () => {
+    const rounds = buildRounds(rules, poolFromQARecords(QA_RECORDS.slice(2, 4)), { seed: 'small' });
+
+    rounds.forEach(round => expect(round.options).toHaveLength(2));
+  });
+
+  it('builds the same rounds for the same seed', () => {
+    expect(buildRounds(rules, pool, { seed: 'same' })).toEqual(buildRounds(rules, pool, { seed: 'same' }));
+  });
+
+  it('limits the number of rounds to the count', () => {
+    expect(buildRounds(rules, pool, { seed: 'count', count: 2 })).toHaveLength(2);
+  });
+
+  it('builds open question rounds without options', () => {
+    const openRules = resolveRules({ templateId: 'open_question', gameType: 'quiz_game' });
+    const [round] = buildRounds(openRules, poolFromQARecords([QA_RECORDS[4]]), { seed: 'open' });
+
+    expect(round.options).toEqual([]);
+    expect(round.correctKey).toBeNull();
+    expect(round.acceptedAnswers).toEqual(['Rome', 'Roma']);
+  });
+});
+
+describe('checkAnswer', () => {
+  it('compares the chosen option key in option rounds', () => {
+    const rules = resolveRules({ gameType: 'quiz_game' });
+    const [round] = buildRounds(rules, poolFromQARecords(QA_RECORDS), { seed: 'check' });
+    const wrongKey = round.options.find(option => option.key !== round.correctKey).key;
+
+    expect(checkAnswer(rules, round, round.correctKey)).toBe(true);
+    expect(checkAnswer(rules, round, wrongKey)).toBe(false);
+  });
+
+  it('matches open answers ignoring case, spacing and niqqud', () => {
+    const rules = resolveRules({ templateId: 'open_question', gameType: 'quiz_game', difficulty: 'hard' });
+    const round = { acceptedAnswers: ['Rome', 'שָׁלוֹם'] };
+
+    expect(checkAnswer(rules, round, '  rome ')).toBe(true);
+    expect(checkAnswer(rules, round, 'שלום')).toBe(true);
+    expect(checkAnswer(rules, round, 'Paris')).toBe(false);
+    expect(checkAnswer(rules, round, '')).toBe(false);
+  });
+
+  it('accepts partial open answers only when the tier allows it', () => {
+    const round = { acceptedAnswers: ['Jerusalem'] };
+    const easy = resolveRules({ templateId: 'open_question', gameType: 'quiz_game', difficulty: 'easy' });
+    const hard = resolveRules({ templateId: 'open_question', gameType: 'quiz_game', difficulty: 'hard' });
+
+    expect(checkAnswer(easy, round, 'Jerusalem city')).toBe(true);
+    expect(checkAnswer(hard, round, 'Jerusalem city')).toBe(false);
+  });
+
+  it('rejects answers without a round', () => {
+    expect(checkAnswer(resolveRules({ gameType: 'quiz_game' }), null, 'x')).toBe(false);
+  });
+});
+
+describe('scoreAnswer', () => {
+  const rules = resolveRules({ gameType: 'quiz_game' });
+  const limitMs = rules.timeLimit * 1000;
+
+  it('scores unanswered rounds as 0 and incorrect answers with the template penalty', () => {
+    expect(scoreAnswer(rules, { answered: false, correct: false })).toBe(0);
+    expect(scoreAnswer(rules, { correct: false, elapsedMs: 1000 })).toBe(-3);
+  });
+
+  it('adds a time bonus that shrinks with the answer time', () => {
+    expect(scoreAnswer(rules, { correct: true, elapsedMs: 0 })).toBe(23);
+    expect(scoreAnswer(rules, { correct: true, elapsedMs: limitMs / 2 })).toBe(19);
+    expect(scoreAnswer(rules, { correct: true, elapsedMs: limitMs })).toBe(15);
+    expect(scoreAnswer(rules, { correct: true, elapsedMs: limitMs * 2 })).toBe(15);
+  });
+
+  it('gives no time bonus when the answer time is not known', () => {
+    expect(scoreAnswer(rules, { correct: true })).toBe(15);
+  });
+
+  it('gives no time bonus when the rules have none', () => {
+    const memoryRules = resolveRules({ gameType: 'memory_game' });
+
+    expect(scoreAnswer(memoryRules, { correct: true, elapsedMs: 0 })).toBe(1);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveScatterRules,
+  createScatterGameState,
+  markWordFound,
+  recordScatterMiss,
+  mergeScatterGameState
+} from '@/utils/scatterGameUtils';
+
+const START = 1_000_000;
+
+describe('scatter scoring', () => {
+  it('gives one point per word and nothing for misses without a template', () => {
+    const rules = resolveScatterRules();
+    let state = createScatterGameState(['a', 'b'], 3, START);
+
+    state = recordScatterMiss(state, 'a', rules);
+    state = markWordFound(state, 'w1', 'a', 3, rules, START + 5000);
+
+    expect(state.scores).toEqual({ a: 1, b: 0 });
+  });
+
+  it('applies the template incorrect points to every miss', () => {
+    const rules = resolveScatterRules({ rule_template_id: 'find_opposite' });
+    let state = createScatterGameState(['a'], 3, START);
+
+    state = recordScatterMiss(state, 'a', rules);
+    state = recordScatterMiss(state, 'a', rules);
+
+    expect(state.wrongSelections.a).toBe(2);
+    expect(state.scores.a).toBe(-4);
+  });
+
+  it('adds the time bonus for words found quickly after the previous one', () => {
+    const rules = resolveScatterRules({ rule_template_id: 'find_opposite', difficulty: 'medium' });
+    let state = createScatterGameState(['a'], 3, START);
+
+    // Medium allows 20 seconds: a word at 10s earns a quarter bonus, the next one 30s later none
+    state = markWordFound(state, 'w1', 'a', 3, rules, START + 10000);
+    expect(state.found.w1.elapsedMs).toBe(10000);
+    expect(state.scores.a).toBe(13);
+
+    state = markWordFound(state, 'w2', 'a', 3, rules, START + 40000);
+    expect(state.found.w2.elapsedMs).toBe(30000);
+    expect(state.scores.a).toBe(23);
+  });
+
+  it('keeps misses in the score after merging another player state', () => {
+    const rules = resolveScatterRules({ rule_template_id: 'find_opposite' });
+    const local = recordScatterMiss(createScatterGameState(['a', 'b'], 3, START), 'a', rules);
+    const incoming = markWordFound(createScatterGameState(['a', 'b'], 3, START), 'w1', 'b', 3, rules, START + 40000);
+
+    const merged = mergeScatterGameState(local, incoming, 3, rules);
+
+    expect(merged.scores).toEqual({ a: -2, b: 10 });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSharpAndSmoothSettings,
+  resolveSharpAndSmoothRules
+} from '@/utils/sharpAndSmoothUtils';
+
+describe('normalizeSharpAndSmoothSettings', () => {
+  it('leaves the round time and option count empty when the teacher did not set them', () => {
+    const settings = normalizeSharpAndSmoothSettings({});
+
+    expect(settings.round_time_seconds).toBeNull();
+    expect(settings.options_count).toBeNull();
+    expect(settings.rounds_count).toBe(10);
+  });
+
+  it('clamps values that are set', () => {
+    const settings = normalizeSharpAndSmoothSettings({ round_time_seconds: '200', options_count: 1 });
+
+    expect(settings.round_time_seconds).toBe(60);
+    expect(settings.options_count).toBe(2);
+  });
+});
+
+describe('resolveSharpAndSmoothRules', () => {
+  it('takes the round time and option count from the difficulty when they are not set', () => {
+    const easy = resolveSharpAndSmoothRules({ rule_template_id: 'find_opposite', difficulty: 'easy' });
+    const hard = resolveSharpAndSmoothRules({ rule_template_id: 'find_opposite', difficulty: 'hard' });
+
+    expect(easy.timeLimit).toBe(30);
+    expect(easy.optionsCount).toBe(3);
+    expect(hard.timeLimit).toBe(15);
+    expect(hard.optionsCount).toBe(6);
+  });
+
+  it('still follows the difficulty after settings with empty values are saved', () => {
+    const saved = { ...normalizeSharpAndSmoothSettings({}), rule_template_id: 'find_opposite', difficulty: 'easy' };
+
+    expect(resolveSharpAndSmoothRules(saved).timeLimit).toBe(30);
+  });
+
+  it('lets the teacher values override the template', () => {
+    const rules = resolveSharpAndSmoothRules({
+      rule_template_id: 'find_opposite',
+      difficulty: 'easy',
+      round_time_seconds: 10,
+      options_count: 5
+    });
+
+    expect(rules.timeLimit).toBe(10);
+    expect(rules.optionsCount).toBe(5);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TEMPLATE_FILE_FORMAT,
+  TEMPLATE_FILE_VERSION,
+  buildTemplateExport,
+  parseTemplateImport
+} from '@/utils/templateTransferUtils';
+
+const LEGACY_RECORD = {
+  name: 'מיתוג ישן',
+  template_type: 'branding',
+  target_format: 'pdf-a4-portrait',
+  template_data: {
+    logo: { visible: true, position: { x: 10, y: 90 }, style: { size: 40 } },
+    text: { visible: true, content: 'כל הזכויות שמורות', position: { x: 50, y: 95 }, style: {} },
+    customElements: {
+      'note-text': { content: 'הערה', position: { x: 20, y: 20 }, style: {} }
+    }
+  }
+};
+
+const toFile = (template_data) => JSON.stringify({
+  format: TEMPLATE_FILE_FORMAT,
+  version: TEMPLATE_FILE_VERSION,
+  template: {
+    name: 'תבנית',
+    template_type: 'branding',
+    target_format: 'pdf-a4-portrait',
+    template_data
+  }
+});
+
+describe('parseTemplateImport', () => {
+  it('migrates a version 1 template record to the unified structure', () => {
+    const { template, version, warnings } = parseTemplateImport(JSON.stringify(LEGACY_RECORD));
+
+    expect(version).toBe(1);
+    expect(warnings).toEqual([]);
+    expect(template.name).toBe('מיתוג ישן');
+    expect(template.template_data.elements.logo[0]).toMatchObject({ type: 'logo', position: { x: 10, y: 90 } });
+    expect(template.template_data.elements['copyright-text'][0].content).toBe('כל הזכויות שמורות');
+    expect(template.template_data.elements['free-text'][0]).toMatchObject({ id: 'note-text', type: 'free-text' });
+    expect(template.template_data.groups).toEqual({});
+  });
+
+  it('reads back its own export', () => {
+    const exported = buildTemplateExport(LEGACY_RECORD);
+    const { template, version } = parseTemplateImport(JSON.stringify(exported));
+
+    expect(version).toBe(TEMPLATE_FILE_VERSION);
+    expect(template.template_data.elements).toMatchObject(exported.template.template_data.elements);
+  });
+
+  it('fills in missing element types from their list', () => {
+    const { template } = parseTemplateImport(toFile({
+      elements: { box: [{ id: 'b1', position: { x: 5, y: 5 }, style: {} }] }
+    }));
+
+    expect(template.template_data.elements.box[0].type).toBe('box');
+  });
+
+  it.each([[null], [5], ['s']])('skips the malformed element %j with a warning', (entry) => {
+    const { template, warnings } = parseTemplateImport(toFile({
+      elements: { logo: [entry, { position: { x: 1, y: 2 } }] }
+    }));
+
+    expect(template.template_data.elements.logo).toHaveLength(1);
+    expect(template.template_data.elements.logo[0].type).toBe('logo');
+    expect(warnings).toEqual(['אלמנט 1 מסוג "logo" אינו תקין ולא יובא']);
+  });
+
+  it('warns about element lists that are not arrays and elements without a position', () => {
+    const { template, warnings } = parseTemplateImport(toFile({
+      elements: { url: 'x', line: [{ id: 'l1' }] }
+    }));
+
+    expect(template.template_data.elements.url).toBeUndefined();
+    expect(template.template_data.elements.line[0].position).toEqual({ x: 50, y: 50 });
+    expect(warnings).toHaveLength(2);
+  });
+
+  it.each([
+    ['not JSON', '{', 'הקובץ אינו קובץ JSON תקין'],
+    ['an array', '[]', 'מבנה הקובץ אינו תקין'],
+    ['another format', JSON.stringify({ format: 'other' }), 'הקובץ אינו קובץ תבנית של לודורה'],
+    ['a newer version', JSON.stringify({ format: TEMPLATE_FILE_FORMAT, version: TEMPLATE_FILE_VERSION + 1, template: {} }),
+      'הקובץ נוצר בגרסה חדשה יותר של המערכת ולא ניתן לייבא אותו'],
+    ['an unknown template type', JSON.stringify({ ...LEGACY_RECORD, template_type: 'poster' }), 'סוג התבנית "poster" אינו נתמך'],
+    ['an element list that is not an object', toFile({ elements: [null] }), 'בקובץ אין רשימת אלמנטים תקינה']
+  ])('rejects %s with a Hebrew message', (_, text, message) => {
+    expect(() => parseTemplateImport(text)).toThrow(message);
+  });
+});
@@ -0,0 +1,113 @@
+// utils/adaptiveDifficultyUtils.js
+// Adaptive difficulty for individually played games
+//
+// With settings.adaptive_difficulty on, each player starts at the game's
+// difficulty and moves between the easy / medium / hard tiers of the rule
+// template as they play: a run of fast, accurate answers moves them up, a run
+// of mistakes or timeouts moves them down. The tier is derived from the
+// answers alone, so it needs no state of its own and is the same on replay.
+// The player's board also saves the tier on their session participant, so
+// the report has it even without the shared progress snapshot (server contract
+// in BACKEND_REQUIREMENTS_ADAPTIVE_DIFFICULTY.md).
+//
+// Only games played one question at a time adapt (see ADAPTIVE_GAME_TYPES).
+// Matching boards are seeded by the session so the whole class plays the same
+// boards, and the shared-board games are played together, so those keep the
+// game's fixed difficulty.
+
+import { RULE_DIFFICULTIES, DEFAULT_RULE_DIFFICULTY } from '@/utils/ruleTemplateEngine';
+
+export const DIFFICULTY_TIER_LABELS = {
+  easy: 'קל',
+  medium: 'בינוני',
+  hard: 'קשה'
+};
+
+// Game types whose runtime supports adaptive difficulty
+export const ADAPTIVE_GAME_TYPES = ['quiz_game'];
+
+// Answers at a tier before the player can move to another one
+export const ADAPTIVE_WINDOW = 4;
+
+// Share of correct answers in the window to move up / at most to move down
+const PROMOTE_ACCURACY = 0.75;
+const DEMOTE_ACCURACY = 0.4;
+
+// Average share of the time limit used by the window's answers to move up
+const PROMOTE_TIME_SHARE = 0.6;
+
+/**
+ * Check whether a game plays with adaptive difficulty
+ * @param {Object} settings - Game settings
+ * @returns {boolean}
+ */
+export const isAdaptiveDifficulty = (settings) => !!settings?.adaptive_difficulty;
+
+/**
+ * Check whether a game type can play with adaptive difficulty
+ * @param {string} gameType - Game type key
+ * @returns {boolean}
+ */
+export const supportsAdaptiveDifficulty = (gameType) => ADAPTIVE_GAME_TYPES.includes(gameType);
+
+const stepTier = (difficulty, step) => {
+  const index = RULE_DIFFICULTIES.indexOf(difficulty);
+  return RULE_DIFFICULTIES[Math.min(RULE_DIFFICULTIES.length - 1, Math.max(0, index + step))];
+};
+
+const getTierStep = (window) => {
+  const correct = window.filter(answer => answer.correct).length;
+  const accuracy = correct / window.length;
+
+  if (accuracy <= DEMOTE_ACCURACY) return -1;
+  if (accuracy < PROMOTE_ACCURACY) return 0;
+
+  const timeShares = window
+    .filter(answer => answer.timeLimitMs > 0)
+    .map(answer => Math.min(1, (answer.elapsedMs || 0) / answer.timeLimitMs));
+  const averageShare = timeShares.length > 0
+    ? timeShares.reduce((sum, share) => sum + share, 0) / timeShares.length
+    : 0;
+
+  return averageShare <= PROMOTE_TIME_SHARE ? 1 : 0;
+};
+
+/**
+ * Work out a player's difficulty tier from their answers so far
+ * Only the last ADAPTIVE_WINDOW answers at the current tier count, and the
+ * window starts over after every move.
+ * @param {Array} answers - [{ correct, elapsedMs, timeLimitMs }] in answer order
+ * @param {string} startDifficulty - Tier the player started at
+ * @returns {Object} { difficulty, changes: [{ from, to, afterAnswer }] }
+ */
+export const getAdaptiveDifficulty = (answers = [], startDifficulty = DEFAULT_RULE_DIFFICULTY) => {
+  let difficulty = RULE_DIFFICULTIES.includes(startDifficulty) ? startDifficulty : DEFAULT_RULE_DIFFICULTY;
+  let windowStart = 0;
+  const changes = [];
+
+  answers.forEach((answer, index) => {
+    const window = answers.slice(Math.max(windowStart, index + 1 - ADAPTIVE_WINDOW), index + 1);
+    if (window.length < ADAPTIVE_WINDOW) return;
+
+    const next = stepTier(difficulty, getTierStep(window));
+    if (next === difficulty) return;
+
+    changes.push({ from: difficulty, to: next, afterAnswer: index + 1 });
+    difficulty = next;
+    windowStart = index + 1;
+  });
+
+  return { difficulty, changes };
+};
+
+/**
+ * Check whether a player's final tier suggests they need support
+ * @param {string} difficulty - Final tier
+ * @param {string} startDifficulty - Tier the game started at
+ * @returns {boolean} True when the player ended below the starting tier, or at the easiest tier
+ */
+export const needsDifficultySupport = (difficulty, startDifficulty = DEFAULT_RULE_DIFFICULTY) => {
+  if (!RULE_DIFFICULTIES.includes(difficulty)) return false;
+  return difficulty === RULE_DIFFICULTIES[0] ||
+    RULE_DIFFICULTIES.indexOf(difficulty) < RULE_DIFFICULTIES.indexOf(startDifficulty);
+};
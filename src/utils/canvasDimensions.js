@@ -9,20 +9,94 @@ const CANVAS_DIMENSIONS = {
     width: 595,   // A4 width in points (210mm)
     height: 842,  // A4 height in points (297mm)
     aspectRatio: 842/595, // ~1.414 (height/width for portrait)
-    description: 'PDF Portrait A4'
+    description: 'PDF Portrait A4',
+    label: 'PDF A4 לאורך',
+    category: 'pdf'
   },
   'pdf-a4-landscape': {
     width: 842,   // A4 height in points (297mm) - becomes width in landscape
     height: 595,  // A4 width in points (210mm) - becomes height in landscape
     aspectRatio: 595/842, // ~0.707 (height/width for landscape)
-    description: 'PDF Landscape A4'
+    description: 'PDF Landscape A4',
+    label: 'PDF A4 לרוחב',
+    category: 'pdf'
+  },
+  // US Letter (8.5in x 11in)
+  'pdf-letter-portrait': {
+    width: 612,
+    height: 792,
+    aspectRatio: 792/612,
+    description: 'PDF Portrait Letter',
+    label: 'PDF Letter לאורך',
+    category: 'pdf'
+  },
+  'pdf-letter-landscape': {
+    width: 792,
+    height: 612,
+    aspectRatio: 612/792,
+    description: 'PDF Landscape Letter',
+    label: 'PDF Letter לרוחב',
+    category: 'pdf'
+  },
+  // A3 (297mm x 420mm)
+  'pdf-a3-portrait': {
+    width: 842,
+    height: 1191,
+    aspectRatio: 1191/842,
+    description: 'PDF Portrait A3',
+    label: 'PDF A3 לאורך',
+    category: 'pdf'
+  },
+  'pdf-a3-landscape': {
+    width: 1191,
+    height: 842,
+    aspectRatio: 842/1191,
+    description: 'PDF Landscape A3',
+    label: 'PDF A3 לרוחב',
+    category: 'pdf'
+  },
+  // A5 (148mm x 210mm)
+  'pdf-a5-portrait': {
+    width: 420,
+    height: 595,
+    aspectRatio: 595/420,
+    description: 'PDF Portrait A5',
+    label: 'PDF A5 לאורך',
+    category: 'pdf'
+  },
+  'pdf-a5-landscape': {
+    width: 595,
+    height: 420,
+    aspectRatio: 420/595,
+    description: 'PDF Landscape A5',
+    label: 'PDF A5 לרוחב',
+    category: 'pdf'
   },
   // SVG Lesson Plan - 16:9 aspect ratio based on actual slide dimensions (1920x1080)
   'svg-lessonplan': {
     width: 1920,
     height: 1080,
     aspectRatio: 16/9,
-    description: 'SVG Lesson Plan Slides'
+    description: 'SVG Lesson Plan Slides',
+    label: 'SVG מצגת שיעור',
+    category: 'svg'
+  },
+  // Social media images, in pixels
+  'social-square': {
+    width: 1080,
+    height: 1080,
+    aspectRatio: 1,
+    description: 'Social Square Post',
+    label: 'פוסט ריבועי לרשתות',
+    category: 'social'
+  },
+  'social-story': {
+    width: 1080,
+    height: 1920,
+    aspectRatio: 1920/1080,
+    description: 'Social Story',
+    label: 'סטורי לרשתות',
+    category: 'social'
   },
   // Default fallback
   'default': {
@@ -44,6 +118,64 @@ export function getCanvasDimensions(targetFormat) {
   return dimensions;
 }
 
+/**
+ * Check if a target format has its own canvas dimensions
+ * @param {string} targetFormat - The target format
+ * @returns {boolean} True if the format is known (the default fallback is not)
+ */
+export function isSupportedFormat(targetFormat) {
+  return targetFormat !== 'default' && Object.prototype.hasOwnProperty.call(CANVAS_DIMENSIONS, targetFormat);
+}
+
+/**
+ * Get the target formats offered to template and product creators
+ * @param {string|string[]} [categories] - Only formats of these categories ('pdf', 'svg', 'social')
+ * @returns {Array} [{ value, label, category, orientation }] in CANVAS_DIMENSIONS order
+ */
+export function getTargetFormatOptions(categories = null) {
+  const allowed = categories ? [].concat(categories) : null;
+
+  return Object.entries(CANVAS_DIMENSIONS)
+    .filter(([value, dimensions]) => value !== 'default' && (!allowed || allowed.includes(dimensions.category)))
+    .map(([value, dimensions]) => ({
+      value,
+      label: dimensions.label,
+      category: dimensions.category,
+      orientation: getFormatOrientation(value)
+    }));
+}
+
+/**
+ * Get the Hebrew display label of a target format
+ * @param {string} targetFormat - The target format
+ * @returns {string} The label, or the format itself when unknown
+ */
+export function getFormatLabel(targetFormat) {
+  return (isSupportedFormat(targetFormat) && CANVAS_DIMENSIONS[targetFormat].label) || targetFormat;
+}
+
+/**
+ * Get the page orientation of a target format
+ * @param {string} targetFormat - The target format
+ * @returns {string} 'portrait', 'landscape' or 'square'
+ */
+export function getFormatOrientation(targetFormat) {
+  const { width, height } = getCanvasDimensions(targetFormat);
+  if (width === height) return 'square';
+  return width > height ? 'landscape' : 'portrait';
+}
+
+/**
+ * Get the on-screen width the editor draws a format's page at. Element sizes
+ * (font sizes, widths, logo sizes) are stored in these display pixels.
+ * @param {string} targetFormat - The target format
+ * @returns {number} Page width in display pixels
+ */
+export function getCanvasDisplayWidth(targetFormat) {
+  // SVG slides are scaled down to fit in reasonable screen space
+  return isSVGFormat(targetFormat) ? 800 : getCanvasDimensions(targetFormat).width;
+}
+
 /**
  * Get scaled dimensions while maintaining aspect ratio
  * @param {string} targetFormat - The target format
@@ -71,6 +203,45 @@ export function getScaledDimensions(targetFormat, maxWidth, maxHeight) {
   };
 }
 
+// Length units of the rulers and grid. PDF canvases are measured in points
+// (1pt = 1/72 inch), SVG slides and social images in pixels.
+const POINTS_PER_MM = 72 / 25.4;
+
+export const CANVAS_UNITS = {
+  mm: { label: 'מ״מ', pointsPerUnit: POINTS_PER_MM },
+  pt: { label: 'נק׳', pointsPerUnit: 1 },
+  px: { label: 'פיקסל', pointsPerUnit: 1 }
+};
+
+/**
+ * Get the length units available for a target format
+ * @param {string} targetFormat - The target format
+ * @returns {string[]} Keys of CANVAS_UNITS, default unit first
+ */
+export function getCanvasUnits(targetFormat) {
+  return isPixelFormat(targetFormat) ? ['px'] : ['mm', 'pt'];
+}
+
+/**
+ * Convert a length in canvas units (points or pixels) to a length unit
+ * @param {number} value - Length in canvas units
+ * @param {string} unit - Key of CANVAS_UNITS
+ * @returns {number} Length in the unit
+ */
+export function fromCanvasUnits(value, unit) {
+  return value / (CANVAS_UNITS[unit]?.pointsPerUnit || 1);
+}
+
+/**
+ * Convert a length in a length unit to canvas units (points or pixels)
+ * @param {number} value - Length in the unit
+ * @param {string} unit - Key of CANVAS_UNITS
+ * @returns {number} Length in canvas units
+ */
+export function toCanvasUnits(value, unit) {
+  return value * (CANVAS_UNITS[unit]?.pointsPerUnit || 1);
+}
+
 /**
  * Check if a target format uses SVG slides
  * @param {string} targetFormat - The target format
@@ -80,6 +251,15 @@ export function isSVGFormat(targetFormat) {
   return targetFormat === 'svg-lessonplan';
 }
 
+/**
+ * Check if a target format is measured in pixels rather than points
+ * @param {string} targetFormat - The target format
+ * @returns {boolean} True for SVG slides and social images
+ */
+export function isPixelFormat(targetFormat) {
+  return ['svg', 'social'].includes(CANVAS_DIMENSIONS[targetFormat]?.category);
+}
+
 /**
  * Check if a target format uses PDF files
  * @param {string} targetFormat - The target format
@@ -91,8 +271,18 @@ export function isPDFFormat(targetFormat) {
 
 export default {
   CANVAS_DIMENSIONS,
+  CANVAS_UNITS,
   getCanvasDimensions,
+  isSupportedFormat,
+  getTargetFormatOptions,
+  getFormatLabel,
+  getFormatOrientation,
+  getCanvasDisplayWidth,
   getScaledDimensions,
+  getCanvasUnits,
+  fromCanvasUnits,
+  toCanvasUnits,
   isSVGFormat,
+  isPixelFormat,
   isPDFFormat
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Canvas snapping helpers for the template editor
+ * Element positions are percents of the page (the element center), so guide
+ * lines, grid steps and thresholds here are all percents too
+ */
+
+import { getCanvasDimensions, getCanvasUnits, fromCanvasUnits, toCanvasUnits, isPixelFormat } from '@/utils/canvasDimensions';
+
+// Distance in screen pixels at which an element snaps to a guide
+export const SNAP_THRESHOLD_PX = 6;
+
+/**
+ * Get the default grid, margin and ruler settings of a target format
+ * @param {string} targetFormat - The target format
+ * @returns {Object} { unit, showGrid, snapToGrid, gridSize, smartGuides, showMargins, margin, showRulers }
+ */
+export function getDefaultCanvasGuideSettings(targetFormat) {
+  const pixels = isPixelFormat(targetFormat);
+
+  return {
+    unit: getCanvasUnits(targetFormat)[0],
+    showGrid: false,
+    snapToGrid: false,
+    gridSize: pixels ? 40 : 5, // px for slides and images, mm for PDF pages
+    smartGuides: true,
+    showMargins: false,
+    margin: pixels ? 60 : 10,
+    showRulers: false
+  };
+}
+
+/**
+ * Convert a length in a unit to percents of the page width and height
+ * @param {number} value - Length in the unit
+ * @param {string} unit - Key of CANVAS_UNITS
+ * @param {string} targetFormat - The target format
+ * @returns {Object} { x, y } percents
+ */
+export function unitsToPagePercent(value, unit, targetFormat) {
+  const { width, height } = getCanvasDimensions(targetFormat);
+  const canvasValue = toCanvasUnits(value, unit);
+
+  return {
+    x: (canvasValue / width) * 100,
+    y: (canvasValue / height) * 100
+  };
+}
+
+/**
+ * Convert a length from one unit to another
+ * @param {number} value - Length in the source unit
+ * @param {string} fromUnit - Key of CANVAS_UNITS
+ * @param {string} toUnit - Key of CANVAS_UNITS
+ * @returns {number} Length in the target unit, rounded to 0.1
+ */
+export function convertCanvasLength(value, fromUnit, toUnit) {
+  return Math.round(fromCanvasUnits(toCanvasUnits(value, fromUnit), toUnit) * 10) / 10;
+}
+
+/**
+ * Collect the guide lines other elements and the page offer for snapping
+ * @param {Array} boxes - Element boxes in page percents: [{ left, right, top, bottom }]
+ * @param {Object|null} margin - Page margin in percents { x, y }, or null without margins
+ * @returns {Object} { x: number[], y: number[] } vertical and horizontal guide lines
+ */
+export function getSnapLines(boxes, margin = null) {
+  const x = [50];
+  const y = [50];
+
+  boxes.forEach(box => {
+    x.push(box.left, (box.left + box.right) / 2, box.right);
+    y.push(box.top, (box.top + box.bottom) / 2, box.bottom);
+  });
+
+  if (margin) {
+    x.push(margin.x, 100 - margin.x);
+    y.push(margin.y, 100 - margin.y);
+  }
+
+  return { x, y };
+}
+
+// Snap one axis: the element's start edge, center or end edge to the nearest
+// line within the threshold, or else its center to the grid
+const snapAxis = (center, half, lines, threshold, gridStep) => {
+  let best = null;
+
+  [center - half, center, center + half].forEach(anchor => {
+    lines.forEach(line => {
+      const distance = line - anchor;
+      if (Math.abs(distance) <= threshold && (!best || Math.abs(distance) < Math.abs(best.distance))) {
+        best = { distance, line };
+      }
+    });
+  });
+
+  if (best) return { value: center + best.distance, guide: best.line };
+  if (gridStep) return { value: Math.round(center / gridStep) * gridStep, guide: null };
+  return { value: center, guide: null };
+};
+
+/**
+ * Snap a dragged element position to guide lines and the grid
+ * @param {Object} params
+ * @param {number} params.x - Element center X (percent)
+ * @param {number} params.y - Element center Y (percent)
+ * @param {number} params.halfWidth - Half the element width (percent of page width)
+ * @param {number} params.halfHeight - Half the element height (percent of page height)
+ * @param {Object|null} params.lines - Guide lines from getSnapLines, or null without smart guides
+ * @param {Object} params.threshold - Snap distance in percents { x, y }
+ * @param {Object|null} params.grid - Grid step in percents { x, y }, or null without grid snapping
+ * @returns {Object} { x, y, guides: { x: number|null, y: number|null } }
+ */
+export function snapElementPosition({ x, y, halfWidth = 0, halfHeight = 0, lines = null, threshold, grid = null }) {
+  const snappedX = snapAxis(x, halfWidth, lines?.x || [], threshold.x, grid?.x);
+  const snappedY = snapAxis(y, halfHeight, lines?.y || [], threshold.y, grid?.y);
+
+  return {
+    x: snappedX.value,
+    y: snappedY.value,
+    guides: { x: snappedX.guide, y: snappedY.guide }
+  };
+}
@@ -0,0 +1,196 @@
+// utils/contentPairImportUtils.js
+// Bulk import of game content pairs from CSV/XLSX files
+//
+// Each row holds side A and side B of a pair. A side is either text or the
+// file name of an image the teacher selects along with the sheet. Rows are
+// validated before anything is created, and each row reports its own errors.
+
+export const PAIR_IMPORT_SIDE_TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image'
+};
+
+// Longest text a single side may hold
+export const MAX_PAIR_TEXT_LENGTH = 500;
+
+const IMAGE_FILENAME_PATTERN = /\.(png|jpe?g|gif|webp|svg|bmp)$/i;
+
+// Header names accepted for each column (compared after normalizeHeader)
+const SIDE_A_HEADERS = ['side_a', 'sidea', 'a', 'צד א', 'תוכן א', 'קלף א', 'first'];
+const SIDE_B_HEADERS = ['side_b', 'sideb', 'b', 'צד ב', 'תוכן ב', 'קלף ב', 'second'];
+
+const normalizeHeader = (value) => String(value ?? '')
+  .trim()
+  .toLowerCase()
+  .replace(/["'\u05F3\u05F4]/g, '')
+  .replace(/\s+/g, ' ');
+
+const normalizeFilename = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, escaped quotes, CRLF line ends and a leading BOM.
+ * The delimiter (comma, semicolon or tab) is detected from the first line.
+ * @param {string} text - CSV file content
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Turn parsed table rows into import rows
+ * A header row is detected by its column names; without one, the first two
+ * columns are read as side A and side B.
+ * @param {Array<Array<string>>} table - Rows of cells
+ * @returns {Array} [{ rowNumber, sideA, sideB }] (row numbers as in the file, empty rows skipped)
+ */
+export const tableToImportRows = (table = []) => {
+  const header = (table[0] || []).map(normalizeHeader);
+  const headerA = header.findIndex(name => SIDE_A_HEADERS.includes(name));
+  const headerB = header.findIndex(name => SIDE_B_HEADERS.includes(name));
+  const hasHeader = headerA !== -1 && headerB !== -1;
+
+  const columnA = hasHeader ? headerA : 0;
+  const columnB = hasHeader ? headerB : 1;
+
+  return table
+    .map((cells, index) => ({
+      rowNumber: index + 1,
+      sideA: String(cells[columnA] ?? '').trim(),
+      sideB: String(cells[columnB] ?? '').trim()
+    }))
+    .slice(hasHeader ? 1 : 0)
+    .filter(row => row.sideA || row.sideB);
+};
+
+/**
+ * Turn records extracted from a spreadsheet ({ side_a, side_b }) into import rows
+ * @param {Array<Object>} records - Extracted records, in sheet order after the header row
+ * @returns {Array} [{ rowNumber, sideA, sideB }]
+ */
+export const recordsToImportRows = (records = []) => records
+  .map((record, index) => ({
+    rowNumber: index + 2, // Row 1 is the header
+    sideA: String(record?.side_a ?? '').trim(),
+    sideB: String(record?.side_b ?? '').trim()
+  }))
+  .filter(row => row.sideA || row.sideB);
+
+/**
+ * Check whether a cell value names an image file
+ * @param {string} value - Cell value
+ * @returns {boolean}
+ */
+export const isImageFilename = (value) => IMAGE_FILENAME_PATTERN.test(String(value ?? '').trim());
+
+/**
+ * Find the selected image file a cell refers to (case-insensitive file name)
+ * @param {string} filename - File name from the sheet
+ * @param {Array<File>} imageFiles - Selected image files
+ * @param {Function} getName - Display name of a file (e.g. with Hebrew encoding fixed)
+ * @returns {File|null}
+ */
+export const findImageFile = (filename, imageFiles = [], getName = (file) => file.name) => {
+  const wanted = normalizeFilename(filename);
+  return imageFiles.find(file => normalizeFilename(getName(file)) === wanted) || null;
+};
+
+const resolveSide = (value, imageFiles, getName) => {
+  if (!value) {
+    return { side: null, error: 'חסר תוכן' };
+  }
+
+  if (isImageFilename(value)) {
+    const file = findImageFile(value, imageFiles, getName);
+    return file
+      ? { side: { type: PAIR_IMPORT_SIDE_TYPES.IMAGE, value, file } }
+      : { side: { type: PAIR_IMPORT_SIDE_TYPES.IMAGE, value, file: null }, error: `קובץ התמונה "${value}" לא נבחר` };
+  }
+
+  if (value.length > MAX_PAIR_TEXT_LENGTH) {
+    return { side: { type: PAIR_IMPORT_SIDE_TYPES.TEXT, value }, error: `הטקסט ארוך מ-${MAX_PAIR_TEXT_LENGTH} תווים` };
+  }
+
+  return { side: { type: PAIR_IMPORT_SIDE_TYPES.TEXT, value } };
+};
+
+/**
+ * Validate import rows and resolve their sides
+ * @param {Array} rows - Rows from tableToImportRows / recordsToImportRows
+ * @param {Array<File>} imageFiles - Image files selected with the sheet
+ * @param {Function} getName - Display name of a file
+ * @returns {Array} [{ rowNumber, sideA, sideB, errors: [] }] where sides are { type, value, file? }
+ */
+export const validateImportRows = (rows = [], imageFiles = [], getName) => {
+  const seen = new Map();
+
+  return rows.map(row => {
+    const a = resolveSide(row.sideA, imageFiles, getName);
+    const b = resolveSide(row.sideB, imageFiles, getName);
+    const errors = [];
+
+    if (a.error) errors.push(`צד א: ${a.error}`);
+    if (b.error) errors.push(`צד ב: ${b.error}`);
+
+    const key = `${row.sideA}\u0000${row.sideB}`.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`זהה לשורה ${seen.get(key)}`);
+    } else {
+      seen.set(key, row.rowNumber);
+    }
+
+    return { rowNumber: row.rowNumber, sideA: a.side, sideB: b.side, errors };
+  });
+};
+
+/**
+ * Key that identifies the content of a side, so repeated values are created once
+ * @param {Object} side - Resolved side ({ type, value })
+ * @returns {string}
+ */
+export const getImportSideKey = (side) =>
+  `${side.type}:${side.type === PAIR_IMPORT_SIDE_TYPES.IMAGE ? normalizeFilename(side.value) : side.value}`;
@@ -263,3 +263,44 @@ export function getElementShadowStyle(element, elementType, isTextElement = fals
   // For other elements, box-shadow can optionally include spread (we'll omit it for simplicity)
   return `${offsetX}px ${offsetY}px ${blur}px ${shadowColor}`;
 }
+
+/**
+ * Get the crop of an image element, as percents cut from each side of the image
+ * @param {Object} element - Element object
+ * @returns {Object} { top, right, bottom, left } (0 if not set)
+ */
+export function getImageCrop(element) {
+  const crop = element?.style?.crop || {};
+  const side = (value) => Math.min(Math.max(Number(value) || 0, 0), 45);
+
+  return {
+    top: side(crop.top),
+    right: side(crop.right),
+    bottom: side(crop.bottom),
+    left: side(crop.left)
+  };
+}
+
+/**
+ * Get CSS style of a cropped image inside its frame
+ * The frame (style.width x style.height, overflow hidden) shows only the part
+ * of the image left after the crop, stretched to fill it
+ * @param {Object} element - Element object
+ * @returns {Object} CSS style for the image: { position, width, height, left, top }
+ */
+export function getImageCropStyle(element) {
+  const { top, right, bottom, left } = getImageCrop(element);
+  const frameWidth = element?.style?.width || 150;
+  const frameHeight = element?.style?.height || 150;
+
+  const width = frameWidth / (1 - (left + right) / 100);
+  const height = frameHeight / (1 - (top + bottom) / 100);
+
+  return {
+    position: 'absolute',
+    width: `${width}px`,
+    height: `${height}px`,
+    left: `${-(width * left) / 100}px`,
+    top: `${-(height * top) / 100}px`
+  };
+}
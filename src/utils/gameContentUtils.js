@@ -0,0 +1,35 @@
+// utils/gameContentUtils.js
+// Helpers for reading GameContent pair records during play
+
+const isSubPair = (content) => content?._source === 'eduContentUse';
+
+/**
+ * Split a composite sub-pair into its background and text parts
+ * @param {Object} content - Content item from a GameContent pair
+ * @returns {Object|null} { bgContent, dataContent, textStyles } or null
+ */
+export const getCompositeParts = (content) => {
+  if (!isSubPair(content) || !Array.isArray(content.contentItems)) return null;
+
+  const bgContent = content.contentItems.find(item => item.element_type === 'playing_card_bg');
+  const dataContent = content.contentItems.find(item => item.element_type === 'data');
+
+  if (!bgContent || !dataContent) return null;
+
+  return {
+    bgContent,
+    dataContent,
+    textStyles: content.usage_metadata?.textStyles || null
+  };
+};
+
+/**
+ * Get a short plain-text label for a content item (for screen readers and summaries)
+ * @param {Object} content - Content item
+ * @returns {string}
+ */
+export const getContentLabel = (content) => {
+  const composite = getCompositeParts(content);
+  if (composite) return composite.dataContent.content || '';
+  return content?.content || '';
+};
@@ -0,0 +1,148 @@
+// utils/gameProgressUtils.js
+// Read progress and scores out of the game state snapshots sent to a session
+// room, for screens that watch a game without playing it (the host screen).
+//
+// Shared-board games (memory, scatter, sharp-and-smooth) send their full
+// state. Games played individually (quiz, matching) send a small snapshot
+// with just the sender's progress, built by createPlayerProgressSnapshot.
+
+import { MEMORY_GAME_STATUS } from '@/utils/memoryGameUtils';
+import {
+  SHARP_AND_SMOOTH_PHASE,
+  resolveSharpAndSmoothRules,
+  getSharpAndSmoothRanking
+} from '@/utils/sharpAndSmoothUtils';
+
+/**
+ * Build the progress snapshot an individually played game sends
+ * The optional answer details are kept with the session state for the lobby
+ * results report.
+ * @param {string} gameType - Game type key
+ * @param {string} participantId - Sending participant
+ * @param {Object} progress - { completed, total, score, finished, attempts, correct, timeMs, missed, difficulty, resume }
+ *   where missed maps a question/pair ID to the number of wrong answers, difficulty
+ *   is the player's current tier in adaptive play, and resume is the board's own
+ *   state, for picking the game up again after a reload
+ * @returns {Object} Snapshot for socketClient.sendGameStateUpdate
+ */
+export const createPlayerProgressSnapshot = (gameType, participantId, {
+  completed,
+  total,
+  score,
+  finished = false,
+  attempts = 0,
+  correct = 0,
+  timeMs = null,
+  missed = {},
+  difficulty = null,
+  resume = null
+}) => ({
+  game_type: gameType,
+  version: Date.now(),
+  players_progress: {
+    [participantId]: { completed, total, score, finished, attempts, correct, timeMs, missed, difficulty, resume }
+  }
+});
+
+/**
+ * Get the board state a player left in a session, from the last snapshot the server kept
+ * @param {Object} gameState - Session game state (may be null)
+ * @param {string} gameType - Game type key of the board
+ * @param {string} participantId - The player
+ * @returns {Object|null} The resume state sent with createPlayerProgressSnapshot
+ */
+export const getPlayerResumeState = (gameState, gameType, participantId) => {
+  if (!participantId || gameState?.game_type !== gameType) return null;
+  return gameState.players_progress?.[participantId]?.resume || null;
+};
+
+/**
+ * Merge a received snapshot into the one already known for a session
+ * Player progress snapshots are combined; full states replace older ones.
+ * @param {Object} previous - Known snapshot (may be null)
+ * @param {Object} incoming - Received snapshot
+ * @returns {Object} Merged snapshot
+ */
+export const mergeProgressSnapshots = (previous, incoming) => {
+  if (!incoming) return previous;
+  if (!previous || previous.game_type !== incoming.game_type) return incoming;
+
+  if (incoming.players_progress) {
+    return {
+      ...incoming,
+      players_progress: { ...previous.players_progress, ...incoming.players_progress }
+    };
+  }
+
+  return (incoming.version ?? 0) >= (previous.version ?? 0) ? incoming : previous;
+};
+
+const sumPlayersProgress = (playersProgress) => {
+  const entries = Object.entries(playersProgress || {});
+
+  return {
+    completed: entries.reduce((sum, [, p]) => sum + (p.completed || 0), 0),
+    total: entries.reduce((sum, [, p]) => sum + (p.total || 0), 0),
+    scores: Object.fromEntries(entries.map(([id, p]) => [id, p.score || 0])),
+    finished: entries.length > 0 && entries.every(([, p]) => p.finished)
+  };
+};
+
+/**
+ * Get the progress of a session from its latest snapshot
+ * @param {Object} gameState - Latest snapshot for the session
+ * @param {Object} settings - Game settings (needed to score sharp-and-smooth)
+ * @returns {Object|null} { completed, total, percent, scores, finished } or null without a snapshot
+ */
+export const getSessionProgress = (gameState, settings = {}) => {
+  if (!gameState) return null;
+
+  let progress;
+
+  if (gameState.players_progress) {
+    progress = sumPlayersProgress(gameState.players_progress);
+  } else {
+    switch (gameState.game_type) {
+      case 'memory_game':
+        progress = {
+          completed: Object.keys(gameState.matched || {}).length,
+          total: Math.floor((gameState.order?.length || 0) / 2),
+          scores: gameState.scores || {},
+          finished: gameState.status === MEMORY_GAME_STATUS.FINISHED
+        };
+        break;
+
+      case 'scatter_game':
+        progress = {
+          completed: Object.keys(gameState.found || {}).length,
+          total: gameState.totalWords || 0,
+          scores: gameState.scores || {},
+          finished: !!gameState.finished
+        };
+        break;
+
+      case 'sharp_and_smooth': {
+        const finished = gameState.phase === SHARP_AND_SMOOTH_PHASE.FINISHED;
+        const ranking = getSharpAndSmoothRanking(gameState, [], resolveSharpAndSmoothRules(settings));
+
+        progress = {
+          completed: finished
+            ? gameState.totalRounds || gameState.round + 1
+            : gameState.round + (gameState.phase === SHARP_AND_SMOOTH_PHASE.REVEAL ? 1 : 0),
+          total: gameState.totalRounds || 0,
+          scores: Object.fromEntries(ranking.map(entry => [entry.playerId, entry.score])),
+          finished
+        };
+        break;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  return {
+    ...progress,
+    percent: progress.total > 0 ? Math.min(100, Math.round((progress.completed / progress.total) * 100)) : 0
+  };
+};
@@ -0,0 +1,57 @@
+// utils/gameSessionResume.js
+// Remembers which participant this device plays as in a game session, so a
+// student who reloads or loses the connection rejoins as the same player.
+
+const STORAGE_PREFIX = 'ludora_play_session_';
+
+// Resume info older than this is ignored (a school day is plenty)
+const RESUME_TTL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Save resume info for a session
+ * @param {string} sessionId - Game session ID
+ * @param {Object} info - { participantId }
+ */
+export const saveSessionResumeInfo = (sessionId, { participantId }) => {
+  if (!sessionId || !participantId) return;
+
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${sessionId}`, JSON.stringify({
+      participantId,
+      savedAt: Date.now()
+    }));
+  } catch {
+    // Storage full or disabled (private browsing) - resume only works in-tab then
+  }
+};
+
+/**
+ * Load resume info for a session
+ * @param {string} sessionId - Game session ID
+ * @returns {Object|null} { participantId, savedAt } or null if missing or expired
+ */
+export const loadSessionResumeInfo = (sessionId) => {
+  if (!sessionId) return null;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${sessionId}`) || 'null');
+    if (!saved?.participantId || Date.now() - saved.savedAt > RESUME_TTL_MS) return null;
+    return saved;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Forget resume info for a session (after leaving it or once it is over)
+ * @param {string} sessionId - Game session ID
+ */
+export const clearSessionResumeInfo = (sessionId) => {
+  if (!sessionId) return;
+
+  try {
+    localStorage.removeItem(`${STORAGE_PREFIX}${sessionId}`);
+  } catch {
+    // Nothing to clear
+  }
+};
@@ -0,0 +1,218 @@
+// utils/lobbyAnalyticsUtils.js
+// Usage of a game over time, from the sessions of its lobbies
+//
+// Sessions are grouped into day / week / month periods by the time they
+// started. A lobby counts as opened once for every day it had sessions, as
+// lobbies are reopened rather than created again. Players are told apart by
+// their user ID, and guests (who have none) by their display name.
+
+import { buildLobbyResults } from '@/utils/lobbyResultsUtils';
+
+export const ANALYTICS_PERIODS = {
+  day: { id: 'day', label: 'יומי' },
+  week: { id: 'week', label: 'שבועי' },
+  month: { id: 'month', label: 'חודשי' }
+};
+
+// Accuracy bands of the score distribution (percent of correct answers)
+export const SCORE_BANDS = [
+  { id: 'low', label: 'עד 49%', max: 49 },
+  { id: 'medium', label: '50%-79%', max: 79 },
+  { id: 'high', label: '80% ומעלה', max: 100 }
+];
+
+// Longest timeline drawn - older periods are left out
+const MAX_TIMELINE_PERIODS = 60;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const getSessionTime = (session) => {
+  const value = session.started_at || session.created_at || session.finished_at;
+  const time = value ? new Date(value) : null;
+  return time && !isNaN(time.getTime()) ? time : null;
+};
+
+const getSessionDuration = (session) => {
+  const startedAt = session.started_at ? new Date(session.started_at).getTime() : null;
+  const finishedAt = session.finished_at ? new Date(session.finished_at).getTime() : null;
+  return startedAt && finishedAt && finishedAt > startedAt ? finishedAt - startedAt : null;
+};
+
+// First day of the period a date falls in (weeks start on Sunday)
+const getPeriodStart = (date, period) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (period === ANALYTICS_PERIODS.week.id) start.setDate(start.getDate() - start.getDay());
+  if (period === ANALYTICS_PERIODS.month.id) start.setDate(1);
+  return start;
+};
+
+const getNextPeriodStart = (start, period) => {
+  const next = new Date(start);
+  if (period === ANALYTICS_PERIODS.month.id) {
+    next.setMonth(next.getMonth() + 1);
+  } else {
+    next.setDate(next.getDate() + (period === ANALYTICS_PERIODS.week.id ? 7 : 1));
+  }
+  return next;
+};
+
+const getPeriodKey = (start) => `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+
+const getPeriodLabel = (start, period) => (
+  period === ANALYTICS_PERIODS.month.id
+    ? `${pad(start.getMonth() + 1)}/${start.getFullYear()}`
+    : `${pad(start.getDate())}/${pad(start.getMonth() + 1)}`
+);
+
+/**
+ * Get the key a participant is counted under as a unique player
+ * @param {Object} participant - Session participant
+ * @returns {string}
+ */
+export const getParticipantKey = (participant) => (
+  participant.user_id ? `user:${participant.user_id}` : `guest:${participant.display_name || participant.id}`
+);
+
+/**
+ * Get the score band of an accuracy
+ * @param {number|null} accuracy - Percent of correct answers
+ * @returns {string|null} Band ID, or null when the player made no attempts
+ */
+export const getScoreBand = (accuracy) => {
+  if (accuracy === null || accuracy === undefined) return null;
+  return SCORE_BANDS.find(band => accuracy <= band.max)?.id || SCORE_BANDS[SCORE_BANDS.length - 1].id;
+};
+
+const createPeriodEntry = (start, period) => ({
+  key: getPeriodKey(start),
+  label: getPeriodLabel(start, period),
+  lobbiesOpened: 0,
+  players: 0,
+  sessions: 0,
+  averageSessionMinutes: null,
+  completionRate: null,
+  ...Object.fromEntries(SCORE_BANDS.map(band => [band.id, 0]))
+});
+
+/**
+ * Build the usage analytics of a game
+ * @param {Object} params
+ * @param {Array} params.lobbies - Game lobbies with their sessions
+ * @param {Object} params.settings - Game settings (for the session scores)
+ * @param {string} params.period - Key of ANALYTICS_PERIODS
+ * @param {Set<string>|null} params.studentIds - User IDs to count (a classroom), or null for everyone
+ * @returns {Object} { summary: { lobbiesOpened, uniquePlayers, sessions, averageSessionMs, completionRate, scoreBands },
+ *   timeline: [{ key, label, lobbiesOpened, players, sessions, averageSessionMinutes, completionRate, low, medium, high }] }
+ */
+export const buildGameAnalytics = ({ lobbies = [], settings = {}, period = ANALYTICS_PERIODS.week.id, studentIds = null }) => {
+  const periods = new Map();
+  const allPlayers = new Set();
+  const allLobbyDays = new Set();
+  const allDurations = [];
+  const scoreBands = Object.fromEntries(SCORE_BANDS.map(band => [band.id, 0]));
+  let startedSessions = 0;
+  let finishedSessions = 0;
+  let sessionsCount = 0;
+
+  lobbies.forEach(lobby => {
+    (lobby.sessions || []).forEach(session => {
+      const time = getSessionTime(session);
+      if (!time) return;
+
+      const participants = (session.participants || [])
+        .filter(participant => !studentIds || studentIds.has(String(participant.user_id)));
+      if (participants.length === 0) return;
+
+      const start = getPeriodStart(time, period);
+      const key = getPeriodKey(start);
+      if (!periods.has(key)) {
+        periods.set(key, {
+          start,
+          players: new Set(),
+          lobbyDays: new Set(),
+          durations: [],
+          started: 0,
+          finished: 0,
+          sessions: 0,
+          bands: Object.fromEntries(SCORE_BANDS.map(band => [band.id, 0]))
+        });
+      }
+      const entry = periods.get(key);
+
+      const lobbyDay = `${lobby.id}:${getPeriodKey(getPeriodStart(time, ANALYTICS_PERIODS.day.id))}`;
+      entry.lobbyDays.add(lobbyDay);
+      allLobbyDays.add(lobbyDay);
+
+      participants.forEach(participant => {
+        entry.players.add(getParticipantKey(participant));
+        allPlayers.add(getParticipantKey(participant));
+      });
+
+      entry.sessions += 1;
+      sessionsCount += 1;
+      if (session.started_at || session.finished_at) {
+        entry.started += 1;
+        startedSessions += 1;
+      }
+      if (session.finished_at) {
+        entry.finished += 1;
+        finishedSessions += 1;
+      }
+
+      const duration = getSessionDuration(session);
+      if (duration) {
+        entry.durations.push(duration);
+        allDurations.push(duration);
+      }
+
+      // Scores of the counted participants only
+      const participantIds = new Set(participants.map(participant => String(participant.id)));
+      buildLobbyResults({ sessions: [session], settings }).players
+        .filter(player => participantIds.has(String(player.id)))
+        .forEach(player => {
+          const band = getScoreBand(player.accuracy);
+          if (!band) return;
+          entry.bands[band] += 1;
+          scoreBands[band] += 1;
+        });
+    });
+  });
+
+  const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  const rate = (finished, started) => (started > 0 ? Math.round((finished / started) * 100) : null);
+
+  // Every period between the first and the last one, empty periods included
+  const keys = [...periods.keys()].sort();
+  const timeline = [];
+  if (keys.length > 0) {
+    const last = periods.get(keys[keys.length - 1]).start;
+    for (let start = periods.get(keys[0]).start; start <= last; start = getNextPeriodStart(start, period)) {
+      const entry = periods.get(getPeriodKey(start));
+      const averageMs = entry ? average(entry.durations) : null;
+
+      timeline.push(entry
+        ? {
+          ...createPeriodEntry(start, period),
+          lobbiesOpened: entry.lobbyDays.size,
+          players: entry.players.size,
+          sessions: entry.sessions,
+          averageSessionMinutes: averageMs === null ? null : Math.round(averageMs / 6000) / 10,
+          completionRate: rate(entry.finished, entry.started),
+          ...entry.bands
+        }
+        : createPeriodEntry(start, period));
+    }
+  }
+
+  return {
+    summary: {
+      lobbiesOpened: allLobbyDays.size,
+      uniquePlayers: allPlayers.size,
+      sessions: sessionsCount,
+      averageSessionMs: average(allDurations),
+      completionRate: rate(finishedSessions, startedSessions),
+      scoreBands
+    },
+    timeline: timeline.slice(-MAX_TIMELINE_PERIODS)
+  };
+};
@@ -0,0 +1,200 @@
+// utils/lobbyResultsUtils.js
+// Build the results report of a lobby from the last game state the server
+// kept for each of its sessions: every participant's score, accuracy and
+// time, and the content pairs / questions that were missed most often.
+
+import { getMemoryGameRanking } from '@/utils/memoryGameUtils';
+import { resolveSharpAndSmoothRules, getSharpAndSmoothRanking } from '@/utils/sharpAndSmoothUtils';
+import { DIFFICULTY_TIER_LABELS } from '@/utils/adaptiveDifficultyUtils';
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+const getSessionDuration = (session) => {
+  const startedAt = toTime(session.started_at);
+  const finishedAt = toTime(session.finished_at);
+  return startedAt && finishedAt && finishedAt > startedAt ? finishedAt - startedAt : null;
+};
+
+const addMisses = (missed, id, count = 1) => {
+  if (!id || !count) return;
+  missed[id] = (missed[id] || 0) + count;
+};
+
+// Per-player stats of one session: { playerId: { score, attempts, correct, timeMs, difficulty? } }
+const getSessionStats = (session, gameState, settings, missed) => {
+  const sessionTimeMs = getSessionDuration(session);
+  const stats = {};
+
+  if (gameState?.players_progress) {
+    Object.entries(gameState.players_progress).forEach(([playerId, progress]) => {
+      stats[playerId] = {
+        score: progress.score || 0,
+        attempts: progress.attempts || 0,
+        correct: progress.correct || 0,
+        timeMs: progress.timeMs ?? sessionTimeMs,
+        difficulty: progress.difficulty || null
+      };
+      Object.entries(progress.missed || {}).forEach(([id, count]) => addMisses(missed, id, count));
+    });
+    return stats;
+  }
+
+  switch (gameState?.game_type) {
+    case 'memory_game':
+      getMemoryGameRanking(gameState).forEach(({ playerId, score, pairs }) => {
+        stats[playerId] = {
+          score,
+          attempts: gameState.attempts?.[playerId] || 0,
+          correct: pairs,
+          timeMs: sessionTimeMs
+        };
+      });
+      Object.entries(gameState.misses || {}).forEach(([id, count]) => addMisses(missed, id, count));
+      break;
+
+    case 'scatter_game': {
+      const foundBy = Object.values(gameState.found || {}).map(claim => claim.by);
+      Object.entries(gameState.scores || {}).forEach(([playerId, score]) => {
+        const correct = foundBy.filter(id => id === playerId).length;
+        stats[playerId] = {
+          score,
+          attempts: correct + (gameState.wrongSelections?.[playerId] || 0),
+          correct,
+          timeMs: sessionTimeMs
+        };
+      });
+      // Words nobody found count as missed by the session
+      (settings?.words || []).forEach((word, index) => {
+        const id = String(word.id ?? index);
+        if (!gameState.found?.[id]) addMisses(missed, id);
+      });
+      break;
+    }
+
+    case 'sharp_and_smooth': {
+      const roundIds = gameState.roundIds || [];
+      const ranking = getSharpAndSmoothRanking(gameState, [], resolveSharpAndSmoothRules(settings));
+
+      ranking.forEach(({ playerId, score }) => {
+        stats[playerId] = { score, attempts: 0, correct: 0, timeMs: 0 };
+      });
+
+      Object.entries(gameState.answers || {}).forEach(([key, answer]) => {
+        const round = Number(key.slice(0, key.indexOf(':')));
+        const playerStats = stats[key.slice(key.indexOf(':') + 1)];
+        if (!playerStats) return;
+
+        playerStats.attempts += 1;
+        playerStats.timeMs += answer.elapsedMs || 0;
+        if (answer.correct) {
+          playerStats.correct += 1;
+        } else {
+          addMisses(missed, roundIds[round]);
+        }
+      });
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return stats;
+};
+
+/**
+ * Build the results report of a lobby
+ * @param {Object} params
+ * @param {Array} params.sessions - Lobby sessions ({ id, session_number, participants, game_state, started_at, finished_at }),
+ *   participants may carry the difficulty_tier saved in adaptive play
+ * @param {Object} params.settings - Game settings
+ * @param {Object} params.labels - Question/pair ID -> display label
+ * @returns {Object} { players: [{ id, name, sessionNumber, score, attempts, correct, accuracy, timeMs, difficulty, rank }],
+ *   missedItems: [{ id, label, misses }] } - players by score, missed items by misses
+ */
+export const buildLobbyResults = ({ sessions = [], settings = {}, labels = {} }) => {
+  const missed = {};
+  const players = [];
+
+  sessions.forEach(session => {
+    const stats = getSessionStats(session, session.game_state, settings, missed);
+    const participants = Object.fromEntries((session.participants || []).map(p => [p.id, p]));
+    const playerIds = new Set([...Object.keys(participants), ...Object.keys(stats)]);
+
+    playerIds.forEach(playerId => {
+      const playerStats = stats[playerId] || { score: 0, attempts: 0, correct: 0, timeMs: null };
+
+      players.push({
+        id: playerId,
+        name: participants[playerId]?.display_name || 'שחקן',
+        sessionNumber: session.session_number,
+        ...playerStats,
+        // The tier saved on the participant wins over the one in the shared snapshot
+        difficulty: participants[playerId]?.difficulty_tier || playerStats.difficulty || null,
+        accuracy: playerStats.attempts > 0 ? Math.round((playerStats.correct / playerStats.attempts) * 100) : null
+      });
+    });
+  });
+
+  players.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, 'he'));
+
+  let rank = 0;
+  let previousScore = null;
+  players.forEach((player, index) => {
+    if (player.score !== previousScore) {
+      rank = index + 1;
+      previousScore = player.score;
+    }
+    player.rank = rank;
+  });
+
+  const missedItems = Object.entries(missed)
+    .map(([id, misses]) => ({ id, label: labels[id] || id, misses }))
+    .sort((a, b) => b.misses - a.misses || a.label.localeCompare(b.label, 'he'));
+
+  return { players, missedItems };
+};
+
+/**
+ * Format a duration for the report (m:ss)
+ * @param {number|null} ms - Duration in ms
+ * @returns {string} Formatted time, or '-' when unknown
+ */
+export const formatResultTime = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert a report from buildLobbyResults to CSV
+ * @param {Object} results - { players, missedItems }
+ * @returns {string} CSV text (players table, a blank line, then the missed items)
+ */
+export const lobbyResultsToCsv = ({ players, missedItems }) => {
+  const rows = [
+    ['דירוג', 'שם', 'חדר', 'ניקוד', 'תשובות נכונות', 'ניסיונות', 'דיוק (%)', 'זמן', 'רמת קושי בסיום'],
+    ...players.map(player => [
+      player.rank,
+      player.name,
+      player.sessionNumber,
+      player.score,
+      player.correct,
+      player.attempts,
+      player.accuracy ?? '',
+      formatResultTime(player.timeMs),
+      DIFFICULTY_TIER_LABELS[player.difficulty] || ''
+    ]),
+    [],
+    ['פריט', 'מספר טעויות'],
+    ...missedItems.map(item => [item.label, item.misses])
+  ];
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+};
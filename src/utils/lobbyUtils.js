@@ -149,6 +149,23 @@ export const findMostRecentLobby = (lobbies) => {
   return activeLobby || lobbies[0]; // Assuming lobbies are sorted by recency
 };
 
+// Hebrew day names
+const DAY_NAMES = ['א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ש'];
+
+// Format time as HH:MM
+const formatTime = (date) => {
+  const hours = date.getHours().toString().padStart(2, '0');
+  const minutes = date.getMinutes().toString().padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+// Format date as DD/MM
+const formatDate = (date) => {
+  const day = date.getDate().toString().padStart(2, '0');
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}`;
+};
+
 /**
  * Get formatted text for when a lobby will close
  * @param {Object} lobby - Lobby object with expires_at field
@@ -172,23 +189,6 @@ export const getLobbyClosureTimeText = (lobby) => {
   const diffHours = Math.floor(diffMinutes / 60);
   const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
 
-  // Hebrew day names
-  const dayNames = ['א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ש'];
-
-  // Format time as HH:MM
-  const formatTime = (date) => {
-    const hours = date.getHours().toString().padStart(2, '0');
-    const minutes = date.getMinutes().toString().padStart(2, '0');
-    return `${hours}:${minutes}`;
-  };
-
-  // Format date as DD/MM
-  const formatDate = (date) => {
-    const day = date.getDate().toString().padStart(2, '0');
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    return `${day}/${month}`;
-  };
-
   // Less than 60 minutes - show countdown
   if (diffMinutes < 60) {
     return baseText + ` בעוד ${diffMinutes} דקות`;
@@ -209,6 +209,125 @@ export const getLobbyClosureTimeText = (lobby) => {
   }
 
   // After tomorrow
-  const dayOfWeek = dayNames[expiration.getDay()];
+  const dayOfWeek = DAY_NAMES[expiration.getDay()];
   return baseText + ` בתאריך ${formatDate(expiration)} יום ${dayOfWeek} בשעה ${formatTime(expiration)}`;
-};
\ No newline at end of file
+};
+
+// Scheduled lobbies
+//
+// A teacher can schedule a lobby in advance: settings.schedule holds the ISO
+// opens_at / closes_at times. When the opening time comes the server
+// activates the lobby with closes_at as its expiration, so it closes by itself
+// like any other timed lobby; the client only shows the schedule. A schedule
+// counts as done once the lobby expires at its closing time. The server
+// contract is in BACKEND_REQUIREMENTS_LOBBY_SCHEDULE.md
+
+// Format a Date as the YYYY-MM-DD value of a date input (local time)
+const formatDateInputValue = (date) => {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const parseLocalDateTime = (date, time) => {
+  if (!date || !time) return null;
+  const value = new Date(`${date}T${time}`);
+  return isNaN(value.getTime()) ? null : value;
+};
+
+/**
+ * Get a lobby's schedule
+ * @param {Object} lobby - Lobby object
+ * @returns {Object|null} { opensAt, closesAt } as Dates, or null if the lobby is not scheduled
+ */
+export const getLobbySchedule = (lobby) => {
+  const schedule = lobby?.settings?.schedule;
+  if (!schedule?.opens_at || !schedule?.closes_at) return null;
+
+  const opensAt = new Date(schedule.opens_at);
+  const closesAt = new Date(schedule.closes_at);
+  if (isNaN(opensAt.getTime()) || isNaN(closesAt.getTime())) return null;
+
+  return { opensAt, closesAt };
+};
+
+/**
+ * Get the schedule form values (date, start and end time)
+ * Without a schedule, proposes tomorrow from 08:00 to 09:00.
+ * @param {Object|null} schedule - Schedule from getLobbySchedule
+ * @returns {Object} { date, startTime, endTime }
+ */
+export const getLobbyScheduleFormValues = (schedule = null) => {
+  if (schedule) {
+    return {
+      date: formatDateInputValue(schedule.opensAt),
+      startTime: formatTime(schedule.opensAt),
+      endTime: formatTime(schedule.closesAt)
+    };
+  }
+
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return { date: formatDateInputValue(tomorrow), startTime: '08:00', endTime: '09:00' };
+};
+
+/**
+ * Validate schedule form values
+ * @param {Object} values - { date, startTime, endTime }
+ * @returns {string|null} Error message in Hebrew, or null if the values are valid
+ */
+export const getLobbyScheduleError = ({ date, startTime, endTime } = {}) => {
+  const opensAt = parseLocalDateTime(date, startTime);
+  const closesAt = parseLocalDateTime(date, endTime);
+
+  if (!opensAt || !closesAt) return 'יש לבחור תאריך, שעת פתיחה ושעת סגירה';
+  if (closesAt <= opensAt) return 'שעת הסגירה חייבת להיות אחרי שעת הפתיחה';
+  if (closesAt <= new Date()) return 'שעת הסגירה כבר עברה';
+  return null;
+};
+
+/**
+ * Build the schedule saved in the lobby settings from form values
+ * @param {Object} values - { date, startTime, endTime }
+ * @returns {Object|null} { opens_at, closes_at } as ISO strings, or null if the values are invalid
+ */
+export const buildLobbySchedule = (values) => {
+  if (getLobbyScheduleError(values)) return null;
+
+  return {
+    opens_at: parseLocalDateTime(values.date, values.startTime).toISOString(),
+    closes_at: parseLocalDateTime(values.date, values.endTime).toISOString()
+  };
+};
+
+// The schedule already ran when the lobby was activated until its closing time
+const isLobbyScheduleApplied = (lobby, schedule) => {
+  if (!lobby.expires_at) return false;
+  const expiration = new Date(lobby.expires_at);
+  return Math.abs(expiration.getTime() - schedule.closesAt.getTime()) < 60 * 1000;
+};
+
+/**
+ * Check if a lobby has a schedule that has not run yet
+ * @param {Object} lobby - Lobby object
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isLobbyScheduleUpcoming = (lobby, now = new Date()) => {
+  const schedule = getLobbySchedule(lobby);
+  if (!schedule || schedule.closesAt <= now) return false;
+  return !isLobbyScheduleApplied(lobby, schedule);
+};
+
+/**
+ * Get formatted text for when a scheduled lobby opens and closes
+ * @param {Object} lobby - Lobby object
+ * @returns {string|null} Formatted schedule text in Hebrew, or null if the lobby is not scheduled
+ */
+export const getLobbyScheduleText = (lobby) => {
+  const schedule = getLobbySchedule(lobby);
+  if (!schedule) return null;
+
+  const { opensAt, closesAt } = schedule;
+  return `יום ${DAY_NAMES[opensAt.getDay()]} ${formatDate(opensAt)}, ${formatTime(opensAt)}-${formatTime(closesAt)}`;
+};
@@ -0,0 +1,137 @@
+// utils/matchingGameUtils.js
+// Board logic for the matching (התאמה) game
+//
+// Content pairs are split into boards of a few pairs each. On every board the
+// player drags each item onto its partner in the targets column. Board size
+// and scoring come from the shared rule-template engine.
+
+import { createSeededRandom, shuffleWith } from '@/utils/seededRandom';
+import {
+  resolveRules,
+  poolFromContentPairs,
+  pickAnswerSide,
+  scoreAnswer
+} from '@/utils/ruleTemplateEngine';
+
+/**
+ * Resolve the rule-template rules for a matching game
+ * @param {Object} settings - Game settings ({ rule_template_id, difficulty, pairs_per_board })
+ * @returns {Object} Rules from resolveRules (optionsCount is the number of pairs per board)
+ */
+export const resolveMatchingRules = (settings = {}) => resolveRules({
+  templateId: settings?.rule_template_id,
+  gameType: 'matching_game',
+  difficulty: settings?.difficulty,
+  overrides: { optionsCount: settings?.pairs_per_board }
+});
+
+/**
+ * Build the boards for a game from GameContent pair records
+ * A leftover of a single pair is folded into the last board, since one pair
+ * cannot be mismatched.
+ * @param {Array} contentPairs - Content use records ({ id, contentItems: [a, b] })
+ * @param {Object} rules - Rules from resolveMatchingRules
+ * @param {string} seed - Random seed
+ * @returns {Array} [{ id, items: [{ key, pairId, content }], targets: [{ key, pairId, content }] }]
+ */
+export const buildMatchingBoards = (contentPairs, rules, seed) => {
+  const random = createSeededRandom(seed);
+  const pool = poolFromContentPairs(contentPairs).sort((a, b) => a.id.localeCompare(b.id));
+  if (pool.length < 2) return [];
+
+  const shuffled = shuffleWith(pool, random);
+  const size = Math.max(2, rules.optionsCount);
+  const chunks = [];
+
+  for (let i = 0; i < shuffled.length; i += size) {
+    chunks.push(shuffled.slice(i, i + size));
+  }
+
+  if (chunks.length > 1 && chunks[chunks.length - 1].length < 2) {
+    chunks[chunks.length - 2].push(...chunks.pop());
+  }
+
+  return chunks.map((chunk, index) => {
+    const sides = chunk.map(item => ({ item, answerSide: pickAnswerSide(rules, random) }));
+
+    return {
+      id: `board-${index}`,
+      items: sides.map(({ item, answerSide }) => ({
+        key: `item-${item.id}`,
+        pairId: item.id,
+        content: item.sides[1 - answerSide]
+      })),
+      targets: shuffleWith(sides, random).map(({ item, answerSide }) => ({
+        key: `target-${item.id}`,
+        pairId: item.id,
+        content: item.sides[answerSide]
+      }))
+    };
+  });
+};
+
+/**
+ * Create the play state for a matching game
+ * @param {number} now - Start time (ms)
+ * @returns {Object} { board, matched, missed, attempts, mistakes, score, startedAt, finishedAt }
+ */
+export const createMatchingState = (now = Date.now()) => ({
+  board: 0,
+  matched: {},
+  missed: {}, // pairId -> wrong drops of that pair's item
+  attempts: 0,
+  mistakes: 0,
+  score: 0,
+  startedAt: now,
+  finishedAt: null
+});
+
+/**
+ * Try to drop an item onto a target
+ * A correct match locks the pair; a wrong one costs the template's incorrect
+ * points. Clearing the last pair of a board moves on to the next board.
+ * @param {Object} state - Play state
+ * @param {Array} boards - Boards from buildMatchingBoards
+ * @param {Object} rules - Rules from resolveMatchingRules
+ * @param {string} itemKey - Dragged item key
+ * @param {string} targetKey - Target key
+ * @param {number} now - Attempt time (ms)
+ * @returns {Object} { state, correct } (state is unchanged if the move is invalid)
+ */
+export const attemptMatch = (state, boards, rules, itemKey, targetKey, now = Date.now()) => {
+  const board = boards[state?.board];
+  if (!board || state.finishedAt) return { state, correct: false };
+
+  const item = board.items.find(i => i.key === itemKey);
+  const target = board.targets.find(t => t.key === targetKey);
+  if (!item || !target || state.matched[item.pairId] || state.matched[target.pairId]) {
+    return { state, correct: false };
+  }
+
+  const correct = item.pairId === target.pairId;
+  const next = {
+    ...state,
+    attempts: state.attempts + 1,
+    mistakes: state.mistakes + (correct ? 0 : 1),
+    score: state.score + scoreAnswer(rules, { correct })
+  };
+
+  if (!correct) {
+    next.missed = { ...state.missed, [item.pairId]: (state.missed?.[item.pairId] || 0) + 1 };
+  }
+
+  if (correct) {
+    next.matched = { ...state.matched, [item.pairId]: true };
+
+    const boardDone = board.items.every(i => next.matched[i.pairId]);
+    if (boardDone) {
+      if (state.board + 1 >= boards.length) {
+        next.finishedAt = now;
+      } else {
+        next.board = state.board + 1;
+      }
+    }
+  }
+
+  return { state: next, correct };
+};
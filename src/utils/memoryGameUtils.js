@@ -0,0 +1,253 @@
+// utils/memoryGameUtils.js
+// Pure state logic for the multiplayer memory game
+
+import { seededShuffle } from '@/utils/seededRandom';
+import { resolveRules, scoreAnswer } from '@/utils/ruleTemplateEngine';
+
+export const MEMORY_GAME_STATUS = {
+  PLAYING: 'playing',
+  FINISHED: 'finished'
+};
+
+// How long a mismatched pair stays face up before the turn passes
+export const MISMATCH_REVEAL_MS = 1200;
+
+/**
+ * Resolve the scoring rules for a memory game
+ * Without a rule template every match is worth one point.
+ * @param {Object} settings - Game settings ({ rule_template_id, difficulty })
+ * @returns {Object} Rules from resolveRules
+ */
+export const resolveMemoryGameRules = (settings = {}) => resolveRules({
+  templateId: settings?.rule_template_id,
+  gameType: 'memory_game',
+  difficulty: settings?.difficulty
+});
+
+/**
+ * Build the card deck from GameContent pair records
+ * Each pair contributes two cards that share a pairId.
+ * @param {Array} contentPairs - Content use records ({ id, contentItems: [a, b] })
+ * @param {string} seed - Shuffle seed (the session ID, so all players get the same board)
+ * @returns {Array} Shuffled cards: { key, pairId, side, content }
+ */
+export const buildMemoryDeck = (contentPairs, seed) => {
+  const cards = [];
+
+  (contentPairs || []).forEach(pair => {
+    if (!pair?.id || !Array.isArray(pair.contentItems) || pair.contentItems.length !== 2) {
+      return;
+    }
+
+    pair.contentItems.forEach((content, side) => {
+      cards.push({
+        key: `${pair.id}:${side}`,
+        pairId: pair.id,
+        side,
+        content
+      });
+    });
+  });
+
+  // Sort before shuffling so the API result order does not affect the board
+  cards.sort((a, b) => a.key.localeCompare(b.key));
+
+  return seededShuffle(cards, seed);
+};
+
+/**
+ * Create the initial game state for a session
+ * @param {Array} deck - Deck from buildMemoryDeck
+ * @param {Array<string>} playerIds - Participant IDs in turn order
+ * @returns {Object} Game state
+ */
+export const createMemoryGameState = (deck, playerIds) => ({
+  game_type: 'memory_game',
+  version: 0,
+  order: deck.map(card => card.key),
+  revealed: [],
+  matched: {},
+  scores: Object.fromEntries(playerIds.map(id => [id, 0])),
+  attempts: {}, // playerId -> pairs of cards turned
+  misses: {}, // pairId -> times its first card was turned without finding the partner
+  players: [...playerIds],
+  turnIndex: 0,
+  moves: 0,
+  pendingMismatch: false,
+  status: MEMORY_GAME_STATUS.PLAYING,
+  lastMoveBy: null
+});
+
+/**
+ * Get the participant whose turn it is
+ * @param {Object} state - Game state
+ * @returns {string|null} Participant ID
+ */
+export const getCurrentPlayerId = (state) => {
+  if (!state?.players?.length) return null;
+  return state.players[state.turnIndex % state.players.length];
+};
+
+const getPairId = (cardKey) => cardKey.slice(0, cardKey.lastIndexOf(':'));
+
+/**
+ * Check whether a card is face up (revealed or already matched)
+ * @param {Object} state - Game state
+ * @param {string} cardKey - Card key
+ * @returns {boolean}
+ */
+export const isCardFaceUp = (state, cardKey) =>
+  state.revealed.includes(cardKey) || !!state.matched[getPairId(cardKey)];
+
+/**
+ * Check whether a player may flip a card right now
+ * @param {Object} state - Game state
+ * @param {string} cardKey - Card key
+ * @param {string} playerId - Acting participant ID
+ * @returns {boolean}
+ */
+export const canFlipCard = (state, cardKey, playerId) => {
+  if (!state || state.status !== MEMORY_GAME_STATUS.PLAYING) return false;
+  if (state.pendingMismatch || state.revealed.length >= 2) return false;
+  if (getCurrentPlayerId(state) !== playerId) return false;
+  if (!state.order.includes(cardKey)) return false;
+  return !isCardFaceUp(state, cardKey);
+};
+
+/**
+ * Apply a card flip
+ * A match scores the rules' correct points and keeps the turn; a mismatch
+ * scores the incorrect points and is left face up (pendingMismatch) until
+ * resolveMismatch passes the turn on.
+ * @param {Object} state - Game state
+ * @param {string} cardKey - Card key
+ * @param {string} playerId - Acting participant ID
+ * @param {Object} rules - Rules from resolveMemoryGameRules
+ * @returns {Object} New state (unchanged reference if the move is invalid)
+ */
+export const flipMemoryCard = (state, cardKey, playerId, rules = resolveMemoryGameRules()) => {
+  if (!canFlipCard(state, cardKey, playerId)) return state;
+
+  const revealed = [...state.revealed, cardKey];
+  const next = {
+    ...state,
+    revealed,
+    version: state.version + 1,
+    lastMoveBy: playerId
+  };
+
+  if (revealed.length < 2) return next;
+
+  next.moves = state.moves + 1;
+  const [first, second] = revealed;
+
+  const isMatch = getPairId(first) === getPairId(second);
+  next.scores = {
+    ...state.scores,
+    [playerId]: (state.scores[playerId] || 0) + scoreAnswer(rules, { correct: isMatch })
+  };
+  next.attempts = { ...state.attempts, [playerId]: (state.attempts?.[playerId] || 0) + 1 };
+
+  if (isMatch) {
+    next.matched = { ...state.matched, [getPairId(first)]: playerId };
+    next.revealed = [];
+
+    const totalPairs = state.order.length / 2;
+    if (Object.keys(next.matched).length >= totalPairs) {
+      next.status = MEMORY_GAME_STATUS.FINISHED;
+    }
+  } else {
+    next.pendingMismatch = true;
+    next.misses = { ...state.misses, [getPairId(first)]: (state.misses?.[getPairId(first)] || 0) + 1 };
+  }
+
+  return next;
+};
+
+/**
+ * Turn a pending mismatch face down and pass the turn
+ * @param {Object} state - Game state
+ * @returns {Object} New state
+ */
+export const resolveMismatch = (state) => {
+  if (!state?.pendingMismatch) return state;
+
+  return {
+    ...state,
+    revealed: [],
+    pendingMismatch: false,
+    turnIndex: state.players.length ? (state.turnIndex + 1) % state.players.length : 0,
+    version: state.version + 1
+  };
+};
+
+/**
+ * Reconcile the turn order with the current session participants
+ * Players who left are dropped (their matches stay on the board), new
+ * players are appended, and the turn stays with the same player if possible.
+ * @param {Object} state - Game state
+ * @param {Array<string>} participantIds - Current participant IDs
+ * @returns {Object} New state (unchanged reference if nothing changed)
+ */
+export const syncMemoryPlayers = (state, participantIds) => {
+  if (!state) return state;
+
+  const stillHere = state.players.filter(id => participantIds.includes(id));
+  const joined = participantIds.filter(id => !state.players.includes(id));
+
+  if (joined.length === 0 && stillHere.length === state.players.length) {
+    return state;
+  }
+
+  const players = [...stillHere, ...joined];
+  const currentId = getCurrentPlayerId(state);
+  const keptIndex = players.indexOf(currentId);
+  const turnIndex = keptIndex >= 0
+    ? keptIndex
+    : (players.length ? state.turnIndex % players.length : 0);
+
+  const scores = { ...state.scores };
+  joined.forEach(id => {
+    scores[id] = scores[id] || 0;
+  });
+
+  return {
+    ...state,
+    players,
+    scores,
+    turnIndex,
+    // A departed player's half-flipped turn is abandoned
+    revealed: keptIndex >= 0 ? state.revealed : [],
+    pendingMismatch: keptIndex >= 0 ? state.pendingMismatch : false,
+    version: state.version + 1
+  };
+};
+
+/**
+ * Build the end-of-game ranking
+ * @param {Object} state - Game state
+ * @returns {Array} [{ playerId, score, pairs, rank }] sorted by score, ties share a rank
+ */
+export const getMemoryGameRanking = (state) => {
+  if (!state) return [];
+
+  const matchedBy = Object.values(state.matched);
+  const sorted = Object.entries(state.scores)
+    .map(([playerId, score]) => ({
+      playerId,
+      score,
+      pairs: matchedBy.filter(id => id === playerId).length
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  let rank = 0;
+  let previousScore = null;
+
+  return sorted.map((entry, index) => {
+    if (entry.score !== previousScore) {
+      rank = index + 1;
+      previousScore = entry.score;
+    }
+    return { ...entry, rank };
+  });
+};
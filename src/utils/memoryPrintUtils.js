@@ -0,0 +1,313 @@
+// utils/memoryPrintUtils.js
+// Print-ready A4 card sheets for the offline (printed) memory game
+//
+// Cards are laid out edge to edge in a grid centered on the page, so one cut
+// separates two cards. Card backs go on the following page at the mirrored
+// grid position, which lines them up with their fronts when printed duplex.
+// Backs fill their whole cell, so a printer that is a millimeter off still
+// produces clean cards.
+
+import { getCompositeParts } from '@/utils/gameContentUtils';
+import { escapeHtml } from '@/utils/printUtils';
+
+const A4_WIDTH_MM = 210;
+const A4_HEIGHT_MM = 297;
+
+// Most printers cannot print closer than this to the paper edge
+const PAGE_MARGIN_MM = 8;
+
+export const MEMORY_PRINT_CARD_SIZES = {
+  small: { label: 'קטן (5×5 ס״מ)', widthMm: 50, heightMm: 50 },
+  medium: { label: 'בינוני (6.3×6.3 ס״מ)', widthMm: 63, heightMm: 63 },
+  large: { label: 'גדול (9×9 ס״מ)', widthMm: 90, heightMm: 90 },
+  playing_card: { label: 'קלף משחק (6.3×8.8 ס״מ)', widthMm: 63, heightMm: 88 }
+};
+
+export const MEMORY_PRINT_DUPLEX = {
+  LONG_EDGE: 'long_edge',
+  SHORT_EDGE: 'short_edge',
+  NONE: 'none'
+};
+
+export const DEFAULT_MEMORY_PRINT_SETTINGS = {
+  card_size: 'medium',
+  duplex: MEMORY_PRINT_DUPLEX.LONG_EDGE,
+  cut_lines: true,
+  pairs_count: null, // null = every pair of the game
+  back_color: '#7c3aed',
+  back_text: '',
+  include_instructions: true
+};
+
+/**
+ * Fill in defaults for saved print settings
+ * @param {Object} printSettings - Saved print settings (game_settings.print_settings)
+ * @returns {Object} Print settings
+ */
+export const normalizeMemoryPrintSettings = (printSettings = {}) => {
+  const settings = { ...DEFAULT_MEMORY_PRINT_SETTINGS, ...printSettings };
+
+  if (!MEMORY_PRINT_CARD_SIZES[settings.card_size]) {
+    settings.card_size = DEFAULT_MEMORY_PRINT_SETTINGS.card_size;
+  }
+  if (!Object.values(MEMORY_PRINT_DUPLEX).includes(settings.duplex)) {
+    settings.duplex = DEFAULT_MEMORY_PRINT_SETTINGS.duplex;
+  }
+
+  if (!/^#[0-9a-f]{6}$/i.test(settings.back_color || '')) {
+    settings.back_color = DEFAULT_MEMORY_PRINT_SETTINGS.back_color;
+  }
+
+  const pairsCount = parseInt(settings.pairs_count, 10);
+  settings.pairs_count = Number.isFinite(pairsCount) && pairsCount > 0 ? pairsCount : null;
+
+  return settings;
+};
+
+/**
+ * Get the card grid of an A4 sheet for a card size
+ * @param {string} cardSize - Key of MEMORY_PRINT_CARD_SIZES
+ * @returns {Object} { columns, rows, perPage, cardWidthMm, cardHeightMm, offsetXMm, offsetYMm }
+ */
+export const getMemorySheetLayout = (cardSize) => {
+  const { widthMm, heightMm } = MEMORY_PRINT_CARD_SIZES[cardSize] || MEMORY_PRINT_CARD_SIZES.medium;
+  const columns = Math.max(1, Math.floor((A4_WIDTH_MM - PAGE_MARGIN_MM * 2) / widthMm));
+  const rows = Math.max(1, Math.floor((A4_HEIGHT_MM - PAGE_MARGIN_MM * 2) / heightMm));
+
+  return {
+    columns,
+    rows,
+    perPage: columns * rows,
+    cardWidthMm: widthMm,
+    cardHeightMm: heightMm,
+    // Centered, so mirroring the grid for the backs keeps it in place
+    offsetXMm: (A4_WIDTH_MM - columns * widthMm) / 2,
+    offsetYMm: (A4_HEIGHT_MM - rows * heightMm) / 2
+  };
+};
+
+/**
+ * Get the cards to print from GameContent pair records (both sides of each pair)
+ * @param {Array} contentPairs - Content use records ({ id, contentItems: [a, b] })
+ * @param {number|null} pairsCount - Number of pairs to print (null for all)
+ * @returns {Array} [{ key, pairId, content }]
+ */
+export const buildMemoryPrintCards = (contentPairs, pairsCount = null) => {
+  const pairs = (contentPairs || [])
+    .filter(pair => pair?.id && Array.isArray(pair.contentItems) && pair.contentItems.length === 2);
+
+  return pairs
+    .slice(0, pairsCount || pairs.length)
+    .flatMap(pair => pair.contentItems.map((content, side) => ({
+      key: `${pair.id}:${side}`,
+      pairId: pair.id,
+      content
+    })));
+};
+
+/**
+ * Find the back-page slot behind a front-page slot
+ * Long-edge flipping mirrors the columns. In short-edge mode the printer turns
+ * the back page around, which leaves the columns in place and mirrors the rows.
+ * @param {number} index - Slot index on the front page
+ * @param {Object} layout - Layout from getMemorySheetLayout
+ * @param {string} duplex - MEMORY_PRINT_DUPLEX value
+ * @returns {number} Slot index on the back page
+ */
+export const getBackSlotIndex = (index, layout, duplex) => {
+  const row = Math.floor(index / layout.columns);
+  const column = index % layout.columns;
+
+  if (duplex === MEMORY_PRINT_DUPLEX.SHORT_EDGE) {
+    return (layout.rows - 1 - row) * layout.columns + column;
+  }
+
+  return row * layout.columns + (layout.columns - 1 - column);
+};
+
+/**
+ * Split the cards into sheets
+ * @param {Array} cards - Cards from buildMemoryPrintCards
+ * @param {Object} layout - Layout from getMemorySheetLayout
+ * @param {string} duplex - MEMORY_PRINT_DUPLEX value
+ * @returns {Array} [{ fronts: [card|null], backs: [boolean] | null }] - one entry per slot
+ */
+export const paginateMemoryCards = (cards, layout, duplex) => {
+  const sheets = [];
+
+  for (let start = 0; start < cards.length; start += layout.perPage) {
+    const fronts = Array.from({ length: layout.perPage }, (_, i) => cards[start + i] || null);
+    let backs = null;
+
+    if (duplex !== MEMORY_PRINT_DUPLEX.NONE) {
+      backs = Array(layout.perPage).fill(false);
+      fronts.forEach((card, i) => {
+        if (card) backs[getBackSlotIndex(i, layout, duplex)] = true;
+      });
+    }
+
+    sheets.push({ fronts, backs });
+  }
+
+  return sheets;
+};
+
+// Composite text position -> flex alignment (the card box is laid out LTR)
+const POSITION_ALIGNMENT = {
+  'top-left': ['flex-start', 'flex-start'],
+  top: ['flex-start', 'center'],
+  'top-right': ['flex-start', 'flex-end'],
+  left: ['center', 'flex-start'],
+  center: ['center', 'center'],
+  right: ['center', 'flex-end'],
+  'bottom-left': ['flex-end', 'flex-start'],
+  bottom: ['flex-end', 'center'],
+  'bottom-right': ['flex-end', 'flex-end']
+};
+
+const hexToRgba = (hex, opacity = 1) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return '#ffffff';
+
+  const value = parseInt(match[1], 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+};
+
+// For url('...') inside a style attribute
+const cssUrl = (url) => escapeHtml(String(url).replace(/'/g, '%27'));
+
+const renderCompositeFace = ({ bgContent, dataContent, textStyles }, baseFontPt) => {
+  const styles = textStyles || {};
+  const [alignItems, justifyContent] = POSITION_ALIGNMENT[styles.position] || POSITION_ALIGNMENT.center;
+  const textCss = [
+    `color: ${hexToRgba(styles.textColor || '#ffffff', styles.textOpacity ?? 1)}`,
+    `font-weight: ${escapeHtml(styles.fontWeight || 'bold')}`,
+    `font-size: ${(baseFontPt * (styles.fontSize || 1)).toFixed(1)}pt`,
+    styles.fontFamily ? `font-family: '${escapeHtml(styles.fontFamily)}', Arial, sans-serif` : '',
+    styles.textShadow !== false ? 'text-shadow: 0.4mm 0.4mm 0.8mm rgba(0,0,0,0.8)' : ''
+  ].filter(Boolean).join('; ');
+
+  return `
+    <div class="face composite" style="${bgContent?.fileUrl ? `background-image: url('${cssUrl(bgContent.fileUrl)}')` : ''}">
+      <div class="overlay" style="align-items: ${alignItems}; justify-content: ${justifyContent}; padding: ${Number(styles.padding ?? 8)}px; background: rgba(0,0,0,${Number(styles.backgroundOpacity ?? 0.2)})">
+        <div class="text" dir="auto" style="${textCss}">${escapeHtml(dataContent?.content)}</div>
+      </div>
+    </div>`;
+};
+
+/**
+ * Render one card face as HTML (regular content or a composite card)
+ * @param {Object} content - Content item from a GameContent pair
+ * @param {number} baseFontPt - Text size for the card size
+ * @returns {string} HTML
+ */
+export const renderMemoryCardFaceHtml = (content, baseFontPt) => {
+  const composite = getCompositeParts(content);
+  if (composite) return renderCompositeFace(composite, baseFontPt);
+
+  if (content?.fileUrl && content.element_type === 'playing_card_complete') {
+    return `<div class="face"><img src="${escapeHtml(content.fileUrl)}" alt="${escapeHtml(content.content)}"></div>`;
+  }
+
+  if (content?.fileUrl) {
+    return `
+      <div class="face composite" style="background-image: url('${cssUrl(content.fileUrl)}')">
+        <div class="overlay"><div class="text" dir="auto" style="font-size: ${baseFontPt}pt">${escapeHtml(content.content)}</div></div>
+      </div>`;
+  }
+
+  return `<div class="face plain"><div class="text" dir="auto" style="font-size: ${baseFontPt}pt">${escapeHtml(content?.content)}</div></div>`;
+};
+
+const slotStyle = (index, layout) => {
+  const row = Math.floor(index / layout.columns);
+  const column = index % layout.columns;
+
+  return [
+    `left: ${layout.offsetXMm + column * layout.cardWidthMm}mm`,
+    `top: ${layout.offsetYMm + row * layout.cardHeightMm}mm`,
+    `width: ${layout.cardWidthMm}mm`,
+    `height: ${layout.cardHeightMm}mm`
+  ].join('; ');
+};
+
+const renderInstructionsPage = (title, pairsCount, duplex) => `
+  <div class="sheet instructions">
+    <h1>${escapeHtml(title)}</h1>
+    <p>משחק זיכרון · ${pairsCount} זוגות · ${pairsCount * 2} קלפים</p>
+    <h2>הכנה</h2>
+    <ol>
+      ${duplex === MEMORY_PRINT_DUPLEX.NONE
+        ? '<li>מדפיסים את דפי הקלפים בהדפסה חד־צדדית.</li>'
+        : `<li>מדפיסים את הקובץ בהדפסה דו־צדדית, עם היפוך לאורך ${duplex === MEMORY_PRINT_DUPLEX.SHORT_EDGE ? 'הצד הקצר' : 'הצד הארוך'}, בגודל מקורי (100%).</li>
+      <li>דף ההוראות מודפס לבד - מוציאים אותו לפני הגזירה.</li>`}
+      <li>גוזרים לאורך הקווים המקווקווים.</li>
+    </ol>
+    <h2>מהלך המשחק</h2>
+    <ol>
+      <li>מערבבים את הקלפים ומניחים אותם הפוכים על השולחן.</li>
+      <li>בכל תור שחקן הופך שני קלפים. אם הם זוג - הוא לוקח אותם ומשחק שוב.</li>
+      <li>אם הם לא זוג - מחזירים אותם הפוכים למקומם, והתור עובר לשחקן הבא.</li>
+      <li>מנצח מי שאסף הכי הרבה זוגות.</li>
+    </ol>
+  </div>
+  ${duplex === MEMORY_PRINT_DUPLEX.NONE ? '' : '<div class="sheet"></div>'}`;
+
+/**
+ * Build the print document for a memory game
+ * @param {Object} params
+ * @param {Array} params.contentPairs - Content use records ({ id, contentItems: [a, b] })
+ * @param {Object} params.printSettings - Settings from normalizeMemoryPrintSettings
+ * @param {string} params.title - Game title
+ * @returns {Object} { body, styles, sheetsCount, cardsCount } for openPrintWindow
+ */
+export const buildMemoryPrintDocument = ({ contentPairs, printSettings, title }) => {
+  const settings = normalizeMemoryPrintSettings(printSettings);
+  const layout = getMemorySheetLayout(settings.card_size);
+  const cards = buildMemoryPrintCards(contentPairs, settings.pairs_count);
+  const sheets = paginateMemoryCards(cards, layout, settings.duplex);
+  const baseFontPt = Math.max(8, Math.round(layout.cardWidthMm / 4.5));
+  const backText = settings.back_text || title || '';
+  const cardClass = settings.cut_lines ? 'card cut' : 'card';
+
+  const pages = sheets.map(({ fronts, backs }) => {
+    const frontHtml = fronts.map((card, i) => (card
+      ? `<div class="${cardClass}" style="${slotStyle(i, layout)}">${renderMemoryCardFaceHtml(card.content, baseFontPt)}</div>`
+      : '')).join('');
+
+    const backHtml = backs
+      ? backs.map((filled, i) => (filled
+        ? `<div class="card back" style="${slotStyle(i, layout)}"><div class="text" dir="auto" style="font-size: ${baseFontPt}pt">${escapeHtml(backText)}</div></div>`
+        : '')).join('')
+      : null;
+
+    return `<div class="sheet">${frontHtml}</div>${backHtml !== null ? `<div class="sheet">${backHtml}</div>` : ''}`;
+  });
+
+  const instructions = settings.include_instructions
+    ? renderInstructionsPage(title || 'משחק זיכרון', cards.length / 2, settings.duplex)
+    : '';
+
+  const styles = `
+    @page { size: A4 portrait; margin: 0; }
+    body { margin: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .sheet { position: relative; width: ${A4_WIDTH_MM}mm; height: ${A4_HEIGHT_MM}mm; overflow: hidden; page-break-after: always; break-after: page; }
+    .instructions { box-sizing: border-box; padding: 20mm; font-size: 12pt; line-height: 1.6; }
+    .card { position: absolute; box-sizing: border-box; overflow: hidden; }
+    .card.cut { outline: 0.3mm dashed #9ca3af; outline-offset: -0.15mm; }
+    .face { position: absolute; inset: 2mm; border-radius: 2mm; overflow: hidden; display: flex; align-items: center; justify-content: center; text-align: center; }
+    .face img { width: 100%; height: 100%; object-fit: cover; }
+    .face.plain { border: 0.4mm solid #bfdbfe; background: #eff6ff; color: #1e3a8a; font-weight: bold; padding: 2mm; }
+    .face.composite { background-size: cover; background-position: center; background-color: #ede9fe; }
+    .overlay { position: absolute; inset: 0; display: flex; box-sizing: border-box; direction: ltr; }
+    .text { word-break: break-word; }
+    .card.back { background: ${settings.back_color}; color: #ffffff; font-weight: bold; display: flex; align-items: center; justify-content: center; text-align: center; }
+  `;
+
+  return {
+    body: instructions + pages.join(''),
+    styles,
+    sheetsCount: sheets.length,
+    cardsCount: cards.length
+  };
+};
@@ -0,0 +1,58 @@
+// utils/printUtils.js
+// Print HTML documents from the browser. There is no client-side PDF library,
+// so printable exports open a print window and teachers choose
+// "Save as PDF" in the print dialog.
+
+/**
+ * Escape text for insertion into HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Open a print window with an RTL HTML document and show the print dialog
+ * @param {Object} params
+ * @param {string} params.title - Document title (default file name when saving as PDF)
+ * @param {string} params.body - Body HTML (escape user content with escapeHtml)
+ * @param {string} params.styles - Extra CSS
+ * @returns {boolean} False if the browser blocked the window
+ */
+export const openPrintWindow = ({ title, body, styles = '' }) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.document.open();
+  printWindow.document.write(`<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #111827; margin: 24px; }
+  ${styles}
+</style>
+</head>
+<body>${body}</body>
+</html>`);
+  printWindow.document.close();
+
+  const print = () => {
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  // Wait for images before printing (some browsers finish loading on close())
+  if (printWindow.document.readyState === 'complete') {
+    setTimeout(print, 250);
+  } else {
+    printWindow.addEventListener('load', print, { once: true });
+  }
+
+  return true;
+};
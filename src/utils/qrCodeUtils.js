@@ -673,6 +673,32 @@ export async function createLudoraQRCode(data, preset = 'ludoraOfficial', custom
   return await createQRCode(data, preset, customOptions);
 }
 
+/**
+ * Create a Ludora QR code as a PNG data URL
+ * Data URLs can be stored in configs and printed without another request
+ * @param {string} data - The data to encode
+ * @param {number} size - Image width and height in pixels
+ * @returns {Promise<string>} PNG data URL
+ */
+export async function createLudoraQRDataURL(data, size = 600) {
+  const qrCode = await createLudoraQRCode(data, LUDORA_OFFICIAL_PRESET, {
+    width: size,
+    height: size,
+    margin: 0
+  });
+
+  const rawData = await qrCode.getRawData('png');
+  if (!rawData) throw new Error('QR code image could not be created');
+  if (typeof rawData === 'string') return rawData;
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(rawData);
+  });
+}
+
 /**
  * Create a QR code with custom logo
  * @param {string} data - The data to encode
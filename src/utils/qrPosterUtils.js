@@ -0,0 +1,151 @@
+// utils/qrPosterUtils.js
+// Printable classroom posters with a join QR code
+//
+// A poster holds the QR code of a lobby or of a teacher's student portal, the
+// short code for students who type it in, the site branding and Hebrew join
+// instructions. Posters are printed through openPrintWindow, so teachers get
+// a PDF by choosing "Save as PDF" in the print dialog.
+
+import { createLudoraQRDataURL } from '@/utils/qrCodeUtils';
+import { escapeHtml } from '@/utils/printUtils';
+
+export const QR_POSTER_SIZES = {
+  a4: { label: 'A4', widthMm: 210, heightMm: 297 },
+  a3: { label: 'A3', widthMm: 297, heightMm: 420 }
+};
+
+export const QR_POSTER_KINDS = {
+  LOBBY: 'lobby',
+  PORTAL: 'portal'
+};
+
+// QR image resolution - sharp enough for an A3 print
+const QR_IMAGE_SIZE_PX = 1200;
+
+/**
+ * Create the poster QR code as an image
+ * @param {string} url - URL the QR code opens
+ * @returns {Promise<string>} PNG data URL
+ */
+export const createPosterQRImage = (url) => createLudoraQRDataURL(url, QR_IMAGE_SIZE_PX);
+
+/**
+ * Get the Hebrew join instructions of a poster
+ * @param {string} kind - Value of QR_POSTER_KINDS
+ * @param {string} code - Lobby code or teacher invitation code
+ * @param {string} siteAddress - Student portal address without the protocol
+ * @returns {Array<string>} Instruction lines
+ */
+export const getQrPosterInstructions = (kind, code, siteAddress) => {
+  if (kind === QR_POSTER_KINDS.PORTAL) {
+    return [
+      'סורקים את הקוד במצלמה של הטלפון או הטאבלט',
+      `או נכנסים לאתר ${siteAddress} ומקלידים את קוד המורה ${code}`,
+      'בוחרים משחק מהקטלוג ומתחילים לשחק'
+    ];
+  }
+
+  return [
+    'סורקים את הקוד במצלמה של הטלפון או הטאבלט',
+    `או נכנסים לאתר ${siteAddress} ומקלידים את קוד המשחק ${code}`,
+    'מצטרפים לחדר משחק ומחכים שהמשחק יתחיל'
+  ];
+};
+
+/**
+ * Build a printable QR poster
+ * @param {Object} params
+ * @param {string} params.kind - Value of QR_POSTER_KINDS
+ * @param {string} params.size - Key of QR_POSTER_SIZES
+ * @param {string} params.qrImage - QR code image URL (from createPosterQRImage)
+ * @param {string} params.code - Lobby code or teacher invitation code
+ * @param {string} params.title - Main poster title (game or catalog name)
+ * @param {string} params.subtitle - Optional line under the title (e.g. the class)
+ * @param {string} params.teacherName - Teacher shown at the bottom of the poster
+ * @param {string} params.siteName - Site name from the brand settings
+ * @param {string} params.logoUrl - Absolute logo URL from the brand settings
+ * @param {string} params.siteAddress - Student portal address without the protocol
+ * @returns {Object} { body, styles } for openPrintWindow
+ */
+export const buildQrPosterDocument = ({
+  kind = QR_POSTER_KINDS.LOBBY,
+  size = 'a4',
+  qrImage,
+  code,
+  title,
+  subtitle = '',
+  teacherName = '',
+  siteName = '',
+  logoUrl = '',
+  siteAddress = ''
+}) => {
+  const { label, widthMm, heightMm } = QR_POSTER_SIZES[size] || QR_POSTER_SIZES.a4;
+
+  // Everything is sized relative to the A4 layout
+  const scale = widthMm / QR_POSTER_SIZES.a4.widthMm;
+  const mm = (value) => `${(value * scale).toFixed(1)}mm`;
+
+  const heading = kind === QR_POSTER_KINDS.PORTAL ? 'משחקים לכל הכיתה!' : 'מצטרפים למשחק!';
+  const codeLabel = kind === QR_POSTER_KINDS.PORTAL ? 'קוד מורה' : 'קוד משחק';
+  const instructions = getQrPosterInstructions(kind, code, siteAddress);
+
+  const body = `
+<div class="poster">
+  <div class="brand">
+    ${logoUrl ? `<img class="logo" src="${escapeHtml(logoUrl)}" alt="">` : ''}
+    ${siteName ? `<span class="site-name">${escapeHtml(siteName)}</span>` : ''}
+  </div>
+  <div class="heading">${escapeHtml(heading)}</div>
+  <div class="title">${escapeHtml(title)}</div>
+  ${subtitle ? `<div class="subtitle">${escapeHtml(subtitle)}</div>` : ''}
+  <img class="qr" src="${escapeHtml(qrImage)}" alt="">
+  <div class="code-label">${escapeHtml(codeLabel)}</div>
+  <div class="code">${escapeHtml(code)}</div>
+  <ol class="instructions">
+    ${instructions.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+  </ol>
+  ${teacherName ? `<div class="teacher">המורה: ${escapeHtml(teacherName)}</div>` : ''}
+</div>`;
+
+  const styles = `
+    @page { size: ${label} portrait; margin: 0; }
+    body { margin: 0; }
+    .poster {
+      box-sizing: border-box;
+      width: ${widthMm}mm;
+      height: ${heightMm}mm;
+      padding: ${mm(14)};
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      text-align: center;
+      border: ${mm(3)} solid #14b8a6;
+      overflow: hidden;
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+    .brand { display: flex; align-items: center; gap: ${mm(4)}; min-height: ${mm(16)}; }
+    .logo { height: ${mm(16)}; max-width: ${mm(60)}; object-fit: contain; }
+    .site-name { font-size: ${mm(7)}; font-weight: bold; color: #374151; }
+    .heading { margin-top: ${mm(6)}; font-size: ${mm(13)}; font-weight: bold; color: #0f766e; }
+    .title { margin-top: ${mm(3)}; font-size: ${mm(9)}; font-weight: bold; }
+    .subtitle { margin-top: ${mm(2)}; font-size: ${mm(7)}; color: #4b5563; }
+    .qr { margin-top: ${mm(8)}; width: ${mm(110)}; height: ${mm(110)}; }
+    .code-label { margin-top: ${mm(6)}; font-size: ${mm(6)}; color: #4b5563; }
+    .code {
+      margin-top: ${mm(1)};
+      padding: ${mm(2)} ${mm(8)};
+      font-family: 'Courier New', monospace;
+      font-size: ${mm(16)};
+      font-weight: bold;
+      letter-spacing: ${mm(2)};
+      direction: ltr;
+      background: #f3f4f6;
+      border-radius: ${mm(4)};
+    }
+    .instructions { margin: ${mm(6)} 0 0; padding-right: ${mm(8)}; text-align: right; font-size: ${mm(6)}; line-height: 1.6; }
+    .teacher { margin-top: auto; font-size: ${mm(6)}; color: #374151; }
+  `;
+
+  return { body, styles };
+};
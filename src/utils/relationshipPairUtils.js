@@ -0,0 +1,177 @@
+// utils/relationshipPairUtils.js
+// Proposing game content pairs from existing word relationships
+//
+// ContentRelationship records link two dictionary entries (Word / WordEN)
+// with one or more relationship types. The relationship types of each kind
+// come from the rule template that plays it, so the generator proposes the
+// same pairs those rules would use.
+
+import { getRuleTemplate } from '@/config/ruleTemplates';
+import { getWordText } from '@/utils/scatterGameUtils';
+import { getContentLabel } from '@/utils/gameContentUtils';
+
+export const RELATIONSHIP_PAIR_KINDS = {
+  opposites: {
+    id: 'opposites',
+    name: 'הפכים',
+    templateId: 'find_opposite'
+  },
+  translations: {
+    id: 'translations',
+    name: 'תרגום עברית-אנגלית',
+    templateId: 'word_translation'
+  },
+  synonyms: {
+    id: 'synonyms',
+    name: 'מילים נרדפות',
+    templateId: 'same_meaning'
+  }
+};
+
+export const WORD_ENTITY_TYPES = {
+  WORD: 'Word',
+  WORD_EN: 'WordEN'
+};
+
+/**
+ * Get the relationship types a pair kind is built from
+ * @param {string} kindId - Key of RELATIONSHIP_PAIR_KINDS
+ * @returns {Array<string>}
+ */
+export const getKindRelationshipTypes = (kindId) => {
+  const kind = RELATIONSHIP_PAIR_KINDS[kindId];
+  return getRuleTemplate(kind?.templateId)?.config?.relationship_types || [];
+};
+
+/**
+ * Read the relationship types of a relationship record
+ * Accepts an array, a JSON/comma separated string or a single type field.
+ * @param {Object} relationship - ContentRelationship record
+ * @returns {Array<string>}
+ */
+export const getRelationshipTypes = (relationship) => {
+  const value = relationship?.relationship_types ?? relationship?.relationship_type;
+
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.trim()) return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Not JSON - a plain or comma separated value
+  }
+
+  return value.split(',').map(type => type.trim()).filter(Boolean);
+};
+
+const normalizeEntityType = (type) => {
+  const value = String(type || '').toLowerCase();
+  if (value === 'worden') return WORD_ENTITY_TYPES.WORD_EN;
+  if (value === 'word') return WORD_ENTITY_TYPES.WORD;
+  return null;
+};
+
+/**
+ * Get both ends of a relationship
+ * @param {Object} relationship - ContentRelationship record
+ * @returns {Array} [{ type, id }, { type, id }] (type is null for non-word entities)
+ */
+export const getRelationshipEnds = (relationship) => [
+  { type: normalizeEntityType(relationship?.source_type), id: relationship?.source_id },
+  { type: normalizeEntityType(relationship?.target_type), id: relationship?.target_id }
+];
+
+/**
+ * Collect the word IDs the relationships point at, by dictionary
+ * @param {Array} relationships - ContentRelationship records
+ * @returns {Object} { Word: [ids], WordEN: [ids] }
+ */
+export const getRelationshipWordIds = (relationships = []) => {
+  const ids = Object.fromEntries(Object.values(WORD_ENTITY_TYPES).map(type => [type, new Set()]));
+
+  relationships.forEach(relationship => {
+    getRelationshipEnds(relationship).forEach(end => {
+      if (end.type && end.id) ids[end.type].add(end.id);
+    });
+  });
+
+  return Object.fromEntries(Object.entries(ids).map(([type, set]) => [type, [...set]]));
+};
+
+const normalizeText = (text) => String(text ?? '').trim().toLowerCase();
+
+const getPairTextKey = (textA, textB) =>
+  [normalizeText(textA), normalizeText(textB)].sort().join('\u0000');
+
+/**
+ * Collect the text pairs a game already has, to mark duplicates
+ * @param {Array} contentPairs - Game pair content uses ({ contentItems: [a, b] })
+ * @returns {Set<string>}
+ */
+export const getExistingPairKeys = (contentPairs = []) => new Set(
+  contentPairs
+    .filter(pair => pair?.contentItems?.length === 2)
+    .map(pair => getPairTextKey(getContentLabel(pair.contentItems[0]), getContentLabel(pair.contentItems[1])))
+);
+
+/**
+ * Build pair proposals from relationships of one kind
+ * Translations are always proposed Hebrew first. Repeated pairs (e.g. the
+ * same relationship stored in both directions) are proposed once.
+ * @param {Object} options
+ * @param {Array} options.relationships - ContentRelationship records
+ * @param {Object} options.wordsByType - { Word: Map(id -> record), WordEN: Map(id -> record) }
+ * @param {string} options.kindId - Key of RELATIONSHIP_PAIR_KINDS
+ * @param {string} options.filter - Text both sides are searched for
+ * @param {Set<string>} options.existingKeys - Keys from getExistingPairKeys
+ * @returns {Array} [{ key, relationshipId, sideA, sideB, exists }] where sides are { type, id, text }
+ */
+export const buildRelationshipPairProposals = ({
+  relationships = [],
+  wordsByType = {},
+  kindId,
+  filter = '',
+  existingKeys = new Set()
+}) => {
+  const types = getKindRelationshipTypes(kindId);
+  const isTranslation = kindId === RELATIONSHIP_PAIR_KINDS.translations.id;
+  const search = normalizeText(filter);
+  const seen = new Set();
+  const proposals = [];
+
+  relationships.forEach(relationship => {
+    if (!getRelationshipTypes(relationship).some(type => types.includes(type))) return;
+
+    const sides = getRelationshipEnds(relationship).map(end => {
+      const record = end.type ? wordsByType[end.type]?.get(end.id) : null;
+      const text = record ? getWordText(record)?.trim() : '';
+      return text ? { type: end.type, id: end.id, text } : null;
+    });
+    if (sides.some(side => !side)) return;
+
+    // Translations pair a Hebrew word with an English one
+    if (isTranslation && sides[0].type === sides[1].type) return;
+
+    const [sideA, sideB] = isTranslation && sides[0].type === WORD_ENTITY_TYPES.WORD_EN
+      ? [sides[1], sides[0]]
+      : sides;
+
+    if (normalizeText(sideA.text) === normalizeText(sideB.text)) return;
+    if (search && !normalizeText(sideA.text).includes(search) && !normalizeText(sideB.text).includes(search)) return;
+
+    const key = getPairTextKey(sideA.text, sideB.text);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    proposals.push({
+      key,
+      relationshipId: relationship.id,
+      sideA,
+      sideB,
+      exists: existingKeys.has(key)
+    });
+  });
+
+  return proposals.sort((a, b) => a.sideA.text.localeCompare(b.sideA.text, 'he'));
+};
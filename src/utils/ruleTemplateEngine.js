@@ -0,0 +1,285 @@
+// utils/ruleTemplateEngine.js
+// Runtime for the rule templates in config/ruleTemplates.js
+//
+// Turns a template id, game type and content pool into playable rounds and
+// scores answers. Pure functions only - no React, DOM or network access - so
+// every game renderer can share it and it can be exercised outside a browser.
+
+import { RULE_TEMPLATES } from '@/config/ruleTemplates';
+import { createSeededRandom, shuffleWith } from '@/utils/seededRandom';
+
+export const RULE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const DEFAULT_RULE_DIFFICULTY = 'medium';
+
+// Rule types that are played as "show a prompt, pick its partner"
+const PAIR_RULE_TYPES = ['opposite_word', 'translation', 'same_meaning', 'image_word_match'];
+const QA_RULE_TYPES = ['multiple_choice', 'open_question'];
+
+/**
+ * Per game type fallbacks, used when no template is chosen (or the chosen one
+ * does not fit the game type)
+ */
+export const GAME_TYPE_RULES = {
+  memory_game: {
+    ruleType: 'pair_match',
+    allowedRuleTypes: PAIR_RULE_TYPES,
+    scoring: { correct: 1, incorrect: 0, time_bonus: false }
+  },
+  scatter_game: {
+    ruleType: 'word_search',
+    allowedRuleTypes: [],
+    scoring: { correct: 1, incorrect: 0, time_bonus: false }
+  },
+  sharp_and_smooth: {
+    ruleType: 'pair_match',
+    allowedRuleTypes: PAIR_RULE_TYPES,
+    scoring: { correct: 10, incorrect: -2, time_bonus: true },
+    timeLimit: 15,
+    optionsCount: 4,
+    minOptions: 2,
+    maxOptions: 6
+  },
+  matching_game: {
+    ruleType: 'pair_match',
+    allowedRuleTypes: PAIR_RULE_TYPES,
+    scoring: { correct: 10, incorrect: -2, time_bonus: false },
+    optionsCount: 4,
+    minOptions: 2,
+    maxOptions: 8
+  },
+  quiz_game: {
+    templateId: 'multiple_choice_qa',
+    allowedRuleTypes: QA_RULE_TYPES
+  }
+};
+
+// Share of the correct-answer points that can be earned as a time bonus
+const TIME_BONUS_SHARE = 0.5;
+
+const DEFAULT_TIME_LIMIT = 30;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Check whether a template can drive a game type
+ * @param {Object} template - Entry from RULE_TEMPLATES
+ * @param {string} gameType - Game type key
+ * @returns {boolean}
+ */
+export const isTemplateUsableFor = (template, gameType) => {
+  if (!template) return false;
+  if (!gameType || template.compatible_game_types.includes(gameType)) return true;
+  return !!GAME_TYPE_RULES[gameType]?.allowedRuleTypes?.includes(template.config.rule_type);
+};
+
+/**
+ * List the templates a game type can be played with
+ * @param {string} gameType - Game type key
+ * @returns {Array} Entries from RULE_TEMPLATES
+ */
+export const getUsableRuleTemplates = (gameType) => (
+  Object.values(RULE_TEMPLATES).filter(template => isTemplateUsableFor(template, gameType))
+);
+
+/**
+ * Resolve the effective rules for a game
+ * @param {Object} options
+ * @param {string} options.templateId - Chosen rule template (optional)
+ * @param {string} options.gameType - Game type key
+ * @param {string} options.difficulty - easy / medium / hard
+ * @param {Object} options.overrides - Teacher overrides ({ timeLimit, optionsCount })
+ * @returns {Object} { templateId, ruleType, difficulty, timeLimit, optionsCount, minOptions, maxOptions, scoring, direction, partialMatch, caseSensitive }
+ */
+export const resolveRules = ({ templateId, gameType, difficulty, overrides = {} } = {}) => {
+  const gameDefaults = GAME_TYPE_RULES[gameType] || {};
+  const requested = RULE_TEMPLATES[templateId];
+  const template = isTemplateUsableFor(requested, gameType)
+    ? requested
+    : RULE_TEMPLATES[gameDefaults.templateId] || null;
+
+  const level = RULE_DIFFICULTIES.includes(difficulty) ? difficulty : DEFAULT_RULE_DIFFICULTY;
+  const config = template?.config || {};
+  const levelSettings = config.difficulty_settings?.[level] || {};
+
+  const minOptions = config.min_options || gameDefaults.minOptions || 2;
+  const maxOptions = config.max_options || gameDefaults.maxOptions || 6;
+  const optionsCount = clamp(
+    parseInt(overrides.optionsCount, 10) || levelSettings.options_count || gameDefaults.optionsCount || minOptions,
+    minOptions,
+    maxOptions
+  );
+
+  return {
+    templateId: template?.id || null,
+    ruleType: config.rule_type || gameDefaults.ruleType || 'pair_match',
+    difficulty: level,
+    timeLimit: parseInt(overrides.timeLimit, 10) || levelSettings.time_limit || gameDefaults.timeLimit || DEFAULT_TIME_LIMIT,
+    optionsCount,
+    minOptions,
+    maxOptions,
+    scoring: { correct: 10, incorrect: 0, time_bonus: false, ...(gameDefaults.scoring || {}), ...(config.scoring || {}) },
+    direction: levelSettings.direction || config.direction || 'both',
+    partialMatch: levelSettings.partial_match ?? config.allow_partial_match ?? false,
+    caseSensitive: !!config.case_sensitive
+  };
+};
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  if (value === null || value === undefined || value === '') return [];
+  return [String(value)];
+};
+
+/**
+ * Build a content pool from QA entity records
+ * @param {Array} records - QA entities
+ * @returns {Array} Pool items: { id, prompt, answers, distractors }
+ */
+export const poolFromQARecords = (records) => (records || [])
+  .map(record => {
+    if (!record) return null;
+
+    const prompt = record.question_text || record.question || record.text || '';
+    const answers = toArray(record.correct_answers ?? record.correct_answer ?? record.answer);
+    if (!prompt || answers.length === 0) return null;
+
+    return {
+      id: String(record.id),
+      prompt,
+      answers,
+      distractors: toArray(record.incorrect_answers ?? record.wrong_answers ?? record.distractors)
+    };
+  })
+  .filter(Boolean);
+
+/**
+ * Build a content pool from GameContent pair records
+ * Either side of a pair can become the prompt, depending on the rule direction.
+ * @param {Array} pairs - Content use records ({ id, contentItems: [a, b] })
+ * @returns {Array} Pool items: { id, sides: [a, b] }
+ */
+export const poolFromContentPairs = (pairs) => (pairs || [])
+  .filter(pair => pair?.id && Array.isArray(pair.contentItems) && pair.contentItems.length === 2)
+  .map(pair => ({ id: String(pair.id), sides: pair.contentItems }));
+
+/**
+ * Pick which side of a content pair is the answer
+ * Follows the rule direction; 'both' picks at random.
+ * @param {Object} rules - Rules from resolveRules
+ * @param {function(): number} random - Random generator
+ * @returns {number} 0 or 1
+ */
+export const pickAnswerSide = (rules, random = Math.random) => {
+  if (rules.direction === 'hebrew_to_english') return 1;
+  if (rules.direction === 'english_to_hebrew') return 0;
+  return random() < 0.5 ? 0 : 1;
+};
+
+const answerOf = (item, answerSide) => (item.sides ? item.sides[answerSide] : item.answers[0]);
+
+const valueKey = (value) => {
+  if (value && typeof value === 'object') return String(value.id ?? JSON.stringify(value));
+  return String(value);
+};
+
+/**
+ * Produce playable rounds from a content pool
+ * @param {Object} rules - Rules from resolveRules
+ * @param {Array} pool - Items from poolFromQARecords / poolFromContentPairs
+ * @param {Object} options
+ * @param {string} options.seed - Random seed (keeps rounds identical across players)
+ * @param {number} options.count - Maximum number of rounds
+ * @returns {Array} [{ id, prompt, options: [{ key, value }], correctKey, acceptedAnswers }]
+ */
+export const buildRounds = (rules, pool, { seed = '', count } = {}) => {
+  const random = createSeededRandom(seed);
+  const items = [...(pool || [])].sort((a, b) => a.id.localeCompare(b.id));
+  const selected = shuffleWith(items, random).slice(0, count || items.length);
+
+  return selected.map(item => {
+    const answerSide = item.sides ? pickAnswerSide(rules, random) : 0;
+    const prompt = item.sides ? item.sides[1 - answerSide] : item.prompt;
+    const correctValue = answerOf(item, answerSide);
+    const acceptedAnswers = item.sides ? [correctValue] : item.answers;
+
+    if (rules.ruleType === 'open_question') {
+      return { id: item.id, prompt, options: [], correctKey: null, acceptedAnswers };
+    }
+
+    // Own distractors first, then the answers of other items
+    const candidates = [
+      ...shuffleWith(item.distractors || [], random).map((value, index) => ({ key: `${item.id}:${index}`, value })),
+      ...shuffleWith(items.filter(other => other.id !== item.id), random)
+        .map(other => ({ key: other.id, value: answerOf(other, answerSide) }))
+    ];
+
+    const seen = new Set([valueKey(correctValue)]);
+    const distractors = [];
+    for (const candidate of candidates) {
+      if (distractors.length >= rules.optionsCount - 1) break;
+      const key = valueKey(candidate.value);
+      if (candidate.value === undefined || seen.has(key)) continue;
+      seen.add(key);
+      distractors.push(candidate);
+    }
+
+    return {
+      id: item.id,
+      prompt,
+      options: shuffleWith([{ key: item.id, value: correctValue }, ...distractors], random),
+      correctKey: item.id,
+      acceptedAnswers
+    };
+  });
+};
+
+const normalizeAnswerText = (text, caseSensitive) => {
+  const trimmed = String(text || '').replace(/[\u0591-\u05C7]/g, '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? trimmed : trimmed.toLowerCase();
+};
+
+/**
+ * Check an answer against a round
+ * Option-based rounds compare the chosen option key; open questions compare
+ * the typed text (ignoring niqqud, and allowing partial matches if the rules do).
+ * @param {Object} rules - Rules from resolveRules
+ * @param {Object} round - Round from buildRounds
+ * @param {string} answer - Option key or typed text
+ * @returns {boolean}
+ */
+export const checkAnswer = (rules, round, answer) => {
+  if (!round) return false;
+  if (rules.ruleType !== 'open_question') return answer === round.correctKey;
+
+  const given = normalizeAnswerText(answer, rules.caseSensitive);
+  if (!given) return false;
+
+  return round.acceptedAnswers.some(accepted => {
+    const expected = normalizeAnswerText(accepted, rules.caseSensitive);
+    if (given === expected) return true;
+    if (!rules.partialMatch || expected.length < 3 || given.length < 3) return false;
+    return given.includes(expected) || expected.includes(given);
+  });
+};
+
+/**
+ * Score one answer
+ * Correct answers earn the template's points plus, when time_bonus is on, up
+ * to half as much again for answering quickly. The bonus needs the answer
+ * time, so games that do not time their answers never get it. Unanswered
+ * rounds score 0.
+ * @param {Object} rules - Rules from resolveRules
+ * @param {Object} answer - { answered = true, correct, elapsedMs } (elapsedMs optional)
+ * @returns {number} Points (may be negative)
+ */
+export const scoreAnswer = (rules, { answered = true, correct, elapsedMs } = {}) => {
+  if (!answered) return 0;
+  if (!correct) return rules.scoring.incorrect || 0;
+
+  const points = rules.scoring.correct || 0;
+  if (!rules.scoring.time_bonus || !rules.timeLimit || !Number.isFinite(elapsedMs)) return points;
+
+  const limitMs = rules.timeLimit * 1000;
+  const remaining = Math.max(0, limitMs - elapsedMs) / limitMs;
+  return points + Math.round(points * TIME_BONUS_SHARE * remaining);
+};
@@ -0,0 +1,386 @@
+// utils/scatterGameUtils.js
+// Word-search (תפזורת) grid generation and selection logic for the scatter game
+
+import { createSeededRandom, shuffleWith } from '@/utils/seededRandom';
+import { resolveRules, scoreAnswer } from '@/utils/ruleTemplateEngine';
+
+export const SCATTER_LANGUAGES = {
+  HE: 'he',
+  EN: 'en'
+};
+
+export const SCATTER_GRID_SIZE = {
+  MIN: 6,
+  MAX: 16,
+  DEFAULT: 10
+};
+
+/**
+ * Placement directions, expressed in reading order.
+ * "Forward" horizontal runs right-to-left for Hebrew and left-to-right for
+ * English, so the vectors are resolved per language in getDirectionVectors.
+ */
+export const SCATTER_DIRECTIONS = {
+  horizontal: { label: 'אופקי', dr: 0, dc: 1 },
+  vertical: { label: 'אנכי', dr: 1, dc: 0 },
+  diagonal_down: { label: 'אלכסון יורד', dr: 1, dc: 1 },
+  diagonal_up: { label: 'אלכסון עולה', dr: -1, dc: 1 }
+};
+
+export const DEFAULT_SCATTER_SETTINGS = {
+  language: SCATTER_LANGUAGES.HE,
+  grid_size: SCATTER_GRID_SIZE.DEFAULT,
+  directions: ['horizontal', 'vertical'],
+  allow_reverse: false,
+  words: []
+};
+
+const HEBREW_FILL_LETTERS = 'אבגדהוזחטיכלמנסעפצקרשת';
+const ENGLISH_FILL_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Attempts per word before it is reported as skipped
+const MAX_PLACEMENT_ATTEMPTS = 200;
+
+/**
+ * Get the display text of a Word / WordEN record
+ * @param {Object} record - Word or WordEN entity
+ * @returns {string}
+ */
+export const getWordText = (record) =>
+  record?.vocalized || record?.word || record?.text || '';
+
+/**
+ * Normalize a word for placement in the grid
+ * Strips Hebrew niqqud and cantillation marks, spaces and punctuation,
+ * and upper-cases English letters.
+ * @param {string} text - Raw word
+ * @param {string} language - SCATTER_LANGUAGES value
+ * @returns {string} Letters only
+ */
+export const normalizeScatterWord = (text, language = SCATTER_LANGUAGES.HE) => {
+  const stripped = String(text || '').replace(/[\u0591-\u05C7]/g, '');
+
+  if (language === SCATTER_LANGUAGES.EN) {
+    return stripped.toUpperCase().replace(/[^A-Z]/g, '');
+  }
+
+  return stripped.replace(/[^\u05D0-\u05EA]/g, '');
+};
+
+/**
+ * Clamp a requested grid size to the supported range
+ * @param {number} size - Requested size
+ * @returns {number}
+ */
+export const clampGridSize = (size) => {
+  const value = parseInt(size, 10);
+  if (Number.isNaN(value)) return SCATTER_GRID_SIZE.DEFAULT;
+  return Math.min(SCATTER_GRID_SIZE.MAX, Math.max(SCATTER_GRID_SIZE.MIN, value));
+};
+
+/**
+ * Resolve direction keys into grid vectors for a language
+ * @param {Array<string>} directions - Keys of SCATTER_DIRECTIONS
+ * @param {Object} options - { language, allowReverse }
+ * @returns {Array<{dr: number, dc: number}>}
+ */
+export const getDirectionVectors = (directions, { language, allowReverse } = {}) => {
+  const rtl = language !== SCATTER_LANGUAGES.EN;
+  const keys = (directions || []).filter(key => SCATTER_DIRECTIONS[key]);
+  const vectors = [];
+
+  (keys.length ? keys : DEFAULT_SCATTER_SETTINGS.directions).forEach(key => {
+    const { dr, dc } = SCATTER_DIRECTIONS[key];
+    const vector = { dr, dc: rtl ? -dc : dc };
+    vectors.push(vector);
+
+    if (allowReverse) {
+      vectors.push({ dr: -vector.dr, dc: -vector.dc });
+    }
+  });
+
+  return vectors;
+};
+
+const fitsAt = (grid, letters, row, col, { dr, dc }) => {
+  const size = grid.length;
+
+  for (let i = 0; i < letters.length; i++) {
+    const r = row + dr * i;
+    const c = col + dc * i;
+
+    if (r < 0 || r >= size || c < 0 || c >= size) return false;
+    if (grid[r][c] && grid[r][c] !== letters[i]) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Generate a word-search grid
+ * The result is fully determined by the seed, so every player in a session
+ * can build the same grid locally.
+ * @param {Object} options
+ * @param {Array<{id: string, text: string}>} options.words - Words to hide
+ * @param {number} options.size - Grid size (rows = columns)
+ * @param {Array<string>} options.directions - Keys of SCATTER_DIRECTIONS
+ * @param {boolean} options.allowReverse - Also place words backwards
+ * @param {string} options.language - SCATTER_LANGUAGES value
+ * @param {string} options.seed - Random seed (e.g. the session ID)
+ * @returns {Object} { size, language, grid, placements, skipped }
+ */
+export const generateScatterGrid = ({
+  words = [],
+  size = SCATTER_GRID_SIZE.DEFAULT,
+  directions = DEFAULT_SCATTER_SETTINGS.directions,
+  allowReverse = false,
+  language = SCATTER_LANGUAGES.HE,
+  seed = ''
+} = {}) => {
+  const gridSize = clampGridSize(size);
+  const random = createSeededRandom(seed);
+  const vectors = getDirectionVectors(directions, { language, allowReverse });
+  const grid = Array.from({ length: gridSize }, () => Array(gridSize).fill(''));
+  const placements = [];
+  const skipped = [];
+
+  const candidates = words
+    .map((word, index) => ({
+      id: String(word.id ?? index),
+      text: word.text,
+      letters: [...normalizeScatterWord(word.text, language)]
+    }))
+    .filter(word => word.letters.length > 1)
+    // Longest words first - they are the hardest to fit
+    .sort((a, b) => b.letters.length - a.letters.length || a.id.localeCompare(b.id));
+
+  candidates.forEach(word => {
+    if (word.letters.length > gridSize) {
+      skipped.push(word);
+      return;
+    }
+
+    for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+      const vector = vectors[Math.floor(random() * vectors.length)];
+      const row = Math.floor(random() * gridSize);
+      const col = Math.floor(random() * gridSize);
+
+      if (fitsAt(grid, word.letters, row, col, vector)) {
+        const cells = word.letters.map((letter, i) => {
+          const r = row + vector.dr * i;
+          const c = col + vector.dc * i;
+          grid[r][c] = letter;
+          return [r, c];
+        });
+
+        placements.push({ id: word.id, text: word.text, cells });
+        return;
+      }
+    }
+
+    skipped.push(word);
+  });
+
+  const fillLetters = [...(language === SCATTER_LANGUAGES.EN ? ENGLISH_FILL_LETTERS : HEBREW_FILL_LETTERS)];
+  for (let r = 0; r < gridSize; r++) {
+    for (let c = 0; c < gridSize; c++) {
+      if (!grid[r][c]) {
+        grid[r][c] = fillLetters[Math.floor(random() * fillLetters.length)];
+      }
+    }
+  }
+
+  return {
+    size: gridSize,
+    language,
+    grid,
+    placements: shuffleWith(placements, random),
+    skipped: skipped.map(({ id, text }) => ({ id, text }))
+  };
+};
+
+/**
+ * Get the cells on a straight line between two cells
+ * Only horizontal, vertical and 45° diagonal lines are valid.
+ * @param {Array<number>} start - [row, col]
+ * @param {Array<number>} end - [row, col]
+ * @returns {Array<Array<number>>|null} Cells from start to end, or null
+ */
+export const getLineCells = (start, end) => {
+  if (!start || !end) return null;
+
+  const dr = end[0] - start[0];
+  const dc = end[1] - start[1];
+
+  if (dr !== 0 && dc !== 0 && Math.abs(dr) !== Math.abs(dc)) return null;
+
+  const length = Math.max(Math.abs(dr), Math.abs(dc));
+  const stepR = Math.sign(dr);
+  const stepC = Math.sign(dc);
+
+  return Array.from({ length: length + 1 }, (_, i) => [start[0] + stepR * i, start[1] + stepC * i]);
+};
+
+const sameCells = (a, b) =>
+  a.length === b.length && a.every(([r, c], i) => b[i][0] === r && b[i][1] === c);
+
+/**
+ * Find the placed word matching a selection (in either direction)
+ * @param {Array} placements - Placements from generateScatterGrid
+ * @param {Array<Array<number>>} cells - Selected cells
+ * @returns {Object|null} Matching placement
+ */
+export const findPlacementForSelection = (placements, cells) => {
+  if (!cells || cells.length < 2) return null;
+
+  const reversed = [...cells].reverse();
+  return placements.find(placement =>
+    sameCells(placement.cells, cells) || sameCells(placement.cells, reversed)
+  ) || null;
+};
+
+/**
+ * Resolve the scoring rules for a scatter game
+ * Without a rule template every word found is worth one point and misses cost
+ * nothing. A template's incorrect points apply to every miss, and its time
+ * bonus is measured from the player's previous word (or the game start).
+ * @param {Object} settings - Game settings ({ rule_template_id, difficulty })
+ * @returns {Object} Rules from resolveRules
+ */
+export const resolveScatterRules = (settings = {}) => resolveRules({
+  templateId: settings?.rule_template_id,
+  gameType: 'scatter_game',
+  difficulty: settings?.difficulty
+});
+
+/**
+ * Create the shared game state for a scatter session
+ * @param {Array<string>} playerIds - Participant IDs
+ * @param {number} totalWords - Number of placed words (lets spectators show progress)
+ * @param {number} now - Start time (ms)
+ * @returns {Object} Game state
+ */
+export const createScatterGameState = (playerIds = [], totalWords = 0, now = Date.now()) => ({
+  game_type: 'scatter_game',
+  version: 0,
+  totalWords,
+  startedAt: now,
+  found: {},
+  scores: Object.fromEntries(playerIds.map(id => [id, 0])),
+  wrongSelections: {}, // playerId -> selections that were not a word
+  finished: false
+});
+
+const computeScores = (found, wrongSelections, baseScores, rules) => {
+  const scores = Object.fromEntries(Object.keys(baseScores || {}).map(id => [id, 0]));
+  Object.values(found).forEach(({ by, elapsedMs }) => {
+    scores[by] = (scores[by] || 0) + scoreAnswer(rules, { correct: true, elapsedMs });
+  });
+  Object.entries(wrongSelections || {}).forEach(([playerId, count]) => {
+    scores[playerId] = (scores[playerId] || 0) + count * scoreAnswer(rules, { correct: false });
+  });
+  return scores;
+};
+
+// When the player's current search began: their previous word, or the game start
+const getSearchStart = (state, playerId) => {
+  const previousFinds = Object.values(state.found)
+    .filter(claim => claim.by === playerId)
+    .map(claim => claim.at);
+  return previousFinds.length > 0 ? Math.max(...previousFinds) : state.startedAt;
+};
+
+/**
+ * Record a found word
+ * @param {Object} state - Game state
+ * @param {string} wordId - Placement ID
+ * @param {string} playerId - Finding participant
+ * @param {number} totalWords - Number of placed words
+ * @param {Object} rules - Rules from resolveScatterRules
+ * @param {number} now - Find time (ms)
+ * @returns {Object} New state (unchanged reference if already found)
+ */
+export const markWordFound = (state, wordId, playerId, totalWords, rules = resolveScatterRules(), now = Date.now()) => {
+  if (!state || state.found[wordId]) return state;
+
+  const searchStart = getSearchStart(state, playerId);
+  const found = {
+    ...state.found,
+    [wordId]: {
+      by: playerId,
+      at: now,
+      elapsedMs: Number.isFinite(searchStart) ? now - searchStart : undefined
+    }
+  };
+
+  return {
+    ...state,
+    found,
+    scores: computeScores(found, state.wrongSelections, state.scores, rules),
+    finished: Object.keys(found).length >= totalWords,
+    version: state.version + 1
+  };
+};
+
+/**
+ * Record a selection that did not match any word
+ * @param {Object} state - Game state
+ * @param {string} playerId - Selecting participant
+ * @param {Object} rules - Rules from resolveScatterRules
+ * @returns {Object} New state
+ */
+export const recordScatterMiss = (state, playerId, rules = resolveScatterRules()) => {
+  if (!state || state.finished) return state;
+
+  const wrongSelections = {
+    ...state.wrongSelections,
+    [playerId]: (state.wrongSelections?.[playerId] || 0) + 1
+  };
+
+  return {
+    ...state,
+    wrongSelections,
+    scores: computeScores(state.found, wrongSelections, state.scores, rules),
+    version: state.version + 1
+  };
+};
+
+/**
+ * Merge a state received from another player into the local one
+ * Found words only ever grow; when two players claim the same word the
+ * earlier claim wins, so every client converges on the same result.
+ * @param {Object} local - Local game state
+ * @param {Object} incoming - Received game state
+ * @param {number} totalWords - Number of placed words
+ * @param {Object} rules - Rules from resolveScatterRules
+ * @returns {Object} Merged state
+ */
+export const mergeScatterGameState = (local, incoming, totalWords, rules = resolveScatterRules()) => {
+  if (!local) return incoming;
+  if (!incoming) return local;
+
+  const found = { ...local.found };
+  Object.entries(incoming.found || {}).forEach(([wordId, claim]) => {
+    const existing = found[wordId];
+    if (!existing || claim.at < existing.at || (claim.at === existing.at && claim.by < existing.by)) {
+      found[wordId] = claim;
+    }
+  });
+
+  const baseScores = { ...incoming.scores, ...local.scores };
+
+  // Each player only counts their own misses, so the higher count is the latest
+  const wrongSelections = { ...local.wrongSelections };
+  Object.entries(incoming.wrongSelections || {}).forEach(([playerId, count]) => {
+    wrongSelections[playerId] = Math.max(wrongSelections[playerId] || 0, count);
+  });
+
+  return {
+    ...local,
+    found,
+    scores: computeScores(found, wrongSelections, baseScores, rules),
+    wrongSelections,
+    finished: Object.keys(found).length >= totalWords,
+    version: Math.max(local.version, incoming.version)
+  };
+};
@@ -0,0 +1,63 @@
+// utils/seededRandom.js
+// Deterministic random helpers for multiplayer games
+
+/**
+ * Hash a string seed into a 32-bit unsigned integer (FNV-1a)
+ * @param {string|number} seed - Seed value (e.g. a session ID)
+ * @returns {number} 32-bit hash
+ */
+export const hashSeed = (seed) => {
+  const text = String(seed ?? '');
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * Every client in a session that uses the same seed gets the same sequence,
+ * so boards can be generated locally without shipping them over the socket.
+ * @param {string|number} seed - Seed value
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle an array without mutating it (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {function(): number} random - Random generator (defaults to Math.random)
+ * @returns {Array} New shuffled array
+ */
+export const shuffleWith = (items, random = Math.random) => {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+/**
+ * Shuffle an array deterministically from a seed
+ * @param {Array} items - Items to shuffle
+ * @param {string|number} seed - Seed value
+ * @returns {Array} New shuffled array
+ */
+export const seededShuffle = (items, seed) => shuffleWith(items, createSeededRandom(seed));
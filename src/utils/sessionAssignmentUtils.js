@@ -0,0 +1,35 @@
+// utils/sessionAssignmentUtils.js
+// Automatic, balanced assignment of players to the sessions of a lobby
+//
+// In the auto-balance invitation mode students do not pick a session. The
+// server places each joining student where the sessions stay as even as
+// possible, using as few sessions as the players_per_session target allows and
+// never more than max_players_per_session, and it evens the waiting sessions
+// out again when players leave. The client only shows the session limits.
+// The server contract is in BACKEND_REQUIREMENTS_LOBBY_SESSION_ASSIGNMENT.md
+
+export const AUTO_BALANCE_INVITATION_TYPE = 'auto_balance';
+
+const DEFAULT_PLAYERS_PER_SESSION = 2;
+
+/**
+ * Get the session size limits of a lobby
+ * @param {Object} settings - Lobby settings ({ session_config: { players_per_session, max_players_per_session } })
+ * @returns {Object} { target, max } - players a session aims for, and the most it may hold
+ */
+export const getSessionCapacity = (settings = {}) => {
+  const config = settings?.session_config || {};
+  const target = Math.max(1, parseInt(config.players_per_session, 10) || DEFAULT_PLAYERS_PER_SESSION);
+  const max = Math.max(target, parseInt(config.max_players_per_session, 10) || target);
+
+  return { target, max };
+};
+
+/**
+ * Check whether players can still be assigned to (or moved out of) a session
+ * Sessions that already started keep their players.
+ * @param {Object} session - Session ({ status, started_at, finished_at })
+ * @returns {boolean}
+ */
+export const isSessionAssignable = (session) =>
+  !!session && !session.started_at && !session.finished_at && (!session.status || session.status === 'open');
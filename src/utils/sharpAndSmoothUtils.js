@@ -0,0 +1,298 @@
+// utils/sharpAndSmoothUtils.js
+// Round logic for the sharp-and-smooth (חד וחלק) speed game
+//
+// Every round shows one side of a content pair and all players race to pick
+// its partner. Rounds and scoring come from the shared rule-template engine.
+
+import {
+  resolveRules,
+  poolFromContentPairs,
+  buildRounds,
+  checkAnswer,
+  scoreAnswer
+} from '@/utils/ruleTemplateEngine';
+
+export const SHARP_AND_SMOOTH_PHASE = {
+  QUESTION: 'question',
+  REVEAL: 'reveal',
+  FINISHED: 'finished'
+};
+
+// Round time and option count stay null unless the teacher sets them, so the
+// rule template and difficulty decide them
+export const DEFAULT_SHARP_AND_SMOOTH_SETTINGS = {
+  rounds_count: 10,
+  round_time_seconds: null,
+  options_count: null,
+  reveal_seconds: 4
+};
+
+export const SHARP_AND_SMOOTH_LIMITS = {
+  rounds_count: { min: 3, max: 30 },
+  round_time_seconds: { min: 5, max: 60 },
+  options_count: { min: 2, max: 6 },
+  reveal_seconds: { min: 2, max: 10 }
+};
+
+const PHASE_ORDER = {
+  [SHARP_AND_SMOOTH_PHASE.QUESTION]: 0,
+  [SHARP_AND_SMOOTH_PHASE.REVEAL]: 1,
+  [SHARP_AND_SMOOTH_PHASE.FINISHED]: 2
+};
+
+/**
+ * Fill in defaults and clamp settings to their allowed ranges
+ * @param {Object} settings - Raw game settings
+ * @returns {Object} Normalized settings
+ */
+export const normalizeSharpAndSmoothSettings = (settings = {}) => {
+  const result = { ...DEFAULT_SHARP_AND_SMOOTH_SETTINGS };
+
+  Object.entries(SHARP_AND_SMOOTH_LIMITS).forEach(([key, { min, max }]) => {
+    const value = parseInt(settings?.[key], 10);
+    if (!Number.isNaN(value)) {
+      result[key] = Math.min(max, Math.max(min, value));
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Resolve the rule-template rules for a game
+ * The teacher's round time and option count override the template only when set.
+ * @param {Object} settings - Raw game settings
+ * @returns {Object} Rules from resolveRules
+ */
+export const resolveSharpAndSmoothRules = (settings = {}) => {
+  const { round_time_seconds, options_count } = normalizeSharpAndSmoothSettings(settings);
+
+  return resolveRules({
+    templateId: settings?.rule_template_id,
+    gameType: 'sharp_and_smooth',
+    difficulty: settings?.difficulty,
+    overrides: {
+      timeLimit: round_time_seconds,
+      optionsCount: options_count
+    }
+  });
+};
+
+/**
+ * Build the rounds for a session from GameContent pair records
+ * @param {Array} contentPairs - Content use records ({ id, contentItems: [a, b] })
+ * @param {Object} settings - Normalized settings
+ * @param {Object} rules - Rules from resolveSharpAndSmoothRules
+ * @param {string} seed - Random seed (the session ID, so all players get the same rounds)
+ * @returns {Array} Rounds from buildRounds
+ */
+export const buildSharpAndSmoothRounds = (contentPairs, settings, rules, seed) => {
+  const pool = poolFromContentPairs(contentPairs);
+  if (pool.length < 2) return [];
+
+  return buildRounds(rules, pool, { seed, count: settings.rounds_count });
+};
+
+/**
+ * Create the shared game state for a session
+ * @param {number} now - Start time (ms)
+ * @param {Array<string>} roundIds - IDs of the rounds (lets spectators show progress and results)
+ * @returns {Object} Game state
+ */
+export const createSharpAndSmoothState = (now = Date.now(), roundIds = []) => ({
+  game_type: 'sharp_and_smooth',
+  version: 0,
+  totalRounds: roundIds.length,
+  roundIds,
+  round: 0,
+  phase: SHARP_AND_SMOOTH_PHASE.QUESTION,
+  phaseStartedAt: now,
+  answers: {}
+});
+
+const answerKey = (round, playerId) => `${round}:${playerId}`;
+
+/**
+ * Get a player's answer for a round
+ * @param {Object} state - Game state
+ * @param {number} round - Round index
+ * @param {string} playerId - Participant ID
+ * @returns {Object|null} { optionKey, at, elapsedMs, correct }
+ */
+export const getPlayerAnswer = (state, round, playerId) =>
+  state?.answers?.[answerKey(round, playerId)] || null;
+
+/**
+ * Record a player's answer for the current round
+ * @param {Object} state - Game state
+ * @param {Array} rounds - Rounds from buildSharpAndSmoothRounds
+ * @param {Object} rules - Rules from resolveSharpAndSmoothRules
+ * @param {string} playerId - Answering participant
+ * @param {string} optionKey - Chosen option key
+ * @param {number} now - Answer time (ms)
+ * @returns {Object} New state (unchanged reference if the answer is not allowed)
+ */
+export const submitSharpAndSmoothAnswer = (state, rounds, rules, playerId, optionKey, now = Date.now()) => {
+  if (!state || state.phase !== SHARP_AND_SMOOTH_PHASE.QUESTION) return state;
+  if (getPlayerAnswer(state, state.round, playerId)) return state;
+
+  const round = rounds[state.round];
+  if (!round) return state;
+
+  return {
+    ...state,
+    answers: {
+      ...state.answers,
+      [answerKey(state.round, playerId)]: {
+        optionKey,
+        at: now,
+        elapsedMs: now - state.phaseStartedAt,
+        correct: checkAnswer(rules, round, optionKey)
+      }
+    },
+    version: state.version + 1
+  };
+};
+
+/**
+ * Check whether every player has answered the current round
+ * @param {Object} state - Game state
+ * @param {Array<string>} playerIds - Current participant IDs
+ * @returns {boolean}
+ */
+export const haveAllPlayersAnswered = (state, playerIds) =>
+  playerIds.length > 0 && playerIds.every(id => getPlayerAnswer(state, state.round, id));
+
+/**
+ * Get how long the current phase lasts
+ * @param {Object} state - Game state
+ * @param {Object} settings - Normalized settings
+ * @param {Object} rules - Rules from resolveSharpAndSmoothRules
+ * @returns {number} Duration in ms (Infinity once finished)
+ */
+export const getPhaseDuration = (state, settings, rules) => {
+  if (state.phase === SHARP_AND_SMOOTH_PHASE.QUESTION) return rules.timeLimit * 1000;
+  if (state.phase === SHARP_AND_SMOOTH_PHASE.REVEAL) return settings.reveal_seconds * 1000;
+  return Infinity;
+};
+
+/**
+ * Move the game to its next phase
+ * question -> reveal -> next question ... -> finished
+ * @param {Object} state - Game state
+ * @param {number} totalRounds - Number of rounds
+ * @param {number} now - Transition time (ms)
+ * @returns {Object} New state
+ */
+export const advanceSharpAndSmooth = (state, totalRounds, now = Date.now()) => {
+  if (!state || state.phase === SHARP_AND_SMOOTH_PHASE.FINISHED) return state;
+
+  if (state.phase === SHARP_AND_SMOOTH_PHASE.QUESTION) {
+    return { ...state, phase: SHARP_AND_SMOOTH_PHASE.REVEAL, phaseStartedAt: now, version: state.version + 1 };
+  }
+
+  const nextRound = state.round + 1;
+  if (nextRound >= totalRounds) {
+    return { ...state, phase: SHARP_AND_SMOOTH_PHASE.FINISHED, phaseStartedAt: now, version: state.version + 1 };
+  }
+
+  return {
+    ...state,
+    round: nextRound,
+    phase: SHARP_AND_SMOOTH_PHASE.QUESTION,
+    phaseStartedAt: now,
+    version: state.version + 1
+  };
+};
+
+const progressOf = (state) => state.round * 10 + PHASE_ORDER[state.phase];
+
+/**
+ * Merge a state received from another player into the local one
+ * The further-along phase wins (ties go to the earlier transition), and
+ * answers are unioned so simultaneous answers are never lost.
+ * @param {Object} local - Local game state
+ * @param {Object} incoming - Received game state
+ * @returns {Object} Merged state
+ */
+export const mergeSharpAndSmoothState = (local, incoming) => {
+  if (!local) return incoming;
+  if (!incoming) return local;
+
+  const localProgress = progressOf(local);
+  const incomingProgress = progressOf(incoming);
+  const base = incomingProgress > localProgress ||
+    (incomingProgress === localProgress && incoming.phaseStartedAt < local.phaseStartedAt)
+    ? incoming
+    : local;
+
+  const answers = { ...local.answers };
+  Object.entries(incoming.answers || {}).forEach(([key, answer]) => {
+    if (!answers[key] || answer.at < answers[key].at) {
+      answers[key] = answer;
+    }
+  });
+
+  return {
+    ...base,
+    answers,
+    version: Math.max(local.version, incoming.version)
+  };
+};
+
+const pointsFor = (rules, answer) => scoreAnswer(rules, {
+  correct: answer.correct,
+  elapsedMs: answer.elapsedMs ?? rules.timeLimit * 1000
+});
+
+/**
+ * Get the correct answers of a round ordered from fastest, with their points
+ * @param {Object} state - Game state
+ * @param {number} round - Round index
+ * @param {Object} rules - Rules from resolveSharpAndSmoothRules
+ * @returns {Array} [{ playerId, at, points }]
+ */
+export const getRoundResults = (state, round, rules) => {
+  const prefix = `${round}:`;
+
+  return Object.entries(state?.answers || {})
+    .filter(([key, answer]) => key.startsWith(prefix) && answer.correct)
+    .map(([key, answer]) => ({
+      playerId: key.slice(prefix.length),
+      at: answer.at,
+      points: pointsFor(rules, answer)
+    }))
+    .sort((a, b) => a.at - b.at || a.playerId.localeCompare(b.playerId));
+};
+
+/**
+ * Total every player's points across the rounds played so far
+ * Wrong answers cost the template's incorrect points; quick correct answers
+ * earn its time bonus.
+ * @param {Object} state - Game state
+ * @param {Array<string>} playerIds - Participant IDs to include with zero points
+ * @param {Object} rules - Rules from resolveSharpAndSmoothRules
+ * @returns {Array} [{ playerId, score, rank }] sorted by score, ties share a rank
+ */
+export const getSharpAndSmoothRanking = (state, playerIds = [], rules) => {
+  const scores = Object.fromEntries(playerIds.map(id => [id, 0]));
+
+  Object.entries(state?.answers || {}).forEach(([key, answer]) => {
+    const playerId = key.slice(key.indexOf(':') + 1);
+    scores[playerId] = (scores[playerId] || 0) + pointsFor(rules, answer);
+  });
+
+  let rank = 0;
+  let previousScore = null;
+
+  return Object.entries(scores)
+    .map(([playerId, score]) => ({ playerId, score }))
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => {
+      if (entry.score !== previousScore) {
+        rank = index + 1;
+        previousScore = entry.score;
+      }
+      return { ...entry, rank };
+    });
+};
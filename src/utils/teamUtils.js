@@ -0,0 +1,110 @@
+// utils/teamUtils.js
+// Team mode for game lobbies
+//
+// The teacher sets the lobby's teams in settings.team_config. Students pick a
+// team when joining, or the server places them in the smallest team. Each
+// participant carries a team_id, and team scores add up the players' scores.
+// The server contract is in BACKEND_REQUIREMENTS_LOBBY_TEAMS.md
+
+export const TEAM_ASSIGNMENT = {
+  STUDENT_CHOICE: 'student_choice',
+  RANDOM: 'random'
+};
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = 6;
+
+export const TEAM_PRESETS = [
+  { name: 'האדומים', color: '#ef4444' },
+  { name: 'הכחולים', color: '#3b82f6' },
+  { name: 'הירוקים', color: '#22c55e' },
+  { name: 'הצהובים', color: '#eab308' },
+  { name: 'הסגולים', color: '#a855f7' },
+  { name: 'הכתומים', color: '#f97316' }
+];
+
+/**
+ * Build the teams of a lobby, keeping the names of teams that already exist
+ * @param {number} count - Number of teams
+ * @param {Array} existingTeams - Current teams ({ id, name, color })
+ * @returns {Array} [{ id, name, color }]
+ */
+export const buildTeams = (count, existingTeams = []) => {
+  const teamsCount = Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, parseInt(count, 10) || MIN_TEAMS));
+
+  return TEAM_PRESETS.slice(0, teamsCount).map((preset, index) => ({
+    id: `team_${index + 1}`,
+    ...preset,
+    ...(existingTeams[index] ? { name: existingTeams[index].name || preset.name } : {})
+  }));
+};
+
+/**
+ * Normalize a lobby's team configuration
+ * @param {Object} teamConfig - settings.team_config ({ enabled, assignment, teams })
+ * @returns {Object} { enabled, assignment, teams }
+ */
+export const normalizeTeamConfig = (teamConfig = {}) => {
+  const teams = Array.isArray(teamConfig?.teams) && teamConfig.teams.length >= MIN_TEAMS
+    ? teamConfig.teams.slice(0, MAX_TEAMS).map((team, index) => ({
+      id: team.id || `team_${index + 1}`,
+      name: team.name?.trim() || TEAM_PRESETS[index].name,
+      color: team.color || TEAM_PRESETS[index].color
+    }))
+    : buildTeams(MIN_TEAMS);
+
+  return {
+    enabled: !!teamConfig?.enabled,
+    assignment: Object.values(TEAM_ASSIGNMENT).includes(teamConfig?.assignment)
+      ? teamConfig.assignment
+      : TEAM_ASSIGNMENT.STUDENT_CHOICE,
+    teams
+  };
+};
+
+/**
+ * Get the teams of a lobby when it is in team mode
+ * @param {Object} settings - Lobby settings
+ * @returns {Array|null} Teams, or null when team mode is off
+ */
+export const getLobbyTeams = (settings = {}) => {
+  const teamConfig = normalizeTeamConfig(settings?.team_config);
+  return teamConfig.enabled ? teamConfig.teams : null;
+};
+
+/**
+ * Get the team of a participant
+ * @param {Object} participant - Session participant
+ * @returns {string|null} Team ID
+ */
+export const getParticipantTeamId = (participant) =>
+  participant?.team_id || participant?.metadata?.team_id || null;
+
+/**
+ * Build the team scoreboard from the players' scores
+ * @param {Array} teams - Lobby teams
+ * @param {Array} players - [{ id, teamId, score }]
+ * @returns {Array} [{ id, name, color, score, members, rank }] sorted by score
+ */
+export const buildTeamScoreboard = (teams = [], players = []) => {
+  let rank = 0;
+  let previousScore = null;
+
+  return teams
+    .map(team => {
+      const members = players.filter(player => player.teamId === team.id);
+      return {
+        ...team,
+        members: members.length,
+        score: members.reduce((sum, player) => sum + (player.score || 0), 0)
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map((team, index) => {
+      if (team.score !== previousScore) {
+        rank = index + 1;
+        previousScore = team.score;
+      }
+      return { ...team, rank };
+    });
+};
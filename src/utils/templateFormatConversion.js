@@ -0,0 +1,153 @@
+// utils/templateFormatConversion.js
+// Remap a template designed for one target format to another
+//
+// Element positions are percents of the page, so they carry over as is.
+// Element sizes are stored in display pixels of the editor page, so they are
+// scaled by how much the page grows or shrinks: stretchable shapes (boxes,
+// line lengths) follow each page axis, everything else (text, logos, images,
+// QR codes) scales uniformly by the smaller axis so it keeps its proportions.
+// Elements that would stick out of the new page are moved back inside.
+
+import { getCanvasDimensions, getCanvasDisplayWidth } from '@/utils/canvasDimensions';
+
+const SIZE_FIELDS = ['width', 'height', 'size', 'fontSize', 'borderWidth'];
+const STRETCHABLE_TYPES = ['box', 'line', 'dotted-line'];
+const TEXT_LINE_HEIGHT = 1.2;
+
+/**
+ * Get the editor page size of a target format in display pixels
+ * @param {string} targetFormat - The target format
+ * @returns {Object} { width, height }
+ */
+export function getDisplayPageSize(targetFormat) {
+  const { width, height } = getCanvasDimensions(targetFormat);
+  const displayWidth = getCanvasDisplayWidth(targetFormat);
+
+  return { width: displayWidth, height: displayWidth * (height / width) };
+}
+
+/**
+ * Get the approximate box of an element in display pixels
+ * @param {Object} element - Template element
+ * @returns {Object} { width, height }, null for a side that is not known
+ */
+export function getElementDisplaySize(element) {
+  const style = element.style || {};
+  const width = style.width ?? style.size ?? null;
+  const height = style.height ?? style.size ?? (style.fontSize ? style.fontSize * TEXT_LINE_HEIGHT : null);
+
+  return { width, height };
+}
+
+// Scale factors of the element's own width and height. A shape rotated to
+// stand upright takes its width along the page height and the other way round.
+const getAxisScales = (element, scaleX, scaleY, uniform) => {
+  if (!STRETCHABLE_TYPES.includes(element.type)) {
+    return { width: uniform, height: uniform };
+  }
+
+  const rotation = Math.abs(element.style?.rotation || 0) % 180;
+  const upright = rotation > 45 && rotation < 135;
+  const widthScale = upright ? scaleY : scaleX;
+  const heightScale = upright ? scaleX : scaleY;
+
+  // Lines only stretch along their length, their thickness scales uniformly
+  if (element.type !== 'box') return { width: widthScale, height: uniform };
+  return { width: widthScale, height: heightScale };
+};
+
+const scaleLength = (value, factor) => {
+  if (typeof value !== 'number' || value === 0) return value;
+  return Math.max(1, Math.round(value * factor));
+};
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+// Keep the element box inside the page, position is the element center
+const clampToPage = (center, size, pageSize) => {
+  if (!size) return center;
+  const half = (size / 2 / pageSize) * 100;
+  if (half >= 50) return 50;
+  return Math.min(Math.max(center, half), 100 - half);
+};
+
+/**
+ * Convert one element to a new page size
+ * @param {Object} element - Template element
+ * @param {Object} scales - { x, y, uniform } page scale factors
+ * @param {Object} page - Display page size of the new format { width, height }
+ * @returns {Object} { element, movedInside }
+ */
+function convertElement(element, scales, page) {
+  const axis = getAxisScales(element, scales.x, scales.y, scales.uniform);
+  const style = { ...(element.style || {}) };
+
+  SIZE_FIELDS.filter(field => field in style).forEach(field => {
+    const factor = field === 'width' ? axis.width : field === 'height' ? axis.height : scales.uniform;
+    style[field] = scaleLength(style[field], factor);
+  });
+
+  const converted = { ...element, style };
+  if (!element.position) return { element: converted, movedInside: false };
+
+  const size = getElementDisplaySize(converted);
+  const position = {
+    x: roundPercent(clampToPage(element.position.x, size.width, page.width)),
+    y: roundPercent(clampToPage(element.position.y, size.height, page.height))
+  };
+  const movedInside = Math.abs(position.x - element.position.x) >= 0.01 ||
+    Math.abs(position.y - element.position.y) >= 0.01;
+
+  return {
+    element: { ...converted, position: movedInside ? position : element.position },
+    movedInside
+  };
+}
+
+/**
+ * Convert unified template data from one target format to another
+ * @param {Object} templateData - Template data in the unified structure
+ * @param {string} fromFormat - The format the template was designed for
+ * @param {string} toFormat - The new target format
+ * @returns {Object} { templateData, changes, scales } - changes lists every
+ *   element with its position and size before and after, for the review step
+ */
+export function convertTemplateToFormat(templateData, fromFormat, toFormat) {
+  const fromPage = getDisplayPageSize(fromFormat);
+  const toPage = getDisplayPageSize(toFormat);
+  const scaleX = toPage.width / fromPage.width;
+  const scaleY = toPage.height / fromPage.height;
+  const scales = { x: scaleX, y: scaleY, uniform: Math.min(scaleX, scaleY) };
+
+  const elements = {};
+  const changes = [];
+
+  Object.entries(templateData?.elements || {}).forEach(([elementType, elementArray]) => {
+    if (!Array.isArray(elementArray)) {
+      elements[elementType] = elementArray;
+      return;
+    }
+
+    elements[elementType] = elementArray.map(element => {
+      const { element: converted, movedInside } = convertElement(element, scales, toPage);
+
+      changes.push({
+        id: element.id,
+        type: element.type || elementType,
+        content: element.content,
+        visible: element.visible !== false,
+        before: { position: element.position, size: getElementDisplaySize(element) },
+        after: { position: converted.position, size: getElementDisplaySize(converted) },
+        movedInside
+      });
+
+      return converted;
+    });
+  });
+
+  return {
+    templateData: { ...templateData, elements },
+    changes,
+    scales
+  };
+}
@@ -0,0 +1,338 @@
+// utils/templateTransferUtils.js
+// Template structure helpers and versioned JSON template files
+//
+// Templates are exported with their type, target format and template data
+// (elements with their styles and group IDs, group definitions and global
+// settings) to a JSON file that carries a format version. Importing checks the
+// file against the schema and migrates older versions step by step, so files
+// exported today still import after the structure changes.
+
+import { ludlog } from '@/lib/ludlog';
+import { isSupportedFormat } from '@/utils/canvasDimensions';
+
+export const TEMPLATE_FILE_FORMAT = 'ludora-template';
+
+// Version history:
+// 1 - The template record as stored, template_data possibly in the legacy
+//     structure (logo/text/url/customElements, textElements/logoElements)
+// 2 - template_data in the unified structure: elements[type] arrays
+export const TEMPLATE_FILE_VERSION = 2;
+
+export const TEMPLATE_TYPES = ['branding', 'watermark'];
+
+const ELEMENT_TYPE_NAMES = {
+  logo: 'לוגו',
+  'copyright-text': 'זכויות יוצרים',
+  url: 'קישור',
+  'user-info': 'פרטי משתמש',
+  'free-text': 'טקסט חופשי',
+  'watermark-text': 'טקסט סימן מים',
+  'watermark-logo': 'לוגו סימן מים',
+  box: 'תיבה',
+  circle: 'עיגול',
+  line: 'קו',
+  'dotted-line': 'קו מנוקד',
+  image: 'תמונה',
+  'qr-code': 'קוד QR'
+};
+
+/**
+ * Get the Hebrew display name of an element type
+ * @param {string} type - Element type
+ * @returns {string} The name, or the type itself when unknown
+ */
+export const getElementTypeName = (type) => ELEMENT_TYPE_NAMES[type] || type;
+
+/**
+ * Convert a legacy template structure to the unified structure
+ * @param {Object} legacyConfig - Template data in the legacy or unified structure
+ * @returns {Object} Template data in the unified structure
+ */
+export const convertLegacyToUnifiedStructure = (legacyConfig) => {
+  // If it's already unified structure, return as-is
+  if (legacyConfig.elements && typeof legacyConfig.elements === 'object') {
+    return legacyConfig;
+  }
+
+  const elements = {};
+
+  // Convert built-in elements from legacy structure (branding templates)
+  if (legacyConfig.logo) {
+    elements.logo = [{
+      ...legacyConfig.logo,
+      deletable: legacyConfig.logo.deletable ?? true,
+      type: 'logo'
+    }];
+  }
+
+  if (legacyConfig.text) {
+    elements['copyright-text'] = [{
+      ...legacyConfig.text,
+      deletable: legacyConfig.text.deletable ?? true,
+      type: 'copyright-text'
+    }];
+  }
+
+  if (legacyConfig.url) {
+    elements.url = [{
+      ...legacyConfig.url,
+      deletable: legacyConfig.url.deletable ?? true,
+      type: 'url'
+    }];
+  }
+
+  // Convert watermark templates legacy structure
+  if (legacyConfig.textElements && Array.isArray(legacyConfig.textElements)) {
+    elements['watermark-text'] = legacyConfig.textElements.map(element => ({
+      ...element,
+      type: 'watermark-text',
+      deletable: element.deletable ?? true
+    }));
+  }
+
+  if (legacyConfig.logoElements && Array.isArray(legacyConfig.logoElements)) {
+    elements['watermark-logo'] = legacyConfig.logoElements.map(element => ({
+      ...element,
+      type: 'watermark-logo',
+      deletable: element.deletable ?? true
+    }));
+  }
+
+  // Convert custom elements from legacy structure
+  if (legacyConfig.customElements && typeof legacyConfig.customElements === 'object') {
+    Object.entries(legacyConfig.customElements).forEach(([elementId, element]) => {
+      if (element && typeof element === 'object') {
+        const elementType = element.type || 'free-text';
+
+        if (!elements[elementType]) {
+          elements[elementType] = [];
+        }
+
+        elements[elementType].push({
+          ...element,
+          id: element.id || elementId,
+          type: elementType,
+          deletable: element.deletable ?? true
+        });
+      }
+    });
+  }
+
+  return {
+    elements,
+    globalSettings: legacyConfig.globalSettings || {}
+  };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Make sure every element has a 'type' field
+ * Unified elements take the type of their array. Legacy custom elements get a
+ * type inferred from their ID, or 'free-text'. Entries that are not objects
+ * are left for the caller to reject.
+ * @param {Object} config - Template data
+ * @returns {Object} Fixed deep copy of the template data
+ */
+export const validateAndFixElementTypes = (config) => {
+  const fixedConfig = JSON.parse(JSON.stringify(config)); // Deep clone
+  let hasChanges = false;
+
+  // Check unified structure elements (new format)
+  if (fixedConfig.elements) {
+    Object.entries(fixedConfig.elements).forEach(([elementType, elementArray]) => {
+      if (Array.isArray(elementArray)) {
+        elementArray.forEach((element, index) => {
+          if (!isPlainObject(element)) return;
+          if (!element.type || typeof element.type !== 'string') {
+            element.type = elementType;
+            hasChanges = true;
+            ludlog.ui(`🔧 Fixed missing type field for ${elementType}[${index}]: added type="${elementType}"`);
+          }
+        });
+      }
+    });
+  }
+
+  // Check custom elements
+  if (fixedConfig.customElements) {
+    Object.entries(fixedConfig.customElements).forEach(([elementId, element]) => {
+      if (!isPlainObject(element)) return;
+      if (!element.type || typeof element.type !== 'string') {
+        // Try to infer type from element ID or use 'free-text' as default
+        const inferredType = elementId.includes('logo') ? 'logo' :
+                           elementId.includes('text') ? 'free-text' :
+                           elementId.includes('url') ? 'url' :
+                           elementId.includes('user-info') ? 'user-info' :
+                           elementId.includes('copyright') ? 'copyright-text' :
+                           elementId.includes('watermark') ? 'watermark-logo' :
+                           'free-text'; // Default fallback
+        element.type = inferredType;
+        hasChanges = true;
+        ludlog.ui(`🔧 Fixed missing type field for custom element ${elementId}: inferred type="${inferredType}"`);
+      }
+    });
+  }
+
+  if (hasChanges) {
+    ludlog.ui('✅ Template validation: Fixed missing type fields');
+  }
+
+  return fixedConfig;
+};
+
+// Each migration turns a file template of its version into the next version
+const TEMPLATE_FILE_MIGRATIONS = {
+  1: (template) => ({
+    ...template,
+    template_data: convertLegacyToUnifiedStructure(template.template_data)
+  })
+};
+
+/**
+ * Build the content of a template file
+ * @param {Object} template - System template record
+ * @returns {Object} File content, ready for JSON.stringify
+ */
+export const buildTemplateExport = (template) => {
+  const templateData = validateAndFixElementTypes(convertLegacyToUnifiedStructure(template.template_data || {}));
+
+  return {
+    format: TEMPLATE_FILE_FORMAT,
+    version: TEMPLATE_FILE_VERSION,
+    exported_at: new Date().toISOString(),
+    template: {
+      name: template.name,
+      description: template.description || '',
+      template_type: template.template_type,
+      target_format: template.target_format,
+      template_data: {
+        ...templateData,
+        groups: templateData.groups || {}
+      }
+    }
+  };
+};
+
+/**
+ * Get the file name of an exported template
+ * @param {Object} template - System template record
+ * @returns {string} File name ending with .json
+ */
+export const getTemplateExportFilename = (template) => {
+  const name = String(template.name || 'template')
+    .trim()
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, '-');
+  return `${name || 'template'}.ludora-template.json`;
+};
+
+// Check the elements of unified template data, fixing what can be fixed
+const validateTemplateElements = (templateData, warnings) => {
+  if (!isPlainObject(templateData.elements)) {
+    throw new Error('בקובץ אין רשימת אלמנטים תקינה');
+  }
+
+  const elements = {};
+  Object.entries(templateData.elements).forEach(([elementType, elementArray]) => {
+    if (!Array.isArray(elementArray)) {
+      warnings.push(`סוג האלמנט "${elementType}" אינו רשימה ולא יובא`);
+      return;
+    }
+
+    elements[elementType] = elementArray
+      .filter((element, index) => {
+        if (isPlainObject(element)) return true;
+        warnings.push(`אלמנט ${index + 1} מסוג "${elementType}" אינו תקין ולא יובא`);
+        return false;
+      })
+      .map((element, index) => {
+        const position = element.position;
+        const hasPosition = isPlainObject(position) && Number.isFinite(position.x) && Number.isFinite(position.y);
+        if (!hasPosition) {
+          warnings.push(`לאלמנט ${index + 1} מסוג "${elementType}" לא היה מיקום תקין והוא מוקם במרכז`);
+        }
+
+        return {
+          ...element,
+          id: element.id || `${elementType}-${index + 1}`,
+          visible: element.visible !== false,
+          position: hasPosition ? position : { x: 50, y: 50 },
+          style: isPlainObject(element.style) ? element.style : {}
+        };
+      });
+  });
+
+  return { ...templateData, elements };
+};
+
+/**
+ * Read a template file
+ * Files without a format field are taken as a version 1 template record.
+ * @param {string} text - File content
+ * @returns {Object} { template: { name, description, template_type, target_format, template_data }, version, warnings }
+ * @throws {Error} With a Hebrew message when the file cannot be imported
+ */
+export const parseTemplateImport = (text) => {
+  let content;
+  try {
+    content = JSON.parse(text);
+  } catch {
+    throw new Error('הקובץ אינו קובץ JSON תקין');
+  }
+
+  if (!isPlainObject(content)) {
+    throw new Error('מבנה הקובץ אינו תקין');
+  }
+
+  let version;
+  let template;
+  if (content.format === TEMPLATE_FILE_FORMAT) {
+    version = Number(content.version);
+    template = content.template;
+  } else if (!content.format && isPlainObject(content.template_data)) {
+    version = 1;
+    template = content;
+  } else {
+    throw new Error('הקובץ אינו קובץ תבנית של לודורה');
+  }
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('גרסת הקובץ אינה תקינה');
+  }
+  if (version > TEMPLATE_FILE_VERSION) {
+    throw new Error('הקובץ נוצר בגרסה חדשה יותר של המערכת ולא ניתן לייבא אותו');
+  }
+  if (!isPlainObject(template) || !isPlainObject(template.template_data)) {
+    throw new Error('בקובץ אין נתוני תבנית');
+  }
+  if (!TEMPLATE_TYPES.includes(template.template_type)) {
+    throw new Error(`סוג התבנית "${template.template_type || ''}" אינו נתמך`);
+  }
+  if (!isSupportedFormat(template.target_format)) {
+    throw new Error(`פורמט התבנית "${template.target_format || ''}" אינו נתמך`);
+  }
+
+  let migrated = template;
+  for (let step = version; step < TEMPLATE_FILE_VERSION; step++) {
+    migrated = TEMPLATE_FILE_MIGRATIONS[step](migrated);
+  }
+
+  const warnings = [];
+  const templateData = validateAndFixElementTypes(validateTemplateElements(migrated.template_data, warnings));
+
+  return {
+    template: {
+      name: String(migrated.name || '').trim() || 'תבנית מיובאת',
+      description: migrated.description || '',
+      template_type: migrated.template_type,
+      target_format: migrated.target_format,
+      template_data: {
+        ...templateData,
+        groups: isPlainObject(templateData.groups) ? templateData.groups : {}
+      }
+    },
+    version,
+    warnings
+  };
+};
@@ -0,0 +1,160 @@
+/**
+ * Template Version Utilities
+ * Saved versions of templates and the element diff between two versions
+ *
+ * Versions are kept for system templates and for the custom branding and
+ * watermark templates creators design for a single file or lesson plan. Every
+ * save of a template records its template data as a new version, the server
+ * stamps it with the author and time. The first save of a template without
+ * history also records the state it had before, so the original design can
+ * always be restored.
+ *
+ * The version endpoints are described in BACKEND_REQUIREMENTS_TEMPLATE_VERSIONS.md
+ */
+
+import { apiRequest } from '@/services/apiClient';
+import { ludlog, luderror } from '@/lib/ludlog';
+import { convertLegacyToUnifiedStructure } from '@/utils/templateTransferUtils';
+
+/**
+ * Get the versions endpoint of a system template
+ * @param {string} templateId - System template ID
+ * @returns {string} API path
+ */
+export function getSystemTemplateVersionsPath(templateId) {
+  return `/system-templates/${templateId}/versions`;
+}
+
+/**
+ * Get the versions endpoint of a file's or lesson plan's custom template
+ * @param {string} entityType - 'file' or 'lessonplan'
+ * @param {string} entityId - File or lesson plan ID
+ * @param {string} templateType - 'branding' or 'watermark'
+ * @returns {string} API path
+ */
+export function getEntityTemplateVersionsPath(entityType, entityId, templateType) {
+  const entityPath = entityType === 'file' ? 'file' : 'lesson_plan';
+  return `/entities/${entityPath}/${entityId}/template-versions/${templateType}`;
+}
+
+/**
+ * Fetch the saved versions of a template
+ * @param {string} versionsPath - Versions endpoint of the template
+ * @returns {Promise<Array>} Versions, newest first
+ */
+export async function fetchTemplateVersions(versionsPath) {
+  const result = await apiRequest(versionsPath);
+  const versions = Array.isArray(result) ? result : result?.data || [];
+
+  return [...versions].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+const postTemplateVersion = (versionsPath, template, extra = {}) => apiRequest(versionsPath, {
+  method: 'POST',
+  body: JSON.stringify({
+    name: template.name,
+    target_format: template.target_format,
+    template_data: convertLegacyToUnifiedStructure(template.template_data || {}),
+    ...extra
+  })
+});
+
+/**
+ * Record a saved template as a new version
+ * Never throws: a failed history write must not fail the save itself
+ * @param {string} versionsPath - Versions endpoint of the template
+ * @param {Object|null} previousTemplate - The template as it was before the save, null for a new template
+ * @param {Object} savedTemplate - The template as saved ({ name, target_format, template_data })
+ * @param {Object} [options]
+ * @param {string} [options.restoredFrom] - ID of the version this save restored
+ * @returns {Promise<Object|null>} The new version, or null on failure
+ */
+export async function recordTemplateVersion(versionsPath, previousTemplate, savedTemplate, { restoredFrom = null } = {}) {
+  if (!versionsPath || !savedTemplate?.template_data) return null;
+
+  try {
+    if (previousTemplate?.template_data) {
+      const versions = await fetchTemplateVersions(versionsPath);
+      if (versions.length === 0) {
+        await postTemplateVersion(versionsPath, previousTemplate, { is_baseline: true });
+      }
+    }
+
+    const result = await postTemplateVersion(versionsPath, savedTemplate, { restored_from: restoredFrom });
+    ludlog.api('Template version recorded:', { data: { versionsPath, versionId: result?.data?.id } });
+    return result?.data || result;
+  } catch (error) {
+    luderror.api('Error recording template version:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the display name of a version's author
+ * @param {Object} version - Template version
+ * @returns {string} Author name or email
+ */
+export function getVersionAuthor(version) {
+  return version.author_name || version.creator?.full_name || version.author_email || version.creator?.email || 'משתמש לא ידוע';
+}
+
+const getElementKey = (elementType, element) => `${element.type || elementType}:${element.id}`;
+
+const collectElements = (templateData) => {
+  const map = new Map();
+  const { elements = {} } = convertLegacyToUnifiedStructure(templateData || {});
+
+  Object.entries(elements).forEach(([elementType, elementArray]) => {
+    if (!Array.isArray(elementArray)) return;
+    elementArray.forEach(element => {
+      map.set(getElementKey(elementType, element), { ...element, type: element.type || elementType });
+    });
+  });
+
+  return map;
+};
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const hasMoved = (before, after) => (
+  Math.abs((before.position?.x ?? 0) - (after.position?.x ?? 0)) >= 0.01 ||
+  Math.abs((before.position?.y ?? 0) - (after.position?.y ?? 0)) >= 0.01
+);
+
+/**
+ * Compare the elements of two template versions
+ * Elements are matched by type and ID. A moved element may also have other
+ * changes, listed in its changedFields.
+ * @param {Object} beforeData - Template data of the older version
+ * @param {Object} afterData - Template data of the newer version
+ * @returns {Array} [{ key, type, status, before, after, changedFields }] where status is
+ *   'added', 'removed', 'moved', 'changed' or 'unchanged'
+ */
+export function diffTemplateVersions(beforeData, afterData) {
+  const beforeElements = collectElements(beforeData);
+  const afterElements = collectElements(afterData);
+  const diff = [];
+
+  beforeElements.forEach((before, key) => {
+    const after = afterElements.get(key);
+    if (!after) {
+      diff.push({ key, type: before.type, status: 'removed', before, after: null, changedFields: [] });
+      return;
+    }
+
+    const changedFields = ['style', 'content', 'visible', 'url', 'qr', 'locked', 'groupId']
+      .filter(field => !isSame(before[field], after[field]));
+    const moved = hasMoved(before, after);
+    const status = moved ? 'moved' : changedFields.length > 0 ? 'changed' : 'unchanged';
+
+    diff.push({ key, type: before.type, status, before, after, changedFields });
+  });
+
+  afterElements.forEach((after, key) => {
+    if (!beforeElements.has(key)) {
+      diff.push({ key, type: after.type, status: 'added', before: null, after, changedFields: [] });
+    }
+  });
+
+  return diff;
+}